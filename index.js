@@ -1,5 +1,7 @@
 const Crawler = require('./src/crawler');
-const DB = require('./src/database');
+const DB = require('./src/database/db');
+const { tradingCalendar } = require('./src/market/trading-calendar');
+const { normalizeDate } = require('./src/dates');
 
 /**
  * 完整同步測試 (價量 + 籌碼 + 資券)
@@ -13,8 +15,12 @@ async function syncAllData(symbol, date) {
         console.error(`❌ 價量抓取失敗: ${priceResult.message}`);
         return;
     }
-    DB.saveDailyPrice(priceResult.data);
-    console.log('✅ 價量存入資料庫');
+    // 經批次寫入以套用資料品質檢核 (未通過者改存 quarantined_rows)
+    if (DB.saveDailyPriceBatch([priceResult.data]) === 0) {
+        console.warn('⚠️ 價量未通過品質檢核，已隔離');
+    } else {
+        console.log('✅ 價量存入資料庫');
+    }
 
     // 2. 抓取全市場籌碼與資券 (這部分可以優化為一次性抓取後過濾)
     const instMap = await Crawler.fetchInstitutionalData(date);
@@ -34,13 +40,24 @@ async function syncAllData(symbol, date) {
         short_balance: margData.short_balance
     };
 
-    DB.saveInstitutionalTrade(fullChipData);
-    console.log('✅ 籌碼與資券數據存入資料庫');
+    // 當日無該股法人/資券資料時為全 0 籌碼列，由品質檢核隔離 (ZEROED_CHIP)
+    if (DB.saveInstitutionalTradeBatch([fullChipData]) === 0) {
+        console.warn('⚠️ 籌碼資料未通過品質檢核，已隔離');
+    } else {
+        console.log('✅ 籌碼與資券數據存入資料庫');
+    }
 
     // 3. 驗證
     console.log('📊 最終資料同步結果:');
     console.log(JSON.stringify(fullChipData, null, 2));
 }
 
-// 執行測試
-syncAllData('2330', '20260206');
+// 執行測試: 預設同步最近一個已收盤的交易日 (可傳入 YYYY-MM-DD 或 YYYYMMDD，一律以 YYYY-MM-DD 儲存)
+if (require.main === module) {
+    const targetDate = normalizeDate(process.argv[2] || tradingCalendar.latestSession());
+    DB.init();
+    syncAllData('2330', targetDate)
+        .finally(() => DB.close());
+}
+
+module.exports = { syncAllData };
@@ -12,6 +12,10 @@
 
 const { calculateVAO } = require('../indicators/vao');
 const { calculateMTM, calculateMASystem } = require('../indicators/momentum');
+const { tradingCalendar, loadCalendarOverrides } = require('../market/trading-calendar');
+const { evaluateOrderBook } = require('../market/order-book');
+const { priceLimits, isAtLimit, isEtf } = require('../market/price-limits');
+const { analyzeForeignHoldings } = require('../market/foreign-holdings');
 
 // ─── 常數定義 ─────────────────────────────────────
 const ALERT_TYPES = {
@@ -23,11 +27,20 @@ const ALERT_TYPES = {
   // 籌碼面
   FOREIGN_CONSECUTIVE_BUY: 'FOREIGN_CONSECUTIVE_BUY',
   MARGIN_SURGE: 'MARGIN_SURGE',
+  SBL_SURGE: 'SBL_SURGE',
   INSTITUTIONAL_SYNC: 'INSTITUTIONAL_SYNC',
+  FOREIGN_HOLDING_HIGH: 'FOREIGN_HOLDING_HIGH',
+  FOREIGN_CAP_NEAR: 'FOREIGN_CAP_NEAR',
+  // 盤中五檔
+  ORDER_BOOK_IMBALANCE: 'ORDER_BOOK_IMBALANCE',
+  THIN_LIQUIDITY: 'THIN_LIQUIDITY',
+  LIMIT_LOCK: 'LIMIT_LOCK',
   // 風控
   STOP_LOSS: 'STOP_LOSS',
   TRAILING_STOP: 'TRAILING_STOP',
-  MA_BREAKDOWN: 'MA_BREAKDOWN'
+  MA_BREAKDOWN: 'MA_BREAKDOWN',
+  // 資料品質
+  DATA_STALE: 'DATA_STALE'
 };
 
 const SEVERITY = {
@@ -47,16 +60,40 @@ class AdvancedAlertEngine {
    * @param {number} [config.vaoThreshold=70] - VAO 爆量門檻
    * @param {number} [config.foreignConsecutiveDays=3] - 外資連續買超天數
    * @param {number} [config.marginSurgeRate=0.10] - 融資暴增率門檻
+   * @param {number} [config.sblSurgeRate=0.10] - 借券賣出餘額單日增加率門檻
+   * @param {number} [config.sblMinIncrease=500000] - 借券賣出餘額單日最少增加股數 (避免小型股雜訊)
+   * @param {number} [config.maxStaleSessions=1] - 日線最多可落後的交易日數，超過則略過技術面與風控警示
+   * @param {string} [config.asOf] - 掃描基準日 (YYYY-MM-DD)，預設為最近收盤的交易日
+   * @param {number} [config.orderBookMaxAgeMs=300000] - 五檔快照超過此時間視為過期，不做五檔警示
+   * @param {number} [config.imbalanceThreshold=0.6] - 五檔掛單失衡門檻 (|imbalance|)
+   * @param {number} [config.minDepthLots=50] - 五檔買賣合計低於此張數視為流動性不足
+   * @param {number} [config.maxSpreadPct=1] - 買賣價差超過中價此百分比視為流動性不足
+   * @param {number} [config.intradayMaxAgeMs=300000] - 盤中快照超過此時間視為過期，漲跌停改以日線判斷
+   * @param {number} [config.foreignHighLookback=60] - 外資持股比率新高的回溯交易日數
+   * @param {number} [config.foreignCapRoomPct=5] - 外資尚可投資比率低於此值 (%) 視為逼近投資上限
    */
   constructor(db, config = {}) {
     this.db = db;
+    // DATA_STALE 與資料落後以交易日計算，需含颱風停市等臨時異動
+    loadCalendarOverrides(db);
     this.config = {
       vaoThreshold: config.vaoThreshold || 70,
       foreignConsecutiveDays: config.foreignConsecutiveDays || 3,
       marginSurgeRate: config.marginSurgeRate || 0.10,
+      sblSurgeRate: config.sblSurgeRate || 0.10,
+      sblMinIncrease: config.sblMinIncrease ?? 500000,
       stopLossRate: config.stopLossRate || 0.07,
       trailingStopRate: config.trailingStopRate || 0.03,
-      trailingActivation: config.trailingActivation || 0.10
+      trailingActivation: config.trailingActivation || 0.10,
+      maxStaleSessions: config.maxStaleSessions ?? 1,
+      asOf: config.asOf || null,
+      orderBookMaxAgeMs: config.orderBookMaxAgeMs ?? 5 * 60 * 1000,
+      imbalanceThreshold: config.imbalanceThreshold || 0.6,
+      minDepthLots: config.minDepthLots || 50,
+      maxSpreadPct: config.maxSpreadPct || 1,
+      intradayMaxAgeMs: config.intradayMaxAgeMs ?? 5 * 60 * 1000,
+      foreignHighLookback: config.foreignHighLookback || 60,
+      foreignCapRoomPct: config.foreignCapRoomPct ?? 5
     };
     this.channels = [];
   }
@@ -86,16 +123,29 @@ class AdvancedAlertEngine {
 
     for (const symbol of symbols) {
       try {
+        // 日線過期時，技術面與風控會以舊價格誤判，改發資料過期警示
+        const staleAlert = this._checkFreshness(symbol);
+        if (staleAlert) alerts.push(staleAlert);
+
         // 技術面警示
-        const techAlerts = this._scanTechnical(symbol);
-        alerts.push(...techAlerts);
+        if (!staleAlert) {
+          const techAlerts = this._scanTechnical(symbol);
+          alerts.push(...techAlerts);
+        }
 
         // 籌碼面警示
         const instAlerts = this._scanInstitutional(symbol);
         alerts.push(...instAlerts);
+        alerts.push(...this._scanForeignHoldings(symbol));
+
+        // 盤中五檔警示
+        alerts.push(...this._scanOrderBook(symbol));
+
+        // 漲跌停鎖死 (日線過期時僅看盤中快照)
+        alerts.push(...this._scanLimitLock(symbol, { useDaily: !staleAlert }));
 
         // 持倉風控警示
-        if (includePositionAlerts) {
+        if (includePositionAlerts && !staleAlert) {
           const riskAlerts = this._scanPositionRisk(symbol);
           alerts.push(...riskAlerts);
         }
@@ -128,6 +178,33 @@ class AdvancedAlertEngine {
     return alerts;
   }
 
+  /**
+   * 檢查日線資料是否落後交易日曆
+   * @private
+   * @returns {Object|null} 過期時回傳 DATA_STALE 警示
+   */
+  _checkFreshness(symbol) {
+    const latest = this._getPriceHistory(symbol, 1)[0];
+    if (!latest || !latest.date) return null;
+
+    const asOf = this.config.asOf || tradingCalendar.latestSession();
+    let lag;
+    try {
+      lag = tradingCalendar.tradingDaysBetween(latest.date, asOf);
+    } catch {
+      return null; // 日期格式異常時不阻擋警示
+    }
+    if (lag <= this.config.maxStaleSessions) return null;
+
+    return {
+      type: ALERT_TYPES.DATA_STALE,
+      symbol,
+      severity: SEVERITY.WARNING,
+      message: `日線資料停留在 ${latest.date}，落後 ${asOf} 共 ${lag} 個交易日，暫停技術面與風控警示`,
+      data: { latestDate: latest.date, asOf, lag }
+    };
+  }
+
   /**
    * 技術面警示掃描
    * @private
@@ -264,6 +341,23 @@ class AdvancedAlertEngine {
           }
         }
       }
+
+      // 借券賣出餘額暴增
+      const currSbl = instData[0].sbl_balance;
+      const prevSbl = instData[1].sbl_balance;
+      if (currSbl != null && prevSbl > 0) {
+        const increase = currSbl - prevSbl;
+        const changeRate = increase / prevSbl;
+        if (changeRate > this.config.sblSurgeRate && increase >= this.config.sblMinIncrease) {
+          alerts.push({
+            type: ALERT_TYPES.SBL_SURGE,
+            symbol,
+            severity: SEVERITY.CRITICAL,
+            message: `借券賣出餘額暴增 ${(changeRate * 100).toFixed(1)}% (+${Math.round(increase / 1000)} 張)，餘額: ${Math.round(currSbl / 1000)} 張`,
+            data: { changeRate, currentBalance: currSbl, previousBalance: prevSbl, sblSell: instData[0].sbl_sell }
+          });
+        }
+      }
     } catch (err) {
       console.warn(`[Alerts] ${symbol} 籌碼面掃描錯誤: ${err.message}`);
     }
@@ -271,6 +365,143 @@ class AdvancedAlertEngine {
     return alerts;
   }
 
+  /**
+   * 外資持股警示：持股比率創回溯區間新高、尚可投資比率逼近法令上限 (資料落後交易日曆時略過)
+   * @private
+   */
+  _scanForeignHoldings(symbol) {
+    const alerts = [];
+    const history = this._getForeignHoldingHistory(symbol, this.config.foreignHighLookback);
+    if (!history || history.length === 0) return alerts;
+
+    try {
+      const asOf = this.config.asOf || tradingCalendar.latestSession();
+      if (tradingCalendar.tradingDaysBetween(history[0].date, asOf) > this.config.maxStaleSessions) return alerts;
+    } catch {
+      // 日期格式異常時不阻擋警示
+    }
+
+    const trend = analyzeForeignHoldings(history, {
+      highLookback: this.config.foreignHighLookback,
+      capRoomPct: this.config.foreignCapRoomPct
+    });
+    if (!trend) return alerts;
+
+    const data = { date: history[0].date, ...trend };
+    if (trend.isHigh) {
+      alerts.push({
+        type: ALERT_TYPES.FOREIGN_HOLDING_HIGH,
+        symbol,
+        severity: SEVERITY.INFO,
+        message: `外資持股比率 ${trend.ratio}% 創 ${trend.lookback} 日新高 (前高 ${trend.previousHigh}%)`,
+        data
+      });
+    }
+    if (trend.nearCap) {
+      alerts.push({
+        type: ALERT_TYPES.FOREIGN_CAP_NEAR,
+        symbol,
+        severity: SEVERITY.WARNING,
+        message: `外資持股 ${trend.ratio}% 逼近投資上限 ${trend.limitRatio}%，尚可投資僅 ${trend.availableRatio}%`,
+        data
+      });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * 盤中五檔警示 (僅使用未過期的最新快照)
+   * @private
+   */
+  _scanOrderBook(symbol) {
+    const alerts = [];
+    const book = this._getLatestOrderBook(symbol);
+    if (!book || Date.now() - Date.parse(book.ts) > this.config.orderBookMaxAgeMs) return alerts;
+
+    const result = evaluateOrderBook(book, {
+      imbalance: this.config.imbalanceThreshold,
+      minDepthLots: this.config.minDepthLots,
+      maxSpreadPct: this.config.maxSpreadPct
+    });
+    const data = {
+      ts: book.ts,
+      bestBid: book.best_bid,
+      bestAsk: book.best_ask,
+      spreadPct: book.spread_pct,
+      bidDepth: book.bid_depth,
+      askDepth: book.ask_depth,
+      imbalance: book.imbalance
+    };
+
+    if (result.imbalanced) {
+      alerts.push({
+        type: ALERT_TYPES.ORDER_BOOK_IMBALANCE,
+        symbol,
+        severity: SEVERITY.WARNING,
+        message: `五檔${result.reasons[0]}`,
+        data
+      });
+    }
+    if (result.thin) {
+      alerts.push({
+        type: ALERT_TYPES.THIN_LIQUIDITY,
+        symbol,
+        severity: SEVERITY.WARNING,
+        message: `流動性不足: ${result.reasons.slice(result.imbalanced ? 1 : 0).join('，')}`,
+        data
+      });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * 漲跌停警示：優先使用未過期的盤中快照，否則以最近兩根日線判斷收盤是否鎖在漲跌停
+   * @description 盤中快照帶有交易所公告的漲跌停價時直接採用 (除權息、恢復交易日的參考價不等於昨收)，
+   *   缺漏時才以昨收推算
+   * @private
+   * @param {string} symbol
+   * @param {Object} [options={}]
+   * @param {boolean} [options.useDaily=true] - 無盤中快照時是否改用日線
+   */
+  _scanLimitLock(symbol, options = {}) {
+    const { useDaily = true } = options;
+    let price = null, prevClose = null, source = null, ts = null, exchangeLimits = null;
+
+    const snapshot = this._getLatestIntradaySnapshot(symbol);
+    if (snapshot && snapshot.prev_close > 0 && Date.now() - Date.parse(snapshot.ts) <= this.config.intradayMaxAgeMs) {
+      ({ price, prev_close: prevClose, ts } = snapshot);
+      source = 'intraday';
+      if (snapshot.limit_up > 0 && snapshot.limit_down > 0) {
+        exchangeLimits = { limitUp: snapshot.limit_up, limitDown: snapshot.limit_down };
+      }
+    } else if (useDaily) {
+      const bars = this._getPriceHistory(symbol, 2);
+      if (bars && bars.length >= 2) {
+        price = bars[0].close;
+        prevClose = bars[1].close;
+        ts = bars[0].date;
+        source = 'daily';
+      }
+    }
+    if (source === null) return [];
+
+    const limits = exchangeLimits || priceLimits(prevClose, { etf: isEtf(symbol) });
+    const side = isAtLimit(price, limits);
+    if (!side) return [];
+
+    const up = side === 'UP';
+    return [{
+      type: ALERT_TYPES.LIMIT_LOCK,
+      symbol,
+      // 跌停鎖死時持股可能賣不掉，屬緊急
+      severity: up ? SEVERITY.WARNING : SEVERITY.CRITICAL,
+      message: `${up ? '漲停' : '跌停'}鎖死 ${price} (${up ? '買進' : '賣出'}可能無法成交)`,
+      data: { side, price, prevClose, limitUp: limits.limitUp, limitDown: limits.limitDown, source, ts }
+    }];
+  }
+
   /**
    * 持倉風控警示
    * @private
@@ -372,11 +603,40 @@ class AdvancedAlertEngine {
   _getInstitutionalHistory(symbol, limit) {
     try {
       return this.db.prepare(
-        'SELECT * FROM institutional_trades WHERE symbol = ? ORDER BY date DESC LIMIT ?'
+        `SELECT i.*, s.sbl_sell, s.sbl_balance FROM institutional_trades i
+         LEFT JOIN securities_lending s ON s.symbol = i.symbol AND s.date = i.date
+         WHERE i.symbol = ? ORDER BY i.date DESC LIMIT ?`
+      ).all(symbol, limit);
+    } catch { return []; }
+  }
+
+  /** @private */
+  _getForeignHoldingHistory(symbol, limit) {
+    try {
+      return this.db.prepare(
+        'SELECT * FROM foreign_holdings WHERE symbol = ? ORDER BY date DESC LIMIT ?'
       ).all(symbol, limit);
     } catch { return []; }
   }
 
+  /** @private */
+  _getLatestOrderBook(symbol) {
+    try {
+      return this.db.prepare(
+        'SELECT * FROM order_book_snapshots WHERE symbol = ? ORDER BY ts DESC LIMIT 1'
+      ).get(symbol);
+    } catch { return null; }
+  }
+
+  /** @private */
+  _getLatestIntradaySnapshot(symbol) {
+    try {
+      return this.db.prepare(
+        'SELECT * FROM intraday_snapshots WHERE symbol = ? ORDER BY ts DESC LIMIT 1'
+      ).get(symbol);
+    } catch { return null; }
+  }
+
   /**
    * 發送到所有已註冊的通知管道
    * @private
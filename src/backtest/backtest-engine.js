@@ -15,6 +15,11 @@
  * });
  */
 
+const { adjustPriceSeries } = require('../market/price-adjustment');
+const { tradingCalendar, loadCalendarOverrides } = require('../market/trading-calendar');
+const { normalizeDate } = require('../dates');
+const { priceLimits, isAtLimit, isEtf } = require('../market/price-limits');
+
 // ─── 常數定義 ─────────────────────────────────────
 const DEFAULT_CONFIG = {
   initialCapital: 1000000,
@@ -22,7 +27,10 @@ const DEFAULT_CONFIG = {
   commission: 0.001425,     // 手續費率 (買賣各 0.1425%)
   tax: 0.003,               // 交易稅 (賣出 0.3%)
   slippage: 0.001,          // 滑價估計 0.1%
-  riskFreeRate: 0.02        // 無風險利率 (年化 2%)
+  riskFreeRate: 0.02,       // 無風險利率 (年化 2%)
+  adjustPrices: false,      // 以還原權值價格回測 (需 corporate_actions 資料)
+  respectPriceLimits: true, // 收盤鎖漲停不買進、鎖跌停不賣出 (順延至下一根 K 棒)
+  benchmark: 'TAIEX'        // 績效基準指數 (market_indices.index_code，null = 不計算 alpha / beta)
 };
 
 const STRATEGY_TYPES = {
@@ -202,11 +210,13 @@ function _avgVolume(data, startIndex, period) {
  * @param {Array<Trade>} trades - 交易紀錄
  * @param {Array<number>} equityCurve - 權益曲線
  * @param {Object} config - 回測設定
- * @returns {Object} 績效報告
+ * @param {Array<number|null>} [benchmark=null] - 與權益曲線逐日對齊的基準指數收盤
+ * @returns {Object} 績效報告 (含 alpha / beta / benchmarkReturnPct，無基準時為 null)
  */
-function calculatePerformance(trades, equityCurve, config) {
+function calculatePerformance(trades, equityCurve, config, benchmark = null) {
   const completedTrades = trades.filter(t => t.exitDate);
   const totalTrades = completedTrades.length;
+  const { alpha, beta, benchmarkReturnPct } = _calculateBenchmarkStats(equityCurve, benchmark, config.riskFreeRate);
 
   if (totalTrades === 0) {
     return {
@@ -216,6 +226,9 @@ function calculatePerformance(trades, equityCurve, config) {
       maxDrawdownPct: 0,
       winRate: 0,
       sharpeRatio: 0,
+      alpha,
+      beta,
+      benchmarkReturnPct,
       totalTrades: 0,
       winCount: 0,
       loseCount: 0,
@@ -263,6 +276,9 @@ function calculatePerformance(trades, equityCurve, config) {
     maxDrawdownPct: Math.round(maxDrawdownPct * 100) / 100,
     winRate: Math.round(winRate * 10000) / 100,
     sharpeRatio: Math.round(sharpeRatio * 100) / 100,
+    alpha,
+    beta,
+    benchmarkReturnPct,
     totalTrades,
     winCount: wins.length,
     loseCount: losses.length,
@@ -329,6 +345,52 @@ function _calculateSharpe(equityCurve, riskFreeRate = 0.02) {
   return sharpe;
 }
 
+/**
+ * 計算相對基準指數的 alpha (年化 %, Jensen's alpha) 與 beta
+ * @private
+ * @param {Array<number>} equityCurve
+ * @param {Array<number|null>|null} benchmark - 與權益曲線對齊的指數收盤
+ * @param {number} [riskFreeRate=0.02]
+ * @returns {{alpha: number|null, beta: number|null, benchmarkReturnPct: number|null}}
+ */
+function _calculateBenchmarkStats(equityCurve, benchmark, riskFreeRate = 0.02) {
+  const empty = { alpha: null, beta: null, benchmarkReturnPct: null };
+  if (!benchmark || !equityCurve || benchmark.length !== equityCurve.length) return empty;
+
+  const strategyReturns = [];
+  const benchmarkReturns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    if (!(equityCurve[i - 1] > 0) || !(benchmark[i - 1] > 0) || !(benchmark[i] > 0)) continue;
+    strategyReturns.push((equityCurve[i] - equityCurve[i - 1]) / equityCurve[i - 1]);
+    benchmarkReturns.push((benchmark[i] - benchmark[i - 1]) / benchmark[i - 1]);
+  }
+  if (benchmarkReturns.length < 2) return empty;
+
+  const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const avgStrategy = mean(strategyReturns);
+  const avgBenchmark = mean(benchmarkReturns);
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < benchmarkReturns.length; i++) {
+    covariance += (strategyReturns[i] - avgStrategy) * (benchmarkReturns[i] - avgBenchmark);
+    variance += Math.pow(benchmarkReturns[i] - avgBenchmark, 2);
+  }
+  if (variance === 0) return empty;
+
+  const beta = covariance / variance;
+  const dailyRiskFree = riskFreeRate / 252;
+  const alpha = ((avgStrategy - dailyRiskFree) - beta * (avgBenchmark - dailyRiskFree)) * 252 * 100;
+
+  const closes = benchmark.filter(v => v > 0);
+  const benchmarkReturnPct = ((closes[closes.length - 1] - closes[0]) / closes[0]) * 100;
+
+  return {
+    alpha: Math.round(alpha * 100) / 100,
+    beta: Math.round(beta * 100) / 100,
+    benchmarkReturnPct: Math.round(benchmarkReturnPct * 100) / 100
+  };
+}
+
 /**
  * 計算月度報酬
  * @private
@@ -368,6 +430,8 @@ class BacktestEngine {
    */
   constructor(db, config = {}) {
     this.db = db;
+    // 持有天數以交易日計算，需含颱風停市等臨時異動
+    loadCalendarOverrides(db);
     this.config = { ...DEFAULT_CONFIG, ...config };
   }
 
@@ -376,16 +440,18 @@ class BacktestEngine {
    * @async
    * @param {Object} params - 回測參數
    * @param {string} params.symbol - 股票代碼
-   * @param {string} params.startDate - 開始日期 (YYYY-MM-DD)
-   * @param {string} params.endDate - 結束日期 (YYYY-MM-DD)
+   * @param {string} params.startDate - 開始日期 (YYYY-MM-DD，亦接受 YYYYMMDD)
+   * @param {string} params.endDate - 結束日期 (YYYY-MM-DD，亦接受 YYYYMMDD)
    * @param {Object} params.strategy - 策略設定
    * @param {string} params.strategy.type - 策略類型 ('MA_CROSS'|'VAO_BREAKOUT'|'CUSTOM')
    * @param {Object} [params.strategy.params] - 策略參數
    * @returns {Promise<Object>} 回測報告
-   * @throws {Error} 資料不足或參數錯誤
+   * @throws {Error} 資料不足或參數錯誤 (日期無法解析時 code 為 'INVALID_DATE')
    */
   async run(params) {
-    const { symbol, startDate, endDate, strategy: strategyConfig } = params;
+    const { symbol, strategy: strategyConfig } = params;
+    const startDate = normalizeDate(params.startDate, 'startDate');
+    const endDate = normalizeDate(params.endDate, 'endDate');
     console.log(`[${new Date().toISOString()}] [INFO] [Backtest] 開始回測: ${symbol} ${startDate}~${endDate}`);
 
     try {
@@ -399,10 +465,11 @@ class BacktestEngine {
       const strategy = this._createStrategy(strategyConfig);
 
       // 3. 模擬交易
-      const { trades, equityCurve } = this._simulate(priceData, strategy);
+      const { trades, equityCurve, blockedFills } = this._simulate(priceData, strategy);
 
-      // 4. 計算績效
-      const performance = calculatePerformance(trades, equityCurve, this.config);
+      // 4. 計算績效 (含基準指數 alpha / beta)
+      const benchmark = this._loadBenchmark(priceData);
+      const performance = calculatePerformance(trades, equityCurve, this.config, benchmark);
 
       // 5. 組裝報告
       const report = {
@@ -414,7 +481,8 @@ class BacktestEngine {
         config: this.config,
         tradingDays: priceData.length,
         performance,
-        trades
+        trades,
+        blockedFills
       };
 
       console.log(`[${new Date().toISOString()}] [INFO] [Backtest] 完成: ${performance.totalTrades} 筆交易, 報酬 ${performance.totalReturnPct}%`);
@@ -459,13 +527,60 @@ class BacktestEngine {
    * @private
    */
   _loadPriceData(symbol, startDate, endDate) {
+    let rows;
     try {
-      return this.db.prepare(
+      rows = this.db.prepare(
         'SELECT * FROM daily_prices WHERE symbol = ? AND date >= ? AND date <= ? ORDER BY date ASC'
       ).all(symbol, startDate, endDate);
     } catch (err) {
       throw new Error(`載入 ${symbol} 資料失敗: ${err.message}`);
     }
+
+    if (!this.config.adjustPrices) return rows;
+
+    try {
+      const actions = this.db.prepare(
+        'SELECT * FROM corporate_actions WHERE symbol = ? AND date > ? AND date <= ?'
+      ).all(symbol, startDate, endDate);
+      return adjustPriceSeries(rows, actions);
+    } catch (err) {
+      console.warn(`⚠️ 無法載入 ${symbol} 除權息資料，使用原始價格: ${err.message}`);
+      return rows;
+    }
+  }
+
+  /**
+   * 載入與價格資料逐日對齊的基準指數收盤 (缺值沿用前一日)
+   * @private
+   * @param {Array<Object>} priceData - 日期升序
+   * @returns {Array<number|null>|null} 未設定基準或無指數資料時為 null
+   */
+  _loadBenchmark(priceData) {
+    const indexCode = this.config.benchmark;
+    if (!indexCode || priceData.length === 0) return null;
+
+    let rows;
+    try {
+      rows = this.db.prepare(
+        'SELECT date, close FROM market_indices WHERE index_code = ? AND date <= ? ORDER BY date ASC'
+      ).all(indexCode, priceData[priceData.length - 1].date);
+    } catch (err) {
+      console.warn(`⚠️ 無法載入基準指數 ${indexCode}: ${err.message}`);
+      return null;
+    }
+    if (rows.length === 0) return null;
+
+    const aligned = [];
+    let cursor = 0;
+    let last = null;
+    for (const bar of priceData) {
+      while (cursor < rows.length && rows[cursor].date <= bar.date) {
+        last = rows[cursor].close;
+        cursor++;
+      }
+      aligned.push(last);
+    }
+    return aligned;
   }
 
   /**
@@ -487,14 +602,20 @@ class BacktestEngine {
 
   /**
    * 模擬交易
+   * @description 以收盤價成交。respectPriceLimits 開啟時，收盤鎖在漲停的 K 棒不買進、
+   *   鎖在跌停的 K 棒不賣出 (出場訊號順延到下一根重新判斷)，被擋下的成交記錄於 blockedFills。
+   *   回測結束的強制平倉不受限制。
    * @private
    * @param {Array<Object>} data - 歷史價格 (日期升序)
    * @param {BaseStrategy} strategy - 策略實例
-   * @returns {{ trades: Array<Trade>, equityCurve: Array<number> }}
+   * @returns {{ trades: Array<Trade>, equityCurve: Array<number>,
+   *   blockedFills: Array<{date: string, side: 'BUY'|'SELL', price: number, limit: number}> }}
    */
   _simulate(data, strategy) {
     const trades = [];
     const equityCurve = [];
+    const blockedFills = [];
+    const etf = data.length > 0 && isEtf(data[0].symbol);
     let capital = this.config.initialCapital;
     let position = null;
     let highestSinceEntry = 0;
@@ -505,6 +626,8 @@ class BacktestEngine {
     for (let i = 0; i < data.length; i++) {
       const bar = data[i];
       const reversedIndex = data.length - 1 - i;
+      const limits = this.config.respectPriceLimits && i > 0 ? priceLimits(data[i - 1].close, { etf }) : null;
+      const limitSide = isAtLimit(bar.close, limits);
 
       if (position) {
         // 更新最高價
@@ -516,7 +639,9 @@ class BacktestEngine {
 
         // 檢查出場
         const exitResult = strategy.shouldExit(position, bar, highestSinceEntry);
-        if (exitResult.exit) {
+        if (exitResult.exit && limitSide === 'DOWN') {
+          blockedFills.push({ date: bar.date, side: 'SELL', price: bar.close, limit: limits.limitDown });
+        } else if (exitResult.exit) {
           const exitPrice = bar.close * (1 - this.config.slippage);
           const sellCommission = exitPrice * position.shares * this.config.commission;
           const sellTax = exitPrice * position.shares * this.config.tax;
@@ -540,7 +665,10 @@ class BacktestEngine {
         }
       } else {
         // 檢查進場
-        if (strategy.shouldEntry(reversedData, reversedIndex)) {
+        const entrySignal = strategy.shouldEntry(reversedData, reversedIndex);
+        if (entrySignal && limitSide === 'UP') {
+          blockedFills.push({ date: bar.date, side: 'BUY', price: bar.close, limit: limits.limitUp });
+        } else if (entrySignal) {
           const entryPrice = bar.close * (1 + this.config.slippage);
           const investAmount = capital * this.config.positionSize;
           const shares = Math.floor(investAmount / (entryPrice * 1000)) * 1000; // 整張 (1000股)
@@ -588,7 +716,7 @@ class BacktestEngine {
       });
     }
 
-    return { trades, equityCurve };
+    return { trades, equityCurve, blockedFills };
   }
 
   /**
@@ -612,6 +740,10 @@ class BacktestEngine {
     lines.push(`• 總損益: ${p.totalReturn >= 0 ? '+' : ''}$${p.totalReturn.toLocaleString()}`);
     lines.push(`• 最大回撤: -${p.maxDrawdownPct}%`);
     lines.push(`• 夏普比率: ${p.sharpeRatio}`);
+    if (p.beta !== null && p.beta !== undefined) {
+      const sign = v => (v >= 0 ? '+' : '');
+      lines.push(`• 基準 ${report.config.benchmark}: ${sign(p.benchmarkReturnPct)}${p.benchmarkReturnPct}% (Alpha ${sign(p.alpha)}${p.alpha}%、Beta ${p.beta})`);
+    }
     lines.push(`• 獲利因子: ${p.profitFactor}`);
     lines.push(`• 期望值: ${p.expectancy}%\n`);
 
@@ -622,6 +754,11 @@ class BacktestEngine {
     lines.push(`• 平均獲利: +${p.avgWin}%`);
     lines.push(`• 平均虧損: -${p.avgLoss}%\n`);
 
+    if (report.blockedFills && report.blockedFills.length > 0) {
+      const buys = report.blockedFills.filter(f => f.side === 'BUY').length;
+      lines.push(`⛔ 漲跌停無法成交: ${report.blockedFills.length} 次 (買進 ${buys}、賣出 ${report.blockedFills.length - buys})\n`);
+    }
+
     if (p.monthlyReturns && p.monthlyReturns.length > 0) {
       lines.push('📅 月度績效');
       lines.push('───────────────────────────────────────');
@@ -640,14 +777,12 @@ class BacktestEngine {
 }
 
 /**
- * 計算兩個日期間的天數
+ * 計算兩個日期間的交易日數 (不含進場日)
  * @private
  */
 function _daysBetween(dateStr1, dateStr2) {
   try {
-    const d1 = new Date(dateStr1);
-    const d2 = new Date(dateStr2);
-    return Math.round(Math.abs(d2 - d1) / (1000 * 60 * 60 * 24));
+    return Math.abs(tradingCalendar.tradingDaysBetween(dateStr1, dateStr2));
   } catch {
     return 0;
   }
@@ -7,7 +7,7 @@
  * @example
  * const bot = require('./bot/telegram-bot');
  * await bot.sendMessage('測試訊息');
- * await bot.sendDailyReport(quotes);
+ * await bot.sendDailyReport(quotes, { indices: DB.getMarketIndicesByDate('2026-02-09') });
  */
 
 const https = require('https');
@@ -162,17 +162,39 @@ function fmt(num) {
   return Number(num).toLocaleString('zh-TW');
 }
 
+/** 大盤指數顯示名稱 */
+const INDEX_LABELS = {
+  TAIEX: '加權指數',
+  TPEX: '櫃買指數'
+};
+
 /**
- * 產生並發送每日投資組合報告
+ * 格式化指數漲跌 (點數與百分比)
+ * @private
+ * @param {Object} index - market_indices 資料 { close, change, change_pct }
+ * @returns {string}
+ */
+function _formatIndexMove(index) {
+  const sign = index.change > 0 ? '+' : '';
+  const pct = index.change_pct != null ? ` (${sign}${Number(index.change_pct).toFixed(2)}%)` : '';
+  return `${sign}${index.change?.toFixed(2) ?? '-'}${pct}`;
+}
+
+/**
+ * 產生每日投資組合報告內容
  * @param {Array<Object>} quotes - 行情資料陣列
  *   每筆含 { code, name, price, change, changePct, volume, shares?, category? }
- * @returns {Promise<Object>} 發送結果
+ * @param {Object} [options={}]
+ * @param {Array<Object>} [options.indices=[]] - 當日 market_indices 資料；
+ *   大盤 (TAIEX / TPEX) 列於摘要，產業類指數依 category 對應 industry 列於個股下方
+ * @returns {string} HTML 格式訊息
  */
-async function sendDailyReport(quotes) {
+function formatDailyReport(quotes, options = {}) {
   if (!quotes || quotes.length === 0) {
-    return sendMessage('⚠️ 今日無行情資料');
+    return '⚠️ 今日無行情資料';
   }
 
+  const indices = options.indices || [];
   const now = new Date();
   const dateStr = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${String(now.getDate()).padStart(2, '0')}`;
 
@@ -182,6 +204,10 @@ async function sendDailyReport(quotes) {
 
   let msg = `📊 <b>【${dateStr} 投資組合日報】</b>\n\n`;
   msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+  for (const index of indices.filter(i => INDEX_LABELS[i.index_code])) {
+    const emoji = index.change > 0 ? '🟢' : index.change < 0 ? '🔴' : '⚪';
+    msg += `${emoji} ${INDEX_LABELS[index.index_code]} ${fmt(index.close)} | ${_formatIndexMove(index)}\n`;
+  }
   msg += `📈 上漲: ${upCount} | 📉 下跌: ${downCount} | ➖ 平盤: ${flatCount}\n`;
   msg += `━━━━━━━━━━━━━━━━━━━━\n\n`;
 
@@ -195,12 +221,25 @@ async function sendDailyReport(quotes) {
     msg += `   💰 ${q.price?.toFixed(2) ?? '-'} | ${sign}${q.change?.toFixed(2) ?? '-'} (${sign}${q.changePct?.toFixed(2) ?? '-'}%)\n`;
     msg += `   📊 量: ${fmt(q.volume)}`;
     if (q.shares) msg += ` | 持有: ${fmt(q.shares)}股`;
-    msg += '\n\n';
+    msg += '\n';
+    const industryIndex = q.category ? indices.find(i => i.industry === q.category) : null;
+    if (industryIndex) msg += `   🏭 ${industryIndex.name || industryIndex.index_code}: ${_formatIndexMove(industryIndex)}\n`;
+    msg += '\n';
   }
 
   msg += `📌 <i>以上為系統自動產生，僅供參考。</i>`;
 
-  return sendMessage(msg);
+  return msg;
+}
+
+/**
+ * 產生並發送每日投資組合報告
+ * @param {Array<Object>} quotes - 行情資料陣列 (格式同 formatDailyReport)
+ * @param {Object} [options={}] - 同 formatDailyReport 的 options (如 indices)
+ * @returns {Promise<Object>} 發送結果
+ */
+async function sendDailyReport(quotes, options = {}) {
+  return sendMessage(formatDailyReport(quotes, options));
 }
 
 /**
@@ -284,6 +323,7 @@ async function getMe() {
 module.exports = {
   sendMessage,
   sendDailyReport,
+  formatDailyReport,
   sendAlert,
   sendScreenerReport,
   getMe,
@@ -1,5 +1,6 @@
-const axios = require('axios');
+const { httpClient } = require('./crawler/http-client');
 const Utils = require('./utils');
+const { normalizeDate, toTWSEDate } = require('./dates');
 
 /**
  * 股市資料爬蟲組件 (Node.js 版)
@@ -8,35 +9,21 @@ const Crawler = {
     /**
      * 抓取日成交資料
      * @param {string} symbol 股票代號
-     * @param {string} date 日期 (YYYYMMDD)
+     * @param {string} date 日期 (YYYY-MM-DD，亦接受 YYYYMMDD；回傳資料的 date 一律為 YYYY-MM-DD)
      */
     fetchDailyPrice: async (symbol, date) => {
         try {
-            const url = `https://www.twse.com.tw/exchangeReport/STOCK_DAY?response=json&date=${date}&stockNo=${symbol}`;
+            date = normalizeDate(date);
+            const url = `https://www.twse.com.tw/exchangeReport/STOCK_DAY?response=json&date=${toTWSEDate(date)}&stockNo=${symbol}`;
 
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
-            });
-
-            if (response.status !== 200) {
-                throw new Error(`API 請求失敗: ${response.status}`);
-            }
-
-            const json = response.data;
+            const json = await httpClient.getJson(url, { timeoutMs: 10000 });
 
             if (json.stat !== 'OK' || !json.data) {
                 return { success: false, message: '查無資料或該日期非交易日' };
             }
 
             // 取得最後一筆符合該日期的資料
-            const dailyData = json.data.find(row => {
-                const parts = row[0].split('/');
-                const formattedDate = `${parseInt(parts[0]) + 1911}${parts[1]}${parts[2]}`;
-                return formattedDate === date;
-            });
+            const dailyData = json.data.find(row => Utils.rocToISO(row[0]) === date);
 
             if (!dailyData) {
                 return { success: false, message: '在當月資料中找不到指定日期的數據' };
@@ -65,13 +52,12 @@ const Crawler = {
 
     /**
      * 抓取全市場三大法人買賣超 (T86)
-     * @param {string} date YYYYMMDD
+     * @param {string} date 日期 (YYYY-MM-DD，亦接受 YYYYMMDD)
      */
     fetchInstitutionalData: async (date) => {
         try {
-            const url = `https://www.twse.com.tw/fund/T86?response=json&date=${date}&selectType=ALLBUT0999`;
-            const response = await axios.get(url, { timeout: 15000 });
-            const json = response.data;
+            const url = `https://www.twse.com.tw/fund/T86?response=json&date=${toTWSEDate(date)}&selectType=ALLBUT0999`;
+            const json = await httpClient.getJson(url, { timeoutMs: 15000 });
             if (json.stat !== 'OK' || !json.data) return {};
 
             const map = {};
@@ -92,13 +78,12 @@ const Crawler = {
 
     /**
      * 抓取全市場融資融券 (MI_MARGN)
-     * @param {string} date YYYYMMDD
+     * @param {string} date 日期 (YYYY-MM-DD，亦接受 YYYYMMDD)
      */
     fetchMarginData: async (date) => {
         try {
-            const url = `https://www.twse.com.tw/exchangeReport/MI_MARGN?response=json&date=${date}&selectType=ALL`;
-            const response = await axios.get(url, { timeout: 15000 });
-            const json = response.data;
+            const url = `https://www.twse.com.tw/exchangeReport/MI_MARGN?response=json&date=${toTWSEDate(date)}&selectType=ALL`;
+            const json = await httpClient.getJson(url, { timeoutMs: 15000 });
             let data = null;
 
             // 如果有 tables 陣列 (TWSE 新格式)，遍歷尋找目標表格
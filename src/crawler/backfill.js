@@ -0,0 +1,286 @@
+/**
+ * @fileoverview 歷史資料回補工作 (可中斷續跑)
+ * @description 依日期區間與股票清單回補 daily_prices 與 institutional_trades (可選 foreign_holdings、securities_lending、
+ *   day_trading、market_indices)。
+ *   日線以「股票 × 月份」為單位重用 STOCK_DAY / TPEx 的月資料，法人與資券以
+ *   「交易日」(依交易日曆，略過休市日) 為單位抓取全市場後過濾 (上市走 T86 / MI_MARGN，上櫃走櫃買中心)；
+ *   每個單位完成後寫入 backfill_checkpoints。遭限流 (軟封鎖、非 JSON、HTTP 錯誤) 時該單位記為 FAILED；
+ *   法人回應查無資料時，最近交易日 (可能尚未公告) 記為 FAILED，更早的日期視為日曆未列的休市日 (如颱風停市)，記為完成 0 筆。
+ *   程式中斷或遭 TWSE 限流時，再次執行同一工作即從未完成的單位繼續。
+ *   請求間隔由共用 HTTP 客戶端的主機額度控制 (www.twse.com.tw 每 2 秒 1 次)。
+ * @module crawler/backfill
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §四
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { runBackfill } = require('./crawler/backfill');
+ * await runBackfill({ startDate: '2025-11-01', endDate: '2026-02-09', symbols: ['2330', '5340'] }, DB);
+ */
+
+const { fetchMonthlyPrices, useSecurityMaster, detectMarket } = require('./tpex-daily-crawler');
+const {
+  fetchInstitutionalData,
+  fetchMarginData,
+  fetchTPExInstitutionalData,
+  fetchTPExMarginData
+} = require('./institutional-crawler');
+const { fetchForeignHoldings } = require('./foreign-holdings-crawler');
+const { fetchSecuritiesLending } = require('./securities-lending-crawler');
+const { fetchDayTrading } = require('./day-trading-crawler');
+const { fetchMarketIndices } = require('./market-index-crawler');
+const { tradingCalendar } = require('../market/trading-calendar');
+
+const CONFIG = {
+  /** 連續失敗達此次數即中止本次執行 (多半為限流)，下次再續跑 */
+  maxConsecutiveFailures: 3,
+  /** 預設回補資料集 (另可指定 foreign_holdings、securities_lending、day_trading、market_indices) */
+  datasets: ['daily_prices', 'institutional_trades']
+};
+
+/** 各市場的法人與資券來源 */
+const INSTITUTIONAL_SOURCES = {
+  tse: { label: 'T86 / MI_MARGN', fetchInstitutional: fetchInstitutionalData, fetchMargin: fetchMarginData },
+  otc: { label: '櫃買三大法人 / 融資融券', fetchInstitutional: fetchTPExInstitutionalData, fetchMargin: fetchTPExMarginData }
+};
+
+const STATUS = {
+  DONE: 'DONE',
+  FAILED: 'FAILED'
+};
+
+/**
+ * 列出區間內的所有月份
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<string>} YYYY-MM (升序)
+ */
+function listMonths(startDate, endDate) {
+  const months = [];
+  let [y, m] = startDate.slice(0, 7).split('-').map(Number);
+  const end = endDate.slice(0, 7);
+  while (true) {
+    const ym = `${y}-${String(m).padStart(2, '0')}`;
+    if (ym > end) break;
+    months.push(ym);
+    m++;
+    if (m > 12) { m = 1; y++; }
+  }
+  return months;
+}
+
+/**
+ * 規劃回補單元
+ * @param {Object} options
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @param {Array<string>} options.symbols - 股票清單
+ * @param {Array<string>} [options.datasets] - 回補資料集
+ * @returns {Array<{dataset: string, unit: string, symbol?: string, month?: string, date?: string}>}
+ */
+function planUnits({ startDate, endDate, symbols, datasets = CONFIG.datasets }) {
+  const units = [];
+
+  if (datasets.includes('daily_prices')) {
+    for (const month of listMonths(startDate, endDate)) {
+      for (const symbol of symbols) {
+        units.push({ dataset: 'daily_prices', unit: `${symbol}@${month}`, symbol, month });
+      }
+    }
+  }
+
+  // 以交易日為單位的全市場資料集
+  for (const dataset of ['institutional_trades', 'foreign_holdings', 'securities_lending', 'day_trading', 'market_indices']) {
+    if (!datasets.includes(dataset)) continue;
+    for (const date of tradingCalendar.listTradingDays(startDate, endDate)) {
+      units.push({ dataset, unit: date, date });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * 執行單一回補單元
+ * @private
+ * @returns {Promise<number>} 寫入筆數
+ */
+async function _runUnit(unit, { startDate, endDate, symbols, asOf }, DB) {
+  if (unit.dataset === 'daily_prices') {
+    const rows = (await fetchMonthlyPrices(unit.symbol, unit.month))
+      .filter(r => r.date >= startDate && r.date <= endDate);
+    return rows.length > 0 ? DB.saveDailyPriceBatch(rows) : 0;
+  }
+
+  // 指數與股票清單無關，整日寫入
+  if (unit.dataset === 'market_indices') {
+    const rows = await fetchMarketIndices(unit.date);
+    return rows.length > 0 ? DB.saveMarketIndexBatch(rows) : 0;
+  }
+
+  const universe = new Set(symbols);
+
+  if (unit.dataset === 'foreign_holdings') {
+    const rows = (await fetchForeignHoldings(unit.date)).filter(r => universe.has(r.symbol));
+    return rows.length > 0 ? DB.saveForeignHoldingBatch(rows) : 0;
+  }
+
+  if (unit.dataset === 'securities_lending') {
+    const rows = (await fetchSecuritiesLending(unit.date)).filter(r => universe.has(r.symbol));
+    return rows.length > 0 ? DB.saveSecuritiesLendingBatch(rows) : 0;
+  }
+
+  if (unit.dataset === 'day_trading') {
+    const rows = (await fetchDayTrading(unit.date)).filter(r => universe.has(r.symbol));
+    return rows.length > 0 ? DB.saveDayTradingBatch(rows) : 0;
+  }
+
+  // institutional_trades: 依市場抓取法人 + 資券，合併後只保留指定股票
+  // 限流由 HTTP 客戶端拋出 (SOFT_BAN / PARSE / HTTP_STATUS)；此處的空回應為交易所明確回覆查無資料：
+  // 最近交易日可能尚未公告，拋出錯誤讓單元記為 FAILED 下次重抓，更早的日期則為日曆未列的休市日
+  const rows = [];
+  for (const [market, source] of Object.entries(INSTITUTIONAL_SOURCES)) {
+    const marketSymbols = new Set(symbols.filter(s => detectMarket(s) === market));
+    if (marketSymbols.size === 0) continue;
+
+    const institutional = await source.fetchInstitutional(unit.date);
+    if (institutional.length === 0) {
+      if (unit.date >= asOf) throw new Error(`${source.label} 法人資料為空 (尚未公告)`);
+      console.warn(`   ⚠️ ${unit.date} ${source.label} 查無資料，視為休市 (交易日曆未列，可補登 market_calendar)`);
+      continue;
+    }
+    const margin = await source.fetchMargin(unit.date);
+    if (Object.keys(margin).length === 0) throw new Error(`${source.label} 資券資料為空 (尚未公告)`);
+
+    rows.push(...institutional
+      .filter(r => marketSymbols.has(r.symbol))
+      .map(r => ({ ...r, ...(margin[r.symbol] || {}) })));
+  }
+  return rows.length > 0 ? DB.saveInstitutionalTradeBatch(rows) : 0;
+}
+
+/**
+ * 執行 (或續跑) 回補工作
+ * @async
+ * @param {Object} options
+ * @param {string} options.startDate - 開始日期 (YYYY-MM-DD)
+ * @param {string} options.endDate - 結束日期 (YYYY-MM-DD)
+ * @param {Array<string>} options.symbols - 股票清單
+ * @param {Array<string>} [options.datasets] - 回補資料集
+ * @param {string} [options.job] - 工作名稱，預設依日期區間產生
+ * @param {number} [options.maxConsecutiveFailures=3] - 連續失敗中止門檻
+ * @param {string} [options.asOf] - 最近交易日 (此日起查無法人資料視為尚未公告)，預設 tradingCalendar.latestSession()
+ * @param {Object} DB - 資料庫介面 (需有 saveDailyPriceBatch / saveInstitutionalTradeBatch /
+ *   saveForeignHoldingBatch / saveSecuritiesLendingBatch / saveDayTradingBatch / saveMarketIndexBatch /
+ *   getBackfillCheckpoints / saveBackfillCheckpoint)
+ * @returns {Promise<Object>} { job, total, skipped, done, failed, rows, halted }
+ * @throws {Error} 以交易日為單位的資料集超出交易日曆涵蓋範圍時 code 為 'CALENDAR_OUT_OF_RANGE' (開始回補前即拋出)
+ */
+async function runBackfill(options, DB) {
+  const {
+    startDate,
+    endDate,
+    symbols,
+    datasets = CONFIG.datasets,
+    job = `backfill:${startDate}:${endDate}`,
+    maxConsecutiveFailures = CONFIG.maxConsecutiveFailures,
+    asOf = tradingCalendar.latestSession()
+  } = options;
+
+  if (!startDate || !endDate || startDate > endDate) {
+    throw new Error(`無效的回補區間: ${startDate} ~ ${endDate}`);
+  }
+  if (!Array.isArray(symbols) || symbols.length === 0) {
+    throw new Error('回補需指定至少一檔股票');
+  }
+
+  const completed = new Set(
+    DB.getBackfillCheckpoints(job)
+      .filter(c => c.status === STATUS.DONE)
+      .map(c => `${c.dataset}|${c.unit}`)
+  );
+
+  const units = planUnits({ startDate, endDate, symbols, datasets });
+  const pending = units.filter(u => !completed.has(`${u.dataset}|${u.unit}`));
+  const summary = {
+    job,
+    total: units.length,
+    skipped: units.length - pending.length,
+    done: 0,
+    failed: 0,
+    rows: 0,
+    halted: false
+  };
+
+  console.log(`🚀 回補 ${job}: 共 ${units.length} 單元，已完成 ${summary.skipped}，待處理 ${pending.length}`);
+
+  let consecutiveFailures = 0;
+  for (const unit of pending) {
+    try {
+      const rows = await _runUnit(unit, { startDate, endDate, symbols, asOf }, DB);
+      DB.saveBackfillCheckpoint({ job, dataset: unit.dataset, unit: unit.unit, status: STATUS.DONE, rows });
+      summary.done++;
+      summary.rows += rows;
+      consecutiveFailures = 0;
+      console.log(`   ✅ ${unit.dataset} ${unit.unit}: ${rows} 筆`);
+    } catch (err) {
+      DB.saveBackfillCheckpoint({ job, dataset: unit.dataset, unit: unit.unit, status: STATUS.FAILED, error: err.message });
+      summary.failed++;
+      consecutiveFailures++;
+      console.warn(`   ⚠️ ${unit.dataset} ${unit.unit} 失敗: ${err.message}`);
+
+      if (consecutiveFailures >= maxConsecutiveFailures) {
+        summary.halted = true;
+        console.warn(`   🛑 連續失敗 ${consecutiveFailures} 次 (可能遭限流)，中止本次回補，稍後重新執行即可續跑`);
+        break;
+      }
+    }
+  }
+
+  console.log(`📊 回補結束: 完成 ${summary.done}，失敗 ${summary.failed}，寫入 ${summary.rows} 筆${summary.halted ? ' (已中止)' : ''}`);
+  return summary;
+}
+
+// CLI: node src/crawler/backfill.js --from 2025-11-01 --to 2026-02-09 [--symbols 2330,5340] [--datasets a,b] [--job name]
+// 未指定股票時使用 watchlist
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { loadWatchlist } = require('./intraday-crawler');
+
+  const args = process.argv.slice(2);
+  const argValue = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  DB.init();
+  useSecurityMaster(DB.getSecurities());
+
+  const symbolsArg = argValue('--symbols');
+  const options = {
+    startDate: argValue('--from'),
+    endDate: argValue('--to') || tradingCalendar.latestSession(),
+    symbols: symbolsArg ? symbolsArg.split(',') : loadWatchlist().map(s => s.code),
+    job: argValue('--job')
+  };
+  if (!options.job) delete options.job;
+  if (argValue('--datasets')) options.datasets = argValue('--datasets').split(',');
+
+  runBackfill(options, DB)
+    .then(summary => {
+      DB.close();
+      process.exit(summary.halted ? 2 : 0);
+    })
+    .catch(err => {
+      console.error(`❌ 回補失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runBackfill,
+  planUnits,
+  listMonths,
+  STATUS,
+  CONFIG
+};
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview 除權息 / 減資事件爬蟲
+ * @description 抓取 TWSE 除權除息計算結果表 (TWT49U) 與減資恢復買賣參考價格 (TWTAUU)，
+ *   寫入 corporate_actions，供 market/price-adjustment 計算還原權值價格。
+ * @module crawler/corporate-actions-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/corporate-actions-crawler');
+ * await fetchAndSave('2026-01-01', '2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const { toTWSEDate } = require('../dates');
+const { ACTION_TYPES } = require('../market/price-adjustment');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** 除權除息計算結果表 */
+  exRightsUrl: 'https://www.twse.com.tw/rwd/zh/exRight/TWT49U',
+  /** 減資恢復買賣參考價格 */
+  capitalReductionUrl: 'https://www.twse.com.tw/rwd/zh/reducation/TWTAUU'
+};
+
+/** TWT49U「權/息」欄位對應 */
+const EX_RIGHTS_TYPES = {
+  '息': ACTION_TYPES.CASH_DIVIDEND,
+  '權': ACTION_TYPES.STOCK_DIVIDEND,
+  '權息': ACTION_TYPES.RIGHTS_AND_DIVIDEND
+};
+
+/**
+ * 解析價格欄位，空值與 '--' 回傳 null
+ * @private
+ */
+function _price(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || text === '--') return null;
+  const num = Utils.parseNum(text);
+  return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * 計算還原因子 (參考價 / 前一日收盤價)
+ * @private
+ */
+function _factor(prevClose, referencePrice) {
+  if (!prevClose || !referencePrice) return null;
+  return Math.round((referencePrice / prevClose) * 1e6) / 1e6;
+}
+
+/**
+ * 解析除權除息計算結果表
+ * @param {Object} raw - TWT49U JSON 回應
+ * @returns {Array<Object>} corporate_actions 格式資料
+ */
+function parseExRights(raw) {
+  if (!raw || raw.stat !== 'OK' || !Array.isArray(raw.data)) return [];
+  const read = Utils.fieldReader(raw.fields);
+
+  const results = [];
+  for (const row of raw.data) {
+    const date = Utils.rocToISO(read(row, '資料日期', 0));
+    const symbol = String(read(row, '股票代號', 1) || '').trim();
+    const kind = String(read(row, '權/息', 6) || '').trim();
+    const actionType = EX_RIGHTS_TYPES[kind];
+    if (!date || !symbol || !actionType) continue;
+
+    const prevClose = _price(read(row, '除權息前收盤價', 3));
+    const referencePrice = _price(read(row, '除權息參考價', 4));
+    const value = _price(read(row, '權值+息值', 5));
+
+    results.push({
+      symbol,
+      date,
+      action_type: actionType,
+      prev_close: prevClose,
+      reference_price: referencePrice,
+      cash_dividend: actionType === ACTION_TYPES.CASH_DIVIDEND ? value : null,
+      stock_ratio: null,
+      factor: _factor(prevClose, referencePrice),
+      note: null
+    });
+  }
+  return results;
+}
+
+/**
+ * 解析減資恢復買賣參考價格
+ * @param {Object} raw - TWTAUU JSON 回應
+ * @returns {Array<Object>} corporate_actions 格式資料
+ */
+function parseCapitalReductions(raw) {
+  if (!raw || raw.stat !== 'OK' || !Array.isArray(raw.data)) return [];
+  const read = Utils.fieldReader(raw.fields);
+
+  const results = [];
+  for (const row of raw.data) {
+    const date = Utils.rocToISO(read(row, '恢復買賣日期', 0));
+    const symbol = String(read(row, '股票代號', 1) || '').trim();
+    if (!date || !symbol) continue;
+
+    const prevClose = _price(read(row, '停止買賣前收盤價格', 3));
+    const referencePrice = _price(read(row, '恢復買賣參考價', 4));
+
+    results.push({
+      symbol,
+      date,
+      action_type: ACTION_TYPES.CAPITAL_REDUCTION,
+      prev_close: prevClose,
+      reference_price: referencePrice,
+      cash_dividend: null,
+      stock_ratio: null,
+      factor: _factor(prevClose, referencePrice),
+      note: String(read(row, '減資原因', 9) || '').trim() || null
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取區間內的除權息與減資事件
+ * @async
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>} corporate_actions 格式資料
+ */
+async function fetchCorporateActions(startDate, endDate) {
+  const range = `startDate=${toTWSEDate(startDate)}&endDate=${toTWSEDate(endDate)}&response=json`;
+  const exRights = parseExRights(await httpClient.getJson(`${CONFIG.exRightsUrl}?${range}`));
+  const reductions = parseCapitalReductions(await httpClient.getJson(`${CONFIG.capitalReductionUrl}?${range}`));
+  return [...exRights, ...reductions];
+}
+
+/**
+ * 抓取並儲存除權息與減資事件至資料庫
+ * @async
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} DB - 資料庫介面 (需有 saveCorporateActionBatch 方法)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(startDate, endDate, DB) {
+  const rows = await fetchCorporateActions(startDate, endDate);
+  console.log(`📥 除權息/減資 ${startDate} ~ ${endDate}: ${rows.length} 筆`);
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveCorporateActionBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆事件至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/corporate-actions-crawler.js [startDate] [endDate]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const endDate = process.argv[3] || new Date().toISOString().slice(0, 10);
+  const startDate = process.argv[2] || `${endDate.slice(0, 4)}-01-01`;
+  DB.init();
+  fetchAndSave(startDate, endDate, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 除權息抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchCorporateActions,
+  fetchAndSave,
+  parseExRights,
+  parseCapitalReductions,
+  CONFIG
+};
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview 當日沖銷交易爬蟲 (TWSE 當日沖銷交易標的及成交量值 TWTB4U)
+ * @description 抓取每日上市個股當沖成交股數與買賣金額，寫入 day_trading。
+ *   當沖比 = 當沖成交股數 / 當日總成交股數 (daily_prices.volume)，於查詢時計算，
+ *   供選股流動性篩選與 VAO 排除當沖量能使用。上櫃股票無此資料，當沖比視為未知。股數單位為「股」。
+ * @module crawler/day-trading-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/day-trading-crawler');
+ * await fetchAndSave('2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const { toTWSEDate } = require('../dates');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** 當日沖銷交易標的及成交量值 */
+  dayTradingUrl: 'https://www.twse.com.tw/rwd/zh/dayTrading/TWTB4U'
+};
+
+/**
+ * 解析當沖個股明細
+ * @param {Object} raw - TWTB4U JSON 回應 (tables 格式，第一個表為市場統計)
+ * @param {string} date - 資料日期 (YYYY-MM-DD)
+ * @returns {Array<Object>} day_trading 格式資料
+ */
+function parseDayTrading(raw, date) {
+  if (!raw || raw.stat !== 'OK') return [];
+  const table = Array.isArray(raw.tables)
+    ? raw.tables.find(t => Array.isArray(t.fields) && t.fields.some(f => String(f).includes('證券代號')))
+    : raw;
+  if (!table || !Array.isArray(table.data)) return [];
+  const read = Utils.fieldReader(table.fields);
+
+  const results = [];
+  for (const row of table.data) {
+    // [0] 證券代號, [1] 證券名稱, [2] 暫停現股賣出後現款買進當沖註記,
+    // [3] 當日沖銷交易成交股數, [4] 當日沖銷交易買進成交金額, [5] 當日沖銷交易賣出成交金額
+    const symbol = String(read(row, '證券代號', 0) || '').trim();
+    const volume = Utils.parseNum(read(row, '當日沖銷交易成交股數', 3));
+    if (!symbol || !Number.isFinite(volume)) continue;
+
+    results.push({
+      symbol,
+      date,
+      day_trade_volume: Math.round(volume),
+      buy_amount: Utils.parseNum(read(row, '當日沖銷交易買進成交金額', 4)) || 0,
+      sell_amount: Utils.parseNum(read(row, '當日沖銷交易賣出成交金額', 5)) || 0,
+      suspended: String(read(row, '暫停現股賣出後現款買進當沖註記', 2) || '').trim() === 'Y' ? 1 : 0
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取當沖個股明細 (全市場)
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} day_trading 格式資料，非交易日或尚未公告時為空陣列
+ */
+async function fetchDayTrading(date) {
+  const url = `${CONFIG.dayTradingUrl}?date=${toTWSEDate(date)}&selectType=All&response=json`;
+  const rows = parseDayTrading(await httpClient.getJson(url), date);
+  console.log(`📥 當沖 ${date}: ${rows.length} 筆`);
+  return rows;
+}
+
+/**
+ * 抓取並儲存當沖個股明細至資料庫
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @param {Object} DB - 資料庫介面 (需有 saveDayTradingBatch 方法)
+ * @param {Array<string>} [filterSymbols=null] - 僅儲存指定股票 (null = 全部)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(date, DB, filterSymbols = null) {
+  const rows = (await fetchDayTrading(date))
+    .filter(r => !filterSymbols || filterSymbols.includes(r.symbol));
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveDayTradingBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆當沖資料至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/day-trading-crawler.js [date]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { tradingCalendar } = require('../market/trading-calendar');
+  const date = process.argv[2] || tradingCalendar.latestSession();
+  DB.init();
+  fetchAndSave(date, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 當沖資料抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchDayTrading,
+  fetchAndSave,
+  parseDayTrading,
+  CONFIG
+};
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview 季財報爬蟲 (公開資訊觀測站 MOPS 綜合損益表 / 資產負債表彙總 / 現金流量表)
+ * @description 抓取上市 (t187ap06_L_ci / t187ap07_L_ci) 與上櫃 (mopsfin_t187ap06_O_ci /
+ *   mopsfin_t187ap07_O_ci) 一般業最新一季財報，合併損益表與資產負債表後計算毛利率、
+ *   營業利益率、年化 ROE、負債比率，寫入 financial_statements。
+ *   彙總表不含現金流量，營業活動淨現金流另由 MOPS 個別公司財報 (t164sb01) 的現金流量表取得；
+ *   每檔一次請求，僅抓取指定股票 (CLI 預設為 watchlist)。
+ *   損益表與現金流量表數字皆為當年度累計 (Q2 = 上半年)，單季與近四季數字由使用端推導。
+ * @module crawler/financial-statements-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/financial-statements-crawler');
+ * await fetchAndSave(DB);
+ */
+
+const { httpClient } = require('./http-client');
+const Utils = require('../utils');
+
+const CONFIG = {
+  twse: {
+    /** 上市公司綜合損益表 (一般業) */
+    incomeUrl: 'https://openapi.twse.com.tw/v1/opendata/t187ap06_L_ci',
+    /** 上市公司資產負債表 (一般業) */
+    balanceUrl: 'https://openapi.twse.com.tw/v1/opendata/t187ap07_L_ci'
+  },
+  tpex: {
+    /** 上櫃公司綜合損益表 (一般業) */
+    incomeUrl: 'https://www.tpex.org.tw/openapi/v1/mopsfin_t187ap06_O_ci',
+    /** 上櫃公司資產負債表 (一般業) */
+    balanceUrl: 'https://www.tpex.org.tw/openapi/v1/mopsfin_t187ap07_O_ci'
+  },
+  /** MOPS 個別公司財務報告 (含現金流量表，REPORT_ID=C 為合併報表) */
+  cashFlowUrl: 'https://mops.twse.com.tw/server-java/t164sb01',
+  /** 現金流量表「營業活動之淨現金流入(流出)」的會計項目代號 */
+  operatingCashFlowCode: 'AAAA',
+  /** 預設抓取市場 */
+  markets: ['tse', 'otc']
+};
+
+/**
+ * 依候選欄位名稱取值 (開放資料欄位混用全形/半形括號)
+ * @private
+ * @param {Object} row
+ * @param {Array<string>} keys - 候選欄位名稱 (半形括號)
+ * @returns {number|null} 缺值回傳 null
+ */
+function _pick(row, keys) {
+  for (const [rawKey, value] of Object.entries(row)) {
+    const key = rawKey.replace(/（/g, '(').replace(/）/g, ')').trim();
+    if (!keys.includes(key)) continue;
+    const text = String(value ?? '').trim();
+    if (text === '' || text === '--') return null;
+    const num = Utils.parseNum(text);
+    return Number.isFinite(num) ? num : null;
+  }
+  return null;
+}
+
+/**
+ * 計算比率 (%)，分母為 0 或缺值時回傳 null
+ * @param {number|null} numerator
+ * @param {number|null} denominator
+ * @returns {number|null}
+ */
+function ratio(numerator, denominator) {
+  if (numerator == null || !denominator) return null;
+  return Math.round((numerator / denominator) * 10000) / 100;
+}
+
+/**
+ * 取得列的財報季別與公告日
+ * @private
+ * @returns {{symbol: string, period: string, date: string}|null}
+ */
+function _rowKey(row) {
+  const symbol = String(row['公司代號'] || '').trim();
+  const year = parseInt(row['年度'], 10);
+  const quarter = parseInt(row['季別'], 10);
+  const date = Utils.rocToISO(row['出表日期']);
+  if (!symbol || !year || !(quarter >= 1 && quarter <= 4) || !date) return null;
+  return { symbol, period: `${year + 1911}Q${quarter}`, date };
+}
+
+/**
+ * 解析綜合損益表
+ * @param {Array<Object>} rows - 開放資料 JSON 陣列
+ * @returns {Array<Object>} { symbol, period, date, revenue, gross_profit, operating_income, net_income, eps }
+ */
+function parseIncomeRows(rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const key = _rowKey(row);
+    if (!key) continue;
+    results.push({
+      ...key,
+      revenue: _pick(row, ['營業收入']),
+      gross_profit: _pick(row, ['營業毛利(毛損)淨額', '營業毛利(毛損)']),
+      operating_income: _pick(row, ['營業利益(損失)']),
+      net_income: _pick(row, ['淨利(淨損)歸屬於母公司業主', '本期淨利(淨損)']),
+      eps: _pick(row, ['基本每股盈餘(元)'])
+    });
+  }
+  return results;
+}
+
+/**
+ * 解析資產負債表
+ * @param {Array<Object>} rows - 開放資料 JSON 陣列
+ * @returns {Array<Object>} { symbol, period, date, total_assets, total_liabilities, equity }
+ */
+function parseBalanceRows(rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const key = _rowKey(row);
+    if (!key) continue;
+    results.push({
+      ...key,
+      total_assets: _pick(row, ['資產總額', '資產總計']),
+      total_liabilities: _pick(row, ['負債總額', '負債總計']),
+      equity: _pick(row, ['歸屬於母公司業主之權益合計', '權益總額', '權益總計'])
+    });
+  }
+  return results;
+}
+
+/**
+ * 解析 MOPS 財務報告 HTML 中的營業活動淨現金流
+ * @description 依會計項目代號 (AAAA) 定位資料列，取第一個金額欄 (本期累計，千元)；負數可能以括號表示
+ * @param {string} html - t164sb01 回應內容
+ * @returns {number|null} 找不到或非數值時回傳 null
+ */
+function parseCashFlowHtml(html) {
+  for (const [, tr] of String(html || '').matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const cells = [...tr.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)]
+      .map(([, cell]) => cell.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim());
+    if (cells[0] !== CONFIG.operatingCashFlowCode) continue;
+
+    const amount = cells.slice(2).find(c => /\d/.test(c));
+    if (!amount) return null;
+    const negative = /^\(.*\)$/.test(amount);
+    const num = Utils.parseNum(amount.replace(/[()]/g, ''));
+    if (!Number.isFinite(num)) return null;
+    return negative ? -num : num;
+  }
+  return null;
+}
+
+/**
+ * 抓取單一股票某季的營業活動淨現金流
+ * @async
+ * @param {string} symbol - 股票代碼
+ * @param {string} period - 季別 (如 '2025Q3')
+ * @returns {Promise<number|null>} 當年度累計營業活動淨現金流 (千元)，無資料時回傳 null
+ */
+async function fetchOperatingCashFlow(symbol, period) {
+  const url = `${CONFIG.cashFlowUrl}?step=1&CO_ID=${symbol}&SYEAR=${period.slice(0, 4)}&SSEASON=${period.slice(-1)}&REPORT_ID=C`;
+  return parseCashFlowHtml(await httpClient.getText(url));
+}
+
+/**
+ * 合併損益表與資產負債表並計算財務比率
+ * @param {Array<Object>} incomeRows - parseIncomeRows 結果
+ * @param {Array<Object>} balanceRows - parseBalanceRows 結果
+ * @returns {Array<Object>} financial_statements 格式資料
+ */
+function mergeStatements(incomeRows, balanceRows) {
+  const balances = new Map(balanceRows.map(b => [`${b.symbol}|${b.period}`, b]));
+
+  return incomeRows.map(income => {
+    const balance = balances.get(`${income.symbol}|${income.period}`) || {};
+    const quarter = parseInt(income.period.slice(-1), 10);
+    // 累計淨利年化後除以期末權益
+    const annualizedNet = income.net_income != null ? income.net_income * (4 / quarter) : null;
+
+    return {
+      ...income,
+      total_assets: balance.total_assets ?? null,
+      total_liabilities: balance.total_liabilities ?? null,
+      equity: balance.equity ?? null,
+      gross_margin: ratio(income.gross_profit, income.revenue),
+      operating_margin: ratio(income.operating_income, income.revenue),
+      roe: balance.equity > 0 ? ratio(annualizedNet, balance.equity) : null,
+      debt_ratio: ratio(balance.total_liabilities, balance.total_assets)
+    };
+  });
+}
+
+/**
+ * 抓取最新一季財報
+ * @async
+ * @param {'tse'|'otc'} market - 市場
+ * @returns {Promise<Array<Object>>} financial_statements 格式資料
+ */
+async function fetchFinancialStatements(market) {
+  const urls = market === 'otc' ? CONFIG.tpex : CONFIG.twse;
+  const income = await httpClient.getJson(urls.incomeUrl);
+  const balance = await httpClient.getJson(urls.balanceUrl);
+  return mergeStatements(
+    parseIncomeRows(Array.isArray(income) ? income : []),
+    parseBalanceRows(Array.isArray(balance) ? balance : [])
+  );
+}
+
+/**
+ * 抓取並儲存季財報至資料庫
+ * @async
+ * @param {Object} DB - 資料庫介面 (需有 saveFinancialStatementBatch 方法)
+ * @param {Object} [options={}]
+ * @param {Array<'tse'|'otc'>} [options.markets=['tse','otc']] - 抓取市場
+ * @param {Array<string>} [options.cashFlowSymbols=[]] - 需抓取營業活動淨現金流的股票 (每檔一次請求)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(DB, options = {}) {
+  const { markets = CONFIG.markets, cashFlowSymbols = [] } = options;
+
+  const rows = [];
+  for (const market of markets) {
+    const data = await fetchFinancialStatements(market);
+    console.log(`📥 季財報 (${market === 'otc' ? '上櫃' : '上市'}): ${data.length} 筆${data[0] ? `，季別 ${data[0].period}` : ''}`);
+    rows.push(...data);
+  }
+
+  if (rows.length === 0) return 0;
+
+  // 未抓到現金流量的股票保留 null，寫入時沿用前一版本的數字
+  const wanted = new Set(cashFlowSymbols);
+  for (const row of rows.filter(r => wanted.has(r.symbol))) {
+    try {
+      row.operating_cash_flow = await fetchOperatingCashFlow(row.symbol, row.period);
+    } catch (err) {
+      console.warn(`⚠️ ${row.symbol} ${row.period} 現金流量表抓取失敗: ${err.message}`);
+    }
+  }
+
+  const saved = DB.saveFinancialStatementBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆季財報至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/financial-statements-crawler.js [--symbols 2330,5340]
+// 未指定股票時以 watchlist 抓取營業活動淨現金流
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { loadWatchlist } = require('./intraday-crawler');
+  const args = process.argv.slice(2);
+  const i = args.indexOf('--symbols');
+  const cashFlowSymbols = i >= 0 ? args[i + 1].split(',') : loadWatchlist().map(s => s.code);
+
+  DB.init();
+  fetchAndSave(DB, { cashFlowSymbols })
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 季財報抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchFinancialStatements,
+  fetchAndSave,
+  fetchOperatingCashFlow,
+  parseIncomeRows,
+  parseBalanceRows,
+  parseCashFlowHtml,
+  mergeStatements,
+  ratio,
+  CONFIG
+};
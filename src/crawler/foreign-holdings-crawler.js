@@ -0,0 +1,120 @@
+/**
+ * @fileoverview 外資持股比例爬蟲 (TWSE 外資及陸資投資持股統計 MI_QFIIS)
+ * @description 抓取每日全市場外資及陸資持股比率、尚可投資股數與法令投資上限，寫入 foreign_holdings，
+ *   供籌碼面評分與警示追蹤持股比率趨勢及外資投資上限。比率欄位單位為 %。
+ * @module crawler/foreign-holdings-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/foreign-holdings-crawler');
+ * await fetchAndSave('2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const { toTWSEDate } = require('../dates');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** 外資及陸資投資持股統計 (ALLBUT0999 = 全部，不含權證、牛熊證) */
+  qfiisUrl: 'https://www.twse.com.tw/rwd/zh/fund/MI_QFIIS'
+};
+
+/**
+ * 解析數值欄位，空值與 '--' 回傳 null
+ * @private
+ */
+function _number(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || text === '--') return null;
+  const num = Utils.parseNum(text);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * 解析外資持股統計
+ * @param {Object} raw - MI_QFIIS JSON 回應 (data/fields 或 tables 格式)
+ * @param {string} date - 資料日期 (YYYY-MM-DD)
+ * @returns {Array<Object>} foreign_holdings 格式資料
+ */
+function parseForeignHoldings(raw, date) {
+  if (!raw || raw.stat !== 'OK') return [];
+  const table = Array.isArray(raw.tables) ? raw.tables.find(t => Array.isArray(t.data)) : raw;
+  if (!table || !Array.isArray(table.data)) return [];
+  const read = Utils.fieldReader(table.fields);
+
+  const results = [];
+  for (const row of table.data) {
+    // [0] 證券代號, [1] 證券名稱, [2] 國際證券編碼, [3] 發行股數, [4] 外資及陸資尚可投資股數,
+    // [5] 全體外資及陸資持有股數, [6] 外資及陸資尚可投資比率, [7] 全體外資及陸資持股比率,
+    // [8] 外資及陸資共用法令投資上限比率, [9] 陸資法令投資上限比率
+    const symbol = String(read(row, '證券代號', 0) || '').trim();
+    const foreignRatio = _number(read(row, '全體外資及陸資持股比率', 7));
+    if (!symbol || foreignRatio === null) continue;
+
+    results.push({
+      symbol,
+      date,
+      shares_issued: _number(read(row, '發行股數', 3)),
+      foreign_shares: _number(read(row, '全體外資及陸資持有股數', 5)),
+      available_shares: _number(read(row, '外資及陸資尚可投資股數', 4)),
+      foreign_ratio: foreignRatio,
+      available_ratio: _number(read(row, '外資及陸資尚可投資比率', 6)),
+      limit_ratio: _number(read(row, '外資及陸資共用法令投資上限比率', 8))
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取外資持股統計 (全市場)
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} foreign_holdings 格式資料，非交易日或尚未公告時為空陣列
+ */
+async function fetchForeignHoldings(date) {
+  const url = `${CONFIG.qfiisUrl}?date=${toTWSEDate(date)}&selectType=ALLBUT0999&response=json`;
+  const rows = parseForeignHoldings(await httpClient.getJson(url), date);
+  console.log(`📥 外資持股 ${date}: ${rows.length} 筆`);
+  return rows;
+}
+
+/**
+ * 抓取並儲存外資持股統計至資料庫
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @param {Object} DB - 資料庫介面 (需有 saveForeignHoldingBatch 方法)
+ * @param {Array<string>} [filterSymbols=null] - 僅儲存指定股票 (null = 全部)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(date, DB, filterSymbols = null) {
+  const rows = (await fetchForeignHoldings(date))
+    .filter(r => !filterSymbols || filterSymbols.includes(r.symbol));
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveForeignHoldingBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆外資持股至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/foreign-holdings-crawler.js [date]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { tradingCalendar } = require('../market/trading-calendar');
+  const date = process.argv[2] || tradingCalendar.latestSession();
+  DB.init();
+  fetchAndSave(date, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 外資持股抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchForeignHoldings,
+  fetchAndSave,
+  parseForeignHoldings,
+  CONFIG
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview 爬蟲 HTTP 回應錄製 / 重播 (離線開發與 CI 用)
+ * @description record 模式將每個成功回應依 URL 存成 JSON 檔；replay 模式只讀取這些檔案，
+ *   完全不連網，找不到對應檔案即拋出 FIXTURE_MISSING。URL 會先正規化
+ *   (查詢參數排序、移除 `_` 快取參數)，檔名保留可讀的路徑與參數並附加雜湊避免衝突。
+ *   由 http-client 依環境變數 CRAWLER_FIXTURES=record|replay 與 CRAWLER_FIXTURES_DIR 啟用。
+ * @module crawler/http-fixtures
+ * @version 1.0.0
+ *
+ * @example
+ * // 錄製一次後，之後在無網路環境重播
+ * // CRAWLER_FIXTURES=record node src/crawler/intraday-crawler.js
+ * // CRAWLER_FIXTURES=replay node src/crawler/intraday-crawler.js
+ * const { FixtureStore } = require('./crawler/http-fixtures');
+ * const store = new FixtureStore('test/fixtures/http');
+ * store.load('https://mis.twse.com.tw/stock/api/getStockInfo.jsp?ex_ch=tse_2454.tw&json=1&delay=0');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const FIXTURE_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+/** 預設 fixtures 目錄 */
+const DEFAULT_DIR = path.join(__dirname, '../../test/fixtures/http');
+
+/** 不影響回應內容的查詢參數 (快取破壞參數) */
+const VOLATILE_PARAMS = new Set(['_']);
+
+/** 錄製時保留的回應標頭 */
+const KEPT_HEADERS = ['content-type'];
+
+/**
+ * 正規化 URL 作為 fixture 鍵值
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !VOLATILE_PARAMS.has(key))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.map(([k, v]) => `${k}=${v}`).join('&');
+  return `${parsed.protocol}//${parsed.host}${parsed.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * 依 URL 取得 fixture 相對路徑 (<host>/<可讀名稱>-<雜湊>.json)
+ * @param {string} url
+ * @returns {string}
+ */
+function fixturePath(url) {
+  const key = normalizeUrl(url);
+  const parsed = new URL(key);
+  const readable = `${parsed.pathname}${parsed.search}`
+    .replace(/^\/+/, '')
+    .replace(/[^\w.=-]+/g, '_')
+    .slice(0, 80);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  return path.join(parsed.host.replace(/:/g, '_'), `${readable}-${hash}.json`);
+}
+
+/**
+ * fixture 檔案存取
+ * @class
+ */
+class FixtureStore {
+  /**
+   * @param {string} [dir=DEFAULT_DIR] - fixtures 根目錄
+   */
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+  }
+
+  /**
+   * 讀取 fixture
+   * @param {string} url
+   * @returns {{url: string, status: number, headers: Object, body: string, recordedAt: string}|null}
+   */
+  load(url) {
+    const file = path.join(this.dir, fixturePath(url));
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  /**
+   * 儲存 fixture
+   * @param {string} url
+   * @param {{status: number, headers?: Object, body: string}} response
+   * @returns {string} 檔案路徑
+   */
+  save(url, response) {
+    const file = path.join(this.dir, fixturePath(url));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      if (response.headers && response.headers[name]) headers[name] = response.headers[name];
+    }
+    const entry = {
+      url: normalizeUrl(url),
+      status: response.status,
+      headers,
+      body: response.body,
+      recordedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2) + '\n');
+    return file;
+  }
+}
+
+/**
+ * 由環境變數決定 fixture 設定
+ * @param {Object} [env=process.env]
+ * @returns {{mode: string, dir: string}}
+ */
+function fixturesFromEnv(env = process.env) {
+  const mode = String(env.CRAWLER_FIXTURES || FIXTURE_MODES.OFF).trim().toLowerCase();
+  if (!Object.values(FIXTURE_MODES).includes(mode)) {
+    throw new Error(`CRAWLER_FIXTURES 必須為 ${Object.values(FIXTURE_MODES).join(' / ')}，收到: ${mode}`);
+  }
+  return { mode, dir: env.CRAWLER_FIXTURES_DIR ? path.resolve(env.CRAWLER_FIXTURES_DIR) : DEFAULT_DIR };
+}
+
+module.exports = {
+  FixtureStore,
+  normalizeUrl,
+  fixturePath,
+  fixturesFromEnv,
+  FIXTURE_MODES,
+  DEFAULT_DIR
+};
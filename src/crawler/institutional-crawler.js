@@ -1,5 +1,7 @@
 /**
- * @fileoverview 法人買賣超資料爬蟲 (TWSE 三大法人)
+ * @fileoverview 法人買賣超資料爬蟲 (TWSE / TPEx 三大法人與融資融券)
+ * @description 上市股票使用證交所 T86 / MI_MARGN，上櫃股票使用櫃買中心三大法人買賣明細與融資融券餘額，
+ *   兩者輸出相同的 institutional_trades 格式。
  * @module crawler/institutional-crawler
  * @version 1.0.0
  * @see docs/architecture-stock-2026.md
@@ -9,80 +11,29 @@
  * const data = await fetchInstitutionalData('2026-02-09');
  */
 
-const https = require('https');
 const path = require('path');
+const { httpClient } = require('./http-client');
+const { normalizeDate, toTWSEDate, toROCDate } = require('../dates');
 
 const CONFIG = {
   /** TWSE 三大法人買賣超日報 API */
   twseUrl: 'https://www.twse.com.tw/rwd/zh/fund/T86',
-  /** 請求超時 (ms) */
-  timeout: 20000,
-  /** 重試次數 */
-  retries: 3,
-  /** 重試延遲基數 (ms) */
-  retryBaseDelay: 2000
+  /** TWSE 融資融券餘額 API */
+  marginUrl: 'https://www.twse.com.tw/rwd/zh/marginTrading/MI_MARGN',
+  /** 櫃買中心三大法人買賣明細 (日) */
+  tpexUrl: 'https://www.tpex.org.tw/web/stock/3insti/daily_trade/3itrade_hedge_result.php',
+  /** 櫃買中心融資融券餘額 (日) */
+  tpexMarginUrl: 'https://www.tpex.org.tw/web/stock/margin_trading/margin_balance/margin_bal_result.php'
 };
 
 /**
  * 格式化日期為 TWSE 格式 (YYYYMMDD)
+ * @deprecated 請改用 dates.toTWSEDate
  * @param {string|Date} date - 日期
  * @returns {string} YYYYMMDD 格式
  */
 function formatDateTWSE(date) {
-  const d = date instanceof Date ? date : new Date(date);
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}${m}${day}`;
-}
-
-/**
- * HTTP GET 請求 (含重試)
- * @param {string} url - URL
- * @param {number} [timeout] - 超時 ms
- * @param {number} [retries] - 重試次數
- * @returns {Promise<Object>} JSON response
- */
-async function fetchWithRetry(url, timeout = CONFIG.timeout, retries = CONFIG.retries) {
-  let lastError;
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      return await new Promise((resolve, reject) => {
-        const req = https.get(url, {
-          timeout,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Accept': 'application/json',
-            'Referer': 'https://www.twse.com.tw/'
-          }
-        }, (res) => {
-          let data = '';
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => {
-            try {
-              if (res.statusCode !== 200) {
-                reject(new Error(`HTTP ${res.statusCode}`));
-                return;
-              }
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error(`JSON parse error: ${e.message}`));
-            }
-          });
-        });
-        req.on('error', reject);
-        req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
-      });
-    } catch (err) {
-      lastError = err;
-      if (attempt < retries) {
-        const delay = CONFIG.retryBaseDelay * attempt;
-        console.log(`   ⚠️ 第 ${attempt} 次失敗，${delay}ms 後重試...`);
-        await new Promise(r => setTimeout(r, delay));
-      }
-    }
-  }
-  throw new Error(`請求失敗 (${retries} 次): ${lastError.message}`);
+  return toTWSEDate(date);
 }
 
 /**
@@ -100,18 +51,19 @@ function parseIntSafe(str) {
 /**
  * 抓取三大法人買賣超日報 (全市場)
  * @async
- * @param {string} date - 日期 (YYYY-MM-DD 格式)
+ * @param {string} date - 日期 (YYYY-MM-DD；其他格式轉為 YYYY-MM-DD 後寫入 date 欄位)
  * @returns {Promise<Array<Object>>} 法人買賣超資料陣列
  *   每筆含 { symbol, date, foreign_net, trust_net, dealer_net }
- * @throws {Error} API 錯誤或無資料
+ * @throws {Error} API 錯誤、無資料或日期格式錯誤
  */
 async function fetchInstitutionalData(date) {
-  const dateStr = formatDateTWSE(date);
+  date = normalizeDate(date);
+  const dateStr = toTWSEDate(date);
   const url = `${CONFIG.twseUrl}?date=${dateStr}&selectType=ALL&response=json`;
 
   console.log(`📥 抓取法人資料: ${date} (${dateStr})`);
 
-  const raw = await fetchWithRetry(url);
+  const raw = await httpClient.getJson(url);
 
   if (raw.stat !== 'OK' || !raw.data || raw.data.length === 0) {
     console.log(`   ⚠️ 無資料或非交易日: ${raw.stat || 'unknown'}`);
@@ -148,11 +100,123 @@ async function fetchInstitutionalData(date) {
   return results;
 }
 
+/**
+ * 抓取全市場融資融券餘額 (MI_MARGN)
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD 格式)
+ * @returns {Promise<Object<string, {margin_balance: number, short_balance: number}>>}
+ *   以股票代碼為 key 的資券餘額，無資料時為空物件
+ */
+async function fetchMarginData(date) {
+  const dateStr = toTWSEDate(date);
+  const url = `${CONFIG.marginUrl}?date=${dateStr}&selectType=ALL&response=json`;
+
+  const raw = await httpClient.getJson(url);
+
+  // 新格式為 tables 陣列，舊格式為 data/data7/data8
+  let rows = null;
+  if (Array.isArray(raw.tables)) {
+    const table = raw.tables.find(t => t.title && t.title.includes('融資融券彙總'));
+    if (table) rows = table.data;
+  }
+  if (!rows) rows = raw.data || raw.data7 || raw.data8;
+  if (raw.stat !== 'OK' || !rows) return {};
+
+  const map = {};
+  for (const row of rows) {
+    // [6] 融資今日餘額, [12] 融券今日餘額
+    map[String(row[0]).trim()] = {
+      margin_balance: parseIntSafe(row[6]),
+      short_balance: parseIntSafe(row[12])
+    };
+  }
+  return map;
+}
+
+/**
+ * 取出櫃買中心回應的資料列 (舊格式為 aaData，新格式為 tables[0].data)
+ * @private
+ * @param {Object} raw
+ * @returns {Array<Array<string>>}
+ */
+function _tpexRows(raw) {
+  if (Array.isArray(raw.aaData)) return raw.aaData;
+  if (Array.isArray(raw.tables) && raw.tables[0] && Array.isArray(raw.tables[0].data)) return raw.tables[0].data;
+  return [];
+}
+
+/**
+ * 抓取上櫃三大法人買賣明細 (全市場)
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} 與 fetchInstitutionalData 相同格式，無資料時為空陣列
+ * @throws {Error} API 錯誤或日期格式錯誤
+ */
+async function fetchTPExInstitutionalData(date) {
+  date = normalizeDate(date);
+  const url = `${CONFIG.tpexUrl}?l=zh-tw&o=json&se=EW&t=D&d=${toROCDate(date)}`;
+
+  console.log(`📥 抓取上櫃法人資料: ${date}`);
+
+  const rows = _tpexRows(await httpClient.getJson(url));
+  if (rows.length === 0) {
+    console.log('   ⚠️ 上櫃法人無資料或非交易日');
+    return [];
+  }
+
+  const results = [];
+  for (const row of rows) {
+    // 櫃買三大法人欄位順序:
+    // [0] 代號, [1] 名稱
+    // [2-4] 外資及陸資(不含外資自營商) 買進/賣出/買賣超, [5-7] 外資自營商, [8-10] 外資及陸資合計
+    // [11-13] 投信 買進/賣出/買賣超, [14-16] 自營商(自行買賣), [17-19] 自營商(避險)
+    // [20-22] 自營商合計 買進/賣出/買賣超, [23] 三大法人買賣超合計
+    const symbol = String(row[0]).trim();
+    if (!symbol || symbol.length > 6) continue;
+
+    results.push({
+      symbol,
+      name: String(row[1]).trim(),
+      date,
+      foreign_net: parseIntSafe(row[4]),
+      trust_net: parseIntSafe(row[13]),
+      dealer_net: parseIntSafe(row[22]),
+      margin_balance: 0,
+      short_balance: 0
+    });
+  }
+
+  console.log(`   ✅ 取得 ${results.length} 筆上櫃法人資料`);
+  return results;
+}
+
+/**
+ * 抓取上櫃融資融券餘額 (全市場)
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @returns {Promise<Object<string, {margin_balance: number, short_balance: number}>>}
+ *   以股票代碼為 key 的資券餘額，無資料時為空物件
+ */
+async function fetchTPExMarginData(date) {
+  const url = `${CONFIG.tpexMarginUrl}?l=zh-tw&o=json&d=${toROCDate(date)}`;
+  const rows = _tpexRows(await httpClient.getJson(url));
+
+  const map = {};
+  for (const row of rows) {
+    // [6] 資餘額, [14] 券餘額
+    map[String(row[0]).trim()] = {
+      margin_balance: parseIntSafe(row[6]),
+      short_balance: parseIntSafe(row[14])
+    };
+  }
+  return map;
+}
+
 /**
  * 抓取並儲存法人資料至資料庫
  * @async
  * @param {string} date - 日期
- * @param {Object} DB - 資料庫介面 (需有 saveInstitutionalTrade 方法)
+ * @param {Object} DB - 資料庫介面 (需有 saveInstitutionalTradeBatch 方法)
  * @param {Array<string>} [filterSymbols=null] - 僅儲存指定股票 (null = 全部)
  * @returns {Promise<number>} 儲存筆數
  */
@@ -161,23 +225,20 @@ async function fetchAndSave(date, DB, filterSymbols = null) {
 
   if (data.length === 0) return 0;
 
-  let saved = 0;
-  for (const row of data) {
-    if (filterSymbols && !filterSymbols.includes(row.symbol)) continue;
-    try {
-      DB.saveInstitutionalTrade(row);
-      saved++;
-    } catch (err) {
-      console.warn(`   ⚠️ 儲存失敗 ${row.symbol}: ${err.message}`);
-    }
-  }
+  const rows = data.filter(r => !filterSymbols || filterSymbols.includes(r.symbol));
+  if (rows.length === 0) return 0;
 
+  // 批次寫入時全零等異常資料列會被隔離，不計入儲存筆數
+  const saved = DB.saveInstitutionalTradeBatch(rows);
   console.log(`   💾 已儲存 ${saved} 筆法人資料至資料庫`);
   return saved;
 }
 
 module.exports = {
   fetchInstitutionalData,
+  fetchMarginData,
+  fetchTPExInstitutionalData,
+  fetchTPExMarginData,
   fetchAndSave,
   formatDateTWSE,
   parseIntSafe,
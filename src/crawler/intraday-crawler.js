@@ -9,18 +9,23 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 const TWSERealtimeCrawler = require('./twse-realtime-crawler');
+const { QuoteRouter } = require('./quote-router');
+const { TWSEQuoteSource, YahooQuoteSource } = require('./quote-sources');
+const { SessionScheduler, SESSIONS } = require('./session-scheduler');
+const { tradingCalendar } = require('../market/trading-calendar');
+const { toSnapshot, nextBar, INTERVALS } = require('../market/intraday-bars');
+const { toOrderBookRow } = require('../market/order-book');
 
 // Configuration
 const CONFIG = {
   watchlistPath: path.join(__dirname, '../../data/watchlist_portfolio.json'),
   outputDir: path.join(__dirname, '../../data/intraday'),
-  updateInterval: 10 * 60 * 1000, // 10 minutes
   csvHeaders: ['timestamp', 'code', 'name', 'price', 'change', 'change_pct', 'volume', 'open', 'high', 'low', 'prev_close'],
   crawler: {
     maxRetries: 3,
     rateLimitMs: 334, // 3 requests per second
+    batchSize: 50, // TWSE API 支援最多 100，但分批更安全
     enableCache: true,
     cacheTTLMs: 5000
   }
@@ -56,276 +61,117 @@ function loadWatchlist() {
   }
 }
 
+/** @type {TWSERealtimeCrawler|null} 整股路由與零股查詢共用 */
+let twseCrawler = null;
+
+/** @type {QuoteRouter|null} 跨次執行共用，保留各來源的健康紀錄 */
+let quoteRouter = null;
+
 /**
- * Make HTTP request with timeout and retry
- * @param {string} url - API endpoint URL
- * @param {number} [timeout=15000] - Request timeout in ms
- * @param {number} [retries=3] - Number of retry attempts
- * @returns {Promise<Object>} Parsed JSON response
+ * Load the securities master for market detection
+ * @private
+ * @returns {Array<Object>} Listed securities (empty when the database is unavailable,
+ *   in which case the crawler falls back to code-range heuristics)
  */
-async function fetchWithRetry(url, timeout = 15000, retries = 3) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      return await new Promise((resolve, reject) => {
-        const req = https.get(url, { 
-          timeout,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        }, (res) => {
-          let data = '';
-          
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => {
-            try {
-              if (res.statusCode !== 200) {
-                reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 100)}`));
-                return;
-              }
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error(`JSON parse error: ${e.message}`));
-            }
-          });
-        });
-        
-        req.on('error', reject);
-        req.on('timeout', () => {
-          req.destroy();
-          reject(new Error('Request timeout'));
-        });
-      });
-    } catch (error) {
-      lastError = error;
-      if (attempt < retries) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.log(`   ⚠️  Attempt ${attempt} failed, retrying in ${delay}ms...`);
-        await new Promise(r => setTimeout(r, delay));
-      }
-    }
+function _loadSecurities() {
+  try {
+    return _getDatabase().getSecurities();
+  } catch (error) {
+    console.warn(`⚠️ Securities master unavailable, using code-range heuristics: ${error.message}`);
+    return [];
   }
-  
-  throw new Error(`Failed after ${retries} attempts: ${lastError.message}`);
 }
 
 /**
- * Fetch stock quote from Yahoo Finance (Backup source)
- * @param {string} stockCode - Stock code (e.g., "2454")
- * @returns {Promise<Object|null>} Stock quote data or null if failed
+ * Get the shared TWSE MIS crawler (market detection backed by the securities master), created on first use
+ * @private
+ * @returns {TWSERealtimeCrawler}
  */
-async function fetchYahooQuote(stockCode) {
-  try {
-    // Yahoo Finance v8 API
-    const symbol = `${stockCode}.TW`;
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1m&range=1d`;
-    
-    const data = await fetchWithRetry(url, 15000, 3);
-    
-    if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-      throw new Error('No data from Yahoo Finance');
-    }
-    
-    const result = data.chart.result[0];
-    const meta = result.meta;
-    const quote = result.indicators?.quote?.[0];
-    
-    // Get latest valid price
-    const closes = quote?.close || [];
-    const validCloses = closes.filter(c => c !== null && !isNaN(c));
-    const currentPrice = validCloses.length > 0 
-      ? validCloses[validCloses.length - 1] 
-      : (meta.regularMarketPrice || meta.previousClose);
-    
-    const prevClose = meta.previousClose || meta.chartPreviousClose || currentPrice;
-    const change = currentPrice - prevClose;
-    const changePct = prevClose ? (change / prevClose) * 100 : 0;
-    
-    // Get OHLC
-    const opens = quote?.open || [];
-    const highs = quote?.high || [];
-    const lows = quote?.low || [];
-    const volumes = quote?.volume || [];
-    
-    const validOpens = opens.filter(o => o !== null && !isNaN(o));
-    const validHighs = highs.filter(h => h !== null && !isNaN(h));
-    const validLows = lows.filter(l => l !== null && !isNaN(l));
-    const validVolumes = volumes.filter(v => v !== null && !isNaN(v));
-    
-    return {
-      code: stockCode,
-      name: meta.shortName || meta.longName || stockCode,
-      price: currentPrice || 0,
-      open: validOpens[0] || meta.regularMarketOpen || currentPrice,
-      high: validHighs.length > 0 ? Math.max(...validHighs) : (meta.regularMarketDayHigh || currentPrice),
-      low: validLows.length > 0 ? Math.min(...validLows) : (meta.regularMarketDayLow || currentPrice),
-      prevClose: prevClose,
-      volume: validVolumes.reduce((a, b) => a + b, 0) || meta.regularMarketVolume || 0,
-      change: change,
-      changePct: changePct,
-      timestamp: new Date().toISOString(),
-      source: 'Yahoo'
-    };
-  } catch (error) {
-    console.error(`      ❌ Yahoo error for ${stockCode}: ${error.message}`);
-    return null;
+function _getTWSECrawler() {
+  if (!twseCrawler) {
+    twseCrawler = new TWSERealtimeCrawler({
+      maxRetries: CONFIG.crawler.maxRetries,
+      rateLimitMs: CONFIG.crawler.rateLimitMs,
+      enableCache: CONFIG.crawler.enableCache,
+      cacheTTLMs: CONFIG.crawler.cacheTTLMs,
+      securities: _loadSecurities()
+    });
   }
+  return twseCrawler;
 }
 
 /**
- * Fetch stock quote from TWSE MIS API (Primary source)
- * @param {TWSERealtimeCrawler} crawler - TWSE crawler instance
- * @param {string} stockCode - Stock code (e.g., "2454")
- * @param {string} [marketType] - Market type ('tse' or 'otc')
- * @returns {Promise<Object|null>} Stock quote data or null if failed
+ * Get the shared quote router (TWSE primary, Yahoo backup), created on first use
+ * @returns {QuoteRouter}
  */
-async function fetchTWSEQuote(crawler, stockCode, marketType) {
-  try {
-    const quote = await crawler.fetchStock(stockCode, marketType);
-    if (quote) {
-      return {
-        code: quote.code,
-        name: quote.name,
-        price: quote.price,
-        open: quote.open,
-        high: quote.high,
-        low: quote.low,
-        prevClose: quote.prevClose,
-        volume: quote.volume,
-        change: quote.change,
-        changePct: quote.changePct,
-        timestamp: new Date().toISOString(),
-        source: 'TWSE'
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error(`      ❌ TWSE error for ${stockCode}: ${error.message}`);
-    return null;
+function getQuoteRouter() {
+  if (!quoteRouter) {
+    quoteRouter = new QuoteRouter([
+      new TWSEQuoteSource(_getTWSECrawler(), { maxBatch: CONFIG.crawler.batchSize }),
+      new YahooQuoteSource()
+    ]);
   }
+  return quoteRouter;
 }
 
 /**
- * Fetch quotes for all stocks with TWSE primary + Yahoo fallback
+ * Fetch quotes for all stocks through the quote router (ordered by source health)
  * @param {Array} watchlist - List of stock objects
- * @param {TWSERealtimeCrawler} crawler - TWSE crawler instance
- * @returns {Promise<Array<Object>>} Array of stock quotes
+ * @param {QuoteRouter} [router=getQuoteRouter()] - Quote source router
+ * @returns {Promise<Array<Object>>} Array of stock quotes (tagged with source / provenance)
  */
-async function fetchAllQuotes(watchlist, crawler) {
-  const results = [];
+async function fetchAllQuotes(watchlist, router = getQuoteRouter()) {
   const timestamp = new Date().toISOString();
   
   console.log(`\n🚀 Starting data fetch at ${timestamp}`);
   console.log(`📊 Target: ${watchlist.length} stocks`);
-  console.log(`🔧 Source: TWSE Primary + Yahoo Backup`);
+  console.log(`🔧 Sources: ${router.rankSources().map(s => s.name).join(' > ') || '(all cooling down)'}`);
   console.log('=' .repeat(70));
   
-  // 批次處理以提高效率
-  const batchSize = 50; // TWSE API 支援最多 100，但分批更安全
-  const totalBatches = Math.ceil(watchlist.length / batchSize);
-  
-  console.log(`📦 Processing in ${totalBatches} batches (max ${batchSize} per batch)\n`);
+  const quotes = await router.fetchQuotes(watchlist.map(s => ({ code: s.code, market: s.market })));
+  const byCode = new Map(watchlist.map(s => [s.code, s]));
   
-  for (let i = 0; i < watchlist.length; i += batchSize) {
-    const batch = watchlist.slice(i, i + batchSize);
-    const batchNum = Math.floor(i / batchSize) + 1;
-    
-    console.log(`📦 Batch ${batchNum}/${totalBatches}: ${batch.map(s => s.code).join(', ')}`);
-    
-    try {
-      // 嘗試批次查詢 TWSE
-      const batchCodes = batch.map(s => s.code);
-      const twseQuotes = await crawler.fetchBatch(batchCodes);
-      
-      // 建立成功查詢的代碼映射
-      const successfulCodes = new Set(twseQuotes.map(q => q.code));
-      
-      // 處理成功的 TWSE 結果
-      for (const quote of twseQuotes) {
-        if (quote.price > 0) {
-          const stock = batch.find(s => s.code === quote.code);
-          if (stock) {
-            results.push({
-              ...quote,
-              category: stock.category,
-              shares: stock.shares,
-              priority: stock.priority,
-              timestamp: new Date().toISOString(),
-              source: 'TWSE'
-            });
-            const changeSymbol = quote.change >= 0 ? '📈' : '📉';
-            const changeSign = quote.change > 0 ? '+' : '';
-            console.log(`   ✅ ${quote.code} ${quote.name}: ${quote.price.toFixed(2)} ${changeSymbol} ${changeSign}${quote.change.toFixed(2)} (${changeSign}${quote.changePct.toFixed(2)}%) [TWSE]`);
-          }
-        }
-      }
-      
-      // 處理 TWSE 失敗的股票（使用 Yahoo 備份）
-      const failedStocks = batch.filter(s => !successfulCodes.has(s.code));
-      
-      for (const stock of failedStocks) {
-        process.stdout.write(`   ⏳ ${stock.code} ${stock.name} (Yahoo backup) ... `);
-        
-        const yahooQuote = await fetchYahooQuote(stock.code);
-        
-        if (yahooQuote && yahooQuote.price > 0) {
-          results.push({
-            ...yahooQuote,
-            category: stock.category,
-            shares: stock.shares,
-            priority: stock.priority,
-            source: 'Yahoo'
-          });
-          const changeSymbol = yahooQuote.change >= 0 ? '📈' : '📉';
-          const changeSign = yahooQuote.change > 0 ? '+' : '';
-          console.log(`✅ ${yahooQuote.price.toFixed(2)} ${changeSymbol} ${changeSign}${yahooQuote.change.toFixed(2)} (${changeSign}${yahooQuote.changePct.toFixed(2)}%) [Yahoo]`);
-        } else {
-          console.log('❌ Failed');
-        }
-      }
-      
-    } catch (error) {
-      console.error(`   ❌ Batch ${batchNum} failed: ${error.message}`);
-      
-      // 批次失敗時，逐一嘗試 Yahoo
-      for (const stock of batch) {
-        process.stdout.write(`   ⏳ ${stock.code} ${stock.name} (Yahoo fallback) ... `);
-        
-        const yahooQuote = await fetchYahooQuote(stock.code);
-        
-        if (yahooQuote && yahooQuote.price > 0) {
-          results.push({
-            ...yahooQuote,
-            category: stock.category,
-            shares: stock.shares,
-            priority: stock.priority,
-            source: 'Yahoo'
-          });
-          console.log(`✅ ${yahooQuote.price.toFixed(2)} [Yahoo]`);
-        } else {
-          console.log('❌ Failed');
-        }
-      }
-    }
-    
-    console.log(''); // 批次間隔行
-  }
+  const results = quotes.map(quote => {
+    const stock = byCode.get(quote.code);
+    const changeSymbol = quote.change >= 0 ? '📈' : '📉';
+    const changeSign = quote.change > 0 ? '+' : '';
+    console.log(`   ✅ ${quote.code} ${quote.name}: ${quote.price.toFixed(2)} ${changeSymbol} ${changeSign}${quote.change.toFixed(2)} (${changeSign}${quote.changePct.toFixed(2)}%) [${quote.source}]`);
+    return {
+      ...quote,
+      category: stock.category,
+      shares: stock.shares,
+      priority: stock.priority
+    };
+  });
   
   console.log('=' .repeat(70));
   
   // 統計來源
-  const twseCount = results.filter(r => r.source === 'TWSE').length;
-  const yahooCount = results.filter(r => r.source === 'Yahoo').length;
+  const breakdown = _countBySource(results);
   const successRate = ((results.length / watchlist.length) * 100).toFixed(1);
   
   console.log(`✅ Successfully fetched ${results.length}/${watchlist.length} stocks (${successRate}%)`);
-  console.log(`   📊 Source breakdown: TWSE=${twseCount}, Yahoo=${yahooCount}`);
+  console.log(`   📊 Source breakdown: ${Object.entries(breakdown).map(([k, v]) => `${k}=${v}`).join(', ') || 'none'}`);
+  for (const h of router.getHealth()) {
+    console.log(`   🩺 ${h.name}: score ${h.score}${h.coolingUntil ? ` (cooling until ${h.coolingUntil})` : ''}`);
+  }
   console.log('');
   
   return results;
 }
 
+/**
+ * Count quotes by source
+ * @private
+ * @param {Array<Object>} quotes
+ * @returns {Object<string, number>}
+ */
+function _countBySource(quotes) {
+  const counts = {};
+  for (const q of quotes) counts[q.source] = (counts[q.source] || 0) + 1;
+  return counts;
+}
+
 /**
  * Format number with commas
  * @param {number} num - Number to format
@@ -385,16 +231,12 @@ function displayResults(quotes) {
 }
 
 /**
- * Save results to CSV file
+ * Save latest results to CSV file (history lives in SQLite, see saveToDatabase)
  * @param {Array} quotes - Array of stock quotes
  * @returns {string} Path to saved file
  */
 function saveToCsv(quotes) {
-  const date = new Date();
-  const dateStr = date.toISOString().split('T')[0];
-  const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-');
-  const filename = `intraday_${dateStr}_${timeStr}.csv`;
-  const filepath = path.join(CONFIG.outputDir, filename);
+  const filepath = path.join(CONFIG.outputDir, 'intraday_latest.csv');
   
   // Build CSV content
   const rows = quotes.map(q => [
@@ -415,29 +257,21 @@ function saveToCsv(quotes) {
   
   fs.writeFileSync(filepath, '\uFEFF' + csv, 'utf8');
   
-  // Also save to latest file for easy access
-  const latestPath = path.join(CONFIG.outputDir, 'intraday_latest.csv');
-  fs.writeFileSync(latestPath, '\uFEFF' + csv, 'utf8');
-  
-  console.log(`💾 CSV saved: ${filepath}`);
-  console.log(`💾 CSV latest: ${latestPath}`);
+  console.log(`💾 CSV latest: ${filepath}`);
   
   return filepath;
 }
 
 /**
- * Save results to JSON for API access
+ * Save latest results to JSON for API access
  * @param {Array} quotes - Array of stock quotes
  * @returns {string} Path to saved file
  */
 function saveToJson(quotes) {
   const date = new Date();
-  const dateStr = date.toISOString().split('T')[0];
-  const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-');
   
   // Source breakdown
-  const twseCount = quotes.filter(r => r.source === 'TWSE').length;
-  const yahooCount = quotes.filter(r => r.source === 'Yahoo').length;
+  const breakdown = _countBySource(quotes);
   
   const data = {
     metadata: {
@@ -449,30 +283,78 @@ function saveToJson(quotes) {
       engine: {
         primary: 'TWSE API (twse-realtime-crawler)',
         backup: 'Yahoo Finance',
-        twseCount,
-        yahooCount
+        twseCount: breakdown.TWSE || 0,
+        yahooCount: breakdown.Yahoo || 0,
+        breakdown
       }
     },
     quotes: quotes
   };
   
-  const filepath = path.join(CONFIG.outputDir, `intraday_${dateStr}_${timeStr}.json`);
-  const latestPath = path.join(CONFIG.outputDir, 'intraday_latest.json');
+  const filepath = path.join(CONFIG.outputDir, 'intraday_latest.json');
   
   fs.writeFileSync(filepath, JSON.stringify(data, null, 2), 'utf8');
-  fs.writeFileSync(latestPath, JSON.stringify(data, null, 2), 'utf8');
   
-  console.log(`💾 JSON saved: ${filepath}`);
-  console.log(`💾 JSON latest: ${latestPath}\n`);
+  console.log(`💾 JSON latest: ${filepath}`);
   
   return filepath;
 }
 
+/** @type {Object|null} 資料庫介面 (database/db)，首次寫入時初始化 */
+let database = null;
+
+/**
+ * Get the shared database, initialising the schema on first use
+ * @private
+ * @returns {Object}
+ */
+function _getDatabase() {
+  if (!database) {
+    database = require('../database/db');
+    database.init();
+  }
+  return database;
+}
+
+/**
+ * Persist quotes as intraday snapshots (plus five-level order books when the source provides them)
+ * and update 1/5/15-minute bars incrementally
+ * @param {Array} quotes - Array of stock quotes (from fetchAllQuotes)
+ * @param {Object} [db] - database/db interface (defaults to the shared stock_data.db)
+ * @returns {{snapshots: number, orderBooks: number, bars: number}} Rows written
+ */
+function saveToDatabase(quotes, db = _getDatabase()) {
+  const snapshots = quotes.map(toSnapshot).filter(Boolean);
+  const orderBooks = quotes.map(toOrderBookRow).filter(Boolean);
+  
+  const persist = db.getDb().transaction(() => {
+    db.saveIntradaySnapshotBatch(snapshots);
+    db.saveOrderBookSnapshotBatch(orderBooks);
+    let bars = 0;
+    for (const snapshot of snapshots) {
+      for (const interval of INTERVALS) {
+        const bar = nextBar(db.getLatestIntradayBar(snapshot.symbol, snapshot.date, interval), snapshot, interval);
+        if (!bar) continue;
+        db.saveIntradayBar(bar);
+        bars++;
+      }
+    }
+    return bars;
+  });
+  const bars = persist();
+  
+  console.log(`💾 SQLite: ${snapshots.length} snapshots, ${orderBooks.length} order books, ${bars} bars (${INTERVALS.join('/')}m)\n`);
+  
+  return { snapshots: snapshots.length, orderBooks: orderBooks.length, bars };
+}
+
 /**
  * Main crawler execution
+ * @param {Object} [options={}]
+ * @param {Object} [options.db] - database/db interface for intraday history (defaults to the shared stock_data.db)
  * @returns {Promise<Object>} Execution result
  */
-async function runCrawler() {
+async function runCrawler(options = {}) {
   const startTime = Date.now();
   
   try {
@@ -489,21 +371,13 @@ async function runCrawler() {
     console.log(`\n📋 Watchlist loaded: ${watchlist.length} stocks`);
     console.log(`📁 Output directory: ${CONFIG.outputDir}`);
     
-    // Initialize TWSE crawler
-    const twseCrawler = new TWSERealtimeCrawler({
-      maxRetries: CONFIG.crawler.maxRetries,
-      rateLimitMs: CONFIG.crawler.rateLimitMs,
-      enableCache: CONFIG.crawler.enableCache,
-      cacheTTLMs: CONFIG.crawler.cacheTTLMs
-    });
-    
     console.log(`\n🔧 Crawler config:`);
     console.log(`   Max retries: ${CONFIG.crawler.maxRetries}`);
     console.log(`   Rate limit: ${CONFIG.crawler.rateLimitMs}ms (${(1000/CONFIG.crawler.rateLimitMs).toFixed(1)} req/sec)`);
     console.log(`   Cache enabled: ${CONFIG.crawler.enableCache}`);
     
     // Fetch data
-    const quotes = await fetchAllQuotes(watchlist, twseCrawler);
+    const quotes = await fetchAllQuotes(watchlist);
     
     if (quotes.length === 0) {
       throw new Error('No quotes fetched - check data sources');
@@ -515,6 +389,14 @@ async function runCrawler() {
     const csvPath = saveToCsv(quotes);
     const jsonPath = saveToJson(quotes);
     
+    // 寫入失敗不影響本次報價結果，下次輪詢會接續累加 K 棒
+    let stored = null;
+    try {
+      stored = saveToDatabase(quotes, options.db);
+    } catch (error) {
+      console.error(`❌ SQLite write failed: ${error.message}\n`);
+    }
+    
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     const successRate = ((quotes.length / watchlist.length) * 100).toFixed(1);
     
@@ -524,6 +406,7 @@ async function runCrawler() {
     console.log(`   📊 Stocks: ${quotes.length}/${watchlist.length} (${successRate}%)`);
     console.log(`   📁 CSV: ${csvPath}`);
     console.log(`   📁 JSON: ${jsonPath}`);
+    console.log(`   🗄️  SQLite: ${stored ? `${stored.snapshots} snapshots, ${stored.bars} bars` : 'not saved'}`);
     console.log('='.repeat(70) + '\n');
     
     return {
@@ -534,6 +417,7 @@ async function runCrawler() {
       duration: parseFloat(duration),
       csvPath,
       jsonPath,
+      stored,
       quotes
     };
     
@@ -553,21 +437,81 @@ async function runCrawler() {
 }
 
 /**
- * Start continuous monitoring with interval
+ * Fetch after-hours odd-lot results for the watchlist (TWSE MIS only, volume in shares)
+ * @param {TWSERealtimeCrawler} [crawler] - TWSE crawler instance (defaults to the shared one)
+ * @returns {Promise<Object>} Execution result
+ */
+async function runOddLotCrawler(crawler = _getTWSECrawler()) {
+  const watchlist = loadWatchlist();
+  const quotes = [];
+  
+  console.log(`\n🧩 Odd-lot session: fetching ${watchlist.length} stocks`);
+  for (let i = 0; i < watchlist.length; i += CONFIG.crawler.batchSize) {
+    const batch = watchlist
+      .slice(i, i + CONFIG.crawler.batchSize)
+      .map(s => (s.market ? { code: s.code, marketType: s.market } : s.code));
+    quotes.push(...await crawler.fetchBatch(batch, { oddLot: true }));
+  }
+  
+  ensureOutputDir();
+  const jsonPath = path.join(CONFIG.outputDir, 'intraday_oddlot_latest.json');
+  const data = {
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      count: quotes.length,
+      session: 'ODD_LOT',
+      source: 'TWSE MIS getOddInfo'
+    },
+    quotes
+  };
+  fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2), 'utf8');
+  
+  console.log(`✅ Odd-lot quotes: ${quotes.length}/${watchlist.length}`);
+  console.log(`💾 JSON latest: ${jsonPath}\n`);
+  
+  return {
+    success: quotes.length > 0,
+    count: quotes.length,
+    total: watchlist.length,
+    jsonPath,
+    quotes
+  };
+}
+
+/**
+ * Start session-aware monitoring (see crawler/session-scheduler)
+ * Polls during the regular session, takes the closing-auction snapshot, fetches the
+ * after-hours odd-lot result separately and sleeps outside trading sessions.
+ * Resolves after SIGINT / SIGTERM once the in-flight run has finished.
+ * @param {Object} [options={}] - SessionScheduler options
+ * @returns {Promise<Object>} Scheduler stats { runs, failures, overruns }
  */
-async function startMonitoring() {
-  console.log('\n🔔 Starting continuous monitoring...');
-  console.log(`   ⏰ Update interval: ${CONFIG.updateInterval / 1000 / 60} minutes`);
+async function startMonitoring(options = {}) {
+  const regular = SESSIONS.find(s => s.name === 'REGULAR');
+  const { coverage } = tradingCalendar;
+  
+  // The scheduler stops with CALENDAR_OUT_OF_RANGE past the built-in holiday table
+  if (Date.parse(`${coverage.to}T00:00:00+08:00`) - Date.now() < 60 * 24 * 60 * 60 * 1000) {
+    console.warn(`⚠️ Trading calendar covers holidays only until ${coverage.to}; update HOLIDAYS / COVERAGE in market/trading-calendar`);
+  }
+  
+  console.log('\n🔔 Starting session-aware monitoring...');
+  console.log(`   ⏰ Regular session 09:00-13:30 every ${regular.pollIntervalMs / 1000}s + closing snapshot`);
+  console.log('   🧩 After-hours odd-lot result at 14:30');
   console.log('   Press Ctrl+C to stop\n');
   
-  // Run immediately
-  await runCrawler();
+  // Typhoon closures and make-up sessions from market_calendar, re-read while the monitor runs
+  const scheduler = new SessionScheduler(async ({ session, closing }) => {
+    if (session === 'ODD_LOT') return runOddLotCrawler();
+    if (closing) console.log('\n🔔 Closing auction snapshot');
+    return runCrawler();
+  }, { loadOverrides: () => _getDatabase().getCalendarOverrides(), ...options });
+  
+  const stats = await scheduler.start();
+  if (database) database.close();
   
-  // Schedule next runs
-  setInterval(async () => {
-    console.log(`\n⏰ Scheduled update at ${new Date().toLocaleTimeString('zh-TW')}`);
-    await runCrawler();
-  }, CONFIG.updateInterval);
+  console.log(`\n👋 Monitoring stopped: ${stats.runs} runs, ${stats.failures} failures, ${stats.overruns} overruns`);
+  return stats;
 }
 
 // CLI handling
@@ -575,7 +519,12 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   
   if (args.includes('--monitor') || args.includes('-m')) {
-    startMonitoring();
+    startMonitoring()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error(`❌ Monitoring stopped: ${error.message}`);
+        process.exit(1);
+      });
   } else if (args.includes('--help') || args.includes('-h')) {
     console.log(`
 TWSE Intraday Crawler v2.0.0 - 台股即時行情爬蟲
@@ -583,7 +532,7 @@ TWSE Intraday Crawler v2.0.0 - 台股即時行情爬蟲
 Usage: node intraday-crawler.js [options]
 
 Options:
-  --monitor, -m    Start continuous monitoring (10min intervals)
+  --monitor, -m    Session-aware monitoring (09:00-13:30 every 5s, closing + odd-lot snapshots)
   --once, -o       Run once and exit (default)
   --test, -t       Run test mode (fetch 6 problematic stocks)
   --help, -h       Show this help
@@ -593,7 +542,8 @@ Features:
   ✅ Yahoo Finance backup
   ✅ Batch processing for efficiency
   ✅ 20 stocks from watchlist_portfolio.json
-  ✅ CSV + JSON output
+  ✅ SQLite intraday history (snapshots + 1/5/15m bars)
+  ✅ CSV + JSON latest output
   ✅ Priority-based sorting (urgent/high/medium/low)
   ✅ Error handling with retry logic
   ✅ ZVQ standard compliant
@@ -637,9 +587,10 @@ Updated: 2026-02-09
 module.exports = {
   runCrawler,
   startMonitoring,
+  runOddLotCrawler,
   loadWatchlist,
-  fetchYahooQuote,
-  fetchTWSEQuote,
   fetchAllQuotes,
+  saveToDatabase,
+  getQuoteRouter,
   CONFIG
 };
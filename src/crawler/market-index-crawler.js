@@ -0,0 +1,184 @@
+/**
+ * @fileoverview 大盤與產業指數爬蟲 (加權指數、櫃買指數、TWSE 產業類指數)
+ * @description 抓取 TWSE 每日收盤行情的「價格指數」表 (MI_INDEX type=IND) 與櫃買中心指數月資料 (st41)，
+ *   寫入 market_indices。產業類指數依名稱對應證券主檔的產業別 (如「半導體類指數」↔「半導體業」)，
+ *   供回測基準 (alpha / beta)、選股產業相對強弱與日報使用。
+ * @module crawler/market-index-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/market-index-crawler');
+ * await fetchAndSave('2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const { toTWSEDate, toROCMonth } = require('../dates');
+const { INDUSTRY_CODES } = require('./securities-crawler');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** TWSE 每日收盤行情 (type=IND 僅回傳指數表) */
+  twseUrl: 'https://www.twse.com.tw/rwd/zh/afterTrading/MI_INDEX',
+  /** 櫃買中心櫃買指數日成交量值 (月) */
+  tpexUrl: 'https://www.tpex.org.tw/web/stock/aftertrading/daily_trading_index/st41_result.php'
+};
+
+/** 大盤指數代碼 */
+const INDEX_CODES = {
+  TAIEX: 'TAIEX',
+  TPEX: 'TPEX'
+};
+
+/** TWSE 指數名稱 → 代碼 (其餘產業類指數以名稱為代碼) */
+const NAMED_INDICES = {
+  '發行量加權股價指數': INDEX_CODES.TAIEX
+};
+
+/**
+ * 產業類指數名稱對應的證券主檔產業別
+ * @param {string} indexName - 如「半導體類指數」
+ * @returns {string|null} 如「半導體業」，非產業類指數時為 null
+ */
+function industryOfIndex(indexName) {
+  const match = String(indexName || '').trim().match(/^(.+)類指數$/);
+  if (!match) return null;
+  const stem = match[1];
+  return Object.values(INDUSTRY_CODES).find(name => name.replace(/(工業|業)$/, '') === stem) || null;
+}
+
+/**
+ * 帶號數值 (漲跌欄位可能以 HTML 標示 +/-)
+ * @private
+ */
+function _signed(signCell, value) {
+  const num = Math.abs(Utils.parseNum(String(value ?? '').trim()) || 0);
+  return String(signCell || '').includes('-') ? -num : num;
+}
+
+/**
+ * 解析 TWSE 價格指數表
+ * @param {Object} raw - MI_INDEX (type=IND) JSON 回應
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @returns {Array<Object>} market_indices 格式資料
+ */
+function parseTWSEIndices(raw, date) {
+  if (!raw || raw.stat !== 'OK' || !Array.isArray(raw.tables)) return [];
+  const table = raw.tables.find(t => t.title && t.title.includes('價格指數(臺灣證券交易所)')) ||
+    raw.tables.find(t => t.title && t.title.includes('價格指數'));
+  if (!table || !Array.isArray(table.data)) return [];
+
+  const results = [];
+  for (const row of table.data) {
+    // [0] 指數, [1] 收盤指數, [2] 漲跌(+/-), [3] 漲跌點數, [4] 漲跌百分比(%)
+    const name = String(row[0] || '').trim();
+    const close = Utils.parseNum(row[1]);
+    if (!name || !close) continue;
+
+    const industry = industryOfIndex(name);
+    const code = NAMED_INDICES[name] || (industry ? name : null);
+    if (!code) continue; // 僅保留大盤與產業類指數
+
+    results.push({
+      index_code: code,
+      date,
+      name,
+      market: 'tse',
+      industry,
+      close,
+      change: _signed(row[2], row[3]),
+      change_pct: _signed(row[2], row[4])
+    });
+  }
+  return results;
+}
+
+/**
+ * 解析櫃買指數月資料
+ * @param {Object} raw - st41 JSON 回應
+ * @returns {Array<Object>} market_indices 格式資料 (該月所有交易日)
+ *   aaData: [0] 日期(民國), [1] 成交股數(仟股), [2] 金額(仟元), [3] 筆數, [4] 櫃買指數, [5] 漲/跌
+ */
+function parseTPExIndex(raw) {
+  const results = [];
+  for (const row of (raw && raw.aaData) || []) {
+    const date = Utils.rocToISO(row[0]);
+    const close = Utils.parseNum(row[4]);
+    if (!date || !close) continue;
+
+    const change = Utils.parseNum(row[5]) || 0;
+    const prevClose = close - change;
+    results.push({
+      index_code: INDEX_CODES.TPEX,
+      date,
+      name: '櫃買指數',
+      market: 'otc',
+      industry: null,
+      close,
+      change,
+      change_pct: prevClose > 0 ? Math.round((change / prevClose) * 10000) / 100 : null
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取指定交易日的大盤與產業指數
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} market_indices 格式資料，非交易日為空陣列
+ */
+async function fetchMarketIndices(date) {
+  const twse = parseTWSEIndices(
+    await httpClient.getJson(`${CONFIG.twseUrl}?date=${toTWSEDate(date)}&type=IND&response=json`),
+    date
+  );
+  const tpex = parseTPExIndex(
+    await httpClient.getJson(`${CONFIG.tpexUrl}?l=zh-tw&d=${toROCMonth(date)}&o=json`)
+  ).filter(r => r.date === date);
+
+  const rows = [...twse, ...tpex];
+  console.log(`📥 指數 ${date}: 上市 ${twse.length} 檔、櫃買 ${tpex.length} 檔`);
+  return rows;
+}
+
+/**
+ * 抓取並儲存大盤與產業指數至資料庫
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @param {Object} DB - 資料庫介面 (需有 saveMarketIndexBatch 方法)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(date, DB) {
+  const rows = await fetchMarketIndices(date);
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveMarketIndexBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆指數至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/market-index-crawler.js [date]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { tradingCalendar } = require('../market/trading-calendar');
+  const date = process.argv[2] || tradingCalendar.latestSession();
+  DB.init();
+  fetchAndSave(date, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 指數抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchMarketIndices,
+  fetchAndSave,
+  parseTWSEIndices,
+  parseTPExIndex,
+  industryOfIndex,
+  INDEX_CODES,
+  CONFIG
+};
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview 全市場每日收盤行情匯入
+ * @description 每個交易日各下載一次 TWSE 每日收盤行情 (MI_INDEX) 與
+ *   TPEx 上櫃股票收盤行情，解析所有普通股後以單一交易批次寫入 daily_prices，
+ *   取代逐檔呼叫 STOCK_DAY 再只保留一筆的作法。
+ * @module crawler/market-snapshot-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { ingestMarketSnapshot } = require('./crawler/market-snapshot-crawler');
+ * const saved = await ingestMarketSnapshot('2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const { toTWSEDate, toROCDate } = require('../dates');
+const { tradingCalendar } = require('../market/trading-calendar');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** TWSE 每日收盤行情 (全部，不含權證、牛熊證) */
+  twseUrl: 'https://www.twse.com.tw/exchangeReport/MI_INDEX',
+  /** TPEx 上櫃股票每日收盤行情 */
+  tpexUrl: 'https://www.tpex.org.tw/web/stock/aftertrading/daily_close_quotes/stk_quote_result.php',
+  /** 預設匯入市場 */
+  markets: ['tse', 'otc']
+};
+
+/**
+ * 判斷代碼是否為普通股 (四碼且非 0 開頭，排除 ETF/權證/特別股)
+ * @param {string} symbol - 證券代號
+ * @returns {boolean}
+ */
+function isEquitySymbol(symbol) {
+  return /^[1-9]\d{3}$/.test(symbol);
+}
+
+/**
+ * 從 MI_INDEX 回應中找出「每日收盤行情」表格
+ * @param {Object} raw - MI_INDEX JSON
+ * @returns {Array<Array<string>>|null} 資料列
+ */
+function findTWSEQuoteTable(raw) {
+  // 新格式：tables 陣列
+  if (Array.isArray(raw.tables)) {
+    const table = raw.tables.find(t => t.title && t.title.includes('每日收盤行情'));
+    if (table && Array.isArray(table.data)) return table.data;
+  }
+  // 舊格式：data9 (type=ALLBUT0999)
+  return raw.data9 || raw.data8 || null;
+}
+
+/**
+ * 解析 TWSE 每日收盤行情資料列
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @param {Array<Array<string>>} rows - 資料列
+ *   [0] 證券代號, [1] 證券名稱, [2] 成交股數, [3] 成交筆數, [4] 成交金額,
+ *   [5] 開盤價, [6] 最高價, [7] 最低價, [8] 收盤價, ...
+ * @returns {Array<Object>} daily_prices 格式資料
+ */
+function parseTWSESnapshot(date, rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const symbol = String(row[0]).trim();
+    if (!isEquitySymbol(symbol)) continue;
+
+    const close = Utils.parseNum(row[8]);
+    // 當日無成交 (收盤價 "--") 不寫入
+    if (!close) continue;
+
+    results.push({
+      symbol,
+      date,
+      volume: Utils.parseNum(row[2]),
+      transactions: Utils.parseNum(row[3]),
+      turnover: Utils.parseNum(row[4]),
+      open: Utils.parseNum(row[5]),
+      high: Utils.parseNum(row[6]),
+      low: Utils.parseNum(row[7]),
+      close
+    });
+  }
+  return results;
+}
+
+/**
+ * 解析 TPEx 上櫃股票收盤行情資料列
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @param {Array<Array<string>>} rows - aaData 資料列
+ *   [0] 代號, [1] 名稱, [2] 收盤, [3] 漲跌, [4] 開盤, [5] 最高, [6] 最低,
+ *   [7] 均價, [8] 成交股數, [9] 成交金額(元), [10] 成交筆數, ...
+ * @returns {Array<Object>} daily_prices 格式資料
+ */
+function parseTPExSnapshot(date, rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const symbol = String(row[0]).trim();
+    if (!isEquitySymbol(symbol)) continue;
+
+    const close = Utils.parseNum(row[2]);
+    if (!close) continue;
+
+    results.push({
+      symbol,
+      date,
+      close,
+      open: Utils.parseNum(row[4]),
+      high: Utils.parseNum(row[5]),
+      low: Utils.parseNum(row[6]),
+      volume: Utils.parseNum(row[8]),
+      turnover: Utils.parseNum(row[9]),
+      transactions: Utils.parseNum(row[10])
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取 TWSE 全市場收盤行情
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchTWSESnapshot(date) {
+  const url = `${CONFIG.twseUrl}?response=json&date=${toTWSEDate(date)}&type=ALLBUT0999`;
+  const raw = await httpClient.getJson(url);
+  if (raw.stat !== 'OK') return [];
+  return parseTWSESnapshot(date, findTWSEQuoteTable(raw));
+}
+
+/**
+ * 抓取 TPEx 全市場收盤行情
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchTPExSnapshot(date) {
+  const url = `${CONFIG.tpexUrl}?l=zh-tw&d=${toROCDate(date)}&se=EW`;
+  const raw = await httpClient.getJson(url);
+  return parseTPExSnapshot(date, raw.aaData);
+}
+
+/**
+ * 下載全市場收盤行情並一次寫入 daily_prices
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @param {Object} DB - 資料庫介面 (需有 saveDailyPriceBatch 方法)
+ * @param {Object} [options={}]
+ * @param {Array<'tse'|'otc'>} [options.markets=['tse','otc']] - 匯入市場
+ * @returns {Promise<number>} 寫入筆數 (非交易日為 0)
+ */
+async function ingestMarketSnapshot(date, DB, options = {}) {
+  const { markets = CONFIG.markets } = options;
+  if (!tradingCalendar.isTradingDay(date)) {
+    console.log(`⏭️ ${date} 休市 (${tradingCalendar.closureReason(date)})，略過匯入`);
+    return 0;
+  }
+  console.log(`📥 匯入全市場收盤行情: ${date} (${markets.join('+')})`);
+
+  const rows = [];
+  if (markets.includes('tse')) {
+    const tse = await fetchTWSESnapshot(date);
+    console.log(`   📊 上市: ${tse.length} 檔`);
+    rows.push(...tse);
+  }
+  if (markets.includes('otc')) {
+    const otc = await fetchTPExSnapshot(date);
+    console.log(`   📊 上櫃: ${otc.length} 檔`);
+    rows.push(...otc);
+  }
+
+  if (rows.length === 0) {
+    console.log('   ⚠️ 無資料或非交易日');
+    return 0;
+  }
+
+  const saved = DB.saveDailyPriceBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆收盤行情`);
+  return saved;
+}
+
+// CLI: node src/crawler/market-snapshot-crawler.js [YYYY-MM-DD]
+if (require.main === module) {
+  const DB = require('../database/db');
+
+  DB.init();
+  const date = process.argv[2] || tradingCalendar.latestSession();
+  ingestMarketSnapshot(date, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 匯入失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ingestMarketSnapshot,
+  fetchTWSESnapshot,
+  fetchTPExSnapshot,
+  parseTWSESnapshot,
+  parseTPExSnapshot,
+  findTWSEQuoteTable,
+  isEquitySymbol,
+  CONFIG
+};
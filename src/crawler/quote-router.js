@@ -0,0 +1,226 @@
+/**
+ * @fileoverview 即時行情來源路由 - 依健康度排序、自動備援與冷卻
+ * @description 依序嘗試各行情來源，前一來源查無的股票交給下一來源。來源排序依近期成功率
+ *   與平均延遲計算的健康分數；連續失敗達門檻的來源暫停呼叫，冷卻結束後再給一次機會
+ *   (再失敗立即重新冷卻)。每筆報價附上 source 與 provenance (來源、取得時間、延遲、是否為備援)。
+ * @module crawler/quote-router
+ * @version 1.0.0
+ *
+ * @example
+ * const { QuoteRouter } = require('./crawler/quote-router');
+ * const { TWSEQuoteSource, YahooQuoteSource } = require('./crawler/quote-sources');
+ * const router = new QuoteRouter([new TWSEQuoteSource(crawler), new YahooQuoteSource()]);
+ * const quotes = await router.fetchQuotes([{ code: '2454' }, { code: '5340', market: 'otc' }]);
+ * router.getHealth(); // [{ name: 'TWSE', score, successRate, avgLatencyMs, coolingUntil }, ...]
+ */
+
+const CONFIG = {
+  /** 健康度統計的近期樣本數 */
+  windowSize: 20,
+  /** 連續失敗達此次數即進入冷卻 */
+  failureThreshold: 3,
+  /** 冷卻時間 (ms) */
+  cooldownMs: 5 * 60 * 1000,
+  /** 平均延遲達此值時扣滿延遲分數 (ms) */
+  latencyBudgetMs: 5000,
+  /** 延遲在健康分數中的權重 (其餘為成功率) */
+  latencyWeight: 0.2
+};
+
+/**
+ * 行情來源路由
+ * @class
+ */
+class QuoteRouter {
+  /**
+   * @param {Array<QuoteSource>} sources - 行情來源 (介面見 crawler/quote-sources；陣列順序為同分時的優先順序)
+   * @param {Object} [options={}] - 覆寫 CONFIG 的同名設定
+   * @param {Function} [options.now] - 取得目前時間 (ms)，測試用
+   */
+  constructor(sources, options = {}) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('QuoteRouter 需要至少一個行情來源');
+    }
+    const { now, ...rest } = options;
+    this.config = { ...CONFIG, ...rest };
+    this.now = now || Date.now;
+    this.sources = [];
+    /** @private @type {Map<string, {outcomes: Array<{ok: boolean, latencyMs: number}>, consecutiveFailures: number, coolingUntil: number}>} */
+    this.health = new Map();
+    sources.forEach(source => this.addSource(source));
+  }
+
+  /**
+   * 加入行情來源
+   * @param {QuoteSource} source
+   */
+  addSource(source) {
+    if (!source || !source.name || typeof source.fetchQuotes !== 'function') {
+      throw new Error('行情來源需有 name 與 fetchQuotes()');
+    }
+    if (this.health.has(source.name)) {
+      throw new Error(`行情來源名稱重複: ${source.name}`);
+    }
+    this.sources.push(source);
+    this.health.set(source.name, { outcomes: [], consecutiveFailures: 0, coolingUntil: 0 });
+  }
+
+  /**
+   * 健康分數 (0-1)：成功率 (Laplace 平滑，無樣本時為 0.5) 扣除延遲懲罰
+   * @param {string} name - 來源名稱
+   * @returns {number}
+   */
+  score(name) {
+    const { outcomes } = this.health.get(name);
+    const successes = outcomes.filter(o => o.ok).length;
+    const successRate = (successes + 1) / (outcomes.length + 2);
+    const latencyPenalty = Math.min(this._avgLatency(outcomes) / this.config.latencyBudgetMs, 1);
+    return successRate * (1 - this.config.latencyWeight) + (1 - latencyPenalty) * this.config.latencyWeight;
+  }
+
+  /**
+   * 目前可用來源 (排除冷卻中)，依健康分數由高至低
+   * @returns {Array<QuoteSource>}
+   */
+  rankSources() {
+    const now = this.now();
+    return this.sources
+      .map((source, index) => ({ source, index, score: this.score(source.name) }))
+      .filter(({ source }) => this.health.get(source.name).coolingUntil <= now)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ source }) => source);
+  }
+
+  /**
+   * 依健康度依序向各來源查詢，前一來源查無的股票交給下一來源
+   * @async
+   * @param {Array<{code: string, market?: string}>} stocks
+   * @returns {Promise<Array<Object>>} 報價 (附 source / provenance)，所有來源都查無的股票不在結果中
+   */
+  async fetchQuotes(stocks) {
+    const results = [];
+    let remaining = [...stocks];
+    const ranked = this.rankSources();
+
+    for (const [rank, source] of ranked.entries()) {
+      if (remaining.length === 0) break;
+      const found = new Set();
+      const batchSize = Math.max(1, source.maxBatch || remaining.length);
+
+      for (let i = 0; i < remaining.length; i += batchSize) {
+        // 批次途中進入冷卻則改由下一來源處理
+        if (this.health.get(source.name).coolingUntil > this.now()) break;
+
+        const batch = remaining.slice(i, i + batchSize);
+        const quotes = await this._callSource(source, batch);
+        const requested = new Set(batch.map(s => s.code));
+
+        for (const quote of quotes) {
+          if (!quote || !requested.has(quote.code) || !(quote.price > 0) || found.has(quote.code)) continue;
+          found.add(quote.code);
+          results.push(this._tag(quote, source, rank > 0));
+        }
+      }
+      remaining = remaining.filter(s => !found.has(s.code));
+    }
+
+    if (remaining.length > 0) {
+      console.warn(`   ⚠️ 所有行情來源皆查無: ${remaining.map(s => s.code).join(', ')}`);
+    }
+    return results;
+  }
+
+  /**
+   * 各來源健康狀態
+   * @returns {Array<{name: string, score: number, samples: number, successRate: number|null, avgLatencyMs: number|null, consecutiveFailures: number, coolingUntil: string|null}>}
+   */
+  getHealth() {
+    const now = this.now();
+    return this.sources.map(({ name }) => {
+      const h = this.health.get(name);
+      const samples = h.outcomes.length;
+      return {
+        name,
+        score: Math.round(this.score(name) * 1000) / 1000,
+        samples,
+        successRate: samples > 0 ? h.outcomes.filter(o => o.ok).length / samples : null,
+        avgLatencyMs: samples > 0 ? Math.round(this._avgLatency(h.outcomes)) : null,
+        consecutiveFailures: h.consecutiveFailures,
+        coolingUntil: h.coolingUntil > now ? new Date(h.coolingUntil).toISOString() : null
+      };
+    });
+  }
+
+  /**
+   * 呼叫來源並記錄結果：拋錯或整批查無視為失敗
+   * @private
+   * @returns {Promise<Array<Object>>}
+   */
+  async _callSource(source, batch) {
+    const startedAt = this.now();
+    let quotes = [];
+    let ok = false;
+    try {
+      quotes = (await source.fetchQuotes(batch)) || [];
+      ok = quotes.some(q => q && q.price > 0);
+    } catch (err) {
+      console.warn(`   ⚠️ ${source.name} 查詢失敗: ${err.message}`);
+    }
+    this._recordOutcome(source.name, ok, this.now() - startedAt);
+    return quotes;
+  }
+
+  /**
+   * 記錄一次呼叫結果，連續失敗達門檻即進入冷卻
+   * @private
+   */
+  _recordOutcome(name, ok, latencyMs) {
+    const h = this.health.get(name);
+    h.outcomes.push({ ok, latencyMs });
+    if (h.outcomes.length > this.config.windowSize) h.outcomes.shift();
+
+    if (ok) {
+      h.consecutiveFailures = 0;
+      return;
+    }
+    h.consecutiveFailures++;
+    if (h.consecutiveFailures >= this.config.failureThreshold) {
+      h.coolingUntil = this.now() + this.config.cooldownMs;
+      console.warn(`   🧊 ${name} 連續失敗 ${h.consecutiveFailures} 次，暫停 ${Math.round(this.config.cooldownMs / 1000)} 秒`);
+    }
+  }
+
+  /**
+   * 報價加上來源資訊
+   * @private
+   */
+  _tag(quote, source, fallback) {
+    const fetchedAt = new Date(this.now()).toISOString();
+    const { outcomes } = this.health.get(source.name);
+    return {
+      ...quote,
+      timestamp: fetchedAt,
+      source: source.name,
+      provenance: {
+        source: source.name,
+        fetchedAt,
+        latencyMs: outcomes.length > 0 ? outcomes[outcomes.length - 1].latencyMs : null,
+        fallback
+      }
+    };
+  }
+
+  /**
+   * 平均延遲 (僅計成功樣本；無成功樣本時為 0)
+   * @private
+   */
+  _avgLatency(outcomes) {
+    const ok = outcomes.filter(o => o.ok);
+    return ok.length > 0 ? ok.reduce((sum, o) => sum + o.latencyMs, 0) / ok.length : 0;
+  }
+}
+
+module.exports = {
+  QuoteRouter,
+  CONFIG
+};
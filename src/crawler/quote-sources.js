@@ -0,0 +1,172 @@
+/**
+ * @fileoverview 即時行情來源轉接器 (TWSE MIS / Yahoo Finance)
+ * @description 定義行情來源的共同介面，供 quote-router 依健康度排序與切換。
+ *   新增來源時實作同樣的 name / maxBatch / fetchQuotes 即可加入路由，不需修改其他程式。
+ * @module crawler/quote-sources
+ * @version 1.0.0
+ *
+ * @example
+ * const { TWSEQuoteSource, YahooQuoteSource } = require('./crawler/quote-sources');
+ * const twse = new TWSEQuoteSource(new TWSERealtimeCrawler());
+ * const quotes = await twse.fetchQuotes([{ code: '2454' }, { code: '5340', market: 'otc' }]);
+ */
+
+const { httpClient } = require('./http-client');
+const { priceLimits, isAtLimit, isEtf } = require('../market/price-limits');
+
+/**
+ * 行情來源介面
+ * @typedef {Object} QuoteSource
+ * @property {string} name - 來源名稱 (寫入報價的 source 欄位)
+ * @property {number} maxBatch - 單次請求最多檔數 (1 表示逐檔查詢)
+ * @property {function(Array<{code: string, market?: string}>): Promise<Array<Quote>>} fetchQuotes
+ *   回傳查得到的報價 (查無的代碼直接省略)；整批失敗時拋出錯誤
+ */
+
+/**
+ * 標準化報價
+ * @typedef {Object} Quote
+ * @property {string} code
+ * @property {string} name
+ * @property {number} price
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} prevClose
+ * @property {number} volume - 當日累計成交量
+ * @property {number} change
+ * @property {number} changePct
+ * @property {number|null} limitUp - 漲停價
+ * @property {number|null} limitDown - 跌停價
+ * @property {boolean} isLimitUp - 成交價位於漲停
+ * @property {boolean} isLimitDown - 成交價位於跌停
+ */
+
+const CONFIG = {
+  yahooChartUrl: 'https://query1.finance.yahoo.com/v8/finance/chart',
+  yahooTimeoutMs: 15000
+};
+
+/**
+ * 取得 Yahoo Finance 即時報價 (失敗時拋出錯誤)
+ * @async
+ * @param {string} code - 股票代碼
+ * @param {'tse'|'otc'} [market='tse'] - 上櫃股票使用 .TWO 代碼
+ * @returns {Promise<Quote>}
+ * @throws {Error} 請求失敗或無資料
+ */
+async function fetchYahooChart(code, market = 'tse') {
+  const symbol = `${code}.${market === 'otc' ? 'TWO' : 'TW'}`;
+  const url = `${CONFIG.yahooChartUrl}/${symbol}?interval=1m&range=1d`;
+
+  const data = await httpClient.getJson(url, { timeoutMs: CONFIG.yahooTimeoutMs });
+
+  if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
+    throw new Error('No data from Yahoo Finance');
+  }
+
+  const result = data.chart.result[0];
+  const meta = result.meta;
+  const quote = result.indicators?.quote?.[0];
+  const valid = (values) => (values || []).filter(v => v !== null && !isNaN(v));
+
+  // Get latest valid price
+  const validCloses = valid(quote?.close);
+  const currentPrice = validCloses.length > 0
+    ? validCloses[validCloses.length - 1]
+    : (meta.regularMarketPrice || meta.previousClose);
+
+  const prevClose = meta.previousClose || meta.chartPreviousClose || currentPrice;
+  const change = currentPrice - prevClose;
+  const changePct = prevClose ? (change / prevClose) * 100 : 0;
+
+  // Yahoo 未提供漲跌停價，依昨收推算
+  const limits = priceLimits(prevClose, { etf: isEtf(code) });
+  const limitSide = isAtLimit(currentPrice, limits);
+
+  const validOpens = valid(quote?.open);
+  const validHighs = valid(quote?.high);
+  const validLows = valid(quote?.low);
+  const validVolumes = valid(quote?.volume);
+
+  return {
+    code,
+    name: meta.shortName || meta.longName || code,
+    price: currentPrice || 0,
+    open: validOpens[0] || meta.regularMarketOpen || currentPrice,
+    high: validHighs.length > 0 ? Math.max(...validHighs) : (meta.regularMarketDayHigh || currentPrice),
+    low: validLows.length > 0 ? Math.min(...validLows) : (meta.regularMarketDayLow || currentPrice),
+    prevClose,
+    volume: validVolumes.reduce((a, b) => a + b, 0) || meta.regularMarketVolume || 0,
+    change,
+    changePct,
+    limitUp: limits ? limits.limitUp : null,
+    limitDown: limits ? limits.limitDown : null,
+    isLimitUp: limitSide === 'UP',
+    isLimitDown: limitSide === 'DOWN'
+  };
+}
+
+/**
+ * TWSE MIS 行情來源 (批次查詢，上市 / 上櫃皆可)
+ * @class
+ * @implements {QuoteSource}
+ */
+class TWSEQuoteSource {
+  /**
+   * @param {TWSERealtimeCrawler} crawler - TWSE 即時行情爬蟲
+   * @param {Object} [options={}]
+   * @param {number} [options.maxBatch=50] - 單批檔數 (API 上限 100，分批較安全)
+   */
+  constructor(crawler, options = {}) {
+    this.name = 'TWSE';
+    this.maxBatch = options.maxBatch ?? 50;
+    this.crawler = crawler;
+  }
+
+  /**
+   * @param {Array<{code: string, market?: string}>} stocks
+   * @returns {Promise<Array<Quote>>}
+   */
+  async fetchQuotes(stocks) {
+    return this.crawler.fetchBatch(
+      stocks.map(s => (s.market ? { code: s.code, marketType: s.market } : s.code))
+    );
+  }
+}
+
+/**
+ * Yahoo Finance 行情來源 (逐檔查詢)
+ * @class
+ * @implements {QuoteSource}
+ */
+class YahooQuoteSource {
+  /**
+   * @param {Object} [options={}]
+   * @param {Function} [options.fetchQuote=fetchYahooChart] - (code, market) => Promise<Quote>
+   */
+  constructor(options = {}) {
+    this.name = 'Yahoo';
+    this.maxBatch = 1;
+    this.fetchQuote = options.fetchQuote || fetchYahooChart;
+  }
+
+  /**
+   * @param {Array<{code: string, market?: string}>} stocks
+   * @returns {Promise<Array<Quote>>}
+   */
+  async fetchQuotes(stocks) {
+    const quotes = [];
+    for (const stock of stocks) {
+      quotes.push(await this.fetchQuote(stock.code, stock.market));
+    }
+    return quotes;
+  }
+}
+
+module.exports = {
+  TWSEQuoteSource,
+  YahooQuoteSource,
+  fetchYahooChart,
+  CONFIG
+};
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview 月營收爬蟲 (公開資訊觀測站 MOPS 每月營業收入彙總表)
+ * @description 抓取上市 (t187ap05_L) 與上櫃 (t187ap05_O) 公司最新一期月營收，
+ *   計算月增率/年增率後寫入 fundamentals。開放資料不提供各公司實際公告日，
+ *   以首次取得該期資料的出表日保存 (不早於實際公告日，不含前視偏誤)；
+ *   同一期每日重複抓取的相同數字不另存，更正後的數字以當天出表日另存一個版本 (見 DB.saveFundamental)。
+ * @module crawler/revenue-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/revenue-crawler');
+ * await fetchAndSave(DB);
+ */
+
+const { httpClient } = require('./http-client');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** 上市公司每月營業收入彙總表 (MOPS 開放資料) */
+  twseUrl: 'https://openapi.twse.com.tw/v1/opendata/t187ap05_L',
+  /** 上櫃公司每月營業收入彙總表 (MOPS 開放資料) */
+  tpexUrl: 'https://www.tpex.org.tw/openapi/v1/mopsfin_t187ap05_O',
+  /** 預設抓取市場 */
+  markets: ['tse', 'otc']
+};
+
+/**
+ * 民國年月 (如 "11501") 轉為 YYYY-MM
+ * @param {string} rocYearMonth - 民國年月
+ * @returns {string|null}
+ */
+function rocYearMonthToISO(rocYearMonth) {
+  const match = String(rocYearMonth || '').trim().match(/^(\d{2,3})(\d{2})$/);
+  if (!match) return null;
+  return `${parseInt(match[1], 10) + 1911}-${match[2]}`;
+}
+
+/**
+ * 計算成長率 (%)，基期為 0 或缺值時回傳 null
+ * @param {number} current - 本期
+ * @param {number} base - 基期
+ * @returns {number|null}
+ */
+function growthRate(current, base) {
+  if (!base || base <= 0 || current == null) return null;
+  return Math.round(((current - base) / base) * 10000) / 100;
+}
+
+/**
+ * 解析月營收開放資料
+ * @param {Array<Object>} rows - 開放資料 JSON 陣列
+ * @returns {Array<Object>} fundamentals 格式資料
+ */
+function parseRevenueRows(rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const symbol = String(row['公司代號'] || '').trim();
+    // 出表日為開放資料產製日，每日更新；DB 寫入時數字未變動者沿用先前的出表日作為可取得日
+    const date = Utils.rocToISO(row['出表日期']);
+    const period = rocYearMonthToISO(row['資料年月']);
+    if (!symbol || !date || !period) continue;
+
+    const revenue = Utils.parseNum(row['營業收入-當月營收']);
+    const prevMonth = Utils.parseNum(row['營業收入-上月營收']);
+    const lastYear = Utils.parseNum(row['營業收入-去年當月營收']);
+    const cumulative = Utils.parseNum(row['累計營業收入-當月累計營收']);
+    const cumulativeLastYear = Utils.parseNum(row['累計營業收入-去年累計營收']);
+
+    results.push({
+      symbol,
+      date,
+      period,
+      revenue,
+      revenue_prev_month: prevMonth,
+      revenue_last_year: lastYear,
+      revenue_growth_mom: growthRate(revenue, prevMonth),
+      revenue_growth_yoy: growthRate(revenue, lastYear),
+      cumulative_revenue: cumulative,
+      cumulative_growth_yoy: growthRate(cumulative, cumulativeLastYear)
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取最新一期月營收
+ * @async
+ * @param {'tse'|'otc'} market - 市場
+ * @returns {Promise<Array<Object>>} fundamentals 格式資料
+ */
+async function fetchMonthlyRevenue(market) {
+  const url = market === 'otc' ? CONFIG.tpexUrl : CONFIG.twseUrl;
+  const raw = await httpClient.getJson(url);
+  return parseRevenueRows(Array.isArray(raw) ? raw : []);
+}
+
+/**
+ * 抓取並儲存月營收至資料庫
+ * @async
+ * @param {Object} DB - 資料庫介面 (需有 saveFundamentalBatch 方法)
+ * @param {Object} [options={}]
+ * @param {Array<'tse'|'otc'>} [options.markets=['tse','otc']] - 抓取市場
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(DB, options = {}) {
+  const { markets = CONFIG.markets } = options;
+
+  const rows = [];
+  for (const market of markets) {
+    const data = await fetchMonthlyRevenue(market);
+    console.log(`📥 月營收 (${market === 'otc' ? '上櫃' : '上市'}): ${data.length} 筆${data[0] ? `，期別 ${data[0].period}` : ''}`);
+    rows.push(...data);
+  }
+
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveFundamentalBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆月營收至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/revenue-crawler.js
+if (require.main === module) {
+  const DB = require('../database/db');
+  DB.init();
+  fetchAndSave(DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 月營收抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchMonthlyRevenue,
+  fetchAndSave,
+  parseRevenueRows,
+  rocYearMonthToISO,
+  growthRate,
+  CONFIG
+};
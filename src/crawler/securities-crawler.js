@@ -0,0 +1,143 @@
+/**
+ * @fileoverview 證券主檔爬蟲 (上市 / 上櫃公司基本資料)
+ * @description 抓取 MOPS 開放資料的上市 (t187ap03_L) 與上櫃 (mopsfin_t187ap03_O)
+ *   公司基本資料，寫入 securities：市場別、產業別、已發行股數、上市櫃日期。
+ *   每次完整更新後，將清單中已消失的代碼標記為 DELISTED。
+ * @module crawler/securities-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/securities-crawler');
+ * await fetchAndSave(DB);
+ */
+
+const { httpClient } = require('./http-client');
+const Utils = require('../utils');
+const { toISODate } = require('../dates');
+
+const CONFIG = {
+  /** 上市公司基本資料 */
+  twseUrl: 'https://openapi.twse.com.tw/v1/opendata/t187ap03_L',
+  /** 上櫃公司基本資料 */
+  tpexUrl: 'https://www.tpex.org.tw/openapi/v1/mopsfin_t187ap03_O',
+  /** 預設抓取市場 */
+  markets: ['tse', 'otc']
+};
+
+/** 產業別代碼 (證交所 / 櫃買中心共用) */
+const INDUSTRY_CODES = {
+  '01': '水泥工業', '02': '食品工業', '03': '塑膠工業', '04': '紡織纖維',
+  '05': '電機機械', '06': '電器電纜', '08': '玻璃陶瓷', '09': '造紙工業',
+  '10': '鋼鐵工業', '11': '橡膠工業', '12': '汽車工業', '14': '建材營造業',
+  '15': '航運業', '16': '觀光餐旅', '17': '金融保險業', '18': '貿易百貨業',
+  '19': '綜合', '20': '其他業', '21': '化學工業', '22': '生技醫療業',
+  '23': '油電燃氣業', '24': '半導體業', '25': '電腦及週邊設備業', '26': '光電業',
+  '27': '通信網路業', '28': '電子零組件業', '29': '電子通路業', '30': '資訊服務業',
+  '31': '其他電子業', '32': '文化創意業', '33': '農業科技業', '34': '電子商務',
+  '35': '綠能環保', '36': '數位雲端', '37': '運動休閒', '38': '居家生活',
+  '80': '管理股票', '91': '存託憑證'
+};
+
+/**
+ * 依欄位名稱前綴取值 (上市/上櫃欄位名稱略有差異)
+ * @private
+ * @param {Object} row
+ * @param {Array<string>} prefixes
+ * @returns {string|undefined}
+ */
+function _field(row, prefixes) {
+  for (const [key, value] of Object.entries(row)) {
+    if (prefixes.some(p => key.trim().startsWith(p))) return value;
+  }
+  return undefined;
+}
+
+/**
+ * 解析公司基本資料
+ * @param {Array<Object>} rows - 開放資料 JSON 陣列
+ * @param {'tse'|'otc'} market - 市場
+ * @returns {Array<Object>} securities 格式資料
+ */
+function parseSecurityRows(rows, market) {
+  const results = [];
+  for (const row of rows || []) {
+    const symbol = String(row['公司代號'] || '').trim();
+    if (!symbol) continue;
+
+    const industryCode = String(row['產業別'] || '').trim();
+    const shares = Utils.parseNum(_field(row, ['已發行普通股數']));
+
+    results.push({
+      symbol,
+      name: String(row['公司簡稱'] || row['公司名稱'] || '').trim(),
+      full_name: String(row['公司名稱'] || '').trim() || null,
+      market,
+      industry: INDUSTRY_CODES[industryCode] || industryCode || null,
+      shares_outstanding: shares > 0 ? shares : null,
+      listing_date: toISODate(_field(row, ['上市日期', '上櫃日期'])),
+      status: 'LISTED'
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取公司基本資料
+ * @async
+ * @param {'tse'|'otc'} market - 市場
+ * @returns {Promise<Array<Object>>} securities 格式資料
+ */
+async function fetchSecurities(market) {
+  const url = market === 'otc' ? CONFIG.tpexUrl : CONFIG.twseUrl;
+  const raw = await httpClient.getJson(url);
+  return parseSecurityRows(Array.isArray(raw) ? raw : [], market);
+}
+
+/**
+ * 抓取並儲存證券主檔
+ * @async
+ * @param {Object} DB - 資料庫介面 (需有 saveSecurityBatch / markSecuritiesDelisted 方法)
+ * @param {Object} [options={}]
+ * @param {Array<'tse'|'otc'>} [options.markets=['tse','otc']] - 抓取市場
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(DB, options = {}) {
+  const { markets = CONFIG.markets } = options;
+
+  let saved = 0;
+  for (const market of markets) {
+    const rows = await fetchSecurities(market);
+    console.log(`📥 證券主檔 (${market === 'otc' ? '上櫃' : '上市'}): ${rows.length} 筆`);
+    // 空清單多為 API 異常，不可據此將整個市場標記為下市
+    if (rows.length === 0) continue;
+
+    saved += DB.saveSecurityBatch(rows);
+    const delisted = DB.markSecuritiesDelisted(market, rows.map(r => r.symbol));
+    if (delisted > 0) console.log(`   📤 標記下市/櫃 ${delisted} 筆`);
+  }
+
+  console.log(`   💾 已儲存 ${saved} 筆證券主檔至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/securities-crawler.js
+if (require.main === module) {
+  const DB = require('../database/db');
+  DB.init();
+  fetchAndSave(DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 證券主檔抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchSecurities,
+  fetchAndSave,
+  parseSecurityRows,
+  INDUSTRY_CODES,
+  CONFIG
+};
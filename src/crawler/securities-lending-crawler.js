@@ -0,0 +1,120 @@
+/**
+ * @fileoverview 借券賣出餘額爬蟲 (TWSE 信用額度總量管制餘額表 TWT93U)
+ * @description 抓取每日全市場借券賣出 (SBL) 當日賣出、還券與餘額，寫入 securities_lending。
+ *   大型權值股的空方部位多以借券賣出建立，餘額遠大於融券，供籌碼面資券健康度與警示使用。
+ *   股數單位為「股」。
+ * @module crawler/securities-lending-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/securities-lending-crawler');
+ * await fetchAndSave('2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const { toTWSEDate } = require('../dates');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** 融券借券賣出餘額 (信用額度總量管制餘額表) */
+  sblUrl: 'https://www.twse.com.tw/rwd/zh/marginTrading/TWT93U'
+};
+
+/**
+ * 解析股數欄位，空值與 '--' 回傳 null
+ * @private
+ */
+function _shares(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || text === '--') return null;
+  const num = Utils.parseNum(text);
+  return Number.isFinite(num) ? Math.round(num) : null;
+}
+
+/**
+ * 解析借券賣出餘額表
+ * @param {Object} raw - TWT93U JSON 回應 (data/fields 或 tables 格式)
+ * @param {string} date - 資料日期 (YYYY-MM-DD)
+ * @returns {Array<Object>} securities_lending 格式資料
+ */
+function parseSecuritiesLending(raw, date) {
+  if (!raw || raw.stat !== 'OK') return [];
+  const table = Array.isArray(raw.tables) ? raw.tables.find(t => Array.isArray(t.data)) : raw;
+  if (!table || !Array.isArray(table.data)) return [];
+  const read = Utils.fieldReader(table.fields);
+
+  const results = [];
+  for (const row of table.data) {
+    // [0] 代號, [1] 名稱, [2]~[7] 融券 (前日餘額、賣出、買進、現券、今日餘額、次一營業日限額),
+    // [8] 借券賣出前日餘額, [9] 當日賣出, [10] 當日還券, [11] 當日調整, [12] 當日餘額, [13] 次一營業日可限額
+    const symbol = String(read(row, '代號', 0) || '').trim();
+    const balance = _shares(read(row, '借券賣出當日餘額', 12));
+    if (!/^\d{4,6}[A-Z]?$/.test(symbol) || balance === null) continue;
+
+    results.push({
+      symbol,
+      date,
+      sbl_prev_balance: _shares(read(row, '借券賣出前日餘額', 8)),
+      sbl_sell: _shares(read(row, '借券賣出當日賣出', 9)) ?? 0,
+      sbl_return: _shares(read(row, '借券賣出當日還券', 10)) ?? 0,
+      sbl_adjust: _shares(read(row, '借券賣出當日調整', 11)) ?? 0,
+      sbl_balance: balance,
+      sbl_limit: _shares(read(row, '借券賣出次一營業日可限額', 13))
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取借券賣出餘額 (全市場)
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} securities_lending 格式資料，非交易日或尚未公告時為空陣列
+ */
+async function fetchSecuritiesLending(date) {
+  const url = `${CONFIG.sblUrl}?date=${toTWSEDate(date)}&response=json`;
+  const rows = parseSecuritiesLending(await httpClient.getJson(url), date);
+  console.log(`📥 借券賣出 ${date}: ${rows.length} 筆`);
+  return rows;
+}
+
+/**
+ * 抓取並儲存借券賣出餘額至資料庫
+ * @async
+ * @param {string} date - 日期 (YYYY-MM-DD)
+ * @param {Object} DB - 資料庫介面 (需有 saveSecuritiesLendingBatch 方法)
+ * @param {Array<string>} [filterSymbols=null] - 僅儲存指定股票 (null = 全部)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(date, DB, filterSymbols = null) {
+  const rows = (await fetchSecuritiesLending(date))
+    .filter(r => !filterSymbols || filterSymbols.includes(r.symbol));
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveSecuritiesLendingBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆借券賣出餘額至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/securities-lending-crawler.js [date]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { tradingCalendar } = require('../market/trading-calendar');
+  const date = process.argv[2] || tradingCalendar.latestSession();
+  DB.init();
+  fetchAndSave(date, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 借券賣出抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchSecuritiesLending,
+  fetchAndSave,
+  parseSecuritiesLending,
+  CONFIG
+};
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview 盤中監控排程 - 依交易時段輪詢，非交易時段休眠
+ * @description 依台北時間與交易日曆排定執行：整股盤中 09:00-13:30 每隔數秒輪詢，
+ *   13:30 收盤集合競價結果揭示後再取一次收盤快照；盤後零股 (13:40-14:30) 為獨立時段，
+ *   於 14:30 撮合後取一次。其餘時間 (夜間、週末、休市日) 休眠到下一個時段。
+ *   每次執行完成才排下一次，抓取變慢時順延而不重疊。收到 SIGINT / SIGTERM 時
+ *   等待進行中的執行結束再停止。長時間執行時定期重新載入日曆臨時異動 (如前一晚公告的颱風停市)。
+ * @module crawler/session-scheduler
+ * @version 1.0.0
+ *
+ * @example
+ * const { SessionScheduler } = require('./crawler/session-scheduler');
+ * const scheduler = new SessionScheduler(async ({ session, closing }) => {
+ *   if (session === 'ODD_LOT') return runOddLotCrawler();
+ *   return runCrawler();
+ * });
+ * await scheduler.start(); // 收到 SIGINT / SIGTERM 後 resolve
+ */
+
+const {
+  tradingCalendar,
+  taipeiDate,
+  taipeiTime,
+  SESSION,
+  ODD_LOT_SESSION
+} = require('../market/trading-calendar');
+
+/**
+ * 監控時段
+ * @typedef {Object} MonitorSession
+ * @property {string} name - 時段名稱 (傳給執行函式)
+ * @property {{hour: number, minute: number}} open - 開始時間 (台北)
+ * @property {{hour: number, minute: number}} close - 結束時間 (台北)
+ * @property {number|null} pollIntervalMs - 時段內輪詢間隔，null 表示時段內不輪詢
+ * @property {boolean} closingSnapshot - 結束後是否再取一次收盤快照
+ */
+
+/** @type {Array<MonitorSession>} */
+const SESSIONS = [
+  { name: 'REGULAR', open: SESSION.open, close: SESSION.close, pollIntervalMs: 5000, closingSnapshot: true },
+  // 盤後零股只在 14:30 撮合一次，時段內沒有成交可輪詢
+  { name: 'ODD_LOT', open: ODD_LOT_SESSION.open, close: ODD_LOT_SESSION.close, pollIntervalMs: null, closingSnapshot: true }
+];
+
+const CONFIG = {
+  /** 收盤後等待撮合結果揭示的時間 (ms) */
+  closingDelayMs: 15 * 1000,
+  /** 錯過收盤快照多久內仍補取 (ms)，超過則跳過 (避免晚間啟動時取到過時快照) */
+  closingWindowMs: 10 * 60 * 1000,
+  /** 單次休眠上限 (ms)，醒來後重新排程以反映日曆異動與時鐘校正 */
+  maxSleepMs: 60 * 60 * 1000,
+  /** 重新載入日曆臨時異動的間隔 (ms)，需指定 options.loadOverrides */
+  calendarRefreshMs: 10 * 60 * 1000
+};
+
+/**
+ * 交易時段排程器
+ * @class
+ */
+class SessionScheduler {
+  /**
+   * @param {function({session: string, date: string, closing: boolean}): Promise<*>} run - 每次執行的工作
+   * @param {Object} [options={}] - 覆寫 CONFIG 的同名設定
+   * @param {Array<MonitorSession>} [options.sessions=SESSIONS] - 監控時段 (依時間先後排列)
+   * @param {TradingCalendar} [options.calendar=tradingCalendar] - 交易日曆
+   * @param {function(): Array<Object>} [options.loadOverrides] - 讀取 market_calendar 臨時異動 (如 DB.getCalendarOverrides)，
+   *   每 calendarRefreshMs 重新載入至日曆
+   * @param {Function} [options.now] - 取得目前時間 (ms)，測試用
+   * @param {Function} [options.sleep] - (ms) => Promise，測試用 (預設可被 stop() 中斷)
+   * @param {boolean} [options.handleSignals=true] - 是否於 SIGINT / SIGTERM 時停止
+   */
+  constructor(run, options = {}) {
+    if (typeof run !== 'function') {
+      throw new Error('SessionScheduler 需要執行函式');
+    }
+    const { sessions, calendar, loadOverrides, now, sleep, handleSignals, ...rest } = options;
+    this.run = run;
+    this.config = { ...CONFIG, ...rest };
+    this.sessions = sessions || SESSIONS;
+    this.calendar = calendar || tradingCalendar;
+    this.loadOverrides = loadOverrides || null;
+    this.now = now || Date.now;
+    this.sleep = sleep || (ms => this._sleep(ms));
+    this.handleSignals = handleSignals ?? true;
+    this.stopped = true;
+    this.stats = { runs: 0, failures: 0, overruns: 0 };
+
+    /** @private @type {string|null} 目前追蹤的交易日 (換日時清除執行紀錄) */
+    this.trackedDate = null;
+    /** @private @type {Map<string, number>} 時段 → 最近一次開始執行時間 (ms) */
+    this.lastRunAt = new Map();
+    /** @private @type {Set<string>} 已取收盤快照的時段 */
+    this.closed = new Set();
+    /** @private @type {Function|null} 中斷休眠 */
+    this.wake = null;
+    /** @private @type {Object<string, Function>} */
+    this.signalHandlers = {};
+    /** @private @type {number|null} 最近一次載入日曆異動的時間 (ms) */
+    this.calendarLoadedAt = null;
+  }
+
+  /**
+   * 距上次載入超過 calendarRefreshMs 時重新載入日曆臨時異動；讀取失敗時沿用已載入的異動
+   * @private
+   */
+  _refreshCalendar() {
+    if (!this.loadOverrides) return;
+    const nowMs = this.now();
+    if (this.calendarLoadedAt !== null && nowMs - this.calendarLoadedAt < this.config.calendarRefreshMs) return;
+    this.calendarLoadedAt = nowMs;
+    try {
+      this.calendar.loadOverrides(this.loadOverrides(), { replace: true });
+    } catch (error) {
+      console.warn(`⚠️ 日曆臨時異動載入失敗，沿用既有日曆: ${error.message}`);
+    }
+  }
+
+  /**
+   * 計算下一次執行
+   * @param {number} [nowMs=this.now()]
+   * @returns {{session: string, date: string, closing: boolean, at: number}} at 為預定執行時間 (ms)
+   */
+  nextRun(nowMs = this.now()) {
+    const today = taipeiDate(new Date(nowMs));
+    const date = this.calendar.isTradingDay(today) ? today : this.calendar.nextTradingDay(today);
+    const ran = date === this.trackedDate;
+
+    for (const session of this.sessions) {
+      const open = taipeiTime(date, session.open).getTime();
+      const close = taipeiTime(date, session.close).getTime();
+
+      if (nowMs < open && session.pollIntervalMs) {
+        return { session: session.name, date, closing: false, at: open };
+      }
+      if (nowMs < close && session.pollIntervalMs) {
+        const last = ran ? this.lastRunAt.get(session.name) : undefined;
+        const at = last === undefined ? nowMs : Math.max(nowMs, last + session.pollIntervalMs);
+        if (at < close) return { session: session.name, date, closing: false, at };
+      }
+      if (session.closingSnapshot && !(ran && this.closed.has(session.name))) {
+        const at = close + this.config.closingDelayMs;
+        if (nowMs < at + this.config.closingWindowMs) {
+          return { session: session.name, date, closing: true, at: Math.max(nowMs, at) };
+        }
+      }
+    }
+
+    // 今日時段皆已結束，排到下一交易日
+    const nextDate = this.calendar.nextTradingDay(date);
+    return this.nextRun(taipeiTime(nextDate, { hour: 0, minute: 0 }).getTime());
+  }
+
+  /**
+   * 開始排程，直到 stop() 或收到 SIGINT / SIGTERM
+   * @async
+   * @returns {Promise<Object>} 結束時的統計 { runs, failures, overruns }
+   */
+  async start() {
+    if (!this.stopped) throw new Error('排程已在執行中');
+    this.stopped = false;
+    if (this.handleSignals) this._bindSignals();
+
+    try {
+      while (!this.stopped) {
+        this._refreshCalendar();
+        const next = this.nextRun();
+        const waitMs = next.at - this.now();
+        if (waitMs > 0) {
+          if (waitMs >= 60 * 1000) {
+            console.log(`\n💤 休眠至 ${next.date} ${new Date(next.at).toLocaleTimeString('zh-TW', { timeZone: 'Asia/Taipei', hour12: false })} (${next.session}${next.closing ? ' 收盤' : ''})`);
+          }
+          await this.sleep(Math.min(waitMs, this.config.maxSleepMs));
+          continue;
+        }
+        await this._execute(next);
+      }
+    } finally {
+      this._unbindSignals();
+    }
+    return { ...this.stats };
+  }
+
+  /**
+   * 停止排程 (進行中的執行會跑完)
+   * @param {string} [reason='stop']
+   */
+  stop(reason = 'stop') {
+    if (this.stopped) return;
+    this.stopped = true;
+    console.log(`\n🛑 ${reason}：停止監控 (進行中的執行完成後結束)`);
+    if (this.wake) this.wake();
+  }
+
+  /**
+   * 執行一次工作並記錄；錯誤不中斷排程
+   * @private
+   */
+  async _execute(next) {
+    if (next.date !== this.trackedDate) {
+      this.trackedDate = next.date;
+      this.lastRunAt.clear();
+      this.closed.clear();
+    }
+    const startedAt = this.now();
+    this.lastRunAt.set(next.session, startedAt);
+    if (next.closing) this.closed.add(next.session);
+
+    try {
+      await this.run({ session: next.session, date: next.date, closing: next.closing });
+    } catch (error) {
+      this.stats.failures++;
+      console.error(`❌ ${next.session} 執行失敗: ${error.message}`);
+    }
+    this.stats.runs++;
+
+    const session = this.sessions.find(s => s.name === next.session);
+    const elapsedMs = this.now() - startedAt;
+    if (!next.closing && session && elapsedMs > session.pollIntervalMs) {
+      this.stats.overruns++;
+      console.warn(`   ⏱️ ${next.session} 執行 ${elapsedMs}ms 超過輪詢間隔，下一次順延`);
+    }
+  }
+
+  /**
+   * 可被 stop() 中斷的休眠
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      const self = this;
+      function done() {
+        clearTimeout(timer);
+        self.wake = null;
+        resolve();
+      }
+      this.wake = done;
+    });
+  }
+
+  /**
+   * 註冊 SIGINT / SIGTERM；停止中再收到訊號則立即結束程序
+   * @private
+   */
+  _bindSignals() {
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      const handler = () => {
+        if (this.stopped) {
+          console.log(`\n⚠️ 再次收到 ${signal}，強制結束`);
+          process.exit(130);
+        }
+        this.stop(`收到 ${signal}`);
+      };
+      this.signalHandlers[signal] = handler;
+      process.on(signal, handler);
+    }
+  }
+
+  /**
+   * 移除訊號處理
+   * @private
+   */
+  _unbindSignals() {
+    for (const [signal, handler] of Object.entries(this.signalHandlers)) {
+      process.removeListener(signal, handler);
+    }
+    this.signalHandlers = {};
+  }
+}
+
+module.exports = {
+  SessionScheduler,
+  SESSIONS,
+  CONFIG
+};
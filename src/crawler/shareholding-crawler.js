@@ -0,0 +1,102 @@
+/**
+ * @fileoverview 集保股權分散表爬蟲 (TDCC 開放資料 1-5)
+ * @description 抓取集保結算所每週公布的集保戶股權分散表，依持股分級 (1-999 股至 1,000 張以上，共 15 級)
+ *   寫入各級人數、股數與占集保庫存比例，供籌碼集中度 (大戶持股比) 評分使用。
+ *   開放資料僅提供最近一週 (每週五資料、次一營業日公布)，請每週排程抓取累積歷史。
+ * @module crawler/shareholding-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.5
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/shareholding-crawler');
+ * await fetchAndSave(DB);
+ */
+
+const { httpClient } = require('./http-client');
+const Utils = require('../utils');
+const { toISODate } = require('../dates');
+
+const CONFIG = {
+  /** 集保戶股權分散表 (CSV: 資料日期,證券代號,持股分級,人數,股數,占集保庫存數比例%) */
+  distributionUrl: 'https://opendata.tdcc.com.tw/getOD.ashx?id=1-5'
+};
+
+/** 持股分級上限 (第 16 級為差異數調整、第 17 級為合計，不儲存) */
+const MAX_LEVEL = 15;
+
+/**
+ * 解析股權分散表 CSV
+ * @param {string} text - CSV 內容 (首列為欄位名稱)
+ * @param {Array<string>} [filterSymbols=null] - 僅保留指定股票 (null = 全部)
+ * @returns {Array<Object>} shareholding_distribution 格式資料
+ */
+function parseShareholdingCsv(text, filterSymbols = null) {
+  const wanted = filterSymbols ? new Set(filterSymbols) : null;
+  const results = [];
+  for (const line of String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    // [0] 資料日期, [1] 證券代號, [2] 持股分級, [3] 人數, [4] 股數, [5] 占集保庫存數比例%
+    const cols = line.split(',').map(c => c.replace(/"/g, '').trim());
+    const date = /^\d{8}$/.test(cols[0]) ? toISODate(cols[0]) : null;
+    const level = parseInt(cols[2], 10);
+    if (!date || !cols[1] || !(level >= 1 && level <= MAX_LEVEL)) continue;
+    if (wanted && !wanted.has(cols[1])) continue;
+
+    results.push({
+      symbol: cols[1],
+      date,
+      level,
+      holders: Math.round(Utils.parseNum(cols[3]) || 0),
+      shares: Math.round(Utils.parseNum(cols[4]) || 0),
+      ratio: Utils.parseNum(cols[5]) || 0
+    });
+  }
+  return results;
+}
+
+/**
+ * 抓取最新一週股權分散表 (全市場)
+ * @async
+ * @param {Array<string>} [filterSymbols=null] - 僅保留指定股票 (null = 全部)
+ * @returns {Promise<Array<Object>>} shareholding_distribution 格式資料
+ */
+async function fetchShareholding(filterSymbols = null) {
+  const rows = parseShareholdingCsv(await httpClient.getText(CONFIG.distributionUrl), filterSymbols);
+  console.log(`📥 股權分散表 ${rows.length > 0 ? rows[0].date : '-'}: ${new Set(rows.map(r => r.symbol)).size} 檔`);
+  return rows;
+}
+
+/**
+ * 抓取並儲存股權分散表至資料庫
+ * @async
+ * @param {Object} DB - 資料庫介面 (需有 saveShareholdingBatch 方法)
+ * @param {Array<string>} [filterSymbols=null] - 僅儲存指定股票 (null = 全部)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(DB, filterSymbols = null) {
+  const rows = await fetchShareholding(filterSymbols);
+  if (rows.length === 0) return 0;
+
+  const saved = DB.saveShareholdingBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆股權分散資料至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/shareholding-crawler.js
+if (require.main === module) {
+  const DB = require('../database/db');
+  DB.init();
+  fetchAndSave(DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 股權分散表抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchShareholding,
+  fetchAndSave,
+  parseShareholdingCsv,
+  CONFIG
+};
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview 期交所三大法人期貨/選擇權未平倉與 Put/Call Ratio 爬蟲 (TAIFEX OpenAPI)
+ * @description 抓取臺股期貨、小型臺指期貨與臺指選擇權的三大法人多空未平倉口數，及全市場 Put/Call Ratio，
+ *   寫入 taifex_open_interest 與 put_call_ratios。外資期貨淨空單為市場風險指標，供選股引擎判斷市場狀態。
+ *   OpenAPI 僅提供最近一個交易日，請於每日收盤後 (約 15:30) 排程抓取。
+ * @module crawler/taifex-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.6
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { fetchAndSave } = require('./crawler/taifex-crawler');
+ * await fetchAndSave('2026-02-09', DB);
+ */
+
+const { httpClient } = require('./http-client');
+const Utils = require('../utils');
+const { toISODate } = require('../dates');
+
+const CONFIG = {
+  /** 三大法人 - 區分各期貨契約 */
+  futuresUrl: 'https://openapi.taifex.com.tw/v1/MarketDataOfMajorInstitutionalTradersDetailsOfFuturesContractsBytheDate',
+  /** 三大法人 - 選擇權買賣權分計 */
+  optionsUrl: 'https://openapi.taifex.com.tw/v1/MarketDataOfMajorInstitutionalTradersDetailsOfCallsAndPutsBytheDate',
+  /** 臺指選擇權 Put/Call Ratio */
+  putCallUrl: 'https://openapi.taifex.com.tw/v1/PutCallRatio'
+};
+
+/** 契約名稱/代碼 → 儲存代碼 (其餘契約略過) */
+const CONTRACTS = {
+  '臺股期貨': 'TX', TXF: 'TX', TX: 'TX',
+  '小型臺指期貨': 'MTX', '小型臺指': 'MTX', MXF: 'MTX', MTX: 'MTX',
+  '臺指選擇權': 'TXO', TXO: 'TXO'
+};
+
+/** 身份別 → 法人代碼 */
+const INVESTORS = {
+  '外資及陸資': 'FOREIGN', '外資': 'FOREIGN', 'Foreign Investors': 'FOREIGN',
+  '投信': 'TRUST', 'Investment Trust': 'TRUST',
+  '自營商': 'DEALER', 'Dealers': 'DEALER'
+};
+
+/** 買賣權別 → option_type (期貨為 FUT) */
+const OPTION_TYPES = {
+  '買權': 'CALL', CALL: 'CALL', Call: 'CALL',
+  '賣權': 'PUT', PUT: 'PUT', Put: 'PUT'
+};
+
+/**
+ * 依候選欄位名稱取值 (OpenAPI 欄位名稱可能為中文或英文)
+ * @private
+ * @param {Object} row
+ * @param {Array<string>} keys
+ * @returns {*}
+ */
+function _value(row, keys) {
+  for (const key of keys) {
+    if (row[key] !== undefined) return row[key];
+  }
+  return undefined;
+}
+
+/**
+ * 解析整數欄位 (口數)，空值回傳 null
+ * @private
+ */
+function _int(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || text === '--' || text === '-') return null;
+  const num = Utils.parseNum(text);
+  return Number.isFinite(num) ? Math.round(num) : null;
+}
+
+/**
+ * 解析三大法人期貨或選擇權未平倉資料
+ * @param {Array<Object>} raw - OpenAPI JSON 陣列
+ * @param {string} date - 交易日 (YYYY-MM-DD)，僅保留此日資料
+ * @returns {Array<Object>} taifex_open_interest 格式資料
+ */
+function parseInstitutionalOpenInterest(raw, date) {
+  const results = [];
+  for (const row of Array.isArray(raw) ? raw : []) {
+    const rowDate = toISODate(_value(row, ['日期', 'Date']));
+    const contract = CONTRACTS[String(_value(row, ['商品名稱', 'ContractCode', 'Contract']) || '').trim()];
+    const investor = INVESTORS[String(_value(row, ['身份別', 'Item', 'Investor']) || '').trim()];
+    if (rowDate !== date || !contract || !investor) continue;
+
+    const callPut = _value(row, ['買賣權別', 'CallPut']);
+    const optionType = callPut === undefined ? 'FUT' : OPTION_TYPES[String(callPut).trim()];
+    if (!optionType) continue;
+
+    const longOi = _int(_value(row, ['多方未平倉口數', 'OpenInterest(Long)']));
+    const shortOi = _int(_value(row, ['空方未平倉口數', 'OpenInterest(Short)']));
+    const netOi = _int(_value(row, ['多空未平倉口數淨額', 'OpenInterest(Net)']));
+    results.push({
+      date,
+      contract,
+      option_type: optionType,
+      investor,
+      long_oi: longOi,
+      short_oi: shortOi,
+      net_oi: netOi ?? (longOi !== null && shortOi !== null ? longOi - shortOi : null),
+      net_oi_amount: _int(_value(row, ['多空未平倉契約金額淨額(千元)', '多空未平倉契約金額淨額', 'OpenInterestAmount(Net)']))
+    });
+  }
+  return results;
+}
+
+/**
+ * 解析 Put/Call Ratio
+ * @param {Array<Object>} raw - OpenAPI JSON 陣列
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @returns {Object|null} put_call_ratios 格式資料，查無該日時為 null
+ */
+function parsePutCallRatio(raw, date) {
+  const row = (Array.isArray(raw) ? raw : []).find(r => toISODate(_value(r, ['日期', 'Date'])) === date);
+  if (!row) return null;
+  return {
+    date,
+    put_volume: _int(_value(row, ['賣權成交量', 'PutVolume'])),
+    call_volume: _int(_value(row, ['買權成交量', 'CallVolume'])),
+    volume_ratio: Utils.parseNum(_value(row, ['買賣權成交量比率%', 'PutCallVolumeRatio%'])) || null,
+    put_oi: _int(_value(row, ['賣權未平倉量', 'PutOI'])),
+    call_oi: _int(_value(row, ['買權未平倉量', 'CallOI'])),
+    oi_ratio: Utils.parseNum(_value(row, ['買賣權未平倉量比率%', 'PutCallOIRatio%'])) || null
+  };
+}
+
+/**
+ * 抓取指定交易日的三大法人期權未平倉與 Put/Call Ratio
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @returns {Promise<{positions: Array<Object>, putCall: Object|null}>} OpenAPI 尚未更新至該日時為空
+ */
+async function fetchTaifexData(date) {
+  const positions = [
+    ...parseInstitutionalOpenInterest(await httpClient.getJson(CONFIG.futuresUrl), date),
+    ...parseInstitutionalOpenInterest(await httpClient.getJson(CONFIG.optionsUrl), date)
+  ];
+  const putCall = parsePutCallRatio(await httpClient.getJson(CONFIG.putCallUrl), date);
+  console.log(`📥 期交所 ${date}: 法人未平倉 ${positions.length} 筆、P/C Ratio ${putCall ? putCall.oi_ratio : '無'}`);
+  return { positions, putCall };
+}
+
+/**
+ * 抓取並儲存期交所資料至資料庫
+ * @async
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @param {Object} DB - 資料庫介面 (需有 saveTaifexOpenInterestBatch / savePutCallRatio 方法)
+ * @returns {Promise<number>} 儲存筆數
+ */
+async function fetchAndSave(date, DB) {
+  const { positions, putCall } = await fetchTaifexData(date);
+  let saved = positions.length > 0 ? DB.saveTaifexOpenInterestBatch(positions) : 0;
+  if (putCall) {
+    DB.savePutCallRatio(putCall);
+    saved++;
+  }
+  if (saved > 0) console.log(`   💾 已儲存 ${saved} 筆期交所資料至資料庫`);
+  return saved;
+}
+
+// CLI: node src/crawler/taifex-crawler.js [date]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { tradingCalendar } = require('../market/trading-calendar');
+  const date = process.argv[2] || tradingCalendar.latestSession();
+  DB.init();
+  fetchAndSave(date, DB)
+    .then(() => DB.close())
+    .catch(err => {
+      console.error(`❌ 期交所資料抓取失敗: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fetchTaifexData,
+  fetchAndSave,
+  parseInstitutionalOpenInterest,
+  parsePutCallRatio,
+  CONFIG
+};
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview 上櫃 (TPEx) 個股日成交資料爬蟲
+ * @description 依證券主檔 (未載入時為 TWSERealtimeCrawler.detectMarketType 推測) 判斷市場：
+ *   上櫃股票抓取櫃買中心個股日成交資訊，上市股票則改走 TWSE STOCK_DAY，
+ *   兩者皆以「月」為單位取得，轉為 ISO 日期後批次寫入 daily_prices。
+ * @module crawler/tpex-daily-crawler
+ * @version 1.0.0
+ * @see docs/crawler-data-source-expansion.md §二.2
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { syncDailyHistory } = require('./crawler/tpex-daily-crawler');
+ * await syncDailyHistory('5340', DB); // 補足至少 60 筆日線
+ */
+
+const TWSERealtimeCrawler = require('./twse-realtime-crawler');
+const { httpClient } = require('./http-client');
+const Utils = require('../utils');
+
+const CONFIG = {
+  /** 櫃買中心個股日成交資訊 (月) */
+  tpexUrl: 'https://www.tpex.org.tw/web/stock/aftertrading/daily_trading_info/st43_result.php',
+  /** 證交所個股日成交資訊 (月) */
+  twseUrl: 'https://www.twse.com.tw/exchangeReport/STOCK_DAY',
+  /** 選股與警示引擎所需的最少日線筆數 */
+  minBars: 60,
+  /** 單次同步最多往回抓取的月份數 */
+  maxMonths: 6,
+  /** TPEx 成交量/金額單位為千股、千元 */
+  tpexUnit: 1000
+};
+
+/** 共用的市場判斷器 (僅使用 detectMarketType，不發送請求) */
+const marketDetector = new TWSERealtimeCrawler();
+
+/**
+ * 載入證券主檔供市場判斷使用
+ * @param {Array<{symbol: string, market: string}>} securities - 如 DB.getSecurities()
+ * @returns {number} 載入筆數
+ */
+function useSecurityMaster(securities) {
+  return marketDetector.loadSecurityMaster(securities);
+}
+
+/**
+ * 判斷股票所屬市場 (已載入證券主檔時以主檔為準)
+ * @param {string} symbol - 股票代碼
+ * @returns {'tse'|'otc'|'unknown'}
+ */
+function detectMarket(symbol) {
+  return marketDetector.detectMarketType(symbol);
+}
+
+/**
+ * 將 YYYY-MM 轉換為 TPEx 查詢用的民國年月 (如 "115/02")
+ * @param {string} yearMonth - YYYY-MM
+ * @returns {string} 民國年月
+ */
+function toRocYearMonth(yearMonth) {
+  const [y, m] = yearMonth.split('-');
+  return `${parseInt(y, 10) - 1911}/${m}`;
+}
+
+/**
+ * 取得前一個月份
+ * @param {string} yearMonth - YYYY-MM
+ * @returns {string} YYYY-MM
+ */
+function previousMonth(yearMonth) {
+  const [y, m] = yearMonth.split('-').map(Number);
+  const d = new Date(y, m - 2, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 解析 TPEx 個股日成交資料列
+ * @param {string} symbol - 股票代碼
+ * @param {Array<Array<string>>} rows - aaData 資料列
+ *   [0] 日期(民國), [1] 成交仟股, [2] 成交仟元, [3] 開盤, [4] 最高,
+ *   [5] 最低, [6] 收盤, [7] 漲跌, [8] 筆數
+ * @returns {Array<Object>} daily_prices 格式資料 (日期升序)
+ */
+function parseTPExRows(symbol, rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const date = Utils.rocToISO(row[0]);
+    const close = Utils.parseNum(row[6]);
+    // 無成交日收盤為 "--"，不寫入假價格
+    if (!date || !close) continue;
+
+    results.push({
+      symbol,
+      date,
+      volume: Math.round(Utils.parseNum(row[1]) * CONFIG.tpexUnit),
+      turnover: Math.round(Utils.parseNum(row[2]) * CONFIG.tpexUnit),
+      open: Utils.parseNum(row[3]),
+      high: Utils.parseNum(row[4]),
+      low: Utils.parseNum(row[5]),
+      close,
+      transactions: Utils.parseNum(row[8])
+    });
+  }
+  return results.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 解析 TWSE STOCK_DAY 資料列
+ * @param {string} symbol - 股票代碼
+ * @param {Array<Array<string>>} rows - data 資料列
+ *   [0] 日期(民國), [1] 成交股數, [2] 成交金額, [3] 開盤, [4] 最高,
+ *   [5] 最低, [6] 收盤, [7] 漲跌價差, [8] 成交筆數
+ * @returns {Array<Object>} daily_prices 格式資料 (日期升序)
+ */
+function parseTWSERows(symbol, rows) {
+  const results = [];
+  for (const row of rows || []) {
+    const date = Utils.rocToISO(row[0]);
+    const close = Utils.parseNum(row[6]);
+    if (!date || !close) continue;
+
+    results.push({
+      symbol,
+      date,
+      volume: Utils.parseNum(row[1]),
+      turnover: Utils.parseNum(row[2]),
+      open: Utils.parseNum(row[3]),
+      high: Utils.parseNum(row[4]),
+      low: Utils.parseNum(row[5]),
+      close,
+      transactions: Utils.parseNum(row[8])
+    });
+  }
+  return results.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 抓取單一股票某月份的日成交資料 (自動判斷上市/上櫃)
+ * @async
+ * @param {string} symbol - 股票代碼
+ * @param {string} yearMonth - 月份 (YYYY-MM)
+ * @param {'tse'|'otc'} [marketType] - 市場類型，未提供則自動判斷
+ * @returns {Promise<Array<Object>>} daily_prices 格式資料 (日期升序)
+ */
+async function fetchMonthlyPrices(symbol, yearMonth, marketType) {
+  const market = marketType || marketDetector.detectMarketType(symbol);
+
+  if (market === 'otc') {
+    const url = `${CONFIG.tpexUrl}?l=zh-tw&d=${toRocYearMonth(yearMonth)}&stkno=${symbol}`;
+    const raw = await httpClient.getJson(url);
+    return parseTPExRows(symbol, raw.aaData);
+  }
+
+  const url = `${CONFIG.twseUrl}?response=json&date=${yearMonth.replace('-', '')}01&stockNo=${symbol}`;
+  const raw = await httpClient.getJson(url);
+  if (raw.stat !== 'OK' || !raw.data) return [];
+  return parseTWSERows(symbol, raw.data);
+}
+
+/**
+ * 同步單一股票的日線歷史，直到累積足夠筆數
+ * @async
+ * @param {string} symbol - 股票代碼
+ * @param {Object} DB - 資料庫介面 (需有 saveDailyPriceBatch 方法)
+ * @param {Object} [options={}]
+ * @param {number} [options.minBars=60] - 最少日線筆數
+ * @param {number} [options.maxMonths=6] - 最多往回抓取月份數
+ * @param {string} [options.endMonth] - 起始 (最新) 月份 YYYY-MM，預設本月
+ * @returns {Promise<number>} 寫入筆數
+ */
+async function syncDailyHistory(symbol, DB, options = {}) {
+  const {
+    minBars = CONFIG.minBars,
+    maxMonths = CONFIG.maxMonths,
+    endMonth = new Date().toISOString().slice(0, 7)
+  } = options;
+
+  const market = marketDetector.detectMarketType(symbol);
+  console.log(`📥 同步日線: ${symbol} (${market === 'otc' ? '上櫃' : '上市'})`);
+
+  const rows = [];
+  let month = endMonth;
+  for (let i = 0; i < maxMonths && rows.length < minBars; i++) {
+    try {
+      const monthly = await fetchMonthlyPrices(symbol, month, market);
+      rows.push(...monthly);
+    } catch (err) {
+      console.warn(`   ⚠️ ${symbol} ${month} 抓取失敗: ${err.message}`);
+    }
+    month = previousMonth(month);
+  }
+
+  if (rows.length === 0) {
+    console.log(`   ⚠️ ${symbol} 無任何日線資料`);
+    return 0;
+  }
+
+  const saved = DB.saveDailyPriceBatch(rows);
+  console.log(`   💾 已儲存 ${saved} 筆日線 (${rows.length < minBars ? '未達' : '已達'} ${minBars} 筆)`);
+  return saved;
+}
+
+// CLI: node src/crawler/tpex-daily-crawler.js [symbols...]
+// 未指定代碼時同步 watchlist 中所有上櫃持股
+if (require.main === module) {
+  const DB = require('../database/db');
+  const { loadWatchlist } = require('./intraday-crawler');
+
+  DB.init();
+  useSecurityMaster(DB.getSecurities());
+
+  const args = process.argv.slice(2);
+  const symbols = args.length > 0
+    ? args
+    : loadWatchlist()
+      .map(s => s.code)
+      .filter(code => marketDetector.detectMarketType(code) === 'otc');
+
+  (async () => {
+    let total = 0;
+    for (const symbol of symbols) {
+      total += await syncDailyHistory(symbol, DB);
+    }
+    console.log(`✅ 完成 ${symbols.length} 檔，共 ${total} 筆`);
+    DB.close();
+  })().catch(err => {
+    console.error(`❌ 同步失敗: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  fetchMonthlyPrices,
+  syncDailyHistory,
+  useSecurityMaster,
+  detectMarket,
+  parseTPExRows,
+  parseTWSERows,
+  toRocYearMonth,
+  previousMonth,
+  CONFIG
+};
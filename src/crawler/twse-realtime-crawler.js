@@ -7,9 +7,9 @@
  * @author System Agent
  */
 
-const https = require('https');
-const { URL } = require('url');
-const zlib = require('zlib');
+const { httpClient } = require('./http-client');
+const { buildOrderBook } = require('../market/order-book');
+const { priceLimits, isAtLimit, isEtf } = require('../market/price-limits');
 
 /**
  * TWSE 證交所即時行情爬蟲類別
@@ -25,6 +25,8 @@ class TWSERealtimeCrawler {
    * @param {number} [options.timeoutMs=15000] - 請求超時時間
    * @param {boolean} [options.enableCache=false] - 是否啟用快取
    * @param {number} [options.cacheTTLMs=5000] - 快取存活時間
+   * @param {Array<{symbol: string, market: string}>} [options.securities] - 證券主檔 (如 DB.getSecurities())
+   * @param {Object} [options.httpClient] - HTTP 客戶端 (預設為 http-client 共用實例)
    */
   constructor(options = {}) {
     this.config = {
@@ -35,6 +37,9 @@ class TWSERealtimeCrawler {
       cacheTTLMs: options.cacheTTLMs ?? 5000
     };
 
+    /** @private @type {HttpClient} */
+    this.http = options.httpClient || httpClient;
+
     /** @private @type {Map<string, {data: Object, timestamp: number}>} */
     this.cache = new Map();
 
@@ -47,7 +52,8 @@ class TWSERealtimeCrawler {
     // API 端點配置
     this.endpoints = {
       twse: 'https://mis.twse.com.tw/stock/api/getStockInfo.jsp',
-      tpex: 'https://mis.twse.com.tw/stock/api/getStockInfo.jsp'
+      tpex: 'https://mis.twse.com.tw/stock/api/getStockInfo.jsp',
+      oddLot: 'https://mis.twse.com.tw/stock/api/getOddInfo.jsp' // 零股 (成交量單位為股)
     };
 
     // 上櫃股票代碼範圍（根據台灣證券交易所規則）
@@ -70,10 +76,29 @@ class TWSERealtimeCrawler {
     this.tseExceptions = new Set([
       '6282', // 康舒 - 6開頭但實際為上市
     ]);
+
+    /** @private @type {Map<string, string>} 證券主檔 symbol → market，優先於代碼範圍推測 */
+    this.securityMaster = new Map();
+    if (options.securities) this.loadSecurityMaster(options.securities);
+  }
+
+  /**
+   * 載入證券主檔，之後 detectMarketType 以主檔為準
+   * @param {Array<{symbol: string, market: string}>} securities - 證券主檔
+   * @returns {number} 載入筆數
+   */
+  loadSecurityMaster(securities) {
+    this.securityMaster = new Map(
+      (securities || [])
+        .filter(s => s && s.symbol && (s.market === 'tse' || s.market === 'otc'))
+        .map(s => [s.symbol, s.market])
+    );
+    return this.securityMaster.size;
   }
 
   /**
    * 根據股票代碼自動判斷市場類型
+   * @description 已載入證券主檔時以主檔為準，否則依代碼範圍與例外清單推測
    * @param {string} code - 股票代碼（如 "2454"、"5340"）
    * @returns {'tse'|'otc'} 市場類型代碼
    * @example
@@ -91,6 +116,12 @@ class TWSERealtimeCrawler {
       throw new Error(`Invalid stock code: ${code}`);
     }
 
+    // 證券主檔優先
+    const known = this.securityMaster.get(code);
+    if (known) {
+      return known;
+    }
+
     // 檢查是否在上市例外清單中
     if (this.tseExceptions.has(code)) {
       return 'tse';
@@ -202,6 +233,15 @@ class TWSERealtimeCrawler {
     const change = price - prevClose;
     const changePct = prevClose ? (change / prevClose) * 100 : 0;
 
+    // 漲跌停價：優先使用交易所提供的 u / w，缺漏時依昨收推算
+    const fallbackLimits = priceLimits(prevClose, { etf: isEtf(code) });
+    const limits = {
+      limitUp: parsePrice(raw.u) || (fallbackLimits ? fallbackLimits.limitUp : 0),
+      limitDown: parsePrice(raw.w) || (fallbackLimits ? fallbackLimits.limitDown : 0)
+    };
+    const orderBook = this._parseOrderBook(raw);
+    const limitSide = this._detectLimitSide(price, limits, orderBook);
+
     return {
       code,
       name,
@@ -216,10 +256,48 @@ class TWSERealtimeCrawler {
       changePct,
       time,
       market: code ? this.detectMarketType(code) : 'unknown',
+      limitUp: limits.limitUp || null,      // 漲停價
+      limitDown: limits.limitDown || null,  // 跌停價
+      isLimitUp: limitSide === 'UP',
+      isLimitDown: limitSide === 'DOWN',
+      orderBook,                            // 五檔委買委賣
       raw                                   // 保留原始資料以供參考
     };
   }
 
+  /**
+   * 判斷是否漲停或跌停：成交價位於漲跌停價，或尚無成交但最佳一檔已掛在漲跌停價且對手方無掛單
+   * @private
+   * @param {number} price - 最新成交價 (0 表示尚無成交)
+   * @param {{limitUp: number, limitDown: number}} limits
+   * @param {Object|null} orderBook - _parseOrderBook() 的輸出
+   * @returns {'UP'|'DOWN'|null}
+   */
+  _detectLimitSide(price, limits, orderBook) {
+    const side = isAtLimit(price, limits);
+    if (side || !orderBook) return side;
+    if (orderBook.bestBid !== null && orderBook.bestAsk === null && limits.limitUp > 0 && orderBook.bestBid >= limits.limitUp) return 'UP';
+    if (orderBook.bestAsk !== null && orderBook.bestBid === null && limits.limitDown > 0 && orderBook.bestAsk <= limits.limitDown) return 'DOWN';
+    return null;
+  }
+
+  /**
+   * 解析五檔委買委賣（a/f 為委賣價量、b/g 為委買價量，以底線分隔，最佳價在前）
+   * @private
+   * @param {Object} raw - TWSE API 原始資料中的單筆股票資料
+   * @returns {Object|null} buildOrderBook() 格式，無五檔資料時為 null
+   */
+  _parseOrderBook(raw) {
+    const split = (val) => (typeof val === 'string' ? val.split('_').filter(v => v !== '') : []);
+    const levels = (prices, sizes) => {
+      const lots = split(sizes);
+      return split(prices).map((price, i) => ({ price: parseFloat(price), size: parseInt(lots[i], 10) || 0 }));
+    };
+
+    if (!raw.a && !raw.b) return null;
+    return buildOrderBook(levels(raw.b, raw.g), levels(raw.a, raw.f));
+  }
+
   /**
    * 執行速率限制等待
    * @private
@@ -249,124 +327,22 @@ class TWSERealtimeCrawler {
   }
 
   /**
-   * 計算指數退避延遲時間
-   * @private
-   * @param {number} attempt - 當前嘗試次數（從1開始）
-   * @returns {number} 延遲毫秒數
-   */
-  _calculateBackoff(attempt) {
-    // 指數退避：2^attempt * 1000ms，加上隨機抖動
-    const baseDelay = Math.pow(2, attempt) * 1000;
-    const jitter = Math.random() * 500;
-    return Math.min(baseDelay + jitter, 10000); // 最大10秒
-  }
-
-  /**
-   * 發送 HTTP GET 請求
-   * @private
-   * @param {string} url - 請求 URL
-   * @returns {Promise<string>} 回應內容
-   * @throws {Error} 當請求失敗時拋出錯誤
-   */
-  async _httpGet(url) {
-    return new Promise((resolve, reject) => {
-      const parsedUrl = new URL(url);
-      const options = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || 443,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'GET',
-        timeout: this.config.timeoutMs,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.0.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.0',
-          'Accept': 'application/json, text/javascript, */*; q=0.01',
-          'Accept-Language': 'zh-TW,zh;q=0.9,en-US;q=0.8,en;q=0.7',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Referer': 'https://mis.twse.com.tw/',
-          'Connection': 'keep-alive'
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let chunks = [];
-        const encoding = res.headers['content-encoding'];
-
-        // 處理重定向
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          this._httpGet(res.headers.location).then(resolve).catch(reject);
-          return;
-        }
-
-        res.on('data', chunk => {
-          chunks.push(chunk);
-        });
-
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            const buffer = Buffer.concat(chunks);
-            let data;
-
-            // 處理壓縮編碼
-            if (encoding === 'gzip') {
-              data = zlib.gunzipSync(buffer).toString('utf-8');
-            } else if (encoding === 'deflate') {
-              data = zlib.inflateSync(buffer).toString('utf-8');
-            } else if (encoding === 'br') {
-              data = zlib.brotliDecompressSync(buffer).toString('utf-8');
-            } else {
-              data = buffer.toString('utf-8');
-            }
-
-            resolve(data);
-          } else {
-            const buffer = Buffer.concat(chunks);
-            const errorData = buffer.toString('utf-8').substring(0, 200);
-            reject(new Error(`HTTP ${res.statusCode}: ${errorData}`));
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(new Error(`Request failed: ${error.message}`));
-      });
-
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error(`Request timeout after ${this.config.timeoutMs}ms`));
-      });
-
-      req.end();
-    });
-  }
-
-  /**
-   * 帶重試機制的請求
+   * 帶重試機制的請求 (重試、解壓縮與軟封鎖冷卻由共用 HTTP 客戶端處理)
    * @private
    * @param {string} url - 請求 URL
    * @returns {Promise<string>} 回應內容
    * @throws {Error} 當所有重試都失敗時拋出錯誤
    */
   async _fetchWithRetry(url) {
-    let lastError;
-
-    for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
-      try {
-        await this._applyRateLimit();
-        const response = await this._httpGet(url);
-        return response;
-      } catch (error) {
-        lastError = error;
-
-        if (attempt < this.config.maxRetries) {
-          const delay = this._calculateBackoff(attempt);
-          console.log(`   ⚠️  Attempt ${attempt}/${this.config.maxRetries} failed: ${error.message}`);
-          console.log(`   ⏱️  Retrying in ${delay.toFixed(0)}ms...`);
-          await this._sleep(delay);
-        }
+    await this._applyRateLimit();
+    return this.http.getText(url, {
+      timeoutMs: this.config.timeoutMs,
+      retries: this.config.maxRetries,
+      headers: {
+        'Accept': 'application/json, text/javascript, */*; q=0.01',
+        'Referer': 'https://mis.twse.com.tw/'
       }
-    }
-
-    throw new Error(`Failed after ${this.config.maxRetries} attempts: ${lastError.message}`);
+    });
   }
 
   /**
@@ -414,6 +390,8 @@ class TWSERealtimeCrawler {
   /**
    * 批次查詢多檔股票即時行情（最多100檔）
    * @param {Array<string|{code: string, marketType?: string}>} codes - 股票代碼列表
+   * @param {Object} [options={}]
+   * @param {boolean} [options.oddLot=false] - 查詢零股行情（不使用快取，結果附 oddLot: true）
    * @returns {Promise<Array<Object>>} 股票行情資料陣列
    * @throws {Error} 當 codes 超過100檔時拋出錯誤
    * @example
@@ -426,7 +404,9 @@ class TWSERealtimeCrawler {
    *   { code: '5340', marketType: 'otc' }
    * ]);
    */
-  async fetchBatch(codes) {
+  async fetchBatch(codes, options = {}) {
+    const oddLot = options.oddLot === true;
+
     if (!Array.isArray(codes)) {
       throw new Error('codes must be an array');
     }
@@ -453,7 +433,8 @@ class TWSERealtimeCrawler {
       });
 
       const batchQuery = queryParts.join('|');
-      const url = `${this.endpoints.twse}?ex_ch=${batchQuery}&json=1&delay=0`;
+      const endpoint = oddLot ? this.endpoints.oddLot : this.endpoints.twse;
+      const url = `${endpoint}?ex_ch=${batchQuery}&json=1&delay=0`;
 
       const raw = await this._fetchWithRetry(url);
       const data = this.parseTWSEData(raw);
@@ -466,15 +447,16 @@ class TWSERealtimeCrawler {
       // 標準化所有結果，過濾掉無效資料（沒有股票代碼的）
       const results = data.msgArray
         .map(stock => this._normalizeStockData(stock))
-        .filter(quote => quote.code && quote.code.length > 0);
+        .filter(quote => quote.code && quote.code.length > 0)
+        .map(quote => (oddLot ? { ...quote, oddLot: true } : quote));
 
       if (results.length < data.msgArray.length) {
         const filteredCount = data.msgArray.length - results.length;
         console.warn(`   ⚠️  Filtered out ${filteredCount} invalid stock entries (no valid code)`);
       }
 
-      // 更新快取
-      if (this.config.enableCache) {
+      // 更新快取（零股與整股代碼相同，不寫入）
+      if (this.config.enableCache && !oddLot) {
         results.forEach(quote => {
           this._setCache(quote.code, quote);
         });
@@ -535,6 +517,7 @@ class TWSERealtimeCrawler {
     return {
       requestCount: this.requestCount,
       cacheSize: this.cache.size,
+      http: this.http.getMetrics()['mis.twse.com.tw'] || null,
       config: { ...this.config }
     };
   }
@@ -13,19 +13,95 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { screenRows, DATASETS: QUALITY_DATASETS } = require('../quality/validator');
+const { migrate } = require('./migrator');
+const { requireISODate } = require('../dates');
+const { tradingCalendar } = require('../market/trading-calendar');
 
 const DB_PATH = path.resolve(__dirname, '../../stock_data.db');
 const SCHEMA_PATH = path.resolve(__dirname, 'schema.sql');
 
 let db;
 
+/** 法人買賣超併入同日借券賣出 (LEFT JOIN，無借券資料時欄位為 null) */
+const INSTITUTIONAL_WITH_SBL = `
+  SELECT i.*, s.sbl_sell, s.sbl_balance
+  FROM institutional_trades i
+  LEFT JOIN securities_lending s ON s.symbol = i.symbol AND s.date = i.date`;
+
+/**
+ * 寫入邊界檢查: 日期欄位必須為 YYYY-MM-DD (見 dates 模組)，null / undefined 略過 (由 NOT NULL 約束把關)
+ * @private
+ * @param {Object} data - 待寫入資料
+ * @param {...string} fields - 日期欄位名稱
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function _requireDates(data, ...fields) {
+  for (const field of fields) {
+    if (data[field] !== null && data[field] !== undefined) requireISODate(data[field], field);
+  }
+}
+
+/** 月營收數值欄位 (比對是否為重複公告) */
+const FUNDAMENTAL_FIELDS = [
+  'revenue', 'revenue_prev_month', 'revenue_last_year', 'revenue_growth_mom',
+  'revenue_growth_yoy', 'cumulative_revenue', 'cumulative_growth_yoy'
+];
+
+/** 季財報數值欄位 (比對是否為重複公告) */
+const FINANCIAL_STATEMENT_FIELDS = [
+  'revenue', 'gross_profit', 'operating_income', 'net_income', 'eps',
+  'total_assets', 'total_liabilities', 'equity', 'operating_cash_flow',
+  'gross_margin', 'operating_margin', 'roe', 'debt_ratio'
+];
+
+/**
+ * 時點資料寫入 (fundamentals / financial_statements): 每個公告日一個版本。
+ * 數字與前一版本完全相同的重複公告不另存；更正 (數字不同) 以新的公告日新增一筆，
+ * 查詢某日可得的資料時不會提前看到更正後的數字。同一公告日重複寫入時覆寫。
+ * @private
+ * @param {string} table - 資料表名稱
+ * @param {Object} data - 含 symbol, period, date 與數值欄位
+ * @param {Array<string>} fields - 數值欄位
+ * @param {Object} [options={}]
+ * @param {Array<string>} [options.inherit=[]] - 本次為 null 時沿用前一版本數值的欄位
+ * @returns {Object} run result (重複公告略過時 changes 為 0)
+ */
+function _savePointInTime(table, data, fields, { inherit = [] } = {}) {
+  _requireDates(data, 'date');
+  const conn = getDb();
+  const versionAt = (op, order) => conn
+    .prepare(`SELECT * FROM ${table} WHERE symbol = ? AND period = ? AND date ${op} ? ORDER BY date ${order} LIMIT 1`)
+    .get(data.symbol, data.period, data.date);
+  const sameFigures = (a, b) => fields.every(field => a[field] === b[field]);
+
+  const previous = versionAt('<=', 'DESC');
+  const row = { symbol: data.symbol, period: data.period, date: data.date };
+  for (const field of fields) {
+    row[field] = data[field] ?? (inherit.includes(field) ? previous?.[field] : null) ?? null;
+  }
+  if (previous && previous.date < row.date && sameFigures(previous, row)) return { changes: 0 };
+
+  const columns = Object.keys(row);
+  const result = conn
+    .prepare(`INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+    .run(row);
+  // 補寫較早的公告日時，下一個版本若數字相同即成為重複公告，移除
+  const next = versionAt('>', 'ASC');
+  if (next && sameFigures(next, row)) {
+    conn.prepare(`DELETE FROM ${table} WHERE symbol = ? AND period = ? AND date = ?`).run(next.symbol, next.period, next.date);
+  }
+  return result;
+}
+
 /**
  * 取得資料庫連線 (lazy singleton)
+ * @param {string} [dbPath=DB_PATH] - 首次開啟時的資料庫路徑 (測試可用 ':memory:')
  * @returns {Database} better-sqlite3 instance
  */
-function getDb() {
+function getDb(dbPath = DB_PATH) {
   if (!db) {
-    db = new Database(DB_PATH);
+    db = new Database(dbPath);
     db.pragma('journal_mode = WAL');
     db.pragma('foreign_keys = ON');
   }
@@ -33,13 +109,17 @@ function getDb() {
 }
 
 /**
- * 執行 schema.sql 初始化所有資料表
+ * 套用未執行的遷移 (調整既有舊表) 後執行 schema.sql 建立其餘資料表與索引，
+ * 並將 market_calendar 的臨時異動 (颱風停市等) 載入共用交易日曆
+ * @param {string} [dbPath=DB_PATH] - 資料庫路徑 (連線已開啟時沿用既有連線)
  * @returns {void}
  */
-function initDb() {
-  const conn = getDb();
+function initDb(dbPath = DB_PATH) {
+  const conn = getDb(dbPath);
+  migrate(conn);
   const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
   conn.exec(schema);
+  tradingCalendar.loadOverrides(DB.getCalendarOverrides(), { replace: true });
   console.log('✅ SQLite 資料庫 Schema 初始化完成');
 }
 
@@ -58,6 +138,7 @@ const DB = {
    * @returns {Object} run result
    */
   saveDailyPrice(data) {
+    _requireDates(data, 'date');
     const stmt = getDb().prepare(`
       INSERT OR REPLACE INTO daily_prices (symbol, date, open, high, low, close, volume, turnover, transactions)
       VALUES (@symbol, @date, @open, @high, @low, @close, @volume, @turnover, @transactions)
@@ -76,18 +157,21 @@ const DB = {
   },
 
   /**
-   * 批量儲存每日收盤資料
+   * 批量儲存每日收盤資料 (未通過品質檢核的資料列改存 quarantined_rows)
    * @param {Array<Object>} rows - 資料陣列
-   * @returns {number} 寫入筆數
+   * @returns {number} 寫入筆數 (不含隔離筆數)
    */
   saveDailyPriceBatch(rows) {
+    const { accepted, quarantined } = screenRows('daily_prices', rows);
+    // 隔離與寫入同一交易：任一筆寫入失敗時隔離紀錄一併還原
     const insert = getDb().transaction((items) => {
+      if (quarantined.length > 0) DB.quarantineRows('daily_prices', quarantined);
       for (const item of items) {
         DB.saveDailyPrice(item);
       }
       return items.length;
     });
-    return insert(rows);
+    return insert(accepted);
   },
 
   /**
@@ -109,6 +193,7 @@ const DB = {
    * @returns {Object} run result
    */
   saveInstitutionalTrade(data) {
+    _requireDates(data, 'date');
     const stmt = getDb().prepare(`
       INSERT OR REPLACE INTO institutional_trades
         (symbol, date, foreign_net, trust_net, dealer_net, margin_balance, short_balance)
@@ -126,17 +211,609 @@ const DB = {
   },
 
   /**
-   * 查詢法人買賣超歷史
+   * 批量儲存法人買賣超與資券資料 (未通過品質檢核的資料列改存 quarantined_rows)
+   * @param {Array<Object>} rows - 資料陣列
+   * @returns {number} 寫入筆數 (不含隔離筆數)
+   */
+  saveInstitutionalTradeBatch(rows) {
+    const { accepted, quarantined } = screenRows('institutional_trades', rows);
+    // 隔離與寫入同一交易：任一筆寫入失敗時隔離紀錄一併還原
+    const insert = getDb().transaction((items) => {
+      if (quarantined.length > 0) DB.quarantineRows('institutional_trades', quarantined);
+      for (const item of items) {
+        DB.saveInstitutionalTrade(item);
+      }
+      return items.length;
+    });
+    return insert(accepted);
+  },
+
+  /**
+   * 查詢法人買賣超歷史 (併入同日借券賣出 sbl_sell / sbl_balance，無資料時為 null)
    * @param {string} symbol
    * @param {number} [limit=30]
    * @returns {Array<Object>}
    */
   getInstitutionalHistory(symbol, limit = 30) {
     return getDb()
-      .prepare('SELECT * FROM institutional_trades WHERE symbol = ? ORDER BY date DESC LIMIT ?')
+      .prepare(`${INSTITUTIONAL_WITH_SBL} WHERE i.symbol = ? ORDER BY i.date DESC LIMIT ?`)
+      .all(symbol, limit);
+  },
+
+  // ─── securities_lending ──────────────────────────
+  /**
+   * 儲存借券賣出餘額
+   * @param {Object} data - { symbol, date, sbl_prev_balance?, sbl_sell?, sbl_return?, sbl_adjust?, sbl_balance?, sbl_limit? }
+   * @returns {Object}
+   */
+  saveSecuritiesLending(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO securities_lending
+        (symbol, date, sbl_prev_balance, sbl_sell, sbl_return, sbl_adjust, sbl_balance, sbl_limit)
+      VALUES (@symbol, @date, @sbl_prev_balance, @sbl_sell, @sbl_return, @sbl_adjust, @sbl_balance, @sbl_limit)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      sbl_prev_balance: data.sbl_prev_balance ?? null,
+      sbl_sell: data.sbl_sell ?? 0,
+      sbl_return: data.sbl_return ?? 0,
+      sbl_adjust: data.sbl_adjust ?? 0,
+      sbl_balance: data.sbl_balance ?? null,
+      sbl_limit: data.sbl_limit ?? null
+    });
+  },
+
+  /**
+   * 批量儲存借券賣出餘額
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveSecuritiesLendingBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveSecuritiesLending(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  // ─── foreign_holdings ────────────────────────────
+  /**
+   * 儲存外資持股統計
+   * @param {Object} data - { symbol, date, shares_issued?, foreign_shares?, available_shares?, foreign_ratio?, available_ratio?, limit_ratio? }
+   * @returns {Object}
+   */
+  saveForeignHolding(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO foreign_holdings
+        (symbol, date, shares_issued, foreign_shares, available_shares, foreign_ratio, available_ratio, limit_ratio)
+      VALUES (@symbol, @date, @shares_issued, @foreign_shares, @available_shares, @foreign_ratio, @available_ratio, @limit_ratio)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      shares_issued: data.shares_issued ?? null,
+      foreign_shares: data.foreign_shares ?? null,
+      available_shares: data.available_shares ?? null,
+      foreign_ratio: data.foreign_ratio ?? null,
+      available_ratio: data.available_ratio ?? null,
+      limit_ratio: data.limit_ratio ?? null
+    });
+  },
+
+  /**
+   * 批量儲存外資持股統計
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveForeignHoldingBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveForeignHolding(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢外資持股歷史 (最新在前)
+   * @param {string} symbol
+   * @param {number} [limit=120]
+   * @returns {Array<Object>}
+   */
+  getForeignHoldingHistory(symbol, limit = 120) {
+    return getDb()
+      .prepare('SELECT * FROM foreign_holdings WHERE symbol = ? ORDER BY date DESC LIMIT ?')
+      .all(symbol, limit);
+  },
+
+  // ─── day_trading ─────────────────────────────────
+  /**
+   * 儲存當沖個股明細
+   * @param {Object} data - { symbol, date, day_trade_volume, buy_amount?, sell_amount?, suspended? }
+   * @returns {Object}
+   */
+  saveDayTrading(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO day_trading
+        (symbol, date, day_trade_volume, buy_amount, sell_amount, suspended)
+      VALUES (@symbol, @date, @day_trade_volume, @buy_amount, @sell_amount, @suspended)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      day_trade_volume: data.day_trade_volume,
+      buy_amount: data.buy_amount ?? null,
+      sell_amount: data.sell_amount ?? null,
+      suspended: data.suspended ?? 0
+    });
+  },
+
+  /**
+   * 批量儲存當沖個股明細
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveDayTradingBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveDayTrading(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢當沖歷史並以當日總成交量計算當沖比 (最新在前)
+   * @param {string} symbol
+   * @param {number} [limit=20]
+   * @returns {Array<Object>} day_trading 欄位另含 volume 與 day_trade_ratio (0-1，無日線時為 null)
+   */
+  getDayTradingHistory(symbol, limit = 20) {
+    return getDb().prepare(`
+      SELECT d.*, p.volume,
+        CASE WHEN p.volume > 0 THEN CAST(d.day_trade_volume AS REAL) / p.volume END AS day_trade_ratio
+      FROM day_trading d
+      LEFT JOIN daily_prices p ON p.symbol = d.symbol AND p.date = d.date
+      WHERE d.symbol = ? ORDER BY d.date DESC LIMIT ?
+    `).all(symbol, limit);
+  },
+
+  // ─── shareholding_distribution ───────────────────
+  /**
+   * 儲存股權分散表單一分級
+   * @param {Object} data - { symbol, date, level, holders?, shares?, ratio? }
+   * @returns {Object}
+   */
+  saveShareholding(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO shareholding_distribution (symbol, date, level, holders, shares, ratio)
+      VALUES (@symbol, @date, @level, @holders, @shares, @ratio)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      level: data.level,
+      holders: data.holders ?? null,
+      shares: data.shares ?? null,
+      ratio: data.ratio ?? null
+    });
+  },
+
+  /**
+   * 批量儲存股權分散表
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveShareholdingBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveShareholding(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢最近數週的股權分散表
+   * @param {string} symbol
+   * @param {number} [weeks=2]
+   * @returns {Array<Object>} 依日期降冪、分級升冪
+   */
+  getShareholdingHistory(symbol, weeks = 2) {
+    return getDb().prepare(`
+      SELECT * FROM shareholding_distribution
+      WHERE symbol = ? AND date IN (
+        SELECT DISTINCT date FROM shareholding_distribution WHERE symbol = ? ORDER BY date DESC LIMIT ?
+      )
+      ORDER BY date DESC, level ASC
+    `).all(symbol, symbol, weeks);
+  },
+
+  // ─── market_indices ──────────────────────────────
+  /**
+   * 儲存指數收盤資料
+   * @param {Object} data - { index_code, date, name?, market?, industry?, close, change?, change_pct? }
+   * @returns {Object}
+   */
+  saveMarketIndex(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO market_indices
+        (index_code, date, name, market, industry, close, change, change_pct)
+      VALUES (@index_code, @date, @name, @market, @industry, @close, @change, @change_pct)
+    `);
+    return stmt.run({
+      index_code: data.index_code,
+      date: data.date,
+      name: data.name ?? null,
+      market: data.market ?? null,
+      industry: data.industry ?? null,
+      close: data.close,
+      change: data.change ?? null,
+      change_pct: data.change_pct ?? null
+    });
+  },
+
+  /**
+   * 批量儲存指數收盤資料
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveMarketIndexBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveMarketIndex(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢指數區間資料 (日期升序)
+   * @param {string} indexCode - TAIEX、TPEX 或產業類指數名稱
+   * @param {string} [startDate='0000-00-00']
+   * @param {string} [endDate='9999-12-31']
+   * @returns {Array<Object>}
+   */
+  getIndexSeries(indexCode, startDate = '0000-00-00', endDate = '9999-12-31') {
+    return getDb()
+      .prepare('SELECT * FROM market_indices WHERE index_code = ? AND date >= ? AND date <= ? ORDER BY date ASC')
+      .all(indexCode, startDate, endDate);
+  },
+
+  /**
+   * 取得指定交易日的所有指數 (大盤在前，其餘依代碼排序)
+   * @param {string} date
+   * @returns {Array<Object>}
+   */
+  getMarketIndicesByDate(date) {
+    return getDb()
+      .prepare("SELECT * FROM market_indices WHERE date = ? ORDER BY industry IS NOT NULL, index_code")
+      .all(date);
+  },
+
+  // ─── taifex_open_interest / put_call_ratios ──────
+  /**
+   * 儲存期交所三大法人未平倉
+   * @param {Object} data - { date, contract, option_type, investor, long_oi?, short_oi?, net_oi?, net_oi_amount? }
+   * @returns {Object}
+   */
+  saveTaifexOpenInterest(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO taifex_open_interest
+        (date, contract, option_type, investor, long_oi, short_oi, net_oi, net_oi_amount)
+      VALUES (@date, @contract, @option_type, @investor, @long_oi, @short_oi, @net_oi, @net_oi_amount)
+    `);
+    return stmt.run({
+      date: data.date,
+      contract: data.contract,
+      option_type: data.option_type,
+      investor: data.investor,
+      long_oi: data.long_oi ?? null,
+      short_oi: data.short_oi ?? null,
+      net_oi: data.net_oi ?? null,
+      net_oi_amount: data.net_oi_amount ?? null
+    });
+  },
+
+  /**
+   * 批量儲存期交所三大法人未平倉
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveTaifexOpenInterestBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveTaifexOpenInterest(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 取得指定日 (含) 以前最近一個交易日的三大法人未平倉
+   * @param {string} [date='9999-12-31']
+   * @returns {Array<Object>}
+   */
+  getTaifexOpenInterest(date = '9999-12-31') {
+    return getDb().prepare(`
+      SELECT * FROM taifex_open_interest
+      WHERE date = (SELECT MAX(date) FROM taifex_open_interest WHERE date <= ?)
+      ORDER BY contract, option_type, investor
+    `).all(date);
+  },
+
+  /**
+   * 儲存 Put/Call Ratio
+   * @param {Object} data - { date, put_volume?, call_volume?, volume_ratio?, put_oi?, call_oi?, oi_ratio? }
+   * @returns {Object}
+   */
+  savePutCallRatio(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO put_call_ratios
+        (date, put_volume, call_volume, volume_ratio, put_oi, call_oi, oi_ratio)
+      VALUES (@date, @put_volume, @call_volume, @volume_ratio, @put_oi, @call_oi, @oi_ratio)
+    `);
+    return stmt.run({
+      date: data.date,
+      put_volume: data.put_volume ?? null,
+      call_volume: data.call_volume ?? null,
+      volume_ratio: data.volume_ratio ?? null,
+      put_oi: data.put_oi ?? null,
+      call_oi: data.call_oi ?? null,
+      oi_ratio: data.oi_ratio ?? null
+    });
+  },
+
+  // ─── securities ──────────────────────────────────
+  /**
+   * 儲存證券主檔
+   * @param {Object} data - { symbol, name, full_name?, market, industry?, shares_outstanding?, listing_date?, status? }
+   * @returns {Object}
+   */
+  saveSecurity(data) {
+    _requireDates(data, 'listing_date');
+    const stmt = getDb().prepare(`
+      INSERT INTO securities
+        (symbol, name, full_name, market, industry, shares_outstanding, listing_date, status, updated_at)
+      VALUES (@symbol, @name, @full_name, @market, @industry, @shares_outstanding, @listing_date, @status, CURRENT_TIMESTAMP)
+      ON CONFLICT(symbol) DO UPDATE SET
+        name = excluded.name,
+        full_name = excluded.full_name,
+        market = excluded.market,
+        industry = excluded.industry,
+        shares_outstanding = excluded.shares_outstanding,
+        listing_date = excluded.listing_date,
+        status = excluded.status,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      name: data.name ?? null,
+      full_name: data.full_name ?? null,
+      market: data.market,
+      industry: data.industry ?? null,
+      shares_outstanding: data.shares_outstanding ?? null,
+      listing_date: data.listing_date ?? null,
+      status: data.status ?? 'LISTED'
+    });
+  },
+
+  /**
+   * 批量儲存證券主檔
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveSecurityBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveSecurity(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 將指定市場中不在最新清單的證券標記為下市/櫃
+   * @param {string} market - 'tse' | 'otc'
+   * @param {Array<string>} activeSymbols - 最新清單中的代碼
+   * @returns {number} 異動筆數
+   */
+  markSecuritiesDelisted(market, activeSymbols) {
+    const active = new Set(activeSymbols);
+    const stale = getDb()
+      .prepare("SELECT symbol FROM securities WHERE market = ? AND status = 'LISTED'")
+      .all(market)
+      .filter(r => !active.has(r.symbol));
+    const update = getDb().prepare(
+      "UPDATE securities SET status = 'DELISTED', updated_at = CURRENT_TIMESTAMP WHERE symbol = ?"
+    );
+    const run = getDb().transaction((items) => {
+      for (const item of items) update.run(item.symbol);
+      return items.length;
+    });
+    return run(stale);
+  },
+
+  /**
+   * 查詢單一證券主檔
+   * @param {string} symbol
+   * @returns {Object|undefined}
+   */
+  getSecurity(symbol) {
+    return getDb().prepare('SELECT * FROM securities WHERE symbol = ?').get(symbol);
+  },
+
+  /**
+   * 查詢證券主檔清單
+   * @param {Object} [filter={}]
+   * @param {string} [filter.market] - 'tse' | 'otc'
+   * @param {string} [filter.status='LISTED']
+   * @returns {Array<Object>}
+   */
+  getSecurities({ market, status = 'LISTED' } = {}) {
+    if (market) {
+      return getDb()
+        .prepare('SELECT * FROM securities WHERE market = ? AND status = ? ORDER BY symbol')
+        .all(market, status);
+    }
+    return getDb()
+      .prepare('SELECT * FROM securities WHERE status = ? ORDER BY symbol')
+      .all(status);
+  },
+
+  // ─── fundamentals ────────────────────────────────
+  /**
+   * 儲存月營收基本面資料 (時點版本: 重複公告略過，更正以新出表日另存一筆)
+   * @param {Object} data - { symbol, date, period, revenue, revenue_prev_month?, revenue_last_year?,
+   *   revenue_growth_mom?, revenue_growth_yoy?, cumulative_revenue?, cumulative_growth_yoy? }
+   * @returns {Object} run result (重複公告時 changes 為 0)
+   */
+  saveFundamental(data) {
+    return _savePointInTime('fundamentals', data, FUNDAMENTAL_FIELDS);
+  },
+
+  /**
+   * 批量儲存月營收基本面資料
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數 (不含略過的重複公告)
+   */
+  saveFundamentalBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      let written = 0;
+      for (const item of items) {
+        written += DB.saveFundamental(item).changes;
+      }
+      return written;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢月營收歷史 (依公告日，最新在前；更正過的月份含各版本)
+   * @param {string} symbol
+   * @param {number} [limit=24]
+   * @returns {Array<Object>}
+   */
+  getFundamentalHistory(symbol, limit = 24) {
+    return getDb()
+      .prepare('SELECT * FROM fundamentals WHERE symbol = ? ORDER BY date DESC, period DESC LIMIT ?')
       .all(symbol, limit);
   },
 
+  // ─── financial_statements ────────────────────────
+  /**
+   * 儲存季財報 (時點版本: 重複公告略過，更正以新公告日另存一筆；
+   * operating_cash_flow 為 null 時沿用前一版本，僅部分公司取得現金流量表)
+   * @param {Object} data - { symbol, period, date, eps?, roe?, ... }
+   * @returns {Object} run result (重複公告時 changes 為 0)
+   */
+  saveFinancialStatement(data) {
+    return _savePointInTime('financial_statements', data, FINANCIAL_STATEMENT_FIELDS, { inherit: ['operating_cash_flow'] });
+  },
+
+  /**
+   * 批量儲存季財報
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數 (不含略過的重複公告)
+   */
+  saveFinancialStatementBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      let written = 0;
+      for (const item of items) {
+        written += DB.saveFinancialStatement(item).changes;
+      }
+      return written;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢季財報 (依季別，最新在前；每季取最新版本)
+   * @param {string} symbol
+   * @param {number} [limit=8]
+   * @returns {Array<Object>}
+   */
+  getFinancialStatements(symbol, limit = 8) {
+    return getDb()
+      .prepare(`
+        SELECT * FROM financial_statements f
+        WHERE symbol = ?
+          AND date = (SELECT MAX(date) FROM financial_statements WHERE symbol = f.symbol AND period = f.period)
+        ORDER BY period DESC LIMIT ?
+      `)
+      .all(symbol, limit);
+  },
+
+  // ─── corporate_actions ───────────────────────────
+  /**
+   * 儲存除權息 / 減資事件
+   * @param {Object} data - { symbol, date, action_type, prev_close?, reference_price?, cash_dividend?, stock_ratio?, factor?, note? }
+   * @returns {Object}
+   */
+  saveCorporateAction(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO corporate_actions
+        (symbol, date, action_type, prev_close, reference_price, cash_dividend, stock_ratio, factor, note)
+      VALUES (@symbol, @date, @action_type, @prev_close, @reference_price, @cash_dividend, @stock_ratio, @factor, @note)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      action_type: data.action_type,
+      prev_close: data.prev_close ?? null,
+      reference_price: data.reference_price ?? null,
+      cash_dividend: data.cash_dividend ?? null,
+      stock_ratio: data.stock_ratio ?? null,
+      factor: data.factor ?? null,
+      note: data.note ?? null
+    });
+  },
+
+  /**
+   * 批量儲存除權息 / 減資事件
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveCorporateActionBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveCorporateAction(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢除權息 / 減資事件 (依日期升序)
+   * @param {string} symbol
+   * @param {string} [startDate='0000-00-00'] - 起始日 (含)
+   * @param {string} [endDate='9999-12-31'] - 結束日 (含)
+   * @returns {Array<Object>}
+   */
+  getCorporateActions(symbol, startDate = '0000-00-00', endDate = '9999-12-31') {
+    return getDb()
+      .prepare('SELECT * FROM corporate_actions WHERE symbol = ? AND date >= ? AND date <= ? ORDER BY date ASC')
+      .all(symbol, startDate, endDate);
+  },
+
   // ─── indicators ──────────────────────────────────
   /**
    * 儲存指標計算結果
@@ -144,6 +821,7 @@ const DB = {
    * @returns {Object}
    */
   saveIndicator(data) {
+    _requireDates(data, 'date');
     const stmt = getDb().prepare(`
       INSERT OR REPLACE INTO indicators (symbol, date, indicator_type, value, signal, metadata)
       VALUES (@symbol, @date, @indicator_type, @value, @signal, @metadata)
@@ -173,19 +851,36 @@ const DB = {
 
   // ─── screener_signals ────────────────────────────
   /**
-   * 儲存選股訊號
-   * @param {Object} data
+   * 儲存選股訊號 (同一股票同一訊號日覆寫)
+   * @param {Object} data - { symbol, date, signal_date, technical_score, institutional_score, fundamental_score,
+   *   total_score, tier, vao_score?, mtm_score?, ma_trend?, foreign_sentiment?, recommendation?, notes? }
    * @returns {Object}
    */
   saveScreenerSignal(data) {
+    _requireDates(data, 'date', 'signal_date');
     const stmt = getDb().prepare(`
       INSERT OR REPLACE INTO screener_signals
-        (symbol, date, signal_date, technical_score, institutional_score, volume_score, total_score,
-         tier, vao_score, mtm_score, ma_trend, foreign_sentiment, notes)
-      VALUES (@symbol, @date, @signal_date, @technical_score, @institutional_score, @volume_score,
-              @total_score, @tier, @vao_score, @mtm_score, @ma_trend, @foreign_sentiment, @notes)
+        (symbol, date, signal_date, technical_score, institutional_score, fundamental_score, total_score,
+         tier, vao_score, mtm_score, ma_trend, foreign_sentiment, recommendation, notes)
+      VALUES (@symbol, @date, @signal_date, @technical_score, @institutional_score, @fundamental_score,
+              @total_score, @tier, @vao_score, @mtm_score, @ma_trend, @foreign_sentiment, @recommendation, @notes)
     `);
-    return stmt.run(data);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      signal_date: data.signal_date ?? data.date,
+      technical_score: data.technical_score ?? null,
+      institutional_score: data.institutional_score ?? null,
+      fundamental_score: data.fundamental_score ?? null,
+      total_score: data.total_score ?? null,
+      tier: data.tier ?? null,
+      vao_score: data.vao_score ?? null,
+      mtm_score: data.mtm_score ?? null,
+      ma_trend: data.ma_trend ?? null,
+      foreign_sentiment: data.foreign_sentiment ?? null,
+      recommendation: data.recommendation ?? null,
+      notes: data.notes ?? null
+    });
   },
 
   // ─── alert_log ───────────────────────────────────
@@ -207,6 +902,358 @@ const DB = {
     });
   },
 
+  // ─── market_calendar ─────────────────────────────
+  /**
+   * 登錄交易日曆臨時異動
+   * @param {Object} data - { date, is_trading, reason? }
+   * @returns {Object}
+   */
+  saveCalendarOverride(data) {
+    _requireDates(data, 'date');
+    return getDb().prepare(`
+      INSERT OR REPLACE INTO market_calendar (date, is_trading, reason)
+      VALUES (@date, @is_trading, @reason)
+    `).run({
+      date: data.date,
+      is_trading: data.is_trading ? 1 : 0,
+      reason: data.reason ?? null
+    });
+  },
+
+  /**
+   * 取得所有交易日曆臨時異動
+   * @returns {Array<Object>}
+   */
+  getCalendarOverrides() {
+    return getDb().prepare('SELECT * FROM market_calendar ORDER BY date').all();
+  },
+
+  /**
+   * 刪除交易日曆臨時異動
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object} run result
+   */
+  deleteCalendarOverride(date) {
+    requireISODate(date, 'date');
+    return getDb().prepare('DELETE FROM market_calendar WHERE date = ?').run(date);
+  },
+
+  // ─── backfill_checkpoints ────────────────────────
+  /**
+   * 取得回補工作的所有進度紀錄
+   * @param {string} job - 工作名稱
+   * @returns {Array<Object>}
+   */
+  getBackfillCheckpoints(job) {
+    return getDb()
+      .prepare('SELECT * FROM backfill_checkpoints WHERE job = ?')
+      .all(job);
+  },
+
+  /**
+   * 記錄回補單元的執行結果 (重複執行時累加 attempts)
+   * @param {Object} data - { job, dataset, unit, status, rows?, error? }
+   * @returns {Object}
+   */
+  saveBackfillCheckpoint(data) {
+    const stmt = getDb().prepare(`
+      INSERT INTO backfill_checkpoints (job, dataset, unit, status, rows, attempts, error, updated_at)
+      VALUES (@job, @dataset, @unit, @status, @rows, 1, @error, CURRENT_TIMESTAMP)
+      ON CONFLICT(job, dataset, unit) DO UPDATE SET
+        status = excluded.status,
+        rows = excluded.rows,
+        attempts = backfill_checkpoints.attempts + 1,
+        error = excluded.error,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run({
+      job: data.job,
+      dataset: data.dataset,
+      unit: data.unit,
+      status: data.status,
+      rows: data.rows ?? 0,
+      error: data.error ?? null
+    });
+  },
+
+  // ─── quarantined_rows ────────────────────────────
+  /**
+   * 隔離未通過品質檢核的資料列
+   * @param {string} dataset - 'daily_prices' | 'institutional_trades'
+   * @param {Array<{row: Object, issues: Array<Object>}>} items - screenRows() 的 quarantined
+   * @param {Object} [options={}]
+   * @param {string} [options.source='ingest'] - 'ingest' (寫入時攔截) | 'health_check' (既有資料檢核)
+   * @param {string} [options.runId=null] - 健康檢核批次代碼
+   * @param {boolean} [options.removeFromSource=false] - 一併自主表刪除該列
+   * @returns {number} 隔離筆數
+   */
+  quarantineRows(dataset, items, { source = 'ingest', runId = null, removeFromSource = false } = {}) {
+    if (!QUALITY_DATASETS.includes(dataset)) throw new Error(`不支援的資料集: ${dataset}`);
+    const conn = getDb();
+    const save = conn.prepare(`
+      INSERT OR REPLACE INTO quarantined_rows (dataset, symbol, date, issues, payload, source, run_id)
+      VALUES (@dataset, @symbol, @date, @issues, @payload, @source, @run_id)
+    `);
+    const remove = conn.prepare(`DELETE FROM ${dataset} WHERE symbol = ? AND date = ?`);
+    const run = conn.transaction((list) => {
+      for (const { row, issues } of list) {
+        const date = String(row.date ?? '');
+        save.run({
+          dataset,
+          symbol: row.symbol,
+          date,
+          issues: issues.map(i => i.code).join(','),
+          payload: JSON.stringify(row),
+          source,
+          run_id: runId
+        });
+        if (removeFromSource) remove.run(row.symbol, date);
+      }
+      return list.length;
+    });
+    return run(items);
+  },
+
+  /**
+   * 查詢隔離資料 (最新在前)
+   * @param {string} [dataset=null] - 資料集 (null = 全部)
+   * @param {number} [limit=100]
+   * @returns {Array<Object>} payload 已解析為物件
+   */
+  getQuarantinedRows(dataset = null, limit = 100) {
+    const rows = dataset
+      ? getDb().prepare('SELECT * FROM quarantined_rows WHERE dataset = ? ORDER BY date DESC, symbol LIMIT ?').all(dataset, limit)
+      : getDb().prepare('SELECT * FROM quarantined_rows ORDER BY date DESC, symbol LIMIT ?').all(limit);
+    return rows.map(r => ({ ...r, payload: JSON.parse(r.payload) }));
+  },
+
+  /**
+   * 查詢區間內的資料列 (供健康檢核使用，依股票、日期排序)
+   * @param {string} dataset - 'daily_prices' | 'institutional_trades'
+   * @param {string} startDate - 開始日期 (YYYY-MM-DD)
+   * @param {string} endDate - 結束日期 (YYYY-MM-DD)
+   * @returns {Array<Object>}
+   */
+  getRowsBetween(dataset, startDate, endDate) {
+    if (!QUALITY_DATASETS.includes(dataset)) throw new Error(`不支援的資料集: ${dataset}`);
+    return getDb()
+      .prepare(`SELECT * FROM ${dataset} WHERE date BETWEEN ? AND ? ORDER BY symbol, date`)
+      .all(startDate, endDate);
+  },
+
+  // ─── data_health_reports ─────────────────────────
+  /**
+   * 儲存資料健康報告
+   * @param {Object} report - runDataHealthCheck() 結果
+   * @returns {Object}
+   */
+  saveDataHealthReport(report) {
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO data_health_reports
+        (run_id, start_date, end_date, checked, quarantined, warnings, missing_days, details)
+      VALUES (@run_id, @start_date, @end_date, @checked, @quarantined, @warnings, @missing_days, @details)
+    `);
+    return stmt.run({
+      run_id: report.runId,
+      start_date: report.startDate,
+      end_date: report.endDate,
+      checked: report.totals.checked,
+      quarantined: report.totals.quarantined,
+      warnings: report.totals.warnings,
+      missing_days: report.totals.missingDays,
+      details: JSON.stringify(report)
+    });
+  },
+
+  /**
+   * 取得最近一次資料健康報告
+   * @returns {Object|undefined} details 已解析為報告物件
+   */
+  getLatestDataHealthReport() {
+    const row = getDb()
+      .prepare('SELECT * FROM data_health_reports ORDER BY created_at DESC, run_id DESC LIMIT 1')
+      .get();
+    if (!row) return row;
+    return { ...row, details: JSON.parse(row.details || '{}') };
+  },
+
+  // ─── intraday_snapshots ──────────────────────────
+  /**
+   * 儲存盤中報價快照
+   * @param {Object} data - { symbol, ts, date, price, open?, high?, low?, prev_close?, volume?, source? }
+   * @returns {Object}
+   */
+  saveIntradaySnapshot(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO intraday_snapshots
+        (symbol, ts, date, price, open, high, low, prev_close, limit_up, limit_down, volume, source)
+      VALUES (@symbol, @ts, @date, @price, @open, @high, @low, @prev_close, @limit_up, @limit_down, @volume, @source)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      ts: data.ts,
+      date: data.date,
+      price: data.price,
+      open: data.open ?? null,
+      high: data.high ?? null,
+      low: data.low ?? null,
+      prev_close: data.prev_close ?? null,
+      limit_up: data.limit_up ?? null,
+      limit_down: data.limit_down ?? null,
+      volume: data.volume ?? null,
+      source: data.source ?? null
+    });
+  },
+
+  /**
+   * 批量儲存盤中報價快照
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveIntradaySnapshotBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveIntradaySnapshot(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 查詢某交易日的盤中快照 (依時間升序)
+   * @param {string} symbol
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array<Object>}
+   */
+  getIntradaySnapshots(symbol, date) {
+    return getDb()
+      .prepare('SELECT * FROM intraday_snapshots WHERE symbol = ? AND date = ? ORDER BY ts ASC')
+      .all(symbol, date);
+  },
+
+  /**
+   * 查詢某交易日所有股票的盤中快照 (依股票、時間升序，供來源比對使用)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array<Object>}
+   */
+  getIntradaySnapshotsByDate(date) {
+    return getDb()
+      .prepare('SELECT * FROM intraday_snapshots WHERE date = ? ORDER BY symbol, ts ASC')
+      .all(date);
+  },
+
+  // ─── intraday_bars ───────────────────────────────
+  /**
+   * 儲存盤中 K 棒 (同一根重複寫入時覆寫)
+   * @param {Object} data - { symbol, date, interval, bar_time, open, high, low, close, volume, cum_volume }
+   * @returns {Object}
+   */
+  saveIntradayBar(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO intraday_bars
+        (symbol, date, interval, bar_time, open, high, low, close, volume, cum_volume, updated_at)
+      VALUES (@symbol, @date, @interval, @bar_time, @open, @high, @low, @close, @volume, @cum_volume, CURRENT_TIMESTAMP)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      date: data.date,
+      interval: data.interval,
+      bar_time: data.bar_time,
+      open: data.open,
+      high: data.high,
+      low: data.low,
+      close: data.close,
+      volume: data.volume ?? 0,
+      cum_volume: data.cum_volume ?? 0
+    });
+  },
+
+  /**
+   * 取得某交易日最新一根 K 棒 (增量累加用)
+   * @param {string} symbol
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} interval - K 棒週期 (分鐘)
+   * @returns {Object|undefined}
+   */
+  getLatestIntradayBar(symbol, date, interval) {
+    return getDb()
+      .prepare('SELECT * FROM intraday_bars WHERE symbol = ? AND date = ? AND interval = ? ORDER BY bar_time DESC LIMIT 1')
+      .get(symbol, date, interval);
+  },
+
+  /**
+   * 查詢某交易日的盤中 K 棒 (依時間升序)
+   * @param {string} symbol
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} [interval=1] - K 棒週期 (分鐘): 1, 5, 15
+   * @returns {Array<Object>}
+   */
+  getIntradayBars(symbol, date, interval = 1) {
+    return getDb()
+      .prepare('SELECT * FROM intraday_bars WHERE symbol = ? AND date = ? AND interval = ? ORDER BY bar_time ASC')
+      .all(symbol, date, interval);
+  },
+
+  // ─── order_book_snapshots ────────────────────────
+  /**
+   * 儲存五檔委買委賣快照
+   * @param {Object} data - { symbol, ts, date, best_bid?, best_ask?, spread?, spread_pct?, bid_depth?, ask_depth?, imbalance?, bids?, asks? }
+   * @returns {Object}
+   */
+  saveOrderBookSnapshot(data) {
+    _requireDates(data, 'date');
+    const stmt = getDb().prepare(`
+      INSERT OR REPLACE INTO order_book_snapshots
+        (symbol, ts, date, best_bid, best_ask, spread, spread_pct, bid_depth, ask_depth, imbalance, bids, asks)
+      VALUES (@symbol, @ts, @date, @best_bid, @best_ask, @spread, @spread_pct, @bid_depth, @ask_depth, @imbalance, @bids, @asks)
+    `);
+    return stmt.run({
+      symbol: data.symbol,
+      ts: data.ts,
+      date: data.date,
+      best_bid: data.best_bid ?? null,
+      best_ask: data.best_ask ?? null,
+      spread: data.spread ?? null,
+      spread_pct: data.spread_pct ?? null,
+      bid_depth: data.bid_depth ?? 0,
+      ask_depth: data.ask_depth ?? 0,
+      imbalance: data.imbalance ?? null,
+      bids: data.bids ? JSON.stringify(data.bids) : null,
+      asks: data.asks ? JSON.stringify(data.asks) : null
+    });
+  },
+
+  /**
+   * 批量儲存五檔快照
+   * @param {Array<Object>} rows
+   * @returns {number} 寫入筆數
+   */
+  saveOrderBookSnapshotBatch(rows) {
+    const insert = getDb().transaction((items) => {
+      for (const item of items) {
+        DB.saveOrderBookSnapshot(item);
+      }
+      return items.length;
+    });
+    return insert(rows);
+  },
+
+  /**
+   * 取得最新一筆五檔快照 (bids / asks 已解析)
+   * @param {string} symbol
+   * @returns {Object|undefined}
+   */
+  getLatestOrderBook(symbol) {
+    const row = getDb()
+      .prepare('SELECT * FROM order_book_snapshots WHERE symbol = ? ORDER BY ts DESC LIMIT 1')
+      .get(symbol);
+    if (!row) return row;
+    return { ...row, bids: JSON.parse(row.bids || '[]'), asks: JSON.parse(row.asks || '[]') };
+  },
+
   // ─── positions ───────────────────────────────────
   /**
    * 取得所有持倉
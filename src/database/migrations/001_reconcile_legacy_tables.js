@@ -0,0 +1,67 @@
+/**
+ * @fileoverview 遷移 001 - 併入舊版 src/database.js 建立的資料表
+ * @description 舊模組建立的 daily_prices / institutional_trades 缺少 created_at 與預設值，positions 僅有
+ *   symbol / buy_price / quantity / stop_loss_price 四欄。資料表存在且結構不同時依 schema.sql 定義重建並保留資料；
+ *   不存在時略過 (由 schema.sql 建立)。
+ *   down 不還原：重建後的欄位為舊表的超集，舊程式仍可正常讀寫。
+ * @module database/migrations/001_reconcile_legacy_tables
+ * @version 1.0.0
+ */
+
+const { reconcileTable } = require('./helpers');
+
+/** 與 schema.sql 一致的資料表定義 */
+const TABLES = {
+  daily_prices: name => `
+    CREATE TABLE ${name} (
+      symbol TEXT NOT NULL,
+      date TEXT NOT NULL,
+      open REAL,
+      high REAL,
+      low REAL,
+      close REAL,
+      volume INTEGER,
+      turnover INTEGER,
+      transactions INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(symbol, date)
+    )`,
+  institutional_trades: name => `
+    CREATE TABLE ${name} (
+      symbol TEXT NOT NULL,
+      date TEXT NOT NULL,
+      foreign_net INTEGER DEFAULT 0,
+      trust_net INTEGER DEFAULT 0,
+      dealer_net INTEGER DEFAULT 0,
+      margin_balance INTEGER DEFAULT 0,
+      short_balance INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(symbol, date)
+    )`,
+  positions: name => `
+    CREATE TABLE ${name} (
+      symbol TEXT PRIMARY KEY,
+      name TEXT,
+      buy_price REAL,
+      quantity INTEGER,
+      buy_date TEXT,
+      stop_loss_price REAL,
+      take_profit_price REAL,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+};
+
+module.exports = {
+  version: 1,
+  name: 'reconcile_legacy_tables',
+
+  up(db) {
+    for (const [table, createSql] of Object.entries(TABLES)) {
+      reconcileTable(db, table, createSql);
+    }
+  },
+
+  down() {}
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview 遷移 002 - 統一 screener_signals 欄位
+ * @description schema.sql 原定義為 volume_score，選股引擎 _saveSignals 另行建立的表則為 fundamental_score /
+ *   recommendation 且無 UNIQUE(symbol, signal_date)，兩者寫入互相失敗或重複累積。
+ *   up 統一為三維評分欄位 (fundamental_score、recommendation) 並加上唯一鍵，同日重複訊號保留最後一筆；
+ *   down 還原為 volume_score 版本 (fundamental_score / recommendation 資料捨棄)。
+ * @module database/migrations/002_screener_signals_fundamental
+ * @version 1.0.0
+ */
+
+const { reconcileTable } = require('./helpers');
+
+/** 三維評分版本 (與 schema.sql 一致) */
+const SIGNALS_V2 = name => `
+  CREATE TABLE ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    signal_date TEXT NOT NULL,
+    technical_score REAL,
+    institutional_score REAL,
+    fundamental_score REAL,
+    total_score REAL,
+    tier TEXT,
+    vao_score REAL,
+    mtm_score REAL,
+    ma_trend TEXT,
+    foreign_sentiment TEXT,
+    recommendation TEXT,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, signal_date)
+  )`;
+
+/** 原 schema.sql 的 volume_score 版本 */
+const SIGNALS_V1 = name => `
+  CREATE TABLE ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    signal_date TEXT NOT NULL,
+    technical_score REAL,
+    institutional_score REAL,
+    volume_score REAL,
+    total_score REAL,
+    tier TEXT,
+    vao_score REAL,
+    mtm_score REAL,
+    ma_trend TEXT,
+    foreign_sentiment TEXT,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(symbol, signal_date)
+  )`;
+
+module.exports = {
+  version: 2,
+  name: 'screener_signals_fundamental',
+
+  up(db) {
+    reconcileTable(db, 'screener_signals', SIGNALS_V2, { orderBy: 'id' });
+  },
+
+  down(db) {
+    reconcileTable(db, 'screener_signals', SIGNALS_V1, { orderBy: 'id' });
+  }
+};
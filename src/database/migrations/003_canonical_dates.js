@@ -0,0 +1,74 @@
+/**
+ * @fileoverview 遷移 003 - 日期欄位統一為 YYYY-MM-DD
+ * @description 舊版 index.js / crawler.js 以 YYYYMMDD 寫入日期，institutional-crawler 則寫入 YYYY-MM-DD，
+ *   混用時字串排序與區間篩選皆會出錯。逐表檢查名為 date 或以 _date 結尾的欄位，
+ *   將 YYYYMMDD 與 YYYY/MM/DD 改寫為 YYYY-MM-DD (僅限實際存在的日期)。
+ *   改寫後與既有 ISO 日期資料主鍵衝突時保留既有資料、刪除舊格式資料。
+ *   無法辨識的值不改動，僅列出筆數；新寫入的資料由 DB 寫入邊界檢查 (dates.requireISODate) 拒絕。
+ *   down 不還原：改寫後無法分辨原始格式。
+ * @module database/migrations/003_canonical_dates
+ * @version 1.0.0
+ */
+
+const { tableColumns } = require('./helpers');
+
+/** 日期欄位名稱 */
+const DATE_COLUMN = /^(date|\w+_date)$/;
+
+/** 舊格式 → ISO 的 SQL 運算式 */
+const LEGACY_FORMATS = [
+  {
+    label: 'YYYYMMDD',
+    match: col => `${col} GLOB '[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9]'`,
+    toISO: col => `substr(${col}, 1, 4) || '-' || substr(${col}, 5, 2) || '-' || substr(${col}, 7, 2)`
+  },
+  {
+    label: 'YYYY/MM/DD',
+    match: col => `${col} GLOB '[0-9][0-9][0-9][0-9]/[0-9][0-9]/[0-9][0-9]'`,
+    toISO: col => `replace(${col}, '/', '-')`
+  }
+];
+
+/**
+ * 資料庫內所有日期欄位
+ * @private
+ * @returns {Array<{table: string, column: string}>}
+ */
+function _dateColumns(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'")
+    .all()
+    .flatMap(({ name }) => tableColumns(db, name)
+      .filter(column => DATE_COLUMN.test(column))
+      .map(column => ({ table: name, column })));
+}
+
+module.exports = {
+  version: 3,
+  name: 'canonical_dates',
+
+  up(db) {
+    for (const { table, column } of _dateColumns(db)) {
+      let rewritten = 0;
+      let dropped = 0;
+      for (const format of LEGACY_FORMATS) {
+        // date() 會將 02-30 之類的日期進位，須與原值相同才視為有效日期
+        const where = `${format.match(column)} AND date(${format.toISO(column)}) = ${format.toISO(column)}`;
+        rewritten += db.prepare(`UPDATE OR IGNORE ${table} SET ${column} = ${format.toISO(column)} WHERE ${where}`).run().changes;
+        dropped += db.prepare(`DELETE FROM ${table} WHERE ${where}`).run().changes;
+      }
+
+      const invalid = db.prepare(
+        `SELECT COUNT(*) AS n FROM ${table} WHERE ${column} IS NOT NULL AND (typeof(${column}) != 'text' OR date(${column}) IS NOT ${column})`
+      ).get().n;
+
+      if (rewritten > 0 || dropped > 0) {
+        console.log(`   🗓️ ${table}.${column}: 改寫 ${rewritten} 筆，與既有資料重複刪除 ${dropped} 筆`);
+      }
+      if (invalid > 0) {
+        console.warn(`   ⚠️ ${table}.${column}: ${invalid} 筆日期無法辨識，未改動`);
+      }
+    }
+  },
+
+  down() {}
+};
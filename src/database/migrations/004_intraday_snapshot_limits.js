@@ -0,0 +1,34 @@
+/**
+ * @fileoverview 遷移 004 - intraday_snapshots 加入交易所漲跌停價
+ * @description 漲跌停警示原以快照昨收推算漲跌停價，除權息或恢復交易日的參考價不等於昨收時會判斷錯誤。
+ *   新增 limit_up / limit_down 保存 TWSE MIS 回傳的 u / w；既有快照維持 null (警示改以昨收推算)。
+ *   資料表不存在時略過 (由 schema.sql 建立)。
+ * @module database/migrations/004_intraday_snapshot_limits
+ * @version 1.0.0
+ */
+
+const { tableExists, tableColumns } = require('./helpers');
+
+/** 新增欄位 */
+const COLUMNS = ['limit_up', 'limit_down'];
+
+module.exports = {
+  version: 4,
+  name: 'intraday_snapshot_limits',
+
+  up(db) {
+    if (!tableExists(db, 'intraday_snapshots')) return;
+    const existing = tableColumns(db, 'intraday_snapshots');
+    for (const column of COLUMNS) {
+      if (!existing.includes(column)) db.exec(`ALTER TABLE intraday_snapshots ADD COLUMN ${column} REAL`);
+    }
+  },
+
+  down(db) {
+    if (!tableExists(db, 'intraday_snapshots')) return;
+    const existing = tableColumns(db, 'intraday_snapshots');
+    for (const column of COLUMNS) {
+      if (existing.includes(column)) db.exec(`ALTER TABLE intraday_snapshots DROP COLUMN ${column}`);
+    }
+  }
+};
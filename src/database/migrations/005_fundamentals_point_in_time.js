@@ -0,0 +1,106 @@
+/**
+ * @fileoverview 遷移 005 - fundamentals / financial_statements 改為時點版本 (symbol, period, date)
+ * @description 月營收的 date 為開放資料出表日 (每日更新)，每日執行的爬蟲對同一期重複新增相同數字的資料列；
+ *   季財報原以 (symbol, period) 覆寫，更正後的數字沿用首次公告日，回測會提前看到更正。
+ *   up 將兩表主鍵統一為 (symbol, period, date)，並刪除數字與同一期前一版本完全相同的重複公告
+ *   (保留最早出表日的版本，更正後的版本保留)；down 將 financial_statements 還原為 (symbol, period)，
+ *   同一季取最新版本的數字 (已刪除的重複公告不還原)。資料表不存在時略過 (由 schema.sql 建立)。
+ * @module database/migrations/005_fundamentals_point_in_time
+ * @version 1.0.0
+ */
+
+const { tableExists, reconcileTable } = require('./helpers');
+
+/** 時點版本的 fundamentals (與 schema.sql 一致) */
+const FUNDAMENTALS = name => `
+  CREATE TABLE ${name} (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    period TEXT NOT NULL,
+    revenue INTEGER,
+    revenue_prev_month INTEGER,
+    revenue_last_year INTEGER,
+    revenue_growth_mom REAL,
+    revenue_growth_yoy REAL,
+    cumulative_revenue INTEGER,
+    cumulative_growth_yoy REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, period, date)
+  )`;
+
+/** 時點版本的 financial_statements (與 schema.sql 一致) */
+const FINANCIAL_STATEMENTS_V2 = name => `
+  CREATE TABLE ${name} (
+    symbol TEXT NOT NULL,
+    period TEXT NOT NULL,
+    date TEXT NOT NULL,
+    revenue INTEGER,
+    gross_profit INTEGER,
+    operating_income INTEGER,
+    net_income INTEGER,
+    eps REAL,
+    total_assets INTEGER,
+    total_liabilities INTEGER,
+    equity INTEGER,
+    operating_cash_flow INTEGER,
+    gross_margin REAL,
+    operating_margin REAL,
+    roe REAL,
+    debt_ratio REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, period, date)
+  )`;
+
+/** 原 (symbol, period) 主鍵版本 */
+const FINANCIAL_STATEMENTS_V1 = name => FINANCIAL_STATEMENTS_V2(name).replace('PRIMARY KEY(symbol, period, date)', 'PRIMARY KEY(symbol, period)');
+
+/** 比對是否為重複公告的數值欄位 */
+const VALUE_COLUMNS = {
+  fundamentals: [
+    'revenue', 'revenue_prev_month', 'revenue_last_year', 'revenue_growth_mom',
+    'revenue_growth_yoy', 'cumulative_revenue', 'cumulative_growth_yoy'
+  ],
+  financial_statements: [
+    'revenue', 'gross_profit', 'operating_income', 'net_income', 'eps',
+    'total_assets', 'total_liabilities', 'equity', 'operating_cash_flow',
+    'gross_margin', 'operating_margin', 'roe', 'debt_ratio'
+  ]
+};
+
+/**
+ * 刪除數字與同一期前一版本 (依 date) 完全相同的資料列
+ * @private
+ * @param {Database} db
+ * @param {string} table
+ * @returns {number} 刪除筆數
+ */
+function _dropRepublications(db, table) {
+  const same = VALUE_COLUMNS[table].map(c => `${c} IS LAG(${c}) OVER w`).join(' AND ');
+  return db.prepare(`
+    DELETE FROM ${table} WHERE rowid IN (
+      SELECT rowid FROM (
+        SELECT rowid, LAG(date) OVER w AS prev_date, ${same} AS same
+        FROM ${table}
+        WINDOW w AS (PARTITION BY symbol, period ORDER BY date)
+      )
+      WHERE prev_date IS NOT NULL AND same
+    )
+  `).run().changes;
+}
+
+module.exports = {
+  version: 5,
+  name: 'fundamentals_point_in_time',
+
+  up(db) {
+    if (tableExists(db, 'fundamentals')) {
+      reconcileTable(db, 'fundamentals', FUNDAMENTALS, { orderBy: 'date' });
+      _dropRepublications(db, 'fundamentals');
+    }
+    reconcileTable(db, 'financial_statements', FINANCIAL_STATEMENTS_V2, { orderBy: 'date' });
+  },
+
+  down(db) {
+    reconcileTable(db, 'financial_statements', FINANCIAL_STATEMENTS_V1, { orderBy: 'date' });
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview 遷移共用工具 - 查詢欄位與重建資料表
+ * @description SQLite 無法修改欄位定義或約束，結構不一致時以「建新表 → 複製共同欄位 → 刪舊表 → 更名」重建。
+ *   重建會一併刪除舊表的索引，由 DB.init() 於遷移後執行 schema.sql 補回。
+ * @module database/migrations/helpers
+ * @version 1.0.0
+ */
+
+/**
+ * 資料表是否存在
+ * @param {Database} db - better-sqlite3 instance
+ * @param {string} table
+ * @returns {boolean}
+ */
+function tableExists(db, table) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+}
+
+/**
+ * 取得資料表欄位名稱 (依定義順序)
+ * @param {Database} db
+ * @param {string} table
+ * @returns {Array<string>} 資料表不存在時為空陣列
+ */
+function tableColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+/**
+ * 資料表結構簽章 (欄位名稱、型別、NOT NULL、預設值、主鍵順序與唯一鍵)，用於判斷結構是否一致
+ * @private
+ */
+function _signature(db, table) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all()
+    .map(c => [c.name, c.type, c.notnull, c.dflt_value, c.pk].join(':'));
+  const uniques = db.prepare(`PRAGMA index_list(${table})`).all()
+    .filter(i => i.origin === 'u')
+    .map(i => db.prepare(`PRAGMA index_info(${i.name})`).all().map(c => c.name).join('+'))
+    .sort();
+  return JSON.stringify({ columns, uniques });
+}
+
+/**
+ * 以新定義重建資料表並保留共同欄位的資料
+ * @param {Database} db
+ * @param {string} table - 資料表名稱
+ * @param {function(string): string} createSql - 依表名產生 CREATE TABLE 語句
+ * @param {Object} [options={}]
+ * @param {string} [options.orderBy] - 複製順序 (唯一鍵衝突時後者覆寫前者)
+ * @returns {number} 複製筆數
+ */
+function rebuildTable(db, table, createSql, options = {}) {
+  const temp = `${table}__rebuild`;
+  db.exec(`DROP TABLE IF EXISTS ${temp}`);
+  db.exec(createSql(temp));
+
+  const target = new Set(tableColumns(db, temp));
+  const shared = tableColumns(db, table).filter(c => target.has(c)).join(', ');
+  const { changes } = db.prepare(
+    `INSERT OR REPLACE INTO ${temp} (${shared}) SELECT ${shared} FROM ${table}` +
+    (options.orderBy ? ` ORDER BY ${options.orderBy}` : '')
+  ).run();
+
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${temp} RENAME TO ${table}`);
+  return changes;
+}
+
+/**
+ * 資料表存在且結構 (欄位定義或唯一鍵) 與預期不同時重建
+ * @param {Database} db
+ * @param {string} table
+ * @param {function(string): string} createSql
+ * @param {Object} [options={}] - 同 rebuildTable
+ * @returns {boolean} 是否重建
+ */
+function reconcileTable(db, table, createSql, options = {}) {
+  if (!tableExists(db, table)) return false;
+  const probe = `${table}__probe`;
+  db.exec(`DROP TABLE IF EXISTS ${probe}`);
+  db.exec(createSql(probe));
+  const expected = _signature(db, probe);
+  db.exec(`DROP TABLE ${probe}`);
+  if (_signature(db, table) === expected) return false;
+  rebuildTable(db, table, createSql, options);
+  return true;
+}
+
+module.exports = {
+  tableExists,
+  tableColumns,
+  rebuildTable,
+  reconcileTable
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview 資料庫遷移 - 編號遷移檔與 schema_version 版本紀錄
+ * @description 遷移檔位於 database/migrations/，檔名為三位數版本號加名稱 (例: 002_screener_signals_fundamental.js)，
+ *   匯出 { version, name, up(db), down(db) }。每個遷移於單一交易內執行並寫入 schema_version。
+ *   遷移負責調整「既有」資料表的結構與資料；新資料表與索引仍寫在 schema.sql (CREATE IF NOT EXISTS)。
+ *   DB.init() 先執行遷移再套用 schema.sql，因此遷移遇到不存在的資料表應略過。
+ * @module database/migrator
+ * @version 1.0.0
+ *
+ * @example
+ * const { migrate, rollback, migrationStatus } = require('./database/migrator');
+ * migrate(DB.getDb());          // 套用所有未執行的遷移
+ * rollback(DB.getDb(), 1);      // 還原至版本 1
+ *
+ * // CLI: node src/database/migrator.js [up|down|status] [version]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, 'migrations');
+
+/** 遷移檔名格式 */
+const FILE_PATTERN = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+/**
+ * 建立 schema_version 資料表
+ * @param {Database} db - better-sqlite3 instance
+ * @returns {void}
+ */
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * 載入遷移檔 (依版本排序)
+ * @param {string} [dir=MIGRATIONS_DIR]
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ * @throws {Error} 版本號與檔名不符或重複
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const migration = require(path.join(dir, file));
+      if (migration.version !== parseInt(file.match(FILE_PATTERN)[1], 10)) {
+        throw new Error(`遷移版本號與檔名不符: ${file}`);
+      }
+      return migration;
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && m.version === migrations[i - 1].version) throw new Error(`遷移版本號重複: ${m.version}`);
+  });
+  return migrations;
+}
+
+/**
+ * 目前的資料庫版本
+ * @param {Database} db
+ * @returns {number} 尚未執行任何遷移時為 0
+ */
+function currentVersion(db) {
+  ensureVersionTable(db);
+  return db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+}
+
+/**
+ * 套用未執行的遷移
+ * @param {Database} db
+ * @param {Object} [options={}]
+ * @param {number} [options.target] - 目標版本，預設為最新
+ * @param {Array<Object>} [options.migrations] - 遷移清單，預設載入 migrations/
+ * @returns {Array<number>} 本次套用的版本
+ */
+function migrate(db, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const target = options.target ?? Infinity;
+  ensureVersionTable(db);
+  const applied = new Set(db.prepare('SELECT version FROM schema_version').all().map(r => r.version));
+
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  const done = [];
+  for (const migration of migrations) {
+    if (migration.version > target || applied.has(migration.version)) continue;
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    })();
+    console.log(`   🗄️ 遷移 ${String(migration.version).padStart(3, '0')}_${migration.name} 已套用`);
+    done.push(migration.version);
+  }
+  return done;
+}
+
+/**
+ * 還原遷移至指定版本
+ * @param {Database} db
+ * @param {number} target - 目標版本 (還原所有大於此版本的遷移)
+ * @param {Object} [options={}]
+ * @param {Array<Object>} [options.migrations] - 遷移清單，預設載入 migrations/
+ * @returns {Array<number>} 本次還原的版本 (由新到舊)
+ */
+function rollback(db, target, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  ensureVersionTable(db);
+  const applied = new Set(db.prepare('SELECT version FROM schema_version').all().map(r => r.version));
+
+  const remove = db.prepare('DELETE FROM schema_version WHERE version = ?');
+  const done = [];
+  for (const migration of [...migrations].reverse()) {
+    if (migration.version <= target || !applied.has(migration.version)) continue;
+    db.transaction(() => {
+      migration.down(db);
+      remove.run(migration.version);
+    })();
+    console.log(`   🗄️ 遷移 ${String(migration.version).padStart(3, '0')}_${migration.name} 已還原`);
+    done.push(migration.version);
+  }
+  return done;
+}
+
+/**
+ * 各遷移的套用狀態
+ * @param {Database} db
+ * @param {Object} [options={}]
+ * @param {Array<Object>} [options.migrations] - 遷移清單，預設載入 migrations/
+ * @returns {Array<{version: number, name: string, appliedAt: string|null}>}
+ */
+function migrationStatus(db, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  ensureVersionTable(db);
+  const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_version').all()
+    .map(r => [r.version, r.applied_at]));
+  return migrations.map(m => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version) ?? null }));
+}
+
+// CLI: node src/database/migrator.js [up|down|status] [version]
+if (require.main === module) {
+  const DB = require('./db');
+  const [command = 'up', version] = process.argv.slice(2);
+  const db = DB.getDb();
+  try {
+    if (command === 'up') {
+      const done = migrate(db, { target: version !== undefined ? parseInt(version, 10) : undefined });
+      console.log(`✅ 已套用 ${done.length} 個遷移，目前版本 ${currentVersion(db)}`);
+    } else if (command === 'down') {
+      if (version === undefined) throw new Error('請指定還原的目標版本，例: down 1');
+      const done = rollback(db, parseInt(version, 10));
+      console.log(`✅ 已還原 ${done.length} 個遷移，目前版本 ${currentVersion(db)}`);
+    } else if (command === 'status') {
+      for (const s of migrationStatus(db)) {
+        console.log(`${s.appliedAt ? '✅' : '⬜'} ${String(s.version).padStart(3, '0')}_${s.name} ${s.appliedAt || ''}`);
+      }
+    } else {
+      throw new Error(`未知指令: ${command} (可用 up / down / status)`);
+    }
+    DB.close();
+  } catch (err) {
+    console.error(`❌ 資料庫遷移失敗: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  migrationStatus,
+  currentVersion,
+  loadMigrations,
+  ensureVersionTable,
+  MIGRATIONS_DIR
+};
@@ -54,13 +54,14 @@ CREATE TABLE IF NOT EXISTS screener_signals (
     signal_date TEXT NOT NULL,
     technical_score REAL,
     institutional_score REAL,
-    volume_score REAL,
+    fundamental_score REAL,
     total_score REAL,
     tier TEXT,                     -- 'TIER1', 'TIER2', 'TIER3'
     vao_score REAL,
     mtm_score REAL,
     ma_trend TEXT,
     foreign_sentiment TEXT,
+    recommendation TEXT,
     notes TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(symbol, signal_date)
@@ -123,12 +124,285 @@ CREATE TABLE IF NOT EXISTS alert_log (
     success INTEGER DEFAULT 1
 );
 
+-- 證券主檔 (上市/上櫃公司基本資料)
+CREATE TABLE IF NOT EXISTS securities (
+    symbol TEXT PRIMARY KEY,
+    name TEXT,                     -- 公司簡稱
+    full_name TEXT,                -- 公司名稱
+    market TEXT NOT NULL,          -- 'tse' (上市), 'otc' (上櫃)
+    industry TEXT,                 -- 產業別 (如 '半導體業')
+    shares_outstanding INTEGER,    -- 已發行普通股數
+    listing_date TEXT,             -- 上市/上櫃日期 YYYY-MM-DD
+    status TEXT DEFAULT 'LISTED',  -- 'LISTED', 'DELISTED'
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 基本面: 月營收 (每個出表日一個版本: 重複公告的相同數字不另存，更正後的數字以新出表日另存一筆)
+CREATE TABLE IF NOT EXISTS fundamentals (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,            -- 首次取得該版本數字的出表日 (自此日起可取得)
+    period TEXT NOT NULL,          -- 營收年月 YYYY-MM
+    revenue INTEGER,               -- 當月營收 (千元)
+    revenue_prev_month INTEGER,    -- 上月營收 (千元)
+    revenue_last_year INTEGER,     -- 去年同月營收 (千元)
+    revenue_growth_mom REAL,       -- 月增率 (%)
+    revenue_growth_yoy REAL,       -- 年增率 (%)
+    cumulative_revenue INTEGER,    -- 當年累計營收 (千元)
+    cumulative_growth_yoy REAL,    -- 累計營收年增率 (%)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, period, date)
+);
+
+-- 基本面: 季財報 (損益表數字為當年度累計；與月營收相同，每個公告日一個版本，更正以新公告日另存一筆)
+CREATE TABLE IF NOT EXISTS financial_statements (
+    symbol TEXT NOT NULL,
+    period TEXT NOT NULL,          -- 財報季別 YYYYQn
+    date TEXT NOT NULL,            -- 公告日 (自此日起可取得該筆資料)
+    revenue INTEGER,               -- 營業收入 (千元，累計)
+    gross_profit INTEGER,          -- 營業毛利 (千元，累計)
+    operating_income INTEGER,      -- 營業利益 (千元，累計)
+    net_income INTEGER,            -- 歸屬母公司淨利 (千元，累計)
+    eps REAL,                      -- 基本每股盈餘 (元，累計)
+    total_assets INTEGER,          -- 資產總額 (千元)
+    total_liabilities INTEGER,     -- 負債總額 (千元)
+    equity INTEGER,                -- 歸屬母公司權益 (千元)
+    operating_cash_flow INTEGER,   -- 營業活動淨現金流 (千元，累計)
+    gross_margin REAL,             -- 毛利率 (%)
+    operating_margin REAL,         -- 營業利益率 (%)
+    roe REAL,                      -- 年化股東權益報酬率 (%)
+    debt_ratio REAL,               -- 負債比率 (%)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, period, date)
+);
+
+-- 除權息 / 減資 / 分割 (還原權值用，factor = 參考價 / 前一日收盤價)
+CREATE TABLE IF NOT EXISTS corporate_actions (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,            -- 除權息日 / 恢復買賣日
+    action_type TEXT NOT NULL,     -- 'CASH_DIVIDEND', 'STOCK_DIVIDEND', 'RIGHTS_AND_DIVIDEND', 'CAPITAL_REDUCTION', 'SPLIT'
+    prev_close REAL,               -- 除權息前 / 停止買賣前收盤價
+    reference_price REAL,          -- 除權息 / 恢復買賣參考價
+    cash_dividend REAL,            -- 每股現金股利 (元)
+    stock_ratio REAL,              -- 每股配股 / 分割比例 (0.1 = 每股配 0.1 股)
+    factor REAL,                   -- 還原因子 (reference_price / prev_close)
+    note TEXT,                     -- 減資原因等說明
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, date, action_type)
+);
+
+-- 交易日曆臨時異動 (颱風停市、補行交易日)，覆寫 market/trading-calendar 內建假日
+CREATE TABLE IF NOT EXISTS market_calendar (
+    date TEXT PRIMARY KEY,         -- YYYY-MM-DD
+    is_trading INTEGER NOT NULL,   -- 1 = 開市, 0 = 休市
+    reason TEXT,                   -- 如 '颱風停市'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 歷史回補進度 (可中斷續跑)
+CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+    job TEXT NOT NULL,
+    dataset TEXT NOT NULL,         -- 'daily_prices', 'institutional_trades'
+    unit TEXT NOT NULL,            -- 'SYMBOL@YYYY-MM' (月資料) 或 'YYYY-MM-DD' (全市場日資料)
+    status TEXT NOT NULL,          -- 'DONE', 'FAILED'
+    rows INTEGER DEFAULT 0,
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(job, dataset, unit)
+);
+
+-- 盤中報價快照 (每次輪詢一筆；volume 為當日累計成交量，單位統一為張)
+CREATE TABLE IF NOT EXISTS intraday_snapshots (
+    symbol TEXT NOT NULL,
+    ts TEXT NOT NULL,              -- 取得時間 ISO 8601 (UTC)
+    date TEXT NOT NULL,            -- 交易日 YYYY-MM-DD (台北時間)
+    price REAL NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    prev_close REAL,
+    limit_up REAL,                 -- 交易所公告漲停價 (TWSE MIS u；除權息、恢復交易日依參考價)
+    limit_down REAL,               -- 交易所公告跌停價 (TWSE MIS w)
+    volume INTEGER,                -- 當日累計成交量 (張)
+    source TEXT,                   -- 'TWSE', 'Yahoo'
+    PRIMARY KEY(symbol, ts)
+);
+
+-- 盤中 K 棒 (由快照累加；volume 為累計成交量的差額)
+CREATE TABLE IF NOT EXISTS intraday_bars (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,            -- 交易日 YYYY-MM-DD (台北時間)
+    interval INTEGER NOT NULL,     -- K 棒週期 (分鐘): 1, 5, 15
+    bar_time TEXT NOT NULL,        -- K 棒起始時間 HH:MM (台北時間)
+    open REAL NOT NULL,
+    high REAL NOT NULL,
+    low REAL NOT NULL,
+    close REAL NOT NULL,
+    volume INTEGER DEFAULT 0,      -- 本根成交量 (張)
+    cum_volume INTEGER DEFAULT 0,  -- 本根結束時的當日累計成交量 (張)
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, date, interval, bar_time)
+);
+
+-- 五檔委買委賣快照 (imbalance = (委買量 - 委賣量) / (委買量 + 委賣量))
+CREATE TABLE IF NOT EXISTS order_book_snapshots (
+    symbol TEXT NOT NULL,
+    ts TEXT NOT NULL,              -- 取得時間 ISO 8601 (UTC)
+    date TEXT NOT NULL,            -- 交易日 YYYY-MM-DD (台北時間)
+    best_bid REAL,
+    best_ask REAL,
+    spread REAL,
+    spread_pct REAL,               -- 價差 / 中價 (%)
+    bid_depth INTEGER,             -- 五檔委買合計 (張)
+    ask_depth INTEGER,             -- 五檔委賣合計 (張)
+    imbalance REAL,                -- -1 ~ 1
+    bids TEXT,                     -- JSON [{price, size}]，最佳價在前
+    asks TEXT,                     -- JSON [{price, size}]，最佳價在前
+    PRIMARY KEY(symbol, ts)
+);
+
+-- 外資及陸資持股統計 (TWSE MI_QFIIS，比率單位為 %)
+CREATE TABLE IF NOT EXISTS foreign_holdings (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    shares_issued INTEGER,         -- 發行股數
+    foreign_shares INTEGER,        -- 全體外資及陸資持有股數
+    available_shares INTEGER,      -- 外資及陸資尚可投資股數
+    foreign_ratio REAL,            -- 全體外資及陸資持股比率
+    available_ratio REAL,          -- 外資及陸資尚可投資比率
+    limit_ratio REAL,              -- 外資及陸資共用法令投資上限比率
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, date)
+);
+
+-- 借券賣出餘額 (TWSE TWT93U，單位: 股)
+CREATE TABLE IF NOT EXISTS securities_lending (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    sbl_prev_balance INTEGER,      -- 借券賣出前日餘額
+    sbl_sell INTEGER DEFAULT 0,    -- 當日借券賣出
+    sbl_return INTEGER DEFAULT 0,  -- 當日還券
+    sbl_adjust INTEGER DEFAULT 0,  -- 當日調整
+    sbl_balance INTEGER,           -- 借券賣出當日餘額
+    sbl_limit INTEGER,             -- 次一營業日可借券賣出限額
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, date)
+);
+
+-- 大盤與產業指數 (TAIEX / TPEX / TWSE 產業類指數，industry 對應 securities.industry)
+CREATE TABLE IF NOT EXISTS market_indices (
+    index_code TEXT NOT NULL,      -- TAIEX、TPEX 或產業類指數名稱
+    date TEXT NOT NULL,
+    name TEXT,
+    market TEXT,                   -- tse / otc
+    industry TEXT,
+    close REAL NOT NULL,
+    change REAL,
+    change_pct REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(index_code, date)
+);
+
+-- 期交所三大法人期貨/選擇權未平倉 (口數；option_type: FUT / CALL / PUT)
+CREATE TABLE IF NOT EXISTS taifex_open_interest (
+    date TEXT NOT NULL,
+    contract TEXT NOT NULL,        -- TX 臺股期貨 / MTX 小型臺指 / TXO 臺指選擇權
+    option_type TEXT NOT NULL,
+    investor TEXT NOT NULL,        -- FOREIGN / TRUST / DEALER
+    long_oi INTEGER,
+    short_oi INTEGER,
+    net_oi INTEGER,
+    net_oi_amount INTEGER,         -- 多空未平倉契約金額淨額 (千元)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(date, contract, option_type, investor)
+);
+
+-- 臺指選擇權 Put/Call Ratio (比率單位為 %)
+CREATE TABLE IF NOT EXISTS put_call_ratios (
+    date TEXT PRIMARY KEY,
+    put_volume INTEGER,
+    call_volume INTEGER,
+    volume_ratio REAL,
+    put_oi INTEGER,
+    call_oi INTEGER,
+    oi_ratio REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 當日沖銷交易 (TWSE 上市個股，股數單位為「股」；當沖比 = day_trade_volume / daily_prices.volume)
+CREATE TABLE IF NOT EXISTS day_trading (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    day_trade_volume INTEGER NOT NULL,
+    buy_amount REAL,
+    sell_amount REAL,
+    suspended INTEGER DEFAULT 0,   -- 暫停現股賣出後現款買進當沖
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, date)
+);
+
+-- 集保股權分散表 (每週；level 1-15 = 1-999 股 ~ 1,000 張以上，ratio 為占集保庫存比例 %)
+CREATE TABLE IF NOT EXISTS shareholding_distribution (
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    level INTEGER NOT NULL,
+    holders INTEGER,
+    shares INTEGER,
+    ratio REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(symbol, date, level)
+);
+
+-- 資料品質隔離區 (未通過檢核的資料列；payload 為原始資料 JSON，source = ingest | health_check)
+CREATE TABLE IF NOT EXISTS quarantined_rows (
+    dataset TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    date TEXT NOT NULL,
+    issues TEXT NOT NULL,          -- 異常代碼，逗號分隔
+    payload TEXT NOT NULL,
+    source TEXT NOT NULL,
+    run_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(dataset, symbol, date)
+);
+
+-- 資料健康報告 (每次檢核一筆；details 為完整報告 JSON)
+CREATE TABLE IF NOT EXISTS data_health_reports (
+    run_id TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    checked INTEGER DEFAULT 0,
+    quarantined INTEGER DEFAULT 0,
+    warnings INTEGER DEFAULT 0,
+    missing_days INTEGER DEFAULT 0,
+    details TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 資料庫遷移版本 (由 database/migrator 寫入)
+CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================================
 -- INDEXES for performance
 -- ============================================================
 CREATE INDEX IF NOT EXISTS idx_daily_prices_symbol ON daily_prices(symbol);
 CREATE INDEX IF NOT EXISTS idx_daily_prices_date ON daily_prices(date);
 CREATE INDEX IF NOT EXISTS idx_institutional_trades_symbol ON institutional_trades(symbol);
+CREATE INDEX IF NOT EXISTS idx_foreign_holdings_date ON foreign_holdings(date);
+CREATE INDEX IF NOT EXISTS idx_securities_lending_date ON securities_lending(date);
+CREATE INDEX IF NOT EXISTS idx_market_indices_industry_date ON market_indices(industry, date);
+CREATE INDEX IF NOT EXISTS idx_day_trading_date ON day_trading(date);
+CREATE INDEX IF NOT EXISTS idx_quarantined_rows_date ON quarantined_rows(date);
+CREATE INDEX IF NOT EXISTS idx_fundamentals_symbol_date ON fundamentals(symbol, date);
+CREATE INDEX IF NOT EXISTS idx_financial_statements_symbol_date ON financial_statements(symbol, date);
+CREATE INDEX IF NOT EXISTS idx_corporate_actions_date ON corporate_actions(date);
+CREATE INDEX IF NOT EXISTS idx_securities_market ON securities(market, status);
+CREATE INDEX IF NOT EXISTS idx_intraday_snapshots_symbol_date ON intraday_snapshots(symbol, date);
+CREATE INDEX IF NOT EXISTS idx_order_book_snapshots_symbol_date ON order_book_snapshots(symbol, date);
 CREATE INDEX IF NOT EXISTS idx_indicators_symbol_date ON indicators(symbol, date);
 CREATE INDEX IF NOT EXISTS idx_indicators_type ON indicators(indicator_type);
 CREATE INDEX IF NOT EXISTS idx_screener_signals_date ON screener_signals(signal_date);
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview 日期格式 - 全系統統一以 YYYY-MM-DD (ISO 8601 日期) 儲存與比較
+ * @description 資料庫、選股與回測皆以字串比較日期，混用 YYYYMMDD 會造成排序與區間篩選錯誤。
+ *   外部來源的格式 (TWSE 查詢參數 YYYYMMDD、櫃買與公告的民國日期) 只在爬蟲邊界轉換：
+ *   輸入一律經 toISODate / normalizeDate 轉為 ISO，組查詢網址時再以 toTWSEDate / toROCDate 轉出。
+ *   DB 寫入時以 requireISODate 拒絕非 ISO 日期。
+ * @module dates
+ * @version 1.0.0
+ *
+ * @example
+ * const { toISODate, toTWSEDate, requireISODate } = require('./dates');
+ * toISODate('20260209');     // '2026-02-09'
+ * toISODate('115/02/09');    // '2026-02-09' (民國)
+ * toTWSEDate('2026-02-09');  // '20260209'
+ * requireISODate('20260209'); // throws Error (code: 'INVALID_DATE')
+ */
+
+/** 標準日期格式 */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** 民國年與西元年差 */
+const ROC_YEAR_OFFSET = 1911;
+
+const pad2 = v => String(v).padStart(2, '0');
+
+/**
+ * 年月日組成 ISO 日期並檢查是否為實際存在的日期
+ * @private
+ * @returns {string|null}
+ */
+function _compose(year, month, day) {
+  const y = Number(year), m = Number(month), d = Number(day);
+  const time = Date.UTC(y, m - 1, d);
+  const check = new Date(time);
+  if (!(y >= 1900) || check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) {
+    return null;
+  }
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+/**
+ * 是否為標準 ISO 日期 (YYYY-MM-DD 且日期存在)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isISODate(value) {
+  const match = typeof value === 'string' && value.match(ISO_DATE_PATTERN);
+  return Boolean(match) && _compose(match[1], match[2], match[3]) === value;
+}
+
+/**
+ * 民國日期轉為 ISO 日期
+ * @param {string} rocDate - 民國日期 (如 "115/02/09"、"115年02月09日" 或 "1150209"，可能帶有 "＊" 等註記)
+ * @returns {string|null} YYYY-MM-DD，無法解析時回傳 null
+ */
+function rocToISO(rocDate) {
+  if (!rocDate) return null;
+  const str = String(rocDate).trim();
+  const match = str.match(/(\d{2,3})[\/年](\d{1,2})[\/月](\d{1,2})/) || str.match(/^(\d{3})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  return _compose(parseInt(match[1], 10) + ROC_YEAR_OFFSET, match[2], match[3]);
+}
+
+/**
+ * 各種日期表示轉為 ISO 日期
+ * @param {string|number|Date} value - YYYY-MM-DD、YYYYMMDD、YYYY/MM/DD、民國日期或 Date (取本地日曆日)
+ * @returns {string|null} YYYY-MM-DD，無法解析或日期不存在時回傳 null
+ */
+function toISODate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : _compose(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) || str.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
+  if (match) return _compose(match[1], match[2], match[3]);
+  match = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return _compose(match[1], match[2], match[3]);
+  return rocToISO(str);
+}
+
+/**
+ * 建立日期格式錯誤
+ * @private
+ */
+function _invalidDate(value, field) {
+  const err = new Error(`[dates] ${field} 日期格式錯誤: ${JSON.stringify(value)} (應為 YYYY-MM-DD)`);
+  err.code = 'INVALID_DATE';
+  return err;
+}
+
+/**
+ * 要求值為標準 ISO 日期 (不做轉換，供 DB 寫入邊界檢查)
+ * @param {*} value
+ * @param {string} [field='date'] - 欄位名稱 (錯誤訊息用)
+ * @returns {string} 原值
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function requireISODate(value, field = 'date') {
+  if (!isISODate(value)) throw _invalidDate(value, field);
+  return value;
+}
+
+/**
+ * 將輸入日期轉為 ISO 日期 (供爬蟲與引擎入口使用，接受 toISODate 支援的格式)
+ * @param {string|number|Date} value
+ * @param {string} [field='date'] - 欄位名稱 (錯誤訊息用)
+ * @returns {string} YYYY-MM-DD
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function normalizeDate(value, field = 'date') {
+  const iso = toISODate(value);
+  if (!iso) throw _invalidDate(value, field);
+  return iso;
+}
+
+/**
+ * 轉為 TWSE 查詢參數格式
+ * @param {string|Date} value - 日期 (toISODate 支援的格式)
+ * @returns {string} YYYYMMDD
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function toTWSEDate(value) {
+  return normalizeDate(value).replace(/-/g, '');
+}
+
+/**
+ * 轉為民國日期 (櫃買中心查詢參數)
+ * @param {string|Date} value - 日期 (toISODate 支援的格式)
+ * @returns {string} 例: '115/02/09'
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function toROCDate(value) {
+  const [y, m, d] = normalizeDate(value).split('-');
+  return `${parseInt(y, 10) - ROC_YEAR_OFFSET}/${m}/${d}`;
+}
+
+/**
+ * 轉為民國年月 (櫃買中心月查詢參數)
+ * @param {string|Date} value - 日期 (toISODate 支援的格式)
+ * @returns {string} 例: '115/02'
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function toROCMonth(value) {
+  return toROCDate(value).slice(0, -3);
+}
+
+module.exports = {
+  isISODate,
+  toISODate,
+  requireISODate,
+  normalizeDate,
+  rocToISO,
+  toTWSEDate,
+  toROCDate,
+  toROCMonth,
+  ISO_DATE_PATTERN
+};
@@ -11,6 +11,7 @@
  */
 
 const { average } = require('./vao');
+const { adjustPriceSeries } = require('../market/price-adjustment');
 
 /**
  * 計算 MTM 動能指標
@@ -20,6 +21,7 @@ const { average } = require('./vao');
  * @param {Object} [options={}]
  * @param {number} [options.period=10] - MTM 回看期數
  * @param {number} [options.maPeriod=5] - MTMMA 平滑期數
+ * @param {Array<Object>} [options.corporateActions] - 除權息事件，提供時以還原權值價格計算
  * @returns {Object} MTM 結果
  * @returns {number} return.mtm - 當前 MTM 值
  * @returns {number} return.mtmma - MTM 移動平均
@@ -29,14 +31,15 @@ const { average } = require('./vao');
  * @throws {Error} 資料不足
  */
 function calculateMTM(data, options = {}) {
-  const { period = 10, maPeriod = 5 } = options;
+  const { period = 10, maPeriod = 5, corporateActions } = options;
   const minRequired = period + maPeriod;
 
   if (!Array.isArray(data) || data.length < minRequired) {
     throw new Error(`MTM 計算需要至少 ${minRequired} 筆資料，目前 ${data ? data.length : 0} 筆`);
   }
 
-  const closes = data.map(d => d.close);
+  const series = corporateActions ? adjustPriceSeries(data, corporateActions) : data;
+  const closes = series.map(d => d.close);
 
   // MTM = 當日收盤 - N日前收盤
   const mtm = closes[0] - closes[period];
@@ -108,6 +111,8 @@ function calculateMA(data, period) {
 /**
  * 計算均線多頭/空頭排列
  * @param {Array<Object>} data - 歷史價格 (最新在前，至少 60 筆)
+ * @param {Object} [options={}]
+ * @param {Array<Object>} [options.corporateActions] - 除權息事件，提供時以還原權值價格計算
  * @returns {Object} 均線排列結果
  * @returns {Object} return.ma5 - MA5 結果
  * @returns {Object} return.ma10 - MA10 結果
@@ -116,10 +121,13 @@ function calculateMA(data, period) {
  * @returns {string} return.alignment - 排列狀態 ('BULLISH'|'BEARISH'|'MIXED')
  * @returns {boolean} return.aboveMA20 - 收盤價是否站穩 MA20
  */
-function calculateMASystem(data) {
+function calculateMASystem(data, options = {}) {
   if (!Array.isArray(data) || data.length < 60) {
     throw new Error(`均線系統需要至少 60 筆資料，目前 ${data ? data.length : 0} 筆`);
   }
+  if (options.corporateActions) {
+    data = adjustPriceSeries(data, options.corporateActions);
+  }
 
   const ma5 = calculateMA(data, 5);
   const ma10 = calculateMA(data, 10);
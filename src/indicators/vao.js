@@ -24,9 +24,11 @@ function average(arr) {
  * 計算 VAO 量價爆發指標
  * @description 識別量能異常放大且價格同步突破的強勢訊號
  * @param {Array<Object>} data - 歷史價格資料 (最新在前，至少 20 筆)
- *   每筆需含 { close, volume, high?, low? }
+ *   每筆需含 { close, volume, high?, low?, day_trade_volume? }
  * @param {Object} [options={}]
  * @param {number} [options.totalShares] - 總發行股數 (用於計算周轉率)
+ * @param {boolean} [options.discountDayTrading=false] - 量能與周轉率扣除當沖成交股數
+ *   (僅由當沖推升的爆量不計分；無當沖資料的 K 棒以總量計)
  * @param {number} [options.shortPeriod=5] - 短期均量天數
  * @param {number} [options.longPeriod=20] - 長期均量天數
  * @returns {Object} VAO 計算結果
@@ -39,7 +41,8 @@ function calculateVAO(data, options = {}) {
   const {
     totalShares = null,
     shortPeriod = 5,
-    longPeriod = 20
+    longPeriod = 20,
+    discountDayTrading = false
   } = options;
 
   if (!Array.isArray(data) || data.length < longPeriod) {
@@ -49,8 +52,11 @@ function calculateVAO(data, options = {}) {
   const today = data[0];
   const yesterday = data[1];
 
-  // 短期與長期均量
-  const volumes = data.map(d => d.volume);
+  // 短期與長期均量 (可排除當沖量)
+  const volumes = data.map(d => (discountDayTrading && d.day_trade_volume > 0
+    ? Math.max(0, d.volume - d.day_trade_volume)
+    : d.volume));
+  const todayVolume = volumes[0];
   const avgVolume5 = average(volumes.slice(0, shortPeriod));
   const avgVolume20 = average(volumes.slice(0, longPeriod));
 
@@ -61,15 +67,15 @@ function calculateVAO(data, options = {}) {
 
   // 周轉率 (%)
   const turnoverRate = totalShares && totalShares > 0
-    ? (today.volume / totalShares) * 100
+    ? (todayVolume / totalShares) * 100
     : null;
 
   // ─── VAO Score 計算 (0-100) ────────────────────
   let score = 0;
 
   // 量能條件 (50%)
-  if (avgVolume5 > 0 && today.volume > avgVolume5 * 1.5) score += 25;
-  if (avgVolume20 > 0 && today.volume > avgVolume20 * 2.0) score += 25;
+  if (avgVolume5 > 0 && todayVolume > avgVolume5 * 1.5) score += 25;
+  if (avgVolume20 > 0 && todayVolume > avgVolume20 * 2.0) score += 25;
 
   // 價格條件 (30%)
   if (priceChange > 3) score += 15;
@@ -95,13 +101,16 @@ function calculateVAO(data, options = {}) {
     score,
     signal,
     details: {
-      volumeRatio5: avgVolume5 > 0 ? today.volume / avgVolume5 : null,
-      volumeRatio20: avgVolume20 > 0 ? today.volume / avgVolume20 : null,
+      volumeRatio5: avgVolume5 > 0 ? todayVolume / avgVolume5 : null,
+      volumeRatio20: avgVolume20 > 0 ? todayVolume / avgVolume20 : null,
       priceChange: Math.round(priceChange * 100) / 100,
       turnoverRate: turnoverRate !== null ? Math.round(turnoverRate * 100) / 100 : null,
       todayVolume: today.volume,
       avgVolume5: Math.round(avgVolume5),
-      avgVolume20: Math.round(avgVolume20)
+      avgVolume20: Math.round(avgVolume20),
+      dayTradeRatio: today.day_trade_volume != null && today.volume > 0
+        ? Math.round((today.day_trade_volume / today.volume) * 10000) / 100
+        : null
     }
   };
 }
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview 交易日曆臨時異動登錄 (颱風停市、補行交易日)
+ * @description 將臨時異動寫入 market_calendar 並重新載入共用交易日曆。
+ *   其他程式於 DB.init() 時載入；盤中監控每 10 分鐘重新讀取，前一晚公告的停市於隔日開盤前生效。
+ * @module market/calendar-overrides
+ * @version 1.0.0
+ *
+ * @example
+ * node src/market/calendar-overrides.js --close 2026-10-30 --reason 颱風停市
+ * node src/market/calendar-overrides.js --open 2026-02-07 --reason 補行交易
+ * node src/market/calendar-overrides.js --remove 2026-10-30
+ * node src/market/calendar-overrides.js            # 列出所有異動
+ */
+
+const { tradingCalendar } = require('./trading-calendar');
+const { normalizeDate } = require('../dates');
+
+/** 未指定原因時的預設說明 */
+const DEFAULT_REASONS = {
+  closed: '颱風停市',
+  open: '補行交易'
+};
+
+/**
+ * 登錄臨時異動並重新載入共用交易日曆
+ * @param {Object} DB - 資料庫介面 (需有 saveCalendarOverride / getCalendarOverrides 方法)
+ * @param {string} date - 日期 (可為 YYYYMMDD 等格式，轉為 YYYY-MM-DD)
+ * @param {boolean} isTrading - true = 開市 (補行交易)，false = 休市
+ * @param {string} [reason] - 說明
+ * @returns {{date: string, is_trading: boolean, reason: string}}
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function setOverride(DB, date, isTrading, reason) {
+  const row = {
+    date: normalizeDate(date),
+    is_trading: isTrading,
+    reason: reason || (isTrading ? DEFAULT_REASONS.open : DEFAULT_REASONS.closed)
+  };
+  DB.saveCalendarOverride(row);
+  tradingCalendar.loadOverrides(DB.getCalendarOverrides(), { replace: true });
+  return row;
+}
+
+/**
+ * 移除臨時異動並重新載入共用交易日曆
+ * @param {Object} DB - 資料庫介面 (需有 deleteCalendarOverride / getCalendarOverrides 方法)
+ * @param {string} date - 日期
+ * @returns {boolean} 是否有異動被移除
+ * @throws {Error} code 為 'INVALID_DATE'
+ */
+function removeOverride(DB, date) {
+  const { changes } = DB.deleteCalendarOverride(normalizeDate(date));
+  tradingCalendar.loadOverrides(DB.getCalendarOverrides(), { replace: true });
+  return changes > 0;
+}
+
+// CLI: node src/market/calendar-overrides.js [--close date | --open date | --remove date] [--reason 說明]
+if (require.main === module) {
+  const DB = require('../database/db');
+
+  const args = process.argv.slice(2);
+  const argValue = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  try {
+    DB.init();
+    if (argValue('--close') || argValue('--open')) {
+      const row = setOverride(DB, argValue('--close') || argValue('--open'), !argValue('--close'), argValue('--reason'));
+      console.log(`✅ ${row.date} 登錄為${row.is_trading ? '開市' : '休市'} (${row.reason})`);
+    } else if (argValue('--remove')) {
+      const date = normalizeDate(argValue('--remove'));
+      console.log(removeOverride(DB, date) ? `🗑️ 已移除 ${date} 的臨時異動` : `⚠️ ${date} 無臨時異動`);
+    } else {
+      const rows = DB.getCalendarOverrides();
+      console.log(`📅 交易日曆臨時異動 ${rows.length} 筆`);
+      for (const row of rows) {
+        console.log(`  ${row.date} ${row.is_trading ? '開市' : '休市'} ${row.reason || ''}`.trimEnd());
+      }
+    }
+    DB.close();
+  } catch (err) {
+    console.error(`❌ 交易日曆異動失敗: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  setOverride,
+  removeOverride,
+  DEFAULT_REASONS
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview 外資持股比例趨勢 - 持股比率變化、區間新高與投資上限
+ * @description 由 foreign_holdings 歷史 (最新在前) 計算近期持股比率變化、是否創下回溯區間新高，
+ *   以及尚可投資比率是否逼近法令上限 (外資買盤可能受限)。供籌碼面評分與警示共用。
+ * @module market/foreign-holdings
+ * @version 1.0.0
+ *
+ * @example
+ * const { analyzeForeignHoldings } = require('./market/foreign-holdings');
+ * const trend = analyzeForeignHoldings(DB.getForeignHoldingHistory('2330'));
+ * // { ratio: 72.5, change: 0.8, isHigh: true, nearCap: false, ... }
+ */
+
+/** 分析參數預設值 */
+const THRESHOLDS = {
+  /** 比較持股比率變化的交易日數 */
+  trendDays: 20,
+  /** 新高回溯交易日數 (約 3 個月) */
+  highLookback: 60,
+  /** 判斷新高所需的最少歷史筆數 */
+  minHistory: 20,
+  /** 尚可投資比率低於此值 (%) 視為逼近投資上限 */
+  capRoomPct: 5
+};
+
+/**
+ * 分析外資持股趨勢
+ * @param {Array<Object>} history - foreign_holdings 資料 (最新在前)
+ * @param {Object} [options={}] - 覆寫 THRESHOLDS 的同名設定
+ * @returns {{ratio: number, change: number|null, trendDays: number, isHigh: boolean, lookback: number,
+ *   previousHigh: number|null, availableRatio: number|null, limitRatio: number|null, nearCap: boolean}|null}
+ *   無資料時為 null
+ */
+function analyzeForeignHoldings(history, options = {}) {
+  const t = { ...THRESHOLDS, ...options };
+  const rows = (history || []).filter(r => r && r.foreign_ratio !== null && r.foreign_ratio !== undefined);
+  if (rows.length === 0) return null;
+
+  const latest = rows[0];
+  const ratio = latest.foreign_ratio;
+
+  const base = rows.length > t.trendDays ? rows[t.trendDays] : (rows.length > 1 ? rows[rows.length - 1] : null);
+  const change = base ? Math.round((ratio - base.foreign_ratio) * 100) / 100 : null;
+
+  const window = rows.slice(1, t.highLookback);
+  const previousHigh = window.length > 0 ? Math.max(...window.map(r => r.foreign_ratio)) : null;
+  const isHigh = rows.length >= t.minHistory && previousHigh !== null && ratio > previousHigh;
+
+  const availableRatio = latest.available_ratio ?? null;
+
+  return {
+    ratio,
+    change,
+    trendDays: base ? rows.indexOf(base) : 0,
+    isHigh,
+    lookback: window.length + 1,
+    previousHigh,
+    availableRatio,
+    limitRatio: latest.limit_ratio ?? null,
+    nearCap: availableRatio !== null && availableRatio < t.capRoomPct
+  };
+}
+
+module.exports = {
+  analyzeForeignHoldings,
+  THRESHOLDS
+};
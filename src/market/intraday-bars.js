@@ -0,0 +1,138 @@
+/**
+ * @fileoverview 盤中 K 棒彙總 - 由輪詢報價快照增量產生 1 / 5 / 15 分 OHLCV
+ * @description 行情來源只提供「當日累計成交量」，每根 K 棒的成交量以本根結束時的累計量
+ *   減去前一根結束時的累計量 (當日第一根以 0 為基準，即包含開盤至今的量)。
+ *   輪詢間隔大於 K 棒週期時，中間沒有快照的時段不產生 K 棒，其成交量併入下一根。
+ *   K 棒時間以台北時間對齊 (09:00、09:05 ...)。
+ * @module market/intraday-bars
+ * @version 1.0.0
+ *
+ * @example
+ * const { toSnapshot, nextBar } = require('./market/intraday-bars');
+ * const snapshot = toSnapshot(quote);
+ * const bar = nextBar(DB.getLatestIntradayBar(snapshot.symbol, snapshot.date, 5), snapshot, 5);
+ * DB.saveIntradayBar(bar);
+ */
+
+const { taipeiDate } = require('./trading-calendar');
+
+/** 產生的 K 棒週期 (分鐘) */
+const INTERVALS = [1, 5, 15];
+
+/** 累計成交量換算成張的除數 (TWSE MIS 已是張，Yahoo 為股) */
+const VOLUME_DIVISORS = {
+  Yahoo: 1000
+};
+
+/** 台北時區 UTC+8 (無日光節約) */
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * 報價轉為 intraday_snapshots 資料列
+ * @param {Object} quote - 行情路由輸出的報價 (含 code, price, volume, timestamp, source)
+ * @returns {Object|null} { symbol, ts, date, price, open, high, low, prev_close, limit_up, limit_down, volume, source }，
+ *   無有效價格時為 null。limit_up / limit_down 僅保留 TWSE MIS 的交易所漲跌停價 (u / w)，其他來源為推算值不寫入
+ */
+function toSnapshot(quote) {
+  if (!quote || !quote.code || !(quote.price > 0)) return null;
+  const ts = quote.timestamp || new Date().toISOString();
+  const divisor = VOLUME_DIVISORS[quote.source] || 1;
+  return {
+    symbol: quote.code,
+    ts,
+    date: taipeiDate(new Date(ts)),
+    price: quote.price,
+    open: quote.open ?? null,
+    high: quote.high ?? null,
+    low: quote.low ?? null,
+    prev_close: quote.prevClose ?? null,
+    limit_up: quote.source === 'TWSE' ? quote.limitUp ?? null : null,
+    limit_down: quote.source === 'TWSE' ? quote.limitDown ?? null : null,
+    volume: Math.round((quote.volume || 0) / divisor),
+    source: quote.source ?? null
+  };
+}
+
+/**
+ * 快照所屬 K 棒的起始時間 (台北時間)
+ * @param {string} ts - ISO 8601 時間
+ * @param {number} interval - K 棒週期 (分鐘)
+ * @returns {string} HH:MM
+ */
+function barTime(ts, interval) {
+  const local = new Date(Date.parse(ts) + TAIPEI_OFFSET_MS);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = minutes - (minutes % interval);
+  return `${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 以一筆快照更新 K 棒
+ * @description 快照落在最新一根內則更新高低收與成交量，否則開新的一根。
+ *   比最新一根還早的快照 (亂序) 不處理。累計量倒退 (換來源) 時不扣量。
+ * @param {Object|null|undefined} latest - 同一交易日、同週期目前最新的 K 棒
+ * @param {Object} snapshot - toSnapshot() 的輸出
+ * @param {number} interval - K 棒週期 (分鐘)
+ * @returns {Object|null} 要寫入的 K 棒，亂序快照回傳 null
+ */
+function nextBar(latest, snapshot, interval) {
+  const time = barTime(snapshot.ts, interval);
+  const volume = snapshot.volume || 0;
+
+  if (latest && latest.date === snapshot.date) {
+    if (time < latest.bar_time) return null;
+    if (time === latest.bar_time) {
+      const cumVolume = Math.max(latest.cum_volume, volume);
+      return {
+        ...latest,
+        high: Math.max(latest.high, snapshot.price),
+        low: Math.min(latest.low, snapshot.price),
+        close: snapshot.price,
+        volume: latest.volume + (cumVolume - latest.cum_volume),
+        cum_volume: cumVolume
+      };
+    }
+  }
+
+  const prevCum = latest && latest.date === snapshot.date ? latest.cum_volume : 0;
+  return {
+    symbol: snapshot.symbol,
+    date: snapshot.date,
+    interval,
+    bar_time: time,
+    open: snapshot.price,
+    high: snapshot.price,
+    low: snapshot.price,
+    close: snapshot.price,
+    volume: Math.max(volume - prevCum, 0),
+    cum_volume: Math.max(volume, prevCum)
+  };
+}
+
+/**
+ * 由整日快照重建 K 棒 (與增量累加結果相同)
+ * @param {Array<Object>} snapshots - 同一檔、同一交易日的快照
+ * @param {number} [interval=1] - K 棒週期 (分鐘)
+ * @returns {Array<Object>} K 棒 (依時間升序)
+ */
+function aggregateBars(snapshots, interval = 1) {
+  const bars = [];
+  const sorted = [...snapshots].sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0));
+  for (const snapshot of sorted) {
+    const latest = bars[bars.length - 1];
+    const bar = nextBar(latest, snapshot, interval);
+    if (!bar) continue;
+    if (latest && bar.bar_time === latest.bar_time) bars[bars.length - 1] = bar;
+    else bars.push(bar);
+  }
+  return bars;
+}
+
+module.exports = {
+  toSnapshot,
+  barTime,
+  nextBar,
+  aggregateBars,
+  INTERVALS,
+  VOLUME_DIVISORS
+};
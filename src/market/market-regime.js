@@ -0,0 +1,87 @@
+/**
+ * @fileoverview 市場狀態 - 以外資臺指期淨未平倉判斷風險偏好
+ * @description 外資臺股期貨淨空單 (小型臺指以 1/4 口折算) 越大，代表避險或看空部位越重。
+ *   淨空單超過門檻時判定為 CAUTION / RISK_OFF，選股引擎據此提高分級門檻；Put/Call Ratio 僅列示供參考。
+ * @module market/market-regime
+ * @version 1.0.0
+ *
+ * @example
+ * const { assessMarketRegime, adjustTierThresholds } = require('./market/market-regime');
+ * const regime = assessMarketRegime(DB.getTaifexOpenInterest('2026-02-09'));
+ * // { regime: 'CAUTION', foreignNetOi: -24500, tighten: 5, ... }
+ * adjustTierThresholds({ TIER1: 75, TIER2: 60, TIER3: 45 }, regime); // { TIER1: 80, TIER2: 65, TIER3: 50 }
+ */
+
+/** 市場狀態 */
+const REGIMES = {
+  NORMAL: 'NORMAL',
+  CAUTION: 'CAUTION',
+  RISK_OFF: 'RISK_OFF'
+};
+
+/** 判斷參數預設值 */
+const THRESHOLDS = {
+  /** 外資淨未平倉 (臺指期約當口數) 低於此值為 CAUTION */
+  cautionNetOi: -20000,
+  /** 外資淨未平倉低於此值為 RISK_OFF */
+  riskOffNetOi: -35000,
+  /** 各狀態的分級門檻加分 */
+  tighten: { NORMAL: 0, CAUTION: 5, RISK_OFF: 10 }
+};
+
+/** 小型臺指對臺股期貨的契約規模比 */
+const MTX_RATIO = 0.25;
+
+/**
+ * 判斷市場狀態
+ * @param {Array<Object>} openInterest - taifex_open_interest 資料 (同一交易日)
+ * @param {Object|null} [putCall=null] - put_call_ratios 資料
+ * @param {Object} [options={}] - 覆寫 THRESHOLDS 的同名設定
+ * @returns {{regime: string, date: string|null, foreignNetOi: number|null, putCallOiRatio: number|null,
+ *   tighten: number}} 無外資期貨資料時為 NORMAL
+ */
+function assessMarketRegime(openInterest, putCall = null, options = {}) {
+  const t = { ...THRESHOLDS, ...options };
+  const foreign = (openInterest || []).filter(r =>
+    r.investor === 'FOREIGN' && r.option_type === 'FUT' && (r.contract === 'TX' || r.contract === 'MTX') && r.net_oi !== null
+  );
+
+  let foreignNetOi = null;
+  if (foreign.length > 0) {
+    foreignNetOi = Math.round(foreign.reduce((sum, r) => sum + r.net_oi * (r.contract === 'MTX' ? MTX_RATIO : 1), 0));
+  }
+
+  let regime = REGIMES.NORMAL;
+  if (foreignNetOi !== null && foreignNetOi <= t.riskOffNetOi) regime = REGIMES.RISK_OFF;
+  else if (foreignNetOi !== null && foreignNetOi <= t.cautionNetOi) regime = REGIMES.CAUTION;
+
+  return {
+    regime,
+    date: foreign.length > 0 ? foreign[0].date : null,
+    foreignNetOi,
+    putCallOiRatio: putCall ? putCall.oi_ratio ?? null : null,
+    tighten: t.tighten[regime] || 0
+  };
+}
+
+/**
+ * 依市場狀態提高分級門檻
+ * @param {Object} thresholds - { TIER1, TIER2, TIER3 }
+ * @param {Object|null} regime - assessMarketRegime() 結果
+ * @returns {Object} 新的門檻物件 (不修改原物件)
+ */
+function adjustTierThresholds(thresholds, regime) {
+  const tighten = regime ? regime.tighten || 0 : 0;
+  const result = {};
+  for (const [tier, score] of Object.entries(thresholds)) {
+    result[tier] = Math.min(100, score + tighten);
+  }
+  return result;
+}
+
+module.exports = {
+  assessMarketRegime,
+  adjustTierThresholds,
+  REGIMES,
+  THRESHOLDS
+};
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview 五檔委買委賣 - 最佳一檔、價差、掛單失衡與流動性評估
+ * @description 由五檔價量計算最佳買賣價、價差 (相對中價)、各邊掛單總量與失衡比率
+ *   imbalance = (委買量 - 委賣量) / (委買量 + 委賣量)，範圍 -1 (全是賣單) ~ 1 (全是買單)。
+ *   evaluateOrderBook 判斷掛單是否失衡、流動性是否不足，供警示與下單前檢查使用。
+ * @module market/order-book
+ * @version 1.0.0
+ *
+ * @example
+ * const { buildOrderBook, evaluateOrderBook } = require('./market/order-book');
+ * const book = buildOrderBook([{ price: 63.1, size: 12 }], [{ price: 63.2, size: 3 }]);
+ * evaluateOrderBook(book, { orderLots: 10 }); // { imbalanced, thin, reasons: [...] }
+ */
+
+const { taipeiDate } = require('./trading-calendar');
+
+/** 評估門檻預設值 */
+const THRESHOLDS = {
+  /** |imbalance| 達此值視為掛單失衡 */
+  imbalance: 0.6,
+  /** 五檔買賣合計低於此張數視為流動性不足 */
+  minDepthLots: 50,
+  /** 價差超過中價的百分比視為流動性不足 (%) */
+  maxSpreadPct: 1,
+  /** 預計下單張數超過對手方五檔量的比例視為吃不下 */
+  maxOrderDepthRatio: 0.5
+};
+
+/**
+ * 建立五檔資料 (過濾無效檔位並計算統計)
+ * @param {Array<{price: number, size: number}>} bids - 委買 (最佳價在前)
+ * @param {Array<{price: number, size: number}>} asks - 委賣 (最佳價在前)
+ * @returns {{bids: Array, asks: Array, bestBid: number|null, bestAsk: number|null, midPrice: number|null,
+ *   spread: number|null, spreadPct: number|null, bidDepth: number, askDepth: number, imbalance: number|null}}
+ */
+function buildOrderBook(bids, asks) {
+  const valid = levels => (levels || []).filter(l => l && l.price > 0 && l.size > 0);
+  const b = valid(bids);
+  const a = valid(asks);
+  const bestBid = b.length > 0 ? b[0].price : null;
+  const bestAsk = a.length > 0 ? a[0].price : null;
+  const bidDepth = b.reduce((sum, l) => sum + l.size, 0);
+  const askDepth = a.reduce((sum, l) => sum + l.size, 0);
+
+  let midPrice = null, spread = null, spreadPct = null;
+  if (bestBid !== null && bestAsk !== null) {
+    midPrice = (bestBid + bestAsk) / 2;
+    spread = Math.round((bestAsk - bestBid) * 10000) / 10000;
+    spreadPct = (spread / midPrice) * 100;
+  }
+
+  return {
+    bids: b,
+    asks: a,
+    bestBid,
+    bestAsk,
+    midPrice,
+    spread,
+    spreadPct,
+    bidDepth,
+    askDepth,
+    imbalance: bidDepth + askDepth > 0 ? (bidDepth - askDepth) / (bidDepth + askDepth) : null
+  };
+}
+
+/**
+ * 報價的五檔轉為 order_book_snapshots 資料列
+ * @param {Object} quote - 含 code、timestamp 與 orderBook 的報價
+ * @returns {Object|null} 無五檔資料時為 null
+ */
+function toOrderBookRow(quote) {
+  const book = quote && quote.orderBook;
+  if (!book || !quote.code) return null;
+  const ts = quote.timestamp || new Date().toISOString();
+  return {
+    symbol: quote.code,
+    ts,
+    date: taipeiDate(new Date(ts)),
+    best_bid: book.bestBid,
+    best_ask: book.bestAsk,
+    spread: book.spread,
+    spread_pct: book.spreadPct,
+    bid_depth: book.bidDepth,
+    ask_depth: book.askDepth,
+    imbalance: book.imbalance,
+    bids: book.bids,
+    asks: book.asks
+  };
+}
+
+/**
+ * 評估掛單失衡與流動性
+ * @param {Object} book - buildOrderBook() 的輸出 (或 order_book_snapshots 資料列，欄位為 snake_case)
+ * @param {Object} [options={}] - 覆寫 THRESHOLDS 的同名設定
+ * @param {number} [options.orderLots] - 預計下單張數 (正數買進、負數賣出)，檢查對手方五檔量是否足夠
+ * @returns {{imbalanced: boolean, thin: boolean, reasons: Array<string>}}
+ */
+function evaluateOrderBook(book, options = {}) {
+  const t = { ...THRESHOLDS, ...options };
+  const imbalance = book.imbalance;
+  const bidDepth = book.bidDepth ?? book.bid_depth ?? 0;
+  const askDepth = book.askDepth ?? book.ask_depth ?? 0;
+  const spreadPct = book.spreadPct ?? book.spread_pct ?? null;
+  const reasons = [];
+
+  const imbalanced = imbalance !== null && imbalance !== undefined && Math.abs(imbalance) >= t.imbalance;
+  if (imbalanced) {
+    reasons.push(`${imbalance > 0 ? '買盤' : '賣盤'}失衡 ${(imbalance * 100).toFixed(0)}% (委買 ${bidDepth} / 委賣 ${askDepth} 張)`);
+  }
+
+  let thin = false;
+  if (bidDepth === 0 || askDepth === 0) {
+    thin = true;
+    reasons.push(`${bidDepth === 0 ? '委買' : '委賣'}無掛單`);
+  } else if (bidDepth + askDepth < t.minDepthLots) {
+    thin = true;
+    reasons.push(`五檔合計僅 ${bidDepth + askDepth} 張 (門檻 ${t.minDepthLots})`);
+  }
+  if (spreadPct !== null && spreadPct > t.maxSpreadPct) {
+    thin = true;
+    reasons.push(`價差 ${spreadPct.toFixed(2)}% (門檻 ${t.maxSpreadPct}%)`);
+  }
+  if (options.orderLots) {
+    const opposite = options.orderLots > 0 ? askDepth : bidDepth;
+    if (Math.abs(options.orderLots) > opposite * t.maxOrderDepthRatio) {
+      thin = true;
+      reasons.push(`預計${options.orderLots > 0 ? '買進' : '賣出'} ${Math.abs(options.orderLots)} 張超過對手五檔 ${opposite} 張的 ${t.maxOrderDepthRatio * 100}%`);
+    }
+  }
+
+  return { imbalanced, thin, reasons };
+}
+
+module.exports = {
+  buildOrderBook,
+  toOrderBookRow,
+  evaluateOrderBook,
+  THRESHOLDS
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview 還原權值股價 - 依除權息 / 減資 / 分割事件向後調整歷史價格
+ * @description daily_prices 保存原始收盤價，除權息日會出現與基本面無關的價格缺口。
+ *   本模組以「參考價 / 前一日收盤價」作為還原因子，將事件日之前的 OHLC 乘上
+ *   之後所有事件因子的乘積，使最新價格維持原值、歷史價格連續。成交量不調整。
+ * @module market/price-adjustment
+ * @version 1.0.0
+ *
+ * @example
+ * const { adjustPriceSeries } = require('./market/price-adjustment');
+ * const adjusted = adjustPriceSeries(priceData, DB.getCorporateActions('2330'));
+ */
+
+const ACTION_TYPES = {
+  CASH_DIVIDEND: 'CASH_DIVIDEND',
+  STOCK_DIVIDEND: 'STOCK_DIVIDEND',
+  RIGHTS_AND_DIVIDEND: 'RIGHTS_AND_DIVIDEND',
+  CAPITAL_REDUCTION: 'CAPITAL_REDUCTION',
+  SPLIT: 'SPLIT'
+};
+
+/**
+ * 計算單一事件的還原因子
+ * @description 優先使用交易所公告的參考價；缺參考價時以現金股利與配股比例推算
+ * @param {Object} action - corporate_actions 資料
+ * @returns {number} 還原因子 (無法計算時回傳 1，即不調整)
+ */
+function actionFactor(action) {
+  if (!action) return 1;
+  if (action.factor > 0) return action.factor;
+
+  const prevClose = action.prev_close;
+  if (prevClose > 0 && action.reference_price > 0) {
+    return action.reference_price / prevClose;
+  }
+
+  const cash = action.cash_dividend || 0;
+  const stock = action.stock_ratio || 0;
+  if (prevClose > 0 && (cash > 0 || stock > 0)) {
+    return (prevClose - cash) / (1 + stock) / prevClose;
+  }
+  if (stock > 0) return 1 / (1 + stock);
+  return 1;
+}
+
+/**
+ * 產生還原權值價格序列
+ * @description 不改變輸入陣列與排序 (最新在前或最舊在前皆可)；
+ *   事件日當天及之後的價格不調整，之前的 open/high/low/close 乘上累積因子
+ * @param {Array<Object>} data - 歷史價格，每筆含 { date, open, high, low, close }
+ * @param {Array<Object>} actions - corporate_actions 資料
+ * @returns {Array<Object>} 調整後價格 (每筆附加 adjFactor)
+ */
+function adjustPriceSeries(data, actions) {
+  if (!Array.isArray(data)) return data;
+  const events = (actions || [])
+    .map(a => ({ date: a.date, factor: actionFactor(a) }))
+    .filter(e => e.date && e.factor > 0 && e.factor !== 1);
+  if (events.length === 0) return data;
+
+  const round = (v) => (v == null ? v : Math.round(v * 10000) / 10000);
+
+  return data.map(bar => {
+    let adjFactor = 1;
+    for (const e of events) {
+      if (e.date > bar.date) adjFactor *= e.factor;
+    }
+    if (adjFactor === 1) return { ...bar, adjFactor };
+    return {
+      ...bar,
+      open: round(bar.open * adjFactor),
+      high: round(bar.high * adjFactor),
+      low: round(bar.low * adjFactor),
+      close: round(bar.close * adjFactor),
+      adjFactor
+    };
+  });
+}
+
+module.exports = {
+  adjustPriceSeries,
+  actionFactor,
+  ACTION_TYPES
+};
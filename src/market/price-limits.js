@@ -0,0 +1,108 @@
+/**
+ * @fileoverview 漲跌停價 - 台股 ±10% 漲跌幅限制與升降單位
+ * @description 漲停價 = 前一日收盤 (或參考價) × 1.1 依升降單位無條件捨去，
+ *   跌停價 = × 0.9 依升降單位無條件進位。升降單位依價格區間而定，ETF 另有較小的級距。
+ *   新上市前五日等無漲跌幅限制的情況不在此處理，呼叫端應使用交易所提供的漲跌停價 (MIS 的 u / w)。
+ * @module market/price-limits
+ * @version 1.0.0
+ *
+ * @example
+ * const { priceLimits, isAtLimit } = require('./market/price-limits');
+ * priceLimits(1410);          // { limitUp: 1550, limitDown: 1270 }
+ * priceLimits(45.3, { etf: true });
+ * isAtLimit(1550, priceLimits(1410)); // 'UP'
+ */
+
+/** 漲跌幅限制 */
+const LIMIT_PCT = 0.10;
+
+/** 股票升降單位 (價格未滿 below 時適用 tick) */
+const STOCK_TICKS = [
+  { below: 10, tick: 0.01 },
+  { below: 50, tick: 0.05 },
+  { below: 100, tick: 0.1 },
+  { below: 500, tick: 0.5 },
+  { below: 1000, tick: 1 },
+  { below: Infinity, tick: 5 }
+];
+
+/** ETF 升降單位 */
+const ETF_TICKS = [
+  { below: 50, tick: 0.01 },
+  { below: Infinity, tick: 0.05 }
+];
+
+/** 浮點誤差容忍 */
+const EPSILON = 1e-9;
+
+/**
+ * 是否為 ETF 代碼 (00 開頭)
+ * @param {string} symbol
+ * @returns {boolean}
+ */
+function isEtf(symbol) {
+  return /^00/.test(String(symbol || ''));
+}
+
+/**
+ * 價格對應的升降單位
+ * @param {number} price
+ * @param {Object} [options={}]
+ * @param {boolean} [options.etf=false]
+ * @returns {number}
+ */
+function tickSize(price, options = {}) {
+  const table = options.etf ? ETF_TICKS : STOCK_TICKS;
+  return table.find(t => price < t.below).tick;
+}
+
+/**
+ * 依升降單位取整
+ * @private
+ * @param {number} price
+ * @param {'floor'|'ceil'} mode
+ * @param {Object} options
+ */
+function _roundToTick(price, mode, options) {
+  const tick = tickSize(price, options);
+  const steps = mode === 'floor' ? Math.floor(price / tick + EPSILON) : Math.ceil(price / tick - EPSILON);
+  return Math.round(steps * tick * 100) / 100;
+}
+
+/**
+ * 計算漲跌停價
+ * @param {number} prevClose - 前一日收盤價或除權息參考價
+ * @param {Object} [options={}]
+ * @param {boolean} [options.etf=false] - 使用 ETF 升降單位
+ * @param {number} [options.limitPct=0.10] - 漲跌幅限制
+ * @returns {{limitUp: number, limitDown: number}|null} prevClose 無效時為 null
+ */
+function priceLimits(prevClose, options = {}) {
+  if (!(prevClose > 0)) return null;
+  const pct = options.limitPct ?? LIMIT_PCT;
+  return {
+    limitUp: _roundToTick(prevClose * (1 + pct), 'floor', options),
+    limitDown: _roundToTick(prevClose * (1 - pct), 'ceil', options)
+  };
+}
+
+/**
+ * 價格是否位於漲停或跌停
+ * @param {number} price
+ * @param {{limitUp: number, limitDown: number}|null} limits
+ * @returns {'UP'|'DOWN'|null}
+ */
+function isAtLimit(price, limits) {
+  if (!limits || !(price > 0)) return null;
+  if (limits.limitUp > 0 && price >= limits.limitUp - EPSILON) return 'UP';
+  if (limits.limitDown > 0 && price <= limits.limitDown + EPSILON) return 'DOWN';
+  return null;
+}
+
+module.exports = {
+  priceLimits,
+  tickSize,
+  isAtLimit,
+  isEtf,
+  LIMIT_PCT
+};
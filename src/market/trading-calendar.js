@@ -0,0 +1,334 @@
+/**
+ * @fileoverview 台股交易日曆 - 國定假日、颱風停市與週末補行交易
+ * @description 內建證交所公告的年度休市日 (2023-2026，不含颱風停市)，並可載入 market_calendar
+ *   資料表的臨時異動 (颱風停市、補行交易日) 覆寫。所有日期皆為台北時間 YYYY-MM-DD。
+ *   涵蓋範圍 (COVERAGE) 外的日期無法判斷是否休市，除非已登錄臨時異動，否則拋出 CALENDAR_OUT_OF_RANGE；
+ *   新年度休市日公告後請更新 HOLIDAYS 與 COVERAGE。
+ *   DB.init() 會將 market_calendar 載入共用實例；以資料庫連線建構的模組 (選股、警示、回測) 另呼叫 loadCalendarOverrides。
+ *   臨時異動以 market/calendar-overrides CLI 登錄。
+ * @module market/trading-calendar
+ * @version 1.0.0
+ *
+ * @example
+ * const { tradingCalendar } = require('./market/trading-calendar');
+ * tradingCalendar.isTradingDay('2026-02-16');          // false (春節)
+ * tradingCalendar.previousTradingDay('2026-02-23');    // '2026-02-11'
+ * tradingCalendar.tradingDaysBetween('2026-02-09', '2026-02-23'); // 3
+ * tradingCalendar.nextSession();                       // { date, open, close }
+ */
+
+/** 證交所休市日 (不含週末；颱風停市以 market_calendar 登錄) */
+const HOLIDAYS = {
+  // 2023
+  '2023-01-02': '開國紀念日補假',
+  '2023-01-18': '春節前市場無交易',
+  '2023-01-19': '春節前市場無交易',
+  '2023-01-20': '春節調整放假',
+  '2023-01-23': '春節',
+  '2023-01-24': '春節',
+  '2023-01-25': '春節補假',
+  '2023-01-26': '春節補假',
+  '2023-01-27': '春節調整放假',
+  '2023-02-27': '和平紀念日調整放假',
+  '2023-02-28': '和平紀念日',
+  '2023-04-03': '兒童節調整放假',
+  '2023-04-04': '兒童節',
+  '2023-04-05': '民族掃墓節',
+  '2023-05-01': '勞動節',
+  '2023-06-22': '端午節',
+  '2023-06-23': '端午節調整放假',
+  '2023-09-29': '中秋節',
+  '2023-10-09': '國慶日調整放假',
+  '2023-10-10': '國慶日',
+  // 2024
+  '2024-01-01': '開國紀念日',
+  '2024-02-06': '春節前市場無交易',
+  '2024-02-07': '春節前市場無交易',
+  '2024-02-08': '春節調整放假',
+  '2024-02-09': '農曆除夕',
+  '2024-02-12': '春節',
+  '2024-02-13': '春節補假',
+  '2024-02-14': '春節補假',
+  '2024-02-28': '和平紀念日',
+  '2024-04-04': '兒童節及民族掃墓節',
+  '2024-04-05': '兒童節補假',
+  '2024-05-01': '勞動節',
+  '2024-06-10': '端午節',
+  '2024-09-17': '中秋節',
+  '2024-10-10': '國慶日',
+  // 2025
+  '2025-01-01': '開國紀念日',
+  '2025-01-23': '春節前市場無交易',
+  '2025-01-24': '春節前市場無交易',
+  '2025-01-27': '春節',
+  '2025-01-28': '農曆除夕',
+  '2025-01-29': '春節',
+  '2025-01-30': '春節',
+  '2025-01-31': '春節',
+  '2025-02-28': '和平紀念日',
+  '2025-04-03': '兒童節補假',
+  '2025-04-04': '兒童節及民族掃墓節',
+  '2025-05-01': '勞動節',
+  '2025-05-30': '端午節補假',
+  '2025-09-29': '教師節補假',
+  '2025-10-06': '中秋節',
+  '2025-10-10': '國慶日',
+  '2025-10-24': '臺灣光復暨金門古寧頭大捷紀念日補假',
+  '2025-12-25': '行憲紀念日',
+  // 2026
+  '2026-01-01': '開國紀念日',
+  '2026-02-12': '春節前市場無交易',
+  '2026-02-13': '春節前市場無交易',
+  '2026-02-16': '農曆除夕',
+  '2026-02-17': '春節',
+  '2026-02-18': '春節',
+  '2026-02-19': '春節',
+  '2026-02-20': '春節補假',
+  '2026-02-27': '和平紀念日補假',
+  '2026-04-03': '兒童節補假',
+  '2026-04-06': '民族掃墓節補假',
+  '2026-05-01': '勞動節',
+  '2026-06-19': '端午節',
+  '2026-09-25': '中秋節',
+  '2026-09-28': '教師節',
+  '2026-10-09': '國慶日補假',
+  '2026-10-26': '臺灣光復暨金門古寧頭大捷紀念日補假',
+  '2026-12-25': '行憲紀念日'
+};
+
+/** 週末補行交易日 (2023-2026 無) */
+const MAKEUP_SESSIONS = {};
+
+/** 內建休市日涵蓋的日期範圍 (含)，新增年度時一併更新 */
+const COVERAGE = { from: '2023-01-01', to: '2026-12-31' };
+
+/** 盤中交易時段 (台北時間) */
+const SESSION = {
+  open: { hour: 9, minute: 0 },
+  close: { hour: 13, minute: 30 }
+};
+
+/** 盤後零股交易時段 (台北時間，14:30 一次集合競價撮合) */
+const ODD_LOT_SESSION = {
+  open: { hour: 13, minute: 40 },
+  close: { hour: 14, minute: 30 }
+};
+
+/** 台北時區 UTC+8 (無日光節約) */
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 取得台北時間的日期字串
+ * @param {Date} [now=new Date()]
+ * @returns {string} YYYY-MM-DD
+ */
+function taipeiDate(now = new Date()) {
+  return new Date(now.getTime() + TAIPEI_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 日期加減天數
+ * @private
+ */
+function _addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 台北時間某日某時刻對應的 Date
+ * @param {string} date - YYYY-MM-DD
+ * @param {{hour: number, minute: number}} time
+ * @returns {Date}
+ */
+function taipeiTime(date, { hour, minute }) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + (hour * 60 + minute) * 60 * 1000 - TAIPEI_OFFSET_MS);
+}
+
+/**
+ * 交易日曆
+ * @class
+ */
+class TradingCalendar {
+  /**
+   * @param {Object} [options={}]
+   * @param {Object<string, string>} [options.holidays=HOLIDAYS] - 休市日 { date: 說明 }
+   * @param {Object<string, string>} [options.makeupSessions=MAKEUP_SESSIONS] - 週末補行交易日
+   * @param {{from: string, to: string}} [options.coverage=COVERAGE] - 休市日涵蓋範圍
+   * @param {Array<Object>} [options.overrides] - market_calendar 資料 { date, is_trading, reason }
+   */
+  constructor(options = {}) {
+    this.holidays = new Map(Object.entries(options.holidays || HOLIDAYS));
+    this.makeupSessions = new Map(Object.entries(options.makeupSessions || MAKEUP_SESSIONS));
+    this.coverage = { ...(options.coverage || COVERAGE) };
+    /** @private @type {Map<string, {isTrading: boolean, reason: string}>} */
+    this.overrides = new Map();
+    if (options.overrides) this.loadOverrides(options.overrides);
+  }
+
+  /**
+   * 載入臨時異動 (颱風停市、補行交易)，覆寫內建日曆
+   * @param {Array<Object>} rows - { date, is_trading, reason }
+   * @param {Object} [options={}]
+   * @param {boolean} [options.replace=false] - 先清除已載入的異動 (重新讀取資料表時使用，反映刪除的異動)
+   * @returns {number} 載入筆數
+   */
+  loadOverrides(rows, { replace = false } = {}) {
+    if (replace) this.overrides.clear();
+    for (const row of rows || []) {
+      if (!row || !row.date) continue;
+      this.overrides.set(row.date, { isTrading: !!row.is_trading, reason: row.reason || null });
+    }
+    return this.overrides.size;
+  }
+
+  /**
+   * 日期是否在內建休市日的涵蓋範圍內
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  covers(date) {
+    return date >= this.coverage.from && date <= this.coverage.to;
+  }
+
+  /**
+   * 是否為交易日
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean}
+   * @throws {Error} code 為 'CALENDAR_OUT_OF_RANGE' (涵蓋範圍外且未登錄臨時異動)
+   */
+  isTradingDay(date) {
+    const override = this.overrides.get(date);
+    if (override) return override.isTrading;
+    if (!this.covers(date)) {
+      const err = new Error(`交易日曆未涵蓋 ${date} (內建休市日 ${this.coverage.from} ~ ${this.coverage.to})，請更新 HOLIDAYS 與 COVERAGE`);
+      err.code = 'CALENDAR_OUT_OF_RANGE';
+      throw err;
+    }
+    if (this.makeupSessions.has(date)) return true;
+    if (this.holidays.has(date)) return false;
+    const dow = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return dow !== 0 && dow !== 6;
+  }
+
+  /**
+   * 休市原因
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string|null} 交易日回傳 null
+   */
+  closureReason(date) {
+    if (this.isTradingDay(date)) return null;
+    const override = this.overrides.get(date);
+    if (override) return override.reason || '休市';
+    return this.holidays.get(date) || '週末';
+  }
+
+  /**
+   * 前一個交易日 (不含當日)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string}
+   */
+  previousTradingDay(date) {
+    let cursor = _addDays(date, -1);
+    while (!this.isTradingDay(cursor)) cursor = _addDays(cursor, -1);
+    return cursor;
+  }
+
+  /**
+   * 下一個交易日 (不含當日)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string}
+   */
+  nextTradingDay(date) {
+    let cursor = _addDays(date, 1);
+    while (!this.isTradingDay(cursor)) cursor = _addDays(cursor, 1);
+    return cursor;
+  }
+
+  /**
+   * 列出區間內的交易日
+   * @param {string} startDate - YYYY-MM-DD (含)
+   * @param {string} endDate - YYYY-MM-DD (含)
+   * @returns {Array<string>} 升序
+   * @throws {Error} code 為 'CALENDAR_OUT_OF_RANGE' (區間超出涵蓋範圍)
+   */
+  listTradingDays(startDate, endDate) {
+    const days = [];
+    for (let cursor = startDate; cursor <= endDate; cursor = _addDays(cursor, 1)) {
+      if (this.isTradingDay(cursor)) days.push(cursor);
+    }
+    return days;
+  }
+
+  /**
+   * 兩日期間相隔的交易日數 (不含起日、含迄日)
+   * @description 週五進場、下週一出場為 1 個交易日；迄日早於起日時回傳負值
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {number}
+   */
+  tradingDaysBetween(startDate, endDate) {
+    if (endDate < startDate) return -this.tradingDaysBetween(endDate, startDate);
+    if (endDate === startDate) return 0;
+    return this.listTradingDays(_addDays(startDate, 1), endDate).length;
+  }
+
+  /**
+   * 尚未收盤或即將開始的交易時段
+   * @param {Date} [now=new Date()]
+   * @returns {{date: string, open: Date, close: Date, inSession: boolean}}
+   */
+  nextSession(now = new Date()) {
+    let date = taipeiDate(now);
+    if (!this.isTradingDay(date) || now >= taipeiTime(date, SESSION.close)) {
+      date = this.nextTradingDay(date);
+    }
+    const open = taipeiTime(date, SESSION.open);
+    const close = taipeiTime(date, SESSION.close);
+    return { date, open, close, inSession: now >= open && now < close };
+  }
+
+  /**
+   * 最近一個已收盤的交易日
+   * @param {Date} [now=new Date()]
+   * @returns {string} YYYY-MM-DD
+   */
+  latestSession(now = new Date()) {
+    const today = taipeiDate(now);
+    if (this.isTradingDay(today) && now >= taipeiTime(today, SESSION.close)) return today;
+    return this.previousTradingDay(today);
+  }
+}
+
+/** 共用實例 (內建假日；market_calendar 的臨時異動由 DB.init() 或 loadCalendarOverrides 載入) */
+const tradingCalendar = new TradingCalendar();
+
+/**
+ * 由資料庫連線讀取 market_calendar 並載入日曆
+ * @param {Database} db - better-sqlite3 instance
+ * @param {TradingCalendar} [calendar=tradingCalendar]
+ * @returns {number} 載入筆數 (資料表不存在時為 0)
+ */
+function loadCalendarOverrides(db, calendar = tradingCalendar) {
+  let rows;
+  try {
+    rows = db.prepare('SELECT date, is_trading, reason FROM market_calendar').all();
+  } catch (err) {
+    // 資料表尚未建立 (未初始化的資料庫)
+    return 0;
+  }
+  return calendar.loadOverrides(rows, { replace: true });
+}
+
+module.exports = {
+  TradingCalendar,
+  tradingCalendar,
+  loadCalendarOverrides,
+  taipeiDate,
+  taipeiTime,
+  HOLIDAYS,
+  MAKEUP_SESSIONS,
+  COVERAGE,
+  SESSION,
+  ODD_LOT_SESSION
+};
@@ -103,6 +103,14 @@ class PortfolioOptimizer {
         if (latest) currentPrice = latest.close;
       } catch { /* 使用買入價 */ }
 
+      let industry = null;
+      if (!p.sector) {
+        try {
+          const security = this.db.prepare('SELECT industry FROM securities WHERE symbol = ?').get(p.symbol);
+          if (security) industry = security.industry;
+        } catch { /* 證券主檔不存在 */ }
+      }
+
       const shares = p.quantity || p.shares || 0;
       const buyPrice = p.buy_price || p.buyPrice || 0;
       const currentValue = currentPrice * shares;
@@ -119,7 +127,7 @@ class PortfolioOptimizer {
         costBasis,
         pnl: Math.round(pnl),
         returnPct: Math.round(returnPct * 100) / 100,
-        sector: p.sector || '未分類',
+        sector: p.sector || industry || '未分類',
         marketCap: p.marketCap || 'unknown'
       };
     });
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview 資料健康檢核 - 既有日K與法人籌碼的批次檢查與報告
+ * @description 對指定區間的 daily_prices / institutional_trades 逐股檢查 OHLC 一致性、零成交量、
+ *   全零籌碼 (ERROR，移入 quarantined_rows 並自主表刪除)、超過漲跌幅限制的跳空 (WARN) 與缺漏交易日，
+ *   每次執行產生一份資料健康報告寫入 data_health_reports。寫入時的攔截見 DB.saveDailyPriceBatch。
+ *   缺漏交易日以各股票於區間內的第一筆資料起算，區間開頭前即缺漏的資料不在檢查範圍。
+ * @module quality/data-health
+ * @version 1.0.0
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { runDataHealthCheck, formatHealthReport } = require('./quality/data-health');
+ * const report = runDataHealthCheck(DB, { startDate: '2026-01-12', endDate: '2026-02-09' });
+ * console.log(formatHealthReport(report));
+ */
+
+const { screenRows, findMissingTradingDays, DATASETS } = require('./validator');
+const { tradingCalendar } = require('../market/trading-calendar');
+
+const CONFIG = {
+  /** 未指定區間時檢查最近幾個交易日 */
+  defaultLookbackDays: 20,
+  /** 報告文字中每類最多列出筆數 */
+  maxListed: 10
+};
+
+/** 資料集中文名稱 */
+const DATASET_LABELS = {
+  daily_prices: '日K',
+  institutional_trades: '法人籌碼'
+};
+
+/**
+ * 依股票分組 (保留原順序)
+ * @private
+ */
+function _groupBySymbol(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.symbol)) groups.set(row.symbol, []);
+    groups.get(row.symbol).push(row);
+  }
+  return groups;
+}
+
+/**
+ * 檢查單一資料集
+ * @private
+ * @returns {{summary: Object, quarantined: Array, warnings: Array, missing: Array}}
+ */
+function _checkDataset(dataset, rows, endDate, calendar) {
+  const summary = { checked: rows.length, quarantined: 0, warnings: 0, missingDays: 0, symbols: 0 };
+  const quarantined = [];
+  const warnings = [];
+  const missing = [];
+
+  for (const [symbol, list] of _groupBySymbol(rows)) {
+    summary.symbols++;
+    const result = screenRows(dataset, list);
+    quarantined.push(...result.quarantined);
+    warnings.push(...result.warnings);
+
+    const dates = list.map(r => r.date);
+    const gaps = findMissingTradingDays(dates, dates.reduce((a, b) => (a < b ? a : b)), endDate, calendar);
+    if (gaps.length > 0) missing.push({ dataset, symbol, dates: gaps });
+    summary.missingDays += gaps.length;
+  }
+
+  summary.quarantined = quarantined.length;
+  summary.warnings = warnings.length;
+  return { summary, quarantined, warnings, missing };
+}
+
+/**
+ * 預設檢查區間 (最近 CONFIG.defaultLookbackDays 個交易日)
+ * @private
+ */
+function _defaultRange(calendar) {
+  const endDate = calendar.latestSession();
+  let startDate = endDate;
+  for (let i = 1; i < CONFIG.defaultLookbackDays; i++) {
+    startDate = calendar.previousTradingDay(startDate);
+  }
+  return { startDate, endDate };
+}
+
+/**
+ * 執行資料健康檢核
+ * @param {Object} DB - 資料庫介面 (需有 getRowsBetween / quarantineRows / saveDataHealthReport 方法)
+ * @param {Object} [options={}]
+ * @param {string} [options.startDate] - 開始日期 (YYYY-MM-DD)，預設為最近 20 個交易日
+ * @param {string} [options.endDate] - 結束日期 (YYYY-MM-DD)，預設為最近交易日
+ * @param {Array<string>} [options.datasets] - 檢查的資料集，預設全部
+ * @param {boolean} [options.dryRun=false] - 僅產生報告，不隔離資料也不儲存報告
+ * @param {string} [options.runId] - 批次代碼，預設依區間與執行時間產生
+ * @param {Object} [options.calendar=tradingCalendar] - 交易日曆
+ * @returns {Object} 資料健康報告 { runId, startDate, endDate, datasets, totals, issueCounts, quarantined, warnings, missing }
+ */
+function runDataHealthCheck(DB, options = {}) {
+  const calendar = options.calendar || tradingCalendar;
+  const range = options.startDate && options.endDate
+    ? { startDate: options.startDate, endDate: options.endDate }
+    : _defaultRange(calendar);
+  const runId = options.runId || `health_${range.startDate}_${range.endDate}_${Date.now()}`;
+
+  const report = {
+    runId,
+    ...range,
+    datasets: {},
+    totals: { checked: 0, quarantined: 0, warnings: 0, missingDays: 0 },
+    issueCounts: {},
+    quarantined: [],
+    warnings: [],
+    missing: []
+  };
+
+  for (const dataset of options.datasets || DATASETS) {
+    const rows = DB.getRowsBetween(dataset, range.startDate, range.endDate);
+    const result = _checkDataset(dataset, rows, range.endDate, calendar);
+
+    if (!options.dryRun && result.quarantined.length > 0) {
+      DB.quarantineRows(dataset, result.quarantined, { source: 'health_check', runId, removeFromSource: true });
+    }
+
+    report.datasets[dataset] = result.summary;
+    for (const key of Object.keys(report.totals)) report.totals[key] += result.summary[key];
+    for (const { issues } of [...result.quarantined, ...result.warnings]) {
+      for (const issue of issues) report.issueCounts[issue.code] = (report.issueCounts[issue.code] || 0) + 1;
+    }
+    report.quarantined.push(...result.quarantined.map(({ row, issues }) => ({
+      dataset, symbol: row.symbol, date: row.date, issues: issues.map(i => i.message)
+    })));
+    report.warnings.push(...result.warnings.map(({ row, issues }) => ({
+      dataset, symbol: row.symbol, date: row.date, issues: issues.map(i => i.message)
+    })));
+    report.missing.push(...result.missing);
+  }
+
+  if (!options.dryRun) DB.saveDataHealthReport(report);
+  return report;
+}
+
+/**
+ * 格式化資料健康報告
+ * @param {Object} report - runDataHealthCheck() 結果
+ * @returns {string}
+ */
+function formatHealthReport(report) {
+  const lines = [
+    `🩺 資料健康報告 ${report.startDate} ~ ${report.endDate} (${report.runId})`,
+    ''
+  ];
+
+  for (const [dataset, s] of Object.entries(report.datasets)) {
+    lines.push(`${DATASET_LABELS[dataset] || dataset}: 檢查 ${s.checked} 筆 / ${s.symbols} 檔，` +
+      `隔離 ${s.quarantined}、警示 ${s.warnings}、缺漏 ${s.missingDays} 日`);
+  }
+
+  const counts = Object.entries(report.issueCounts);
+  if (counts.length > 0) {
+    lines.push('', `異常類型: ${counts.map(([code, n]) => `${code} ×${n}`).join(', ')}`);
+  }
+
+  const section = (title, items, render) => {
+    if (items.length === 0) return;
+    lines.push('', title);
+    for (const item of items.slice(0, CONFIG.maxListed)) lines.push(`  ${render(item)}`);
+    if (items.length > CONFIG.maxListed) lines.push(`  ... 另 ${items.length - CONFIG.maxListed} 筆`);
+  };
+  section('⛔ 已隔離:', report.quarantined, q => `[${q.dataset}] ${q.symbol} ${q.date} ${q.issues.join('; ')}`);
+  section('⚠️ 警示:', report.warnings, w => `[${w.dataset}] ${w.symbol} ${w.date} ${w.issues.join('; ')}`);
+  section('📭 缺漏交易日:', report.missing, m => `[${m.dataset}] ${m.symbol} ${m.dates.length} 日 (${m.dates.slice(0, 5).join(', ')}${m.dates.length > 5 ? ', ...' : ''})`);
+
+  if (report.totals.quarantined === 0 && report.totals.warnings === 0 && report.totals.missingDays === 0) {
+    lines.push('', '✅ 未發現異常');
+  }
+  return lines.join('\n');
+}
+
+// CLI: node src/quality/data-health.js [startDate] [endDate] [--dry-run]
+if (require.main === module) {
+  const DB = require('../database/db');
+  const args = process.argv.slice(2);
+  const [startDate, endDate] = args.filter(a => !a.startsWith('--'));
+  DB.init();
+  try {
+    const report = runDataHealthCheck(DB, { startDate, endDate, dryRun: args.includes('--dry-run') });
+    console.log(formatHealthReport(report));
+    DB.close();
+  } catch (err) {
+    console.error(`❌ 資料健康檢核失敗: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  runDataHealthCheck,
+  formatHealthReport,
+  CONFIG
+};
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview 行情來源交叉比對 - TWSE MIS 與 Yahoo Finance 報價一致性檢查
+ * @description 將同一檔股票時間相近的 TWSE / Yahoo 報價配對 (成交量統一換算為張)，比較成交價、昨收與累計成交量，
+ *   超過容忍度者列為差異；成交量相差約 1000 倍時判定為單位錯誤 (張/股混用)。
+ *   有官方參考值 (前一交易日 daily_prices 收盤、收盤後的當日收盤與成交量) 時，以離參考值較遠者為偏移來源，
+ *   並統計各來源的偏移比例。
+ *   盤中路由只在主來源失敗時才向備援查詢，資料庫內兩來源同時存在的快照僅出現於切換前後；
+ *   日常抽查請以 --live 同時向兩來源查詢觀察清單。
+ * @module quality/quote-reconciler
+ * @version 1.0.0
+ *
+ * @example
+ * const DB = require('../database/db');
+ * const { runReconciliation, formatReconciliationReport } = require('./quality/quote-reconciler');
+ * const report = runReconciliation(DB, '2026-02-09');
+ * console.log(formatReconciliationReport(report)); // drifting: 'Yahoo'
+ *
+ * // 即時抽查: node src/quality/quote-reconciler.js --live [--symbols 2330,2454]
+ */
+
+const { toSnapshot, VOLUME_DIVISORS } = require('../market/intraday-bars');
+const { tradingCalendar, taipeiDate, taipeiTime, SESSION } = require('../market/trading-calendar');
+
+const CONFIG = {
+  /** 成交價 / 昨收差異容忍度 (%) */
+  priceTolerancePct: 0.5,
+  /** 累計成交量差異容忍度 (%)，Yahoo 由 1 分 K 加總，略少於 TWSE 累計量 */
+  volumeTolerancePct: 5,
+  /** 兩來源快照配對的時間差上限 (毫秒) */
+  maxSkewMs: 60 * 1000
+};
+
+/** 比對的兩個來源 (前者為基準，差異百分比以其為分母) */
+const SOURCES = ['TWSE', 'Yahoo'];
+
+/** 差異類型 */
+const DIVERGENCE_TYPES = {
+  PRICE: 'PRICE',
+  PREV_CLOSE: 'PREV_CLOSE',
+  VOLUME: 'VOLUME',
+  /** 成交量相差約 1000 倍 (張與股混用) */
+  VOLUME_UNIT: 'VOLUME_UNIT'
+};
+
+/** daily_prices 成交量 (股) 換算為張 */
+const SHARES_PER_LOT = VOLUME_DIVISORS.Yahoo;
+
+const round2 = v => Math.round(v * 100) / 100;
+
+/**
+ * 以參考值判斷偏移來源
+ * @private
+ * @returns {string|null} 兩者皆在容忍度內或無參考值時為 null
+ */
+function _attribute(values, reference, tolerancePct) {
+  if (!(reference > 0)) return null;
+  const errors = SOURCES.map(source => Math.abs(values[source] - reference) / reference * 100);
+  if (Math.max(...errors) <= tolerancePct) return null;
+  return errors[0] > errors[1] ? SOURCES[0] : SOURCES[1];
+}
+
+/**
+ * 比較一組配對快照
+ * @param {Object} twse - TWSE 快照 (intraday_snapshots 格式，成交量為張)
+ * @param {Object} yahoo - Yahoo 快照 (同上)
+ * @param {Object} [reference={}] - 官方參考值 { prevClose?, close?, volume? (張) }
+ * @param {Object} [options={}] - 覆寫 CONFIG 的容忍度設定
+ * @returns {Array<{symbol: string, ts: string, type: string, twse: number, yahoo: number,
+ *   diffPct: number, reference: number|null, drifting: string|null}>} 超過容忍度的差異
+ */
+function compareSnapshots(twse, yahoo, reference = {}, options = {}) {
+  const t = { ...CONFIG, ...options };
+  const divergences = [];
+  const ts = twse.ts > yahoo.ts ? twse.ts : yahoo.ts;
+
+  const check = (type, field, tolerancePct, ref) => {
+    const values = { TWSE: twse[field], Yahoo: yahoo[field] };
+    if (!(values.TWSE > 0) || !(values.Yahoo > 0)) return;
+    const diffPct = (values.Yahoo - values.TWSE) / values.TWSE * 100;
+    if (Math.abs(diffPct) <= tolerancePct) return;
+
+    const ratio = values.Yahoo / values.TWSE;
+    const unitError = type === DIVERGENCE_TYPES.VOLUME &&
+      (ratio >= SHARES_PER_LOT / 2 || ratio <= 2 / SHARES_PER_LOT);
+    divergences.push({
+      symbol: twse.symbol,
+      ts,
+      type: unitError ? DIVERGENCE_TYPES.VOLUME_UNIT : type,
+      twse: values.TWSE,
+      yahoo: values.Yahoo,
+      diffPct: round2(diffPct),
+      reference: ref ?? null,
+      drifting: _attribute(values, ref, tolerancePct)
+    });
+  };
+
+  check(DIVERGENCE_TYPES.PRICE, 'price', t.priceTolerancePct, reference.close);
+  check(DIVERGENCE_TYPES.PREV_CLOSE, 'prev_close', t.priceTolerancePct, reference.prevClose);
+  check(DIVERGENCE_TYPES.VOLUME, 'volume', t.volumeTolerancePct, reference.volume);
+  return divergences;
+}
+
+/**
+ * 將同一交易日的快照依股票配對 (每筆 Yahoo 快照配上時間最接近的 TWSE 快照)
+ * @param {Array<Object>} snapshots - intraday_snapshots 資料 (可含多檔、兩種來源)
+ * @param {number} [maxSkewMs=CONFIG.maxSkewMs] - 時間差上限
+ * @returns {Array<{symbol: string, twse: Object, yahoo: Object}>}
+ */
+function pairSnapshots(snapshots, maxSkewMs = CONFIG.maxSkewMs) {
+  const bySymbol = new Map();
+  for (const snapshot of snapshots) {
+    if (!SOURCES.includes(snapshot.source)) continue;
+    if (!bySymbol.has(snapshot.symbol)) bySymbol.set(snapshot.symbol, { TWSE: [], Yahoo: [] });
+    bySymbol.get(snapshot.symbol)[snapshot.source].push(snapshot);
+  }
+
+  const pairs = [];
+  for (const [symbol, { TWSE: twseList, Yahoo: yahooList }] of bySymbol) {
+    for (const yahoo of yahooList) {
+      let best = null;
+      let bestSkew = Infinity;
+      for (const twse of twseList) {
+        const skew = Math.abs(Date.parse(twse.ts) - Date.parse(yahoo.ts));
+        if (skew < bestSkew) {
+          best = twse;
+          bestSkew = skew;
+        }
+      }
+      if (best && bestSkew <= maxSkewMs) pairs.push({ symbol, twse: best, yahoo });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 比對配對報價並彙總各來源偏移情形
+ * @param {Array<{symbol: string, twse: Object, yahoo: Object}>} pairs - pairSnapshots() 結果
+ * @param {Object<string, Object>} [references={}] - 各股票官方參考值 { prevClose?, close?, volume? (張) }
+ * @param {Object} [options={}]
+ * @param {string} [options.date] - 交易日 (YYYY-MM-DD)；收盤後的配對才以當日收盤與成交量為參考
+ * @returns {{date: string|null, compared: number, divergences: Array<Object>, unattributed: number,
+ *   sources: Object<string, {drifts: number, driftPct: number}>, drifting: string|null}}
+ */
+function reconcile(pairs, references = {}, options = {}) {
+  const closeTime = options.date ? taipeiTime(options.date, SESSION.close).toISOString() : null;
+  const divergences = [];
+
+  for (const { symbol, twse, yahoo } of pairs) {
+    const ref = references[symbol] || {};
+    const final = closeTime !== null && twse.ts >= closeTime && yahoo.ts >= closeTime;
+    divergences.push(...compareSnapshots(twse, yahoo, {
+      prevClose: ref.prevClose,
+      close: final ? ref.close : undefined,
+      volume: final ? ref.volume : undefined
+    }, options));
+  }
+
+  const sources = {};
+  for (const source of SOURCES) {
+    const drifts = divergences.filter(d => d.drifting === source).length;
+    sources[source] = { drifts, driftPct: pairs.length > 0 ? round2(drifts / pairs.length * 100) : 0 };
+  }
+  const [first, second] = SOURCES.map(s => sources[s].drifts);
+
+  return {
+    date: options.date || null,
+    compared: pairs.length,
+    divergences,
+    unattributed: divergences.filter(d => d.drifting === null).length,
+    sources,
+    drifting: first === second ? null : first > second ? SOURCES[0] : SOURCES[1]
+  };
+}
+
+/**
+ * 由 daily_prices 建立官方參考值 (前一交易日收盤為昨收；當日收盤與成交量換算為張)
+ * @private
+ */
+function _buildReferences(rows, date) {
+  const references = {};
+  for (const row of rows) {
+    const ref = references[row.symbol] || (references[row.symbol] = {});
+    if (row.date === date) {
+      ref.close = row.close;
+      ref.volume = row.volume > 0 ? row.volume / SHARES_PER_LOT : undefined;
+    } else if (row.date < date) {
+      ref.prevClose = row.close;
+    }
+  }
+  return references;
+}
+
+/**
+ * 比對資料庫中某交易日兩來源的盤中快照
+ * @param {Object} DB - 資料庫介面 (需有 getIntradaySnapshotsByDate / getRowsBetween 方法)
+ * @param {string} date - 交易日 (YYYY-MM-DD)
+ * @param {Object} [options={}] - 覆寫 CONFIG 的設定
+ * @returns {Object} reconcile() 結果
+ */
+function runReconciliation(DB, date, options = {}) {
+  const t = { ...CONFIG, ...options };
+  const pairs = pairSnapshots(DB.getIntradaySnapshotsByDate(date), t.maxSkewMs);
+  const prevDate = tradingCalendar.previousTradingDay(date);
+  const references = _buildReferences(DB.getRowsBetween('daily_prices', prevDate, date), date);
+  return reconcile(pairs, references, { ...t, date });
+}
+
+/**
+ * 同時向兩來源查詢並比對 (即時抽查)
+ * @async
+ * @param {Array<{code: string, market?: string}>} stocks - 股票清單
+ * @param {Object<string, QuoteSource>} sources - { TWSE, Yahoo } 行情來源 (見 crawler/quote-sources)
+ * @param {Object<string, Object>} [references={}] - 各股票官方參考值 (通常只有 prevClose)
+ * @param {Object} [options={}] - 覆寫 CONFIG 的設定
+ * @returns {Promise<Object>} reconcile() 結果；任一來源失敗時拋出錯誤
+ */
+async function fetchAndReconcile(stocks, sources, references = {}, options = {}) {
+  const fetched = {};
+  for (const name of SOURCES) {
+    const ts = new Date().toISOString();
+    const quotes = await sources[name].fetchQuotes(stocks);
+    fetched[name] = new Map(quotes
+      .map(q => toSnapshot({ timestamp: ts, ...q, source: name }))
+      .filter(Boolean)
+      .map(s => [s.symbol, s]));
+  }
+
+  const pairs = [];
+  for (const [symbol, twse] of fetched.TWSE) {
+    if (fetched.Yahoo.has(symbol)) pairs.push({ symbol, twse, yahoo: fetched.Yahoo.get(symbol) });
+  }
+  return reconcile(pairs, references, options);
+}
+
+/**
+ * 即時抽查股票清單：兩來源各自查詢後比對，昨收參考值取自 daily_prices
+ * @async
+ * @param {Object} DB - 資料庫介面 (需有 getRowsBetween 方法)
+ * @param {Array<{code: string, market?: string}>} stocks - 股票清單
+ * @param {Object<string, QuoteSource>} sources - { TWSE, Yahoo } 行情來源
+ * @param {Object} [options={}] - 覆寫 CONFIG 的設定
+ * @param {Date} [options.now=new Date()] - 查詢時間 (決定交易日)
+ * @returns {Promise<Object>} reconcile() 結果
+ */
+async function runLiveReconciliation(DB, stocks, sources, options = {}) {
+  const { now = new Date(), ...overrides } = options;
+  const date = taipeiDate(now);
+  const prevDate = tradingCalendar.previousTradingDay(date);
+  const references = _buildReferences(DB.getRowsBetween('daily_prices', prevDate, date), date);
+  return fetchAndReconcile(stocks, sources, references, { ...overrides, date });
+}
+
+/**
+ * 格式化比對報告
+ * @param {Object} report - reconcile() 結果
+ * @returns {string}
+ */
+function formatReconciliationReport(report) {
+  const lines = [
+    `🔀 行情來源比對 ${report.date || ''}`.trim(),
+    `配對 ${report.compared} 組，差異 ${report.divergences.length} 筆 (無法判定來源 ${report.unattributed} 筆)`
+  ];
+  for (const source of SOURCES) {
+    const s = report.sources[source];
+    lines.push(`  ${source}: 偏移 ${s.drifts} 筆 (${s.driftPct}%)`);
+  }
+  lines.push(report.drifting ? `⚠️ 偏移來源: ${report.drifting}` : '✅ 無明確偏移來源');
+
+  for (const d of report.divergences) {
+    lines.push(`  ${d.symbol} ${d.ts} ${d.type}: TWSE ${d.twse} / Yahoo ${d.yahoo} (${d.diffPct > 0 ? '+' : ''}${d.diffPct}%)` +
+      (d.reference !== null ? ` 參考 ${d.reference}` : '') + (d.drifting ? ` → ${d.drifting}` : ''));
+  }
+  return lines.join('\n');
+}
+
+// CLI: node src/quality/quote-reconciler.js [date]
+//      node src/quality/quote-reconciler.js --live [--symbols 2330,2454]  (未指定股票時使用 watchlist)
+if (require.main === module) {
+  const DB = require('../database/db');
+  const args = process.argv.slice(2);
+  DB.init();
+
+  if (args.includes('--live')) {
+    const TWSERealtimeCrawler = require('../crawler/twse-realtime-crawler');
+    const { TWSEQuoteSource, YahooQuoteSource } = require('../crawler/quote-sources');
+    const { loadWatchlist } = require('../crawler/intraday-crawler');
+
+    const i = args.indexOf('--symbols');
+    const stocks = i >= 0 ? args[i + 1].split(',').map(code => ({ code })) : loadWatchlist();
+    const sources = {
+      TWSE: new TWSEQuoteSource(new TWSERealtimeCrawler({ securities: DB.getSecurities() })),
+      Yahoo: new YahooQuoteSource()
+    };
+    runLiveReconciliation(DB, stocks, sources)
+      .then(report => {
+        console.log(formatReconciliationReport(report));
+        DB.close();
+      })
+      .catch(err => {
+        console.error(`❌ 行情來源即時比對失敗: ${err.message}`);
+        process.exit(1);
+      });
+  } else {
+    const date = args[0] || tradingCalendar.latestSession();
+    try {
+      console.log(formatReconciliationReport(runReconciliation(DB, date)));
+      DB.close();
+    } catch (err) {
+      console.error(`❌ 行情來源比對失敗: ${err.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = {
+  compareSnapshots,
+  pairSnapshots,
+  reconcile,
+  runReconciliation,
+  fetchAndReconcile,
+  runLiveReconciliation,
+  formatReconciliationReport,
+  DIVERGENCE_TYPES,
+  SOURCES,
+  CONFIG
+};
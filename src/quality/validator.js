@@ -0,0 +1,189 @@
+/**
+ * @fileoverview 資料品質檢核 - 日K與法人籌碼的異常判定
+ * @description 檢查日期格式、daily_prices 的 OHLC 一致性、零成交量假K棒 (無成交時以前收補值)、超過漲跌幅限制的跳空，
+ *   及 institutional_trades 的全零籌碼資料。ERROR 級異常的資料列應隔離 (quarantine) 而不寫入主表，
+ *   以免污染 VAO 均量與籌碼評分；WARN 級異常 (如除權息造成的跳空) 僅列入資料健康報告。
+ * @module quality/validator
+ * @version 1.0.0
+ *
+ * @example
+ * const { screenRows } = require('./quality/validator');
+ * const { accepted, quarantined } = screenRows('daily_prices', rows);
+ * // quarantined: [{ row: { symbol: '2330', date: '2026-02-09', high: 99, low: 101, ... }, issues: [{ code: 'HIGH_BELOW_LOW', ... }] }]
+ */
+
+const { tradingCalendar } = require('../market/trading-calendar');
+const { LIMIT_PCT } = require('../market/price-limits');
+const { isISODate } = require('../dates');
+
+/** 異常嚴重度 */
+const SEVERITY = {
+  ERROR: 'ERROR',
+  WARN: 'WARN'
+};
+
+/** 異常代碼 → 嚴重度 */
+const ISSUES = {
+  /** 日期缺漏或非 YYYY-MM-DD */
+  INVALID_DATE: SEVERITY.ERROR,
+  /** 開高低收缺漏或非正數 */
+  MISSING_PRICE: SEVERITY.ERROR,
+  /** 最高價低於最低價 */
+  HIGH_BELOW_LOW: SEVERITY.ERROR,
+  /** 開盤或收盤價不在最高/最低價區間內 */
+  OUT_OF_RANGE: SEVERITY.ERROR,
+  /** 成交量為 0 或缺漏 (價格多為以前收補值的假價) */
+  ZERO_VOLUME: SEVERITY.ERROR,
+  /** 法人買賣超與資券餘額全為 0 (來源 '--' 被解析為 0) */
+  ZEROED_CHIP: SEVERITY.ERROR,
+  /** 籌碼欄位非數值 */
+  INVALID_NUMBER: SEVERITY.ERROR,
+  /** 收盤漲跌幅超過漲跌幅限制 (除權息、新上市或資料錯誤) */
+  PRICE_GAP: SEVERITY.WARN
+};
+
+/** 支援的資料集 */
+const DATASETS = ['daily_prices', 'institutional_trades'];
+
+/** 跳空判定: 超過漲跌幅限制再加上此容忍度 (升降單位進位誤差) */
+const GAP_TOLERANCE = 0.005;
+
+/** 籌碼欄位 */
+const CHIP_FIELDS = ['foreign_net', 'trust_net', 'dealer_net', 'margin_balance', 'short_balance'];
+
+/**
+ * 建立異常項目
+ * @private
+ */
+function _issue(code, message) {
+  return { code, severity: ISSUES[code], message };
+}
+
+/**
+ * 日期格式檢查 (DB 以字串比較日期，非 ISO 日期會排序錯誤)
+ * @private
+ * @returns {Object|null} INVALID_DATE 異常項目
+ */
+function _checkDate(row) {
+  return isISODate(row.date) ? null : _issue('INVALID_DATE', `日期格式錯誤: ${row.date ?? '空值'}`);
+}
+
+/**
+ * 檢核單筆日K
+ * @param {Object} row - daily_prices 格式資料
+ * @param {number|null} [prevClose=null] - 前一交易日收盤價 (用於跳空檢查)
+ * @returns {Array<{code: string, severity: string, message: string}>} 無異常時為空陣列
+ */
+function validatePriceRow(row, prevClose = null) {
+  const dateIssue = _checkDate(row);
+  if (dateIssue) return [dateIssue];
+
+  const issues = [];
+  const { open, high, low, close, volume } = row;
+  const prices = [open, high, low, close];
+
+  if (prices.some(p => !Number.isFinite(p) || p <= 0)) {
+    issues.push(_issue('MISSING_PRICE', `開高低收缺漏或非正數 (${prices.join('/')})`));
+    return issues;
+  }
+
+  if (high < low) {
+    issues.push(_issue('HIGH_BELOW_LOW', `最高價 ${high} 低於最低價 ${low}`));
+  } else if (open > high || open < low || close > high || close < low) {
+    issues.push(_issue('OUT_OF_RANGE', `開盤 ${open} / 收盤 ${close} 超出高低區間 ${low}-${high}`));
+  }
+
+  if (!Number.isFinite(volume) || volume <= 0) {
+    issues.push(_issue('ZERO_VOLUME', `成交量為 ${volume ?? '空值'}`));
+  }
+
+  if (Number.isFinite(prevClose) && prevClose > 0) {
+    const changePct = close / prevClose - 1;
+    if (Math.abs(changePct) > LIMIT_PCT + GAP_TOLERANCE) {
+      issues.push(_issue('PRICE_GAP', `收盤 ${close} 較前收 ${prevClose} 變動 ${(changePct * 100).toFixed(2)}%`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 檢核單筆法人籌碼
+ * @param {Object} row - institutional_trades 格式資料
+ * @returns {Array<{code: string, severity: string, message: string}>} 無異常時為空陣列
+ */
+function validateInstitutionalRow(row) {
+  const dateIssue = _checkDate(row);
+  if (dateIssue) return [dateIssue];
+
+  const invalid = CHIP_FIELDS.filter(f => row[f] !== undefined && row[f] !== null && !Number.isFinite(row[f]));
+  if (invalid.length > 0) {
+    return [_issue('INVALID_NUMBER', `欄位非數值: ${invalid.join(', ')}`)];
+  }
+  if (CHIP_FIELDS.every(f => !row[f])) {
+    return [_issue('ZEROED_CHIP', '法人買賣超與資券餘額全為 0')];
+  }
+  return [];
+}
+
+/**
+ * 篩檢一批資料，分為可寫入、應隔離與僅警示三類
+ * @param {string} dataset - 'daily_prices' | 'institutional_trades'
+ * @param {Array<Object>} rows - 資料陣列
+ * @param {Object} [options={}]
+ * @param {Object<string, number>} [options.prevCloses] - 各股票批次前一交易日收盤價 (跳空檢查用)
+ * @returns {{accepted: Array<Object>, quarantined: Array<{row: Object, issues: Array}>,
+ *   warnings: Array<{row: Object, issues: Array}>}} 有 WARN 的資料列仍會列入 accepted
+ */
+function screenRows(dataset, rows, options = {}) {
+  if (!DATASETS.includes(dataset)) throw new Error(`不支援的資料集: ${dataset}`);
+
+  const accepted = [];
+  const quarantined = [];
+  const warnings = [];
+  const prevCloses = { ...(options.prevCloses || {}) };
+
+  // 日K依股票、日期排序，跳空以批次內前一筆有效收盤為基準
+  const ordered = dataset === 'daily_prices'
+    ? [...rows].sort((a, b) => a.symbol.localeCompare(b.symbol) || String(a.date).localeCompare(String(b.date)))
+    : rows;
+
+  for (const row of ordered) {
+    const issues = dataset === 'daily_prices'
+      ? validatePriceRow(row, prevCloses[row.symbol] ?? null)
+      : validateInstitutionalRow(row);
+
+    if (issues.some(i => i.severity === SEVERITY.ERROR)) {
+      quarantined.push({ row, issues });
+      continue;
+    }
+    if (issues.length > 0) warnings.push({ row, issues });
+    accepted.push(row);
+    if (dataset === 'daily_prices') prevCloses[row.symbol] = row.close;
+  }
+
+  return { accepted, quarantined, warnings };
+}
+
+/**
+ * 找出區間內缺漏的交易日
+ * @param {Array<string>} dates - 已有資料的日期 (YYYY-MM-DD)
+ * @param {string} startDate - 開始日期 (YYYY-MM-DD)
+ * @param {string} endDate - 結束日期 (YYYY-MM-DD)
+ * @param {Object} [calendar=tradingCalendar] - 交易日曆
+ * @returns {Array<string>} 缺漏的交易日 (由舊到新)
+ */
+function findMissingTradingDays(dates, startDate, endDate, calendar = tradingCalendar) {
+  const present = new Set(dates);
+  return calendar.listTradingDays(startDate, endDate).filter(d => !present.has(d));
+}
+
+module.exports = {
+  validatePriceRow,
+  validateInstitutionalRow,
+  screenRows,
+  findMissingTradingDays,
+  SEVERITY,
+  ISSUES,
+  DATASETS
+};
@@ -13,6 +13,11 @@
 
 const { calculateVAO } = require('../indicators/vao');
 const { calculateMTM, calculateMASystem } = require('../indicators/momentum');
+const { tradingCalendar, loadCalendarOverrides } = require('../market/trading-calendar');
+const { normalizeDate } = require('../dates');
+const { analyzeForeignHoldings } = require('../market/foreign-holdings');
+const { analyzeShareholding } = require('../market/shareholding');
+const { assessMarketRegime, adjustTierThresholds } = require('../market/market-regime');
 
 // ─── 常數定義 ─────────────────────────────────────
 const WEIGHTS = {
@@ -27,13 +32,18 @@ const TIER_THRESHOLDS = {
   TIER3: 45   // 觀察清單
 };
 
+/** 期交所資料超過此交易日數視為過期，不調整分級門檻 */
+const REGIME_MAX_AGE_DAYS = 3;
+
 const TIER1_MIN_DIMENSION = 60;
 const TIER2_MIN_DIMENSION = 50;
 
 const FILTER_DEFAULTS = {
   minAvgVolume: 1000,
   minPrice: 10,
-  topN: 20
+  topN: 20,
+  maxDayTradeRatio: null,     // 近 5 日平均當沖比上限 (0-1，null = 不篩選；無當沖資料者不受限)
+  discountDayTrading: true    // VAO 量能扣除當沖成交股數
 };
 
 const RECOMMENDATION = {
@@ -49,6 +59,7 @@ const RECOMMENDATION = {
  * @param {Array<Object>} priceData - 歷史價格 (最新在前，至少 60 筆)
  * @param {Object} [options={}]
  * @param {number} [options.totalShares] - 總發行股數
+ * @param {boolean} [options.discountDayTrading=false] - VAO 量能扣除當沖成交股數 (priceData 需含 day_trade_volume)
  * @returns {Object} 技術面評分結果
  * @returns {number} return.score - 技術面得分 (0-100)
  * @returns {Object} return.vao - VAO 指標結果
@@ -62,7 +73,10 @@ function scoreTechnical(priceData, options = {}) {
   }
 
   try {
-    const vao = calculateVAO(priceData, { totalShares: options.totalShares });
+    const vao = calculateVAO(priceData, {
+      totalShares: options.totalShares,
+      discountDayTrading: options.discountDayTrading
+    });
     const mtm = calculateMTM(priceData, { period: 10, maPeriod: 5 });
     const ma = calculateMASystem(priceData);
 
@@ -138,20 +152,23 @@ function _evaluateEntrySignal(data, vao, mtm, ma) {
 // ─── 籌碼面評分器 ─────────────────────────────────
 /**
  * 計算籌碼面綜合得分
- * @description 分析法人買賣超、融資券變化，產出 0-100 分
+ * @description 分析法人買賣超、融資券、借券賣出變化與集保大戶集中度，產出 0-100 分。
+ *   提供外資持股歷史時，外資子項改為買賣超 70% + 持股比率趨勢 30% (比率上升、創區間新高加分，逼近投資上限扣分)
  * @param {Array<Object>} institutionalData - 籌碼資料 (最新在前)
- *   每筆含 { foreign_net, trust_net, dealer_net, margin_balance, short_balance }
+ *   每筆含 { foreign_net, trust_net, dealer_net, margin_balance, short_balance, sbl_sell?, sbl_balance? }
+ * @param {Array<Object>} [foreignHoldings=null] - foreign_holdings 歷史 (最新在前)
+ * @param {Array<Object>} [shareholding=null] - shareholding_distribution 最近兩週資料 (無資料時集中度為中性 50)
  * @returns {Object} 籌碼面評分結果
  * @returns {number} return.score - 籌碼面得分 (0-100)
  * @returns {Object} return.details - 各子項得分
  */
-function scoreInstitutional(institutionalData) {
+function scoreInstitutional(institutionalData, foreignHoldings = null, shareholding = null) {
   if (!Array.isArray(institutionalData) || institutionalData.length < 3) {
     return { score: 0, error: '籌碼資料不足 (需 3 筆以上)' };
   }
 
   try {
-    // ── 外資連續性 (權重 40%) ──
+    // ── 外資連續性 (權重 35%) ──
     let foreignScore = 0;
     const foreignConsecutiveBuy = _countConsecutive(institutionalData, d => d.foreign_net > 0);
     const foreign5DaySum = institutionalData.slice(0, 5).reduce((s, d) => s + (d.foreign_net || 0), 0);
@@ -162,7 +179,24 @@ function scoreInstitutional(institutionalData) {
     if (institutionalData[0].foreign_net > 0) foreignScore += 20;
     foreignScore = Math.min(100, foreignScore);
 
-    // ── 投信布局 (權重 35%) ──
+    // 外資持股比率趨勢
+    const holding = analyzeForeignHoldings(foreignHoldings);
+    let holdingScore = null;
+    if (holding) {
+      holdingScore = 50; // 中性起始
+      if (holding.change !== null) {
+        if (holding.change >= 0.5) holdingScore += 25;
+        else if (holding.change > 0) holdingScore += 10;
+        else if (holding.change <= -0.5) holdingScore -= 25;
+        else if (holding.change < 0) holdingScore -= 10;
+      }
+      if (holding.isHigh) holdingScore += 25;
+      if (holding.nearCap) holdingScore -= 30; // 外資可買空間有限
+      holdingScore = Math.min(100, Math.max(0, holdingScore));
+      foreignScore = Math.round(foreignScore * 0.7 + holdingScore * 0.3);
+    }
+
+    // ── 投信布局 (權重 30%) ──
     let trustScore = 0;
     const trustConsecutiveBuy = _countConsecutive(institutionalData, d => d.trust_net > 0);
     if (trustConsecutiveBuy >= 3) trustScore += 50;
@@ -190,14 +224,40 @@ function scoreInstitutional(institutionalData) {
       const marginRatio = latest.short_balance / latest.margin_balance;
       if (marginRatio < 0.2) marginScore += 25; // 券資比低=好
     }
+    // 借券賣出壓力 (權值股空方主力，有借券資料時才計入)
+    const sbl = _sblPressure(institutionalData);
+    if (sbl) {
+      if (sbl.change > 0) marginScore -= 15; // 借券賣出餘額增加=差
+      else if (sbl.change < 0) marginScore += 10; // 還券回補=好
+      if (sbl.change5Pct !== null && sbl.change5Pct >= 10) marginScore -= 20; // 5 日增加 10% 以上
+    }
     marginScore = Math.min(100, Math.max(0, marginScore));
 
+    // ── 大戶集中度 (權重 10%) ──
+    let concentrationScore = 50; // 中性起始
+    const concentration = analyzeShareholding(shareholding);
+    if (concentration) {
+      if (concentration.change400 !== null) {
+        if (concentration.change400 >= 0.5) concentrationScore += 25; // 400 張大戶週增 0.5 個百分點以上
+        else if (concentration.change400 > 0) concentrationScore += 10;
+        else if (concentration.change400 <= -0.5) concentrationScore -= 25;
+        else if (concentration.change400 < 0) concentrationScore -= 10;
+      }
+      if (concentration.holderChangePct !== null) {
+        if (concentration.holderChangePct < 0) concentrationScore += 15; // 散戶退場=籌碼集中
+        else if (concentration.holderChangePct > 2) concentrationScore -= 15;
+      }
+      if (concentration.bigHolderRatio1000 >= 60) concentrationScore += 10;
+      concentrationScore = Math.min(100, Math.max(0, concentrationScore));
+    }
+
     // 加權總分
     const score = Math.round(
-      foreignScore * 0.40 +
-      trustScore * 0.35 +
+      foreignScore * 0.35 +
+      trustScore * 0.30 +
       dealerScore * 0.15 +
-      marginScore * 0.10
+      marginScore * 0.10 +
+      concentrationScore * 0.10
     );
 
     // 籌碼情緒
@@ -215,8 +275,21 @@ function scoreInstitutional(institutionalData) {
         trustScore,
         dealerScore,
         marginScore,
+        concentrationScore,
         foreignConsecutiveBuy,
-        foreign5DaySum
+        foreign5DaySum,
+        holdingScore,
+        foreignRatio: holding ? holding.ratio : null,
+        foreignRatioChange: holding ? holding.change : null,
+        foreignRatioHigh: holding ? holding.isHigh : false,
+        foreignNearCap: holding ? holding.nearCap : false,
+        sblBalance: sbl ? sbl.balance : null,
+        sblChange: sbl ? sbl.change : null,
+        sblChange5Pct: sbl ? sbl.change5Pct : null,
+        bigHolderRatio400: concentration ? concentration.bigHolderRatio400 : null,
+        bigHolderRatio1000: concentration ? concentration.bigHolderRatio1000 : null,
+        bigHolderChange400: concentration ? concentration.change400 : null,
+        holderChangePct: concentration ? concentration.holderChangePct : null
       }
     };
   } catch (err) {
@@ -224,6 +297,25 @@ function scoreInstitutional(institutionalData) {
   }
 }
 
+/**
+ * 計算借券賣出餘額變化
+ * @private
+ * @param {Array<Object>} data - 籌碼資料 (最新在前，含 sbl_balance)
+ * @returns {{balance: number, change: number, change5Pct: number|null}|null} 最新兩日無借券資料時為 null
+ */
+function _sblPressure(data) {
+  const rows = data.filter(d => d.sbl_balance !== null && d.sbl_balance !== undefined);
+  if (rows.length < 2 || rows[0] !== data[0]) return null;
+
+  const balance = rows[0].sbl_balance;
+  const base5 = rows[Math.min(5, rows.length - 1)].sbl_balance;
+  return {
+    balance,
+    change: balance - rows[1].sbl_balance,
+    change5Pct: base5 > 0 ? Math.round(((balance - base5) / base5) * 10000) / 100 : null
+  };
+}
+
 /**
  * 計算連續滿足條件的天數
  * @private
@@ -240,13 +332,17 @@ function _countConsecutive(data, predicate) {
 // ─── 基本面評分器 ─────────────────────────────────
 /**
  * 計算基本面綜合得分
- * @description 分析營收成長與 EPS，產出 0-100 分
+ * @description 分析營收成長、EPS、獲利能力與財務結構，產出 0-100 分
  * @param {Object} fundamentalData - 基本面資料
  * @param {number} [fundamentalData.revenueGrowthMoM] - 月營收月增率 (%)
  * @param {number} [fundamentalData.revenueGrowthYoY] - 月營收年增率 (%)
- * @param {number} [fundamentalData.eps] - 最近一季 EPS
- * @param {number} [fundamentalData.epsPrevYear] - 去年同期 EPS
+ * @param {number} [fundamentalData.eps] - 最近一季 EPS (當年度累計)
+ * @param {number} [fundamentalData.epsPrevYear] - 去年同期 EPS (當年度累計)
  * @param {number} [fundamentalData.peRatio] - 本益比
+ * @param {number} [fundamentalData.roe] - 年化股東權益報酬率 (%)
+ * @param {number} [fundamentalData.operatingMargin] - 營業利益率 (%)
+ * @param {number} [fundamentalData.debtRatio] - 負債比率 (%)
+ * @param {number} [fundamentalData.operatingCashFlow] - 營業活動淨現金流
  * @returns {Object} 基本面評分結果
  * @returns {number} return.score - 基本面得分 (0-100)
  */
@@ -259,7 +355,7 @@ function scoreFundamental(fundamentalData) {
     let score = 0;
     const details = {};
 
-    // ── 營收年增率 (權重 40%) ──
+    // ── 營收年增率 (權重 30%) ──
     const yoy = fundamentalData.revenueGrowthYoY;
     if (yoy !== undefined && yoy !== null) {
       let revenueScore = 50; // 中性
@@ -269,14 +365,14 @@ function scoreFundamental(fundamentalData) {
       else if (yoy > 0) revenueScore = 55;
       else if (yoy > -10) revenueScore = 35;
       else revenueScore = 15;
-      score += revenueScore * 0.40;
+      score += revenueScore * 0.30;
       details.revenueScore = revenueScore;
     } else {
-      score += 50 * 0.40;
+      score += 50 * 0.30;
       details.revenueScore = 50;
     }
 
-    // ── 營收月增率 (權重 15%) ──
+    // ── 營收月增率 (權重 10%) ──
     const mom = fundamentalData.revenueGrowthMoM;
     if (mom !== undefined && mom !== null) {
       let momScore = 50;
@@ -285,14 +381,14 @@ function scoreFundamental(fundamentalData) {
       else if (mom > 0) momScore = 60;
       else if (mom > -10) momScore = 40;
       else momScore = 20;
-      score += momScore * 0.15;
+      score += momScore * 0.10;
       details.momScore = momScore;
     } else {
-      score += 50 * 0.15;
+      score += 50 * 0.10;
       details.momScore = 50;
     }
 
-    // ── EPS 成長 (權重 30%) ──
+    // ── EPS 成長 (權重 25%) ──
     const eps = fundamentalData.eps;
     const epsPrev = fundamentalData.epsPrevYear;
     if (eps !== undefined && epsPrev !== undefined && epsPrev > 0) {
@@ -303,15 +399,15 @@ function scoreFundamental(fundamentalData) {
       else if (epsGrowth > 0) epsScore = 65;
       else if (epsGrowth > -15) epsScore = 35;
       else epsScore = 15;
-      score += epsScore * 0.30;
+      score += epsScore * 0.25;
       details.epsScore = epsScore;
       details.epsGrowth = Math.round(epsGrowth * 100) / 100;
     } else {
-      score += 50 * 0.30;
+      score += 50 * 0.25;
       details.epsScore = 50;
     }
 
-    // ── 本益比合理性 (權重 15%) ──
+    // ── 本益比合理性 (權重 10%) ──
     const pe = fundamentalData.peRatio;
     if (pe !== undefined && pe !== null && pe > 0) {
       let peScore = 50;
@@ -320,13 +416,68 @@ function scoreFundamental(fundamentalData) {
       else if (pe < 20) peScore = 60;
       else if (pe < 30) peScore = 45;
       else peScore = 25;
-      score += peScore * 0.15;
+      score += peScore * 0.10;
       details.peScore = peScore;
     } else {
-      score += 50 * 0.15;
+      score += 50 * 0.10;
       details.peScore = 50;
     }
 
+    // ── 獲利能力 (權重 15%): ROE 60% + 營業利益率 40% ──
+    const roe = fundamentalData.roe;
+    const opMargin = fundamentalData.operatingMargin;
+    const hasRoe = roe !== undefined && roe !== null;
+    const hasMargin = opMargin !== undefined && opMargin !== null;
+    if (hasRoe || hasMargin) {
+      let roeScore = 50;
+      if (hasRoe) {
+        if (roe > 20) roeScore = 100;
+        else if (roe > 15) roeScore = 85;
+        else if (roe > 10) roeScore = 70;
+        else if (roe > 5) roeScore = 55;
+        else if (roe > 0) roeScore = 40;
+        else roeScore = 15;
+      }
+      let marginScore = 50;
+      if (hasMargin) {
+        if (opMargin > 20) marginScore = 90;
+        else if (opMargin > 10) marginScore = 75;
+        else if (opMargin > 5) marginScore = 60;
+        else if (opMargin > 0) marginScore = 45;
+        else marginScore = 20;
+      }
+      let profitabilityScore;
+      if (hasRoe && hasMargin) profitabilityScore = roeScore * 0.6 + marginScore * 0.4;
+      else profitabilityScore = hasRoe ? roeScore : marginScore;
+      profitabilityScore = Math.round(profitabilityScore);
+      score += profitabilityScore * 0.15;
+      details.profitabilityScore = profitabilityScore;
+    } else {
+      score += 50 * 0.15;
+      details.profitabilityScore = 50;
+    }
+
+    // ── 財務結構 (權重 10%): 負債比率，營業現金流為負扣分 ──
+    const debtRatio = fundamentalData.debtRatio;
+    const ocf = fundamentalData.operatingCashFlow;
+    if (debtRatio !== undefined && debtRatio !== null) {
+      let balanceScore;
+      if (debtRatio < 30) balanceScore = 85;
+      else if (debtRatio < 50) balanceScore = 70;
+      else if (debtRatio < 60) balanceScore = 55;
+      else if (debtRatio < 70) balanceScore = 40;
+      else balanceScore = 20;
+      if (ocf !== undefined && ocf !== null) {
+        balanceScore += ocf > 0 ? 10 : -20;
+      }
+      balanceScore = Math.min(100, Math.max(0, balanceScore));
+      score += balanceScore * 0.10;
+      details.balanceScore = balanceScore;
+    } else {
+      score += 50 * 0.10;
+      details.balanceScore = 50;
+    }
+
     return {
       score: Math.round(Math.min(100, Math.max(0, score))),
       details
@@ -336,18 +487,97 @@ function scoreFundamental(fundamentalData) {
   }
 }
 
+/**
+ * 由季財報推導 EPS、去年同期 EPS 與本益比
+ * @private
+ * @param {Array<Object>} statements - financial_statements 資料 (季別新到舊)
+ * @param {number} [price] - 收盤價
+ * @returns {Object} { eps, epsPrevYear, peRatio, roe, grossMargin, operatingMargin, debtRatio, operatingCashFlow, statementPeriod }
+ */
+function _deriveStatementMetrics(statements, price) {
+  if (!Array.isArray(statements) || statements.length === 0) return {};
+
+  const latest = statements[0];
+  const year = parseInt(latest.period.slice(0, 4), 10);
+  const quarter = parseInt(latest.period.slice(-1), 10);
+  const find = (period) => statements.find(s => s.period === period);
+  const prevSame = find(`${year - 1}Q${quarter}`);
+  const prevAnnual = find(`${year - 1}Q4`);
+
+  // 損益表為當年度累計: 近四季 EPS = 今年累計 + 去年全年 - 去年同期累計
+  let trailingEps = null;
+  if (latest.eps != null) {
+    if (quarter === 4) trailingEps = latest.eps;
+    else if (prevAnnual?.eps != null && prevSame?.eps != null) {
+      trailingEps = latest.eps + prevAnnual.eps - prevSame.eps;
+    }
+  }
+
+  const metrics = {
+    statementPeriod: latest.period,
+    roe: latest.roe,
+    grossMargin: latest.gross_margin,
+    operatingMargin: latest.operating_margin,
+    debtRatio: latest.debt_ratio,
+    operatingCashFlow: latest.operating_cash_flow
+  };
+  if (latest.eps != null) metrics.eps = latest.eps;
+  if (prevSame?.eps != null) metrics.epsPrevYear = prevSame.eps;
+  if (price > 0 && trailingEps > 0) {
+    metrics.peRatio = Math.round((price / trailingEps) * 100) / 100;
+  }
+  return metrics;
+}
+
+// ─── 產業相對強弱 ─────────────────────────────────
+/**
+ * 計算個股相對所屬產業指數的強弱
+ * @description 以同一區間的個股報酬減去產業類指數報酬 (百分點)；指數取不晚於個股交易日的最近一筆。
+ *   僅供參考，不計入評分。
+ * @param {Array<Object>} priceData - 歷史價格 (最新在前)
+ * @param {Array<Object>} indexData - market_indices 資料 (最新在前)
+ * @param {number} [period=20] - 比較交易日數
+ * @returns {{industry: string|null, indexCode: string, period: number, stockReturn: number,
+ *   indexReturn: number, rs: number}|null} 資料不足時為 null
+ */
+function calculateRelativeStrength(priceData, indexData, period = 20) {
+  if (!priceData || priceData.length <= period || !indexData || indexData.length === 0) return null;
+
+  const latest = priceData[0];
+  const base = priceData[period];
+  const indexAt = date => indexData.find(r => r.date <= date);
+  const indexLatest = indexAt(latest.date);
+  const indexBase = indexAt(base.date);
+  if (!indexLatest || !indexBase || indexLatest === indexBase || !(base.close > 0) || !(indexBase.close > 0)) {
+    return null;
+  }
+
+  const round = v => Math.round(v * 100) / 100;
+  const stockReturn = ((latest.close - base.close) / base.close) * 100;
+  const indexReturn = ((indexLatest.close - indexBase.close) / indexBase.close) * 100;
+  return {
+    industry: indexLatest.industry ?? null,
+    indexCode: indexLatest.index_code,
+    period,
+    stockReturn: round(stockReturn),
+    indexReturn: round(indexReturn),
+    rs: round(stockReturn - indexReturn)
+  };
+}
+
 // ─── 綜合評分器 ───────────────────────────────────
 /**
  * 計算三維綜合評分
  * @param {number} technicalScore - 技術面得分 (0-100)
  * @param {number} institutionalScore - 籌碼面得分 (0-100)
  * @param {number} fundamentalScore - 基本面得分 (0-100)
+ * @param {Object} [thresholds=TIER_THRESHOLDS] - 分級門檻 (市場狀態偏空時由選股引擎提高)
  * @returns {Object} 綜合評分結果
  * @returns {number} return.totalScore - 總分 (0-100)
  * @returns {string} return.tier - 分級 ('TIER1'|'TIER2'|'TIER3'|'EXCLUDED')
  * @returns {string} return.recommendation - 建議 ('買入'|'觀察'|'迴避')
  */
-function calculateCompositeScore(technicalScore, institutionalScore, fundamentalScore) {
+function calculateCompositeScore(technicalScore, institutionalScore, fundamentalScore, thresholds = TIER_THRESHOLDS) {
   const totalScore = Math.round(
     technicalScore * WEIGHTS.TECHNICAL +
     institutionalScore * WEIGHTS.INSTITUTIONAL +
@@ -359,13 +589,13 @@ function calculateCompositeScore(technicalScore, institutionalScore, fundamental
   let tier;
   let recommendation;
 
-  if (totalScore >= TIER_THRESHOLDS.TIER1 && minDimension >= TIER1_MIN_DIMENSION) {
+  if (totalScore >= thresholds.TIER1 && minDimension >= TIER1_MIN_DIMENSION) {
     tier = 'TIER1';
     recommendation = RECOMMENDATION.BUY;
-  } else if (totalScore >= TIER_THRESHOLDS.TIER2 && minDimension >= TIER2_MIN_DIMENSION) {
+  } else if (totalScore >= thresholds.TIER2 && minDimension >= TIER2_MIN_DIMENSION) {
     tier = 'TIER2';
     recommendation = RECOMMENDATION.WATCH;
-  } else if (totalScore >= TIER_THRESHOLDS.TIER3) {
+  } else if (totalScore >= thresholds.TIER3) {
     tier = 'TIER3';
     recommendation = RECOMMENDATION.WATCH;
   } else {
@@ -399,16 +629,25 @@ class ThreeDimensionalScreener {
    * @param {number} [config.minAvgVolume=1000] - 最低日均量 (張)
    * @param {number} [config.minPrice=10] - 最低股價
    * @param {number} [config.topN=20] - 輸出名單數量
+   * @param {number|null} [config.maxDayTradeRatio=null] - 近 5 日平均當沖比上限 (0-1)
+   * @param {boolean} [config.discountDayTrading=true] - VAO 量能扣除當沖成交股數
+   * @param {boolean} [config.marketRegime=true] - 外資期貨淨空單偏高時提高分級門檻
    */
   constructor(db, config = {}) {
     this.db = db;
-    this.config = { ...FILTER_DEFAULTS, ...config };
+    // 日線落後與期貨資料新鮮度以交易日計算，需含颱風停市等臨時異動
+    loadCalendarOverrides(db);
+    this.config = { ...FILTER_DEFAULTS, marketRegime: true, ...config };
+    /** @private @type {Map<string, Object>} 證券主檔 (每次 run 重新載入) */
+    this.securities = new Map();
+    /** @private @type {Object} 本次執行的分級門檻 (依市場狀態調整) */
+    this.tierThresholds = TIER_THRESHOLDS;
   }
 
   /**
    * 執行三維選股
    * @async
-   * @param {string} [date] - 目標日期 (YYYY-MM-DD)，預設最新交易日
+   * @param {string} [date] - 目標日期 (YYYY-MM-DD，亦接受 YYYYMMDD)，預設最新交易日
    * @returns {Promise<Object>} 選股結果
    * @returns {Array} return.tier1 - 強勢關注名單
    * @returns {Array} return.tier2 - 穩健選擇名單
@@ -416,11 +655,17 @@ class ThreeDimensionalScreener {
    * @returns {Object} return.summary - 市場摘要
    */
   async run(date = null) {
-    const targetDate = date || this._getLatestTradingDay();
+    const targetDate = date ? normalizeDate(date) : this._getLatestTradingDay();
     console.log(`[${new Date().toISOString()}] [INFO] [Screener] 開始三維選股: ${targetDate}`);
 
     try {
-      // Step 1: 載入全市場股票清單
+      // Step 1: 載入證券主檔、市場狀態與全市場股票清單
+      this.securities = this._loadSecurityMaster();
+      const marketRegime = this.config.marketRegime ? this._loadMarketRegime(targetDate) : null;
+      this.tierThresholds = adjustTierThresholds(TIER_THRESHOLDS, marketRegime);
+      if (marketRegime && marketRegime.tighten > 0) {
+        console.log(`[${new Date().toISOString()}] [INFO] [Screener] 市場狀態 ${marketRegime.regime}: 外資臺指期淨未平倉 ${marketRegime.foreignNetOi} 口，分級門檻 +${marketRegime.tighten}`);
+      }
       const allSymbols = this._loadAllSymbols(targetDate);
       console.log(`[${new Date().toISOString()}] [INFO] [Screener] 全市場: ${allSymbols.length} 檔`);
 
@@ -457,6 +702,8 @@ class ThreeDimensionalScreener {
         tier2,
         tier3,
         topN,
+        marketRegime,
+        thresholds: this.tierThresholds,
         summary: {
           totalMarket: allSymbols.length,
           afterFilter: filtered.length,
@@ -496,19 +743,33 @@ class ThreeDimensionalScreener {
     // 取得籌碼資料
     const institutionalData = this._getInstitutionalHistory(symbol, 20);
 
-    // 取得基本面資料
-    const fundamentalData = this._getFundamentalData(symbol);
-
-    // 三維評分
-    const technical = scoreTechnical(priceData);
-    const institutional = scoreInstitutional(institutionalData);
+    // 取得基本面資料 (僅使用目標日前已公告的資料)
+    const fundamentalData = this._getFundamentalData(symbol, date, priceData[0].close);
+
+    // 三維評分 (有證券主檔時以發行股數計算周轉率)
+    const security = this.securities.get(symbol);
+    const technical = scoreTechnical(priceData, {
+      totalShares: security?.shares_outstanding,
+      discountDayTrading: this.config.discountDayTrading
+    });
+    const institutional = scoreInstitutional(
+      institutionalData,
+      this._getForeignHoldingHistory(symbol, date),
+      this._getShareholdingHistory(symbol, date)
+    );
     const fundamental = scoreFundamental(fundamentalData);
 
+    // 產業相對強弱 (僅供參考，不計分)
+    const relativeStrength = security?.industry
+      ? calculateRelativeStrength(priceData, this._getIndustryIndexHistory(security.industry, priceData[0].date))
+      : null;
+
     // 綜合評分
     const composite = calculateCompositeScore(
       technical.score,
       institutional.score,
-      fundamental.score
+      fundamental.score,
+      this.tierThresholds
     );
 
     return {
@@ -518,6 +779,7 @@ class ThreeDimensionalScreener {
       technical,
       institutional,
       fundamental,
+      relativeStrength,
       composite
     };
   }
@@ -538,6 +800,20 @@ class ThreeDimensionalScreener {
     }
   }
 
+  /**
+   * 載入證券主檔 (僅上市/上櫃中的股票，下市或停止交易者不納入選股)
+   * @private
+   * @returns {Map<string, Object>} symbol → securities 資料 (表不存在或為空時為空 Map)
+   */
+  _loadSecurityMaster() {
+    try {
+      const rows = this.db.prepare("SELECT * FROM securities WHERE status = 'LISTED'").all();
+      return new Map(rows.map(r => [r.symbol, r]));
+    } catch {
+      return new Map();
+    }
+  }
+
   /**
    * 流動性與價格篩選
    * @private
@@ -545,12 +821,14 @@ class ThreeDimensionalScreener {
   _applyFilters(symbols, date) {
     const result = [];
     for (const symbol of symbols) {
-      // 排除 ETN/權證 (代碼長度 != 4)
-      if (symbol.length !== 4) continue;
+      // 僅保留普通股: 有證券主檔時以主檔為準，否則排除 ETF/權證 (代碼長度 != 4)
+      if (this.securities.size > 0 ? !this.securities.has(symbol) : symbol.length !== 4) continue;
 
       try {
         const recent = this.db.prepare(
-          'SELECT close, volume FROM daily_prices WHERE symbol = ? AND date <= ? ORDER BY date DESC LIMIT 5'
+          `SELECT p.close, p.volume, d.day_trade_volume FROM daily_prices p
+           LEFT JOIN day_trading d ON d.symbol = p.symbol AND d.date = p.date
+           WHERE p.symbol = ? AND p.date <= ? ORDER BY p.date DESC LIMIT 5`
         ).all(symbol, date);
 
         if (recent.length < 5) continue;
@@ -558,7 +836,8 @@ class ThreeDimensionalScreener {
         const avgVolume = recent.reduce((s, r) => s + r.volume, 0) / recent.length;
         const latestPrice = recent[0].close;
 
-        if (avgVolume >= this.config.minAvgVolume && latestPrice >= this.config.minPrice) {
+        if (avgVolume >= this.config.minAvgVolume && latestPrice >= this.config.minPrice &&
+            !this._isSpeculative(recent)) {
           result.push(symbol);
         }
       } catch {
@@ -569,13 +848,30 @@ class ThreeDimensionalScreener {
   }
 
   /**
-   * 取得歷史價格
+   * 近期平均當沖比是否超過上限 (投機過熱)
+   * @private
+   * @param {Array<Object>} recent - 含 volume 與 day_trade_volume 的近期日線
+   * @returns {boolean} 未設定上限或無當沖資料時為 false
+   */
+  _isSpeculative(recent) {
+    if (this.config.maxDayTradeRatio == null) return false;
+    const ratios = recent
+      .filter(r => r.day_trade_volume != null && r.volume > 0)
+      .map(r => r.day_trade_volume / r.volume);
+    if (ratios.length === 0) return false;
+    return ratios.reduce((a, b) => a + b, 0) / ratios.length > this.config.maxDayTradeRatio;
+  }
+
+  /**
+   * 取得歷史價格 (併入同日當沖成交股數)
    * @private
    */
   _getPriceHistory(symbol, limit = 80) {
     try {
       return this.db.prepare(
-        'SELECT * FROM daily_prices WHERE symbol = ? ORDER BY date DESC LIMIT ?'
+        `SELECT p.*, d.day_trade_volume FROM daily_prices p
+         LEFT JOIN day_trading d ON d.symbol = p.symbol AND d.date = p.date
+         WHERE p.symbol = ? ORDER BY p.date DESC LIMIT ?`
       ).all(symbol, limit);
     } catch {
       return [];
@@ -589,75 +885,152 @@ class ThreeDimensionalScreener {
   _getInstitutionalHistory(symbol, limit = 20) {
     try {
       return this.db.prepare(
-        'SELECT * FROM institutional_trades WHERE symbol = ? ORDER BY date DESC LIMIT ?'
+        `SELECT i.*, s.sbl_sell, s.sbl_balance FROM institutional_trades i
+         LEFT JOIN securities_lending s ON s.symbol = i.symbol AND s.date = i.date
+         WHERE i.symbol = ? ORDER BY i.date DESC LIMIT ?`
       ).all(symbol, limit);
     } catch {
       return [];
     }
   }
 
+  /**
+   * 取得外資持股歷史 (目標日以前，最新在前)
+   * @private
+   */
+  _getForeignHoldingHistory(symbol, date, limit = 60) {
+    try {
+      return this.db.prepare(
+        'SELECT * FROM foreign_holdings WHERE symbol = ? AND date <= ? ORDER BY date DESC LIMIT ?'
+      ).all(symbol, date, limit);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * 載入市場狀態 (期交所外資期貨未平倉)
+   * @private
+   * @param {string} date - 目標日期
+   * @returns {Object|null} assessMarketRegime() 結果，無資料或資料過期時為 null
+   */
+  _loadMarketRegime(date) {
+    try {
+      const openInterest = this.db.prepare(`
+        SELECT * FROM taifex_open_interest
+        WHERE date = (SELECT MAX(date) FROM taifex_open_interest WHERE date <= ?)
+      `).all(date);
+      if (openInterest.length === 0) return null;
+      if (tradingCalendar.tradingDaysBetween(openInterest[0].date, date) > REGIME_MAX_AGE_DAYS) return null;
+
+      const putCall = this.db.prepare('SELECT * FROM put_call_ratios WHERE date = ?').get(openInterest[0].date);
+      return assessMarketRegime(openInterest, putCall || null);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 取得產業類指數歷史 (指定日以前，最新在前)
+   * @private
+   */
+  _getIndustryIndexHistory(industry, date, limit = 80) {
+    try {
+      return this.db.prepare(
+        'SELECT * FROM market_indices WHERE industry = ? AND date <= ? ORDER BY date DESC LIMIT ?'
+      ).all(industry, date, limit);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * 取得集保股權分散表 (目標日以前最近兩週)
+   * @private
+   */
+  _getShareholdingHistory(symbol, date) {
+    try {
+      return this.db.prepare(
+        `SELECT * FROM shareholding_distribution
+         WHERE symbol = ? AND date IN (
+           SELECT DISTINCT date FROM shareholding_distribution WHERE symbol = ? AND date <= ? ORDER BY date DESC LIMIT 2
+         )`
+      ).all(symbol, symbol, date);
+    } catch {
+      return [];
+    }
+  }
+
   /**
    * 取得基本面資料
    * @private
    * @param {string} symbol
-   * @returns {Object|null}
+   * @param {string} date - 目標日期，僅取公告日在此之前的資料
+   * @param {number} [latestPrice] - 最新收盤價，用於計算本益比
+   * @returns {Object|null} scoreFundamental 所需格式
    */
-  _getFundamentalData(symbol) {
+  _getFundamentalData(symbol, date, latestPrice) {
+    const data = {};
+
     try {
-      // 嘗試從 fundamentals 表讀取，若不存在則回傳 null
+      // 最新一期，同一期有更正時取目標日期前最後公告的版本
       const row = this.db.prepare(
-        'SELECT * FROM fundamentals WHERE symbol = ? ORDER BY date DESC LIMIT 1'
-      ).get(symbol);
-      return row || null;
+        'SELECT * FROM fundamentals WHERE symbol = ? AND date <= ? ORDER BY period DESC, date DESC LIMIT 1'
+      ).get(symbol, date);
+      if (row) {
+        data.revenueGrowthMoM = row.revenue_growth_mom;
+        data.revenueGrowthYoY = row.revenue_growth_yoy;
+        data.revenuePeriod = row.period;
+        data.announcedAt = row.date;
+      }
     } catch {
       // fundamentals 表可能不存在
-      return null;
     }
+
+    try {
+      const statements = this.db.prepare(`
+        SELECT * FROM financial_statements f
+        WHERE symbol = ?
+          AND date = (SELECT MAX(date) FROM financial_statements
+                      WHERE symbol = f.symbol AND period = f.period AND date <= ?)
+        ORDER BY period DESC LIMIT 8
+      `).all(symbol, date);
+      Object.assign(data, _deriveStatementMetrics(statements, latestPrice));
+    } catch {
+      // financial_statements 表可能不存在
+    }
+
+    return Object.keys(data).length > 0 ? data : null;
   }
 
   /**
    * 取得最新交易日
+   * @description 以交易日曆的最近收盤日為上限，取資料庫中不晚於該日的最新資料日；
+   *   資料落後交易日曆時提出警告
    * @private
    */
   _getLatestTradingDay() {
+    const expected = tradingCalendar.latestSession();
     try {
       const row = this.db.prepare(
-        'SELECT MAX(date) as latest FROM daily_prices'
-      ).get();
-      return row ? row.latest : new Date().toISOString().slice(0, 10);
+        'SELECT MAX(date) as latest FROM daily_prices WHERE date <= ?'
+      ).get(expected);
+      if (!row || !row.latest) return expected;
+      if (row.latest < expected) {
+        console.warn(`⚠️ 日線資料停留在 ${row.latest}，落後最近交易日 ${expected} 共 ${tradingCalendar.tradingDaysBetween(row.latest, expected)} 個交易日`);
+      }
+      return row.latest;
     } catch {
-      return new Date().toISOString().slice(0, 10);
+      return expected;
     }
   }
 
   /**
-   * 儲存選股訊號到資料庫
+   * 儲存選股訊號到資料庫 (screener_signals 由 schema.sql / 遷移 002 建立)
    * @private
    */
   _saveSignals(results, date) {
     try {
-      // 建立 screener_signals 表 (若不存在)
-      this.db.prepare(`
-        CREATE TABLE IF NOT EXISTS screener_signals (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          symbol TEXT NOT NULL,
-          date TEXT NOT NULL,
-          signal_date TEXT NOT NULL,
-          technical_score REAL,
-          institutional_score REAL,
-          fundamental_score REAL,
-          total_score REAL,
-          tier TEXT,
-          vao_score REAL,
-          mtm_score REAL,
-          ma_trend TEXT,
-          foreign_sentiment TEXT,
-          recommendation TEXT,
-          notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `).run();
-
       const stmt = this.db.prepare(`
         INSERT OR REPLACE INTO screener_signals (
           symbol, date, signal_date, technical_score, institutional_score,
@@ -705,7 +1078,11 @@ class ThreeDimensionalScreener {
     lines.push('📊 市場概況');
     lines.push(`• 全市場: ${results.summary.totalMarket} 檔`);
     lines.push(`• 符合篩選: ${results.summary.afterFilter} 檔`);
-    lines.push(`• 強勢關注: ${results.summary.tier1Count} 檔\n`);
+    lines.push(`• 強勢關注: ${results.summary.tier1Count} 檔`);
+    if (results.marketRegime && results.marketRegime.tighten > 0) {
+      lines.push(`• 市場狀態: ${results.marketRegime.regime} (外資臺指期淨 ${results.marketRegime.foreignNetOi} 口，門檻 +${results.marketRegime.tighten})`);
+    }
+    lines.push('');
 
     if (results.tier1.length > 0) {
       lines.push('━━━━━━━━━━━━━━━━━━━━');
@@ -715,6 +1092,10 @@ class ThreeDimensionalScreener {
         lines.push(`   總分: ${s.composite.totalScore}/100`);
         lines.push(`   📈 技術: ${s.technical.score} | 🏦 籌碼: ${s.institutional.score} | 📊 基本: ${s.fundamental.score}`);
         lines.push(`   💰 收盤: ${s.latestPrice}`);
+        if (s.relativeStrength) {
+          const rs = s.relativeStrength.rs;
+          lines.push(`   🏭 ${s.relativeStrength.industry} 相對強弱: ${rs >= 0 ? '+' : ''}${rs}% (${s.relativeStrength.period} 日)`);
+        }
         lines.push(`   ➤ 建議: ${s.composite.recommendation}\n`);
       });
     }
@@ -739,6 +1120,7 @@ module.exports = {
   scoreInstitutional,
   scoreFundamental,
   calculateCompositeScore,
+  calculateRelativeStrength,
   WEIGHTS,
   TIER_THRESHOLDS
 };
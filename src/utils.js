@@ -1,17 +1,21 @@
 /**
  * 通用工具組件 (Node.js 版)
  */
+const { toISODate, rocToISO } = require('./dates');
+
 const Utils = {
   /**
-   * 格式化日期為 YYYYMMDD
+   * 格式化日期為標準 YYYY-MM-DD (見 dates 模組)
    * @param {Date} date 
    */
-  formatDate: (date) => {
-    const y = date.getFullYear();
-    const m = ('0' + (date.getMonth() + 1)).slice(-2);
-    const d = ('0' + date.getDate()).slice(-2);
-    return `${y}${m}${d}`;
-  },
+  formatDate: (date) => toISODate(date),
+
+  /**
+   * 民國日期轉換為西元 ISO 日期 (見 dates.rocToISO)
+   * @param {string} rocDate 民國日期 (如 "115/02/09"、"115年02月09日" 或 "1150209"，可能帶有 "＊" 等註記)
+   * @returns {string|null} YYYY-MM-DD，無法解析時回傳 null
+   */
+  rocToISO: (rocDate) => rocToISO(rocDate),
 
   /**
    * 清理數據中的逗號並轉換為數字
@@ -23,6 +27,16 @@ const Utils = {
     return parseFloat(str.replace(/,/g, ''));
   },
 
+  /**
+   * 依欄位名稱建立 TWSE 表格取值函式 (欄位缺漏時退回預設索引)
+   * @param {Array<string>} fields - 回應中的 fields
+   * @returns {Function} (row, name, fallbackIndex) => value
+   */
+  fieldReader: (fields) => {
+    const index = new Map((fields || []).map((f, i) => [String(f).trim(), i]));
+    return (row, name, fallbackIndex) => row[index.has(name) ? index.get(name) : fallbackIndex];
+  },
+
   /**
    * 判斷代碼是否為上市 (TWSE)
    */
@@ -9,6 +9,7 @@ const {
   SEVERITY,
   createTelegramChannel
 } = require('../src/alerts/advanced-alerts');
+const { tradingCalendar } = require('../src/market/trading-calendar');
 const assert = require('assert');
 
 let passed = 0;
@@ -26,16 +27,19 @@ function test(name, fn) {
 }
 
 // Mock DB
-function createMockDb(priceData = [], instData = [], positions = []) {
+function createMockDb(priceData = [], instData = [], positions = [], orderBooks = [], snapshots = [], holdings = []) {
   return {
     prepare: (sql) => ({
       all: (symbol, limit) => {
         if (sql.includes('daily_prices')) return priceData;
         if (sql.includes('institutional')) return instData;
+        if (sql.includes('foreign_holdings')) return holdings.slice(0, limit);
         return [];
       },
       get: (symbol) => {
         if (sql.includes('positions')) return positions.find(p => p.symbol === symbol) || null;
+        if (sql.includes('order_book_snapshots')) return orderBooks.find(b => b.symbol === symbol) || null;
+        if (sql.includes('intraday_snapshots')) return snapshots.find(s => s.symbol === symbol) || null;
         if (sql.includes('daily_prices')) return priceData[0] || null;
         return null;
       }
@@ -89,6 +93,32 @@ test('scan 資料不足時不崩潰', async () => {
   assert.ok(Array.isArray(alerts));
 });
 
+test('日線落後交易日曆時回報 DATA_STALE', () => {
+  const priceData = [{ date: '2026-02-05', close: 100, volume: 1000 }];
+  const stale = new AdvancedAlertEngine(createMockDb(priceData), { asOf: '2026-02-10' });
+  const alert = stale._checkFreshness('2330');
+  assert.strictEqual(alert.type, ALERT_TYPES.DATA_STALE);
+  assert.strictEqual(alert.data.lag, 3);
+
+  // 落後 1 個交易日仍視為新鮮 (盤後資料尚未更新)
+  const fresh = new AdvancedAlertEngine(createMockDb(priceData), { asOf: '2026-02-06' });
+  assert.strictEqual(fresh._checkFreshness('2330'), null);
+});
+
+test('資料落後扣除 market_calendar 登錄的颱風停市日', () => {
+  const priceData = [{ date: '2026-02-05', close: 100, volume: 1000 }];
+  const db = createMockDb(priceData);
+  const prepare = db.prepare;
+  db.prepare = sql => (sql.includes('market_calendar')
+    ? { all: () => [{ date: '2026-02-06', is_trading: 0, reason: '颱風停市' }, { date: '2026-02-09', is_trading: 0, reason: '颱風停市' }] }
+    : prepare(sql));
+  const engine = new AdvancedAlertEngine(db, { asOf: '2026-02-10' });
+  assert.strictEqual(engine._checkFreshness('2330'), null);
+  // 以不含異動的資料庫建構時重新載入，共用日曆還原
+  new AdvancedAlertEngine(createMockDb());
+  assert.strictEqual(tradingCalendar.isTradingDay('2026-02-06'), true);
+});
+
 test('技術面 VAO 爆量警示', async () => {
   const priceData = generatePriceData(65, { baseVolume: 5000 });
   priceData[0].volume = 100000; // 爆量
@@ -178,12 +208,104 @@ test('警示依嚴重度排序', async () => {
   }
 });
 
+test('五檔失衡與流動性不足警示', () => {
+  const book = {
+    symbol: '5340', ts: new Date().toISOString(), best_bid: 63.2, best_ask: 63.9,
+    spread_pct: 1.1, bid_depth: 30, ask_depth: 4, imbalance: (30 - 4) / 34
+  };
+  const engine = new AdvancedAlertEngine(createMockDb([], [], [], [book]));
+  const alerts = engine._scanOrderBook('5340');
+  const types = alerts.map(a => a.type);
+  assert.deepStrictEqual(types, [ALERT_TYPES.ORDER_BOOK_IMBALANCE, ALERT_TYPES.THIN_LIQUIDITY]);
+  assert.ok(alerts[0].message.includes('買盤失衡'));
+  assert.ok(alerts[1].message.includes('五檔合計僅 34 張'));
+  assert.ok(alerts[1].message.includes('價差'));
+});
+
+test('過期五檔快照不產生警示', () => {
+  const book = {
+    symbol: '5340', ts: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+    bid_depth: 1, ask_depth: 0, imbalance: 1
+  };
+  const engine = new AdvancedAlertEngine(createMockDb([], [], [], [book]));
+  assert.deepStrictEqual(engine._scanOrderBook('5340'), []);
+});
+
+test('盤中快照跌停鎖死為緊急警示', () => {
+  const snapshot = { symbol: '2330', ts: new Date().toISOString(), price: 1270, prev_close: 1410 };
+  const engine = new AdvancedAlertEngine(createMockDb([], [], [], [], [snapshot]));
+  const [alert] = engine._scanLimitLock('2330');
+  assert.strictEqual(alert.type, ALERT_TYPES.LIMIT_LOCK);
+  assert.strictEqual(alert.severity, SEVERITY.CRITICAL);
+  assert.deepStrictEqual([alert.data.side, alert.data.limitDown, alert.data.source], ['DOWN', 1270, 'intraday']);
+});
+
+test('盤中快照帶交易所漲跌停價時優先採用 (除息參考價不等於昨收)', () => {
+  // 昨收 1410、除息後參考價 1400：交易所跌停 1260，以昨收推算為 1270
+  const ts = new Date().toISOString();
+  const quote = { symbol: '2330', ts, prev_close: 1410, limit_up: 1540, limit_down: 1260 };
+  const atComputed = new AdvancedAlertEngine(createMockDb([], [], [], [], [{ ...quote, price: 1270 }]));
+  assert.deepStrictEqual(atComputed._scanLimitLock('2330'), []);
+  const atExchange = new AdvancedAlertEngine(createMockDb([], [], [], [], [{ ...quote, price: 1260 }]));
+  const [alert] = atExchange._scanLimitLock('2330');
+  assert.deepStrictEqual([alert.data.side, alert.data.limitUp, alert.data.limitDown], ['DOWN', 1540, 1260]);
+});
+
+test('無盤中快照時以日線判斷漲停，未達漲停不警示', () => {
+  const bars = [{ date: '2026-02-10', close: 68.2 }, { date: '2026-02-09', close: 62 }];
+  const engine = new AdvancedAlertEngine(createMockDb(bars));
+  const [alert] = engine._scanLimitLock('2330');
+  assert.strictEqual(alert.severity, SEVERITY.WARNING);
+  assert.deepStrictEqual([alert.data.side, alert.data.limitUp, alert.data.source], ['UP', 68.2, 'daily']);
+
+  bars[0].close = 68.1;
+  assert.deepStrictEqual(engine._scanLimitLock('2330'), []);
+  assert.deepStrictEqual(engine._scanLimitLock('2330', { useDaily: false }), []);
+});
+
+test('籌碼面借券賣出餘額暴增警示', () => {
+  const instData = [
+    { foreign_net: -100, sbl_sell: 3102000, sbl_balance: 33000000 },
+    { foreign_net: -100, sbl_balance: 29000000 },
+    { foreign_net: -100, sbl_balance: 28500000 }
+  ];
+  const engine = new AdvancedAlertEngine(createMockDb([], instData));
+  const alert = engine._scanInstitutional('2330').find(a => a.type === ALERT_TYPES.SBL_SURGE);
+  assert.ok(alert, '應有借券暴增警示');
+  assert.strictEqual(alert.severity, SEVERITY.CRITICAL);
+  assert.ok(alert.message.includes('+4000 張'));
+
+  // 增加比率達標但股數太少 (小型股) 不警示
+  const small = instData.map(d => ({ ...d, sbl_balance: d.sbl_balance / 100 }));
+  const quiet = new AdvancedAlertEngine(createMockDb([], small))._scanInstitutional('2330');
+  assert.ok(!quiet.some(a => a.type === ALERT_TYPES.SBL_SURGE));
+});
+
+test('外資持股創新高與逼近投資上限警示', () => {
+  // 2026-01 ~ 2026-02-10 的交易日，最新在前
+  const dates = tradingCalendar.listTradingDays('2026-01-01', '2026-02-10').reverse();
+  const holdings = dates.map((date, i) => ({ date, foreign_ratio: 46.42 - i * 0.05, available_ratio: 2.58 + i * 0.05, limit_ratio: 49 }));
+  const engine = new AdvancedAlertEngine(createMockDb([], [], [], [], [], holdings), { asOf: '2026-02-10' });
+  const alerts = engine._scanForeignHoldings('2412');
+  assert.deepStrictEqual(alerts.map(a => a.type), [ALERT_TYPES.FOREIGN_HOLDING_HIGH, ALERT_TYPES.FOREIGN_CAP_NEAR]);
+  assert.strictEqual(alerts[1].severity, SEVERITY.WARNING);
+  assert.ok(alerts[1].message.includes('尚可投資僅 2.58%'));
+
+  // 持股資料落後交易日曆時略過
+  const stale = new AdvancedAlertEngine(createMockDb([], [], [], [], [], holdings), { asOf: '2026-02-24' });
+  assert.deepStrictEqual(stale._scanForeignHoldings('2412'), []);
+});
+
 test('ALERT_TYPES 常數完整', () => {
   assert.ok(ALERT_TYPES.MA_BREAKOUT);
   assert.ok(ALERT_TYPES.VAO_EXPLOSION);
   assert.ok(ALERT_TYPES.STOP_LOSS);
   assert.ok(ALERT_TYPES.FOREIGN_CONSECUTIVE_BUY);
   assert.ok(ALERT_TYPES.MARGIN_SURGE);
+  assert.ok(ALERT_TYPES.LIMIT_LOCK);
+  assert.ok(ALERT_TYPES.FOREIGN_HOLDING_HIGH);
+  assert.ok(ALERT_TYPES.FOREIGN_CAP_NEAR);
+  assert.ok(ALERT_TYPES.SBL_SURGE);
 });
 
 console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
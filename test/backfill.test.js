@@ -0,0 +1,168 @@
+/**
+ * @fileoverview 歷史回補工作單元測試 (不含 HTTP 呼叫)
+ * @module test/backfill
+ */
+
+const {
+  runBackfill,
+  planUnits,
+  listMonths,
+  STATUS
+} = require('../src/crawler/backfill');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+// Mock DB: 只記錄 checkpoint
+function createMockDb(checkpoints = []) {
+  return {
+    checkpoints,
+    getBackfillCheckpoints: (job) => checkpoints.filter(c => c.job === job),
+    saveBackfillCheckpoint: (data) => checkpoints.push(data),
+    saveDailyPriceBatch: (rows) => rows.length,
+    saveInstitutionalTradeBatch: (rows) => rows.length,
+    saveForeignHoldingBatch: (rows) => rows.length,
+    saveMarketIndexBatch: (rows) => rows.length,
+    saveDayTradingBatch: (rows) => rows.length
+  };
+}
+
+(async () => {
+  console.log('\n📊 歷史回補測試\n');
+
+  test('listMonths 跨年', () => {
+    assert.deepStrictEqual(listMonths('2025-11-15', '2026-02-09'), ['2025-11', '2025-12', '2026-01', '2026-02']);
+    assert.deepStrictEqual(listMonths('2026-02-01', '2026-02-09'), ['2026-02']);
+  });
+
+  test('planUnits 籌碼單元略過週末與休市日', () => {
+    // 2026-02-11 (三) ~ 2026-02-23 (一): 02-12、02-13 春節前無交易，02-16 ~ 02-20 春節
+    const units = planUnits({ startDate: '2026-02-11', endDate: '2026-02-23', symbols: ['2330'], datasets: ['institutional_trades'] });
+    assert.deepStrictEqual(units.map(u => u.unit), ['2026-02-11', '2026-02-23']);
+  });
+
+  test('planUnits 2024 春節休市日不排入籌碼單元', () => {
+    const units = planUnits({ startDate: '2024-02-05', endDate: '2024-02-16', symbols: ['2330'], datasets: ['institutional_trades'] });
+    assert.deepStrictEqual(units.map(u => u.unit), ['2024-02-05', '2024-02-15', '2024-02-16']);
+  });
+
+  await asyncTest('runBackfill 籌碼區間超出交易日曆涵蓋範圍時開始前即拒絕', async () => {
+    const db = createMockDb();
+    await assert.rejects(runBackfill({
+      startDate: '2022-12-01', endDate: '2023-01-31', symbols: ['2330'], datasets: ['institutional_trades']
+    }, db), err => err.code === 'CALENDAR_OUT_OF_RANGE');
+    assert.strictEqual(db.checkpoints.length, 0);
+  });
+
+  test('planUnits 日線以股票×月份、籌碼以日期為單位', () => {
+    const units = planUnits({ startDate: '2026-01-30', endDate: '2026-02-02', symbols: ['2330', '5340'] });
+    const daily = units.filter(u => u.dataset === 'daily_prices').map(u => u.unit);
+    const inst = units.filter(u => u.dataset === 'institutional_trades').map(u => u.unit);
+    assert.deepStrictEqual(daily, ['2330@2026-01', '5340@2026-01', '2330@2026-02', '5340@2026-02']);
+    assert.deepStrictEqual(inst, ['2026-01-30', '2026-02-02']);
+  });
+
+  test('planUnits 可只選擇部分資料集', () => {
+    const units = planUnits({ startDate: '2026-02-02', endDate: '2026-02-03', symbols: ['2330'], datasets: ['institutional_trades'] });
+    assert.ok(units.every(u => u.dataset === 'institutional_trades'));
+  });
+
+  await asyncTest('runBackfill 參數檢查', async () => {
+    await assert.rejects(() => runBackfill({ startDate: '2026-02-09', endDate: '2026-01-01', symbols: ['2330'] }, createMockDb()));
+    await assert.rejects(() => runBackfill({ startDate: '2026-01-01', endDate: '2026-02-09', symbols: [] }, createMockDb()));
+  });
+
+  await asyncTest('runBackfill 已完成的單元不重抓', async () => {
+    const job = 'test-job';
+    const checkpoints = planUnits({ startDate: '2026-02-02', endDate: '2026-02-03', symbols: ['2330'] })
+      .map(u => ({ job, dataset: u.dataset, unit: u.unit, status: STATUS.DONE }));
+    const db = createMockDb(checkpoints);
+    const before = checkpoints.length;
+
+    const summary = await runBackfill({ startDate: '2026-02-02', endDate: '2026-02-03', symbols: ['2330'], job }, db);
+    assert.strictEqual(summary.total, before);
+    assert.strictEqual(summary.skipped, before);
+    assert.strictEqual(summary.done, 0);
+    assert.strictEqual(db.checkpoints.length, before);
+  });
+
+  await asyncTest('runBackfill 外資持股以交易日為單位並過濾股票 (重播 MI_QFIIS)', async () => {
+    httpClient.setFixtures({ mode: 'replay' });
+    const summary = await runBackfill({
+      startDate: '2026-02-09', endDate: '2026-02-09', symbols: ['2330', '2412'], datasets: ['foreign_holdings'], job: 'qfii'
+    }, createMockDb());
+    httpClient.setFixtures({ mode: 'off' });
+    assert.deepStrictEqual([summary.total, summary.done, summary.rows], [1, 1, 2]);
+  });
+
+  await asyncTest('runBackfill 當沖以交易日為單位並過濾股票 (重播 TWTB4U)', async () => {
+    httpClient.setFixtures({ mode: 'replay' });
+    const summary = await runBackfill({
+      startDate: '2026-02-09', endDate: '2026-02-09', symbols: ['2330', '2344'], datasets: ['day_trading'], job: 'daytrade'
+    }, createMockDb());
+    httpClient.setFixtures({ mode: 'off' });
+    assert.deepStrictEqual([summary.total, summary.done, summary.rows], [1, 1, 2]);
+  });
+
+  await asyncTest('runBackfill 法人籌碼依市場分流，上櫃股票走櫃買中心 (重播 T86 / MI_MARGN / 櫃買)', async () => {
+    httpClient.setFixtures({ mode: 'replay' });
+    const db = createMockDb();
+    let saved = [];
+    db.saveInstitutionalTradeBatch = (rows) => { saved = rows; return rows.length; };
+    const summary = await runBackfill({
+      startDate: '2026-02-09', endDate: '2026-02-09', symbols: ['2330', '5340'], datasets: ['institutional_trades'], job: 'inst'
+    }, db);
+    httpClient.setFixtures({ mode: 'off' });
+    assert.deepStrictEqual([summary.done, summary.rows], [1, 2]);
+    const otc = saved.find(r => r.symbol === '5340');
+    assert.deepStrictEqual([otc.foreign_net, otc.margin_balance, otc.short_balance], [358000, 2149, 163]);
+    assert.ok(saved.find(r => r.symbol === '2330').margin_balance > 0);
+  });
+
+  await asyncTest('runBackfill 最近交易日法人回應非 OK (尚未公告) 時記為 FAILED，下次續跑重抓', async () => {
+    httpClient.setFixtures({ mode: 'replay' });
+    const db = createMockDb();
+    const summary = await runBackfill({
+      startDate: '2026-02-11', endDate: '2026-02-11', symbols: ['2330'], datasets: ['institutional_trades'],
+      job: 'inst-empty', asOf: '2026-02-11'
+    }, db);
+    httpClient.setFixtures({ mode: 'off' });
+    assert.deepStrictEqual([summary.done, summary.failed], [0, 1]);
+    assert.strictEqual(db.checkpoints[0].status, STATUS.FAILED);
+  });
+
+  await asyncTest('runBackfill 日曆未列的休市日 (颱風停市) 法人回應非 OK 時記為完成 0 筆，不中止工作', async () => {
+    // 2024-10-31 康芮颱風停市，未列於內建假日
+    httpClient.setFixtures({ mode: 'replay' });
+    const db = createMockDb();
+    const summary = await runBackfill({
+      startDate: '2024-10-31', endDate: '2024-10-31', symbols: ['2330'], datasets: ['institutional_trades'],
+      job: 'inst-typhoon', asOf: '2024-11-01'
+    }, db);
+    httpClient.setFixtures({ mode: 'off' });
+    assert.deepStrictEqual([summary.done, summary.failed, summary.rows, summary.halted], [1, 0, 0, false]);
+    assert.deepStrictEqual([db.checkpoints[0].status, db.checkpoints[0].rows], [STATUS.DONE, 0]);
+  });
+
+  await asyncTest('runBackfill 指數不依股票清單過濾 (重播 MI_INDEX / st41)', async () => {
+    httpClient.setFixtures({ mode: 'replay' });
+    const summary = await runBackfill({
+      startDate: '2026-02-09', endDate: '2026-02-09', symbols: ['2330'], datasets: ['market_indices'], job: 'index'
+    }, createMockDb());
+    httpClient.setFixtures({ mode: 'off' });
+    // TAIEX + 水泥、金融保險、半導體、通信網路 + TPEX
+    assert.deepStrictEqual([summary.total, summary.done, summary.rows], [1, 1, 6]);
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -166,6 +166,26 @@ test('calculatePerformance profitFactor', () => {
   assert.strictEqual(result.profitFactor, 2.0);
 });
 
+test('calculatePerformance 基準指數 alpha / beta', () => {
+  const trades = [{ entryDate: '2025-01-02', exitDate: '2025-01-08', pnl: 4000, returnPct: 4 }];
+  const benchmark = [100, 101, 100, 102, 103];
+  // 權益日報酬恰為指數的 2 倍 → beta = 2
+  const equity = [1000000];
+  for (let i = 1; i < benchmark.length; i++) {
+    const r = (benchmark[i] - benchmark[i - 1]) / benchmark[i - 1];
+    equity.push(equity[i - 1] * (1 + 2 * r));
+  }
+  const result = calculatePerformance(trades, equity, DEFAULT_CONFIG, benchmark);
+  assert.strictEqual(result.beta, 2);
+  assert.strictEqual(result.benchmarkReturnPct, 3);
+  // Jensen's alpha: (2r̄ - rf) - 2 × (r̄ - rf) = rf (年化)
+  assert.ok(Math.abs(result.alpha - DEFAULT_CONFIG.riskFreeRate * 100) < 0.01, `alpha ${result.alpha}`);
+
+  const none = calculatePerformance(trades, equity, DEFAULT_CONFIG);
+  assert.strictEqual(none.alpha, null);
+  assert.strictEqual(none.beta, null);
+});
+
 // ─── BacktestEngine Class Tests ───────────────────
 console.log('\n--- BacktestEngine Class ---');
 
@@ -193,6 +213,88 @@ test('BacktestEngine._simulate 基本模擬', () => {
   assert.strictEqual(equityCurve.length, data.length);
 });
 
+test('BacktestEngine._loadBenchmark 對齊交易日並沿用前值', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare("INSERT INTO market_indices (index_code, date, close) VALUES ('TAIEX', ?, ?)");
+  insert.run('2026-01-14', 30000);
+  insert.run('2026-01-16', 30300);
+
+  const bars = [{ date: '2026-01-15' }, { date: '2026-01-16' }, { date: '2026-01-19' }];
+  assert.deepStrictEqual(new BacktestEngine(memDb)._loadBenchmark(bars), [30000, 30300, 30300]);
+  assert.strictEqual(new BacktestEngine(memDb, { benchmark: null })._loadBenchmark(bars), null);
+  assert.strictEqual(new BacktestEngine(memDb, { benchmark: 'TPEX' })._loadBenchmark(bars), null);
+  memDb.close();
+});
+
+test('BacktestEngine._loadPriceData adjustPrices 還原除權息', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare('INSERT INTO daily_prices (symbol, date, open, high, low, close, volume) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  insert.run('2330', '2026-01-15', 100, 100, 100, 100, 1000);
+  insert.run('2330', '2026-01-16', 95, 95, 95, 95, 1000);
+  memDb.prepare(`INSERT INTO corporate_actions (symbol, date, action_type, prev_close, reference_price)
+    VALUES ('2330', '2026-01-16', 'CASH_DIVIDEND', 100, 95)`).run();
+
+  const raw = new BacktestEngine(memDb)._loadPriceData('2330', '2026-01-01', '2026-01-31');
+  assert.strictEqual(raw[0].close, 100);
+
+  const adjusted = new BacktestEngine(memDb, { adjustPrices: true })._loadPriceData('2330', '2026-01-01', '2026-01-31');
+  assert.strictEqual(adjusted[0].close, 95);
+  assert.strictEqual(adjusted[1].close, 95);
+  memDb.close();
+});
+
+test('BacktestEngine 持有天數以交易日計算', () => {
+  const engine = new BacktestEngine({});
+  const data = [
+    { date: '2026-02-10', open: 100, high: 100, low: 100, close: 100, volume: 1000 },
+    { date: '2026-02-11', open: 100, high: 100, low: 100, close: 100, volume: 1000 },
+    { date: '2026-02-23', open: 100, high: 100, low: 100, close: 100, volume: 1000 },
+    { date: '2026-02-24', open: 100, high: 100, low: 100, close: 100, volume: 1000 }
+  ];
+  const strategy = {
+    shouldEntry: (history, index) => history[index].date === '2026-02-10',
+    shouldExit: (position, bar) => ({ exit: bar.date === '2026-02-24', reason: 'TEST' })
+  };
+  const { trades } = engine._simulate(data, strategy);
+  assert.strictEqual(trades.length, 1);
+  // 02-10 → 02-24 跨春節連假: 02-11、02-23、02-24
+  assert.strictEqual(trades[0].holdingDays, 3);
+});
+
+test('BacktestEngine 鎖漲停不買進、鎖跌停順延賣出', () => {
+  const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 1000 });
+  const data = [
+    bar('2026-02-02', 100),
+    bar('2026-02-03', 110),   // 鎖漲停: 買進被擋
+    bar('2026-02-04', 112),   // 順延買進
+    bar('2026-02-05', 101),   // 跌停 (112 → 100.8 進位為 101): 賣出被擋
+    bar('2026-02-06', 99)
+  ];
+  const strategy = {
+    shouldEntry: (history, index) => history[index].date >= '2026-02-03',
+    shouldExit: (position, b) => ({ exit: b.date >= '2026-02-05', reason: 'TEST' })
+  };
+  const { trades, blockedFills } = new BacktestEngine({})._simulate(data, strategy);
+  assert.deepStrictEqual(blockedFills.map(f => [f.date, f.side, f.limit]), [
+    ['2026-02-03', 'BUY', 110],
+    ['2026-02-05', 'SELL', 101]
+  ]);
+  assert.strictEqual(trades.length, 1);
+  assert.deepStrictEqual([trades[0].entryDate, trades[0].exitDate], ['2026-02-04', '2026-02-06']);
+
+  const ignored = new BacktestEngine({}, { respectPriceLimits: false })._simulate(data, strategy);
+  assert.strictEqual(ignored.blockedFills.length, 0);
+  assert.strictEqual(ignored.trades[0].entryDate, '2026-02-03');
+});
+
 test('BacktestEngine.formatReport 格式正確', () => {
   const engine = new BacktestEngine({});
   const mockReport = {
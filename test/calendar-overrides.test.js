@@ -0,0 +1,42 @@
+/**
+ * @fileoverview 交易日曆臨時異動登錄單元測試 (記憶體資料庫)
+ * @module test/calendar-overrides
+ */
+
+const assert = require('assert');
+const DB = require('../src/database/db');
+const { tradingCalendar } = require('../src/market/trading-calendar');
+const { setOverride, removeOverride } = require('../src/market/calendar-overrides');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📅 交易日曆臨時異動測試\n');
+
+DB.init(':memory:');
+
+test('登錄颱風停市後共用日曆立即生效', () => {
+  const row = setOverride(DB, '20261030', false);
+  assert.deepStrictEqual(row, { date: '2026-10-30', is_trading: false, reason: '颱風停市' });
+  assert.strictEqual(tradingCalendar.isTradingDay('2026-10-30'), false);
+  assert.strictEqual(tradingCalendar.closureReason('2026-10-30'), '颱風停市');
+  assert.deepStrictEqual(DB.getCalendarOverrides().map(r => [r.date, r.is_trading]), [['2026-10-30', 0]]);
+});
+
+test('移除異動後恢復內建日曆，重複移除回傳 false', () => {
+  assert.strictEqual(removeOverride(DB, '2026-10-30'), true);
+  assert.strictEqual(tradingCalendar.isTradingDay('2026-10-30'), true);
+  assert.strictEqual(removeOverride(DB, '2026-10-30'), false);
+});
+
+test('無效日期拋出 INVALID_DATE 且不寫入', () => {
+  assert.throws(() => setOverride(DB, '2026-13-01', false), err => err.code === 'INVALID_DATE');
+  assert.strictEqual(DB.getCalendarOverrides().length, 0);
+});
+
+DB.close();
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
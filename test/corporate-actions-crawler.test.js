@@ -0,0 +1,55 @@
+/**
+ * @fileoverview 除權息 / 減資事件爬蟲單元測試 (純邏輯，不含 HTTP 呼叫)
+ * @module test/corporate-actions-crawler
+ */
+
+const { parseExRights, parseCapitalReductions } = require('../src/crawler/corporate-actions-crawler');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 除權息 / 減資事件測試\n');
+
+test('parseExRights 解析權/息類型與還原因子', () => {
+  const rows = parseExRights({
+    stat: 'OK',
+    fields: ['資料日期', '股票代號', '股票名稱', '除權息前收盤價', '除權息參考價', '權值+息值', '權/息', '漲停價格', '跌停價格'],
+    data: [
+      ['115年01月15日', '2330', '台積電', '1,700.00', '1,694.00', '6.00', '息', '1,863.00', '1,525.00'],
+      ['115年01月15日', '2881', '富邦金', '90.00', '84.55', '5.45', '權息', '93.00', '76.10'],
+      ['115年01月15日', '9999', '測試', '20.00', '20.00', '0.00', '其他', '22.00', '18.00']
+    ]
+  });
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0].date, '2026-01-15');
+  assert.strictEqual(rows[0].action_type, 'CASH_DIVIDEND');
+  assert.strictEqual(rows[0].cash_dividend, 6);
+  assert.strictEqual(rows[0].factor, 0.996471);
+  assert.strictEqual(rows[1].action_type, 'RIGHTS_AND_DIVIDEND');
+  assert.strictEqual(rows[1].cash_dividend, null);
+});
+
+test('parseCapitalReductions 解析減資參考價', () => {
+  const rows = parseCapitalReductions({
+    stat: 'OK',
+    fields: ['恢復買賣日期', '股票代號', '名稱', '停止買賣前收盤價格', '恢復買賣參考價', '漲停價格', '跌停價格', '開始交易基準價', '除權參考價', '減資原因'],
+    data: [['115/02/03', '2349', '錸德', '10.00', '20.00', '22.00', '18.00', '20.00', '', '彌補虧損']]
+  });
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].action_type, 'CAPITAL_REDUCTION');
+  assert.strictEqual(rows[0].date, '2026-02-03');
+  assert.strictEqual(rows[0].factor, 2);
+  assert.strictEqual(rows[0].note, '彌補虧損');
+});
+
+test('非 OK 回應回傳空陣列', () => {
+  assert.deepStrictEqual(parseExRights({ stat: '很抱歉，沒有符合條件的資料!' }), []);
+  assert.deepStrictEqual(parseCapitalReductions(null), []);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview 資料健康檢核 (批次檢查與報告) 單元測試
+ * @module test/data-health
+ */
+
+const assert = require('assert');
+const { runDataHealthCheck, formatHealthReport } = require('../src/quality/data-health');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+/** 記錄隔離與報告寫入的假資料庫 */
+function mockDb(tables) {
+  return {
+    quarantined: [],
+    reports: [],
+    getRowsBetween(dataset, start, end) {
+      return (tables[dataset] || []).filter(r => r.date >= start && r.date <= end);
+    },
+    quarantineRows(dataset, items, options) {
+      this.quarantined.push({ dataset, items, options });
+      return items.length;
+    },
+    saveDataHealthReport(report) {
+      this.reports.push(report);
+    }
+  };
+}
+
+function bar(symbol, date, close, volume = 1000000) {
+  return { symbol, date, open: close, high: close, low: close, close, volume };
+}
+
+const TABLES = {
+  daily_prices: [
+    bar('2330', '2026-02-02', 1780),
+    bar('2330', '2026-02-03', 1790),
+    bar('2330', '2026-02-04', 1790, 0),
+    bar('2330', '2026-02-06', 1800),
+    bar('2603', '2026-02-04', 200),
+    bar('2603', '2026-02-05', 225),
+    bar('2603', '2026-02-06', 226)
+  ],
+  institutional_trades: [
+    { symbol: '2330', date: '2026-02-05', foreign_net: 1200, trust_net: 0, dealer_net: 0, margin_balance: 30000, short_balance: 0 },
+    { symbol: '2330', date: '2026-02-06', foreign_net: 0, trust_net: 0, dealer_net: 0, margin_balance: 0, short_balance: 0 }
+  ]
+};
+
+console.log('\n🩺 資料健康檢核測試\n');
+
+test('隔離 ERROR 資料列並自主表移除，報告寫入資料庫', () => {
+  const DB = mockDb(TABLES);
+  const report = runDataHealthCheck(DB, { startDate: '2026-02-02', endDate: '2026-02-06', runId: 'health_test' });
+  assert.deepStrictEqual(DB.quarantined.map(q => [q.dataset, q.items.map(i => `${i.row.symbol}@${i.row.date}`)]), [
+    ['daily_prices', ['2330@2026-02-04']],
+    ['institutional_trades', ['2330@2026-02-06']]
+  ]);
+  assert.deepStrictEqual(DB.quarantined[0].options, { source: 'health_check', runId: 'health_test', removeFromSource: true });
+  assert.strictEqual(DB.reports.length, 1);
+  assert.strictEqual(DB.reports[0], report);
+});
+
+test('統計各資料集檢查、隔離、警示與缺漏交易日', () => {
+  const report = runDataHealthCheck(mockDb(TABLES), { startDate: '2026-02-02', endDate: '2026-02-06', dryRun: true });
+  assert.deepStrictEqual(report.datasets.daily_prices, { checked: 7, quarantined: 1, warnings: 1, missingDays: 1, symbols: 2 });
+  assert.deepStrictEqual(report.datasets.institutional_trades, { checked: 2, quarantined: 1, warnings: 0, missingDays: 0, symbols: 1 });
+  assert.deepStrictEqual(report.totals, { checked: 9, quarantined: 2, warnings: 1, missingDays: 1 });
+  assert.deepStrictEqual(report.issueCounts, { ZERO_VOLUME: 1, PRICE_GAP: 1, ZEROED_CHIP: 1 });
+  // 2330 缺 02-05；2603 自區間內第一筆 (02-04) 起算無缺漏
+  assert.deepStrictEqual(report.missing, [{ dataset: 'daily_prices', symbol: '2330', dates: ['2026-02-05'] }]);
+  assert.deepStrictEqual(report.warnings.map(w => `${w.symbol}@${w.date}`), ['2603@2026-02-05']);
+});
+
+test('dryRun 不隔離也不儲存報告', () => {
+  const DB = mockDb(TABLES);
+  runDataHealthCheck(DB, { startDate: '2026-02-02', endDate: '2026-02-06', dryRun: true });
+  assert.deepStrictEqual([DB.quarantined.length, DB.reports.length], [0, 0]);
+});
+
+test('可指定檢查資料集', () => {
+  const report = runDataHealthCheck(mockDb(TABLES), {
+    startDate: '2026-02-02', endDate: '2026-02-06', datasets: ['institutional_trades'], dryRun: true
+  });
+  assert.deepStrictEqual(Object.keys(report.datasets), ['institutional_trades']);
+});
+
+test('formatHealthReport 列出隔離、警示與缺漏', () => {
+  const text = formatHealthReport(runDataHealthCheck(mockDb(TABLES), {
+    startDate: '2026-02-02', endDate: '2026-02-06', runId: 'health_test', dryRun: true
+  }));
+  assert.ok(text.includes('資料健康報告 2026-02-02 ~ 2026-02-06 (health_test)'));
+  assert.ok(text.includes('日K: 檢查 7 筆 / 2 檔，隔離 1、警示 1、缺漏 1 日'));
+  assert.ok(text.includes('[daily_prices] 2330 2026-02-04 成交量為 0'));
+  assert.ok(text.includes('[daily_prices] 2330 1 日 (2026-02-05)'));
+  assert.ok(!text.includes('未發現異常'));
+});
+
+test('無異常時顯示未發現異常', () => {
+  const text = formatHealthReport(runDataHealthCheck(mockDb({ daily_prices: [bar('2330', '2026-02-06', 1800)] }), {
+    startDate: '2026-02-06', endDate: '2026-02-06', dryRun: true
+  }));
+  assert.ok(text.includes('✅ 未發現異常'));
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
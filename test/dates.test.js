@@ -0,0 +1,83 @@
+/**
+ * @fileoverview 日期格式 (YYYY-MM-DD 統一轉換與檢查) 單元測試
+ * @module test/dates
+ */
+
+const assert = require('assert');
+const {
+  isISODate,
+  toISODate,
+  requireISODate,
+  normalizeDate,
+  rocToISO,
+  toTWSEDate,
+  toROCDate,
+  toROCMonth
+} = require('../src/dates');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🗓️ 日期格式測試\n');
+
+test('isISODate 只接受實際存在的 YYYY-MM-DD', () => {
+  assert.strictEqual(isISODate('2026-02-09'), true);
+  assert.strictEqual(isISODate('2024-02-29'), true);
+  assert.strictEqual(isISODate('2026-02-29'), false);
+  assert.strictEqual(isISODate('20260209'), false);
+  assert.strictEqual(isISODate('2026-2-9'), false);
+  assert.strictEqual(isISODate(null), false);
+});
+
+test('toISODate 轉換 YYYYMMDD、YYYY/MM/DD、民國日期與 Date', () => {
+  assert.strictEqual(toISODate('20260209'), '2026-02-09');
+  assert.strictEqual(toISODate(20260209), '2026-02-09');
+  assert.strictEqual(toISODate('2026/2/9'), '2026-02-09');
+  assert.strictEqual(toISODate('2026-02-09'), '2026-02-09');
+  assert.strictEqual(toISODate('115/02/09'), '2026-02-09');
+  assert.strictEqual(toISODate(new Date(2026, 1, 9)), '2026-02-09');
+});
+
+test('toISODate 無法解析或日期不存在時回傳 null', () => {
+  assert.strictEqual(toISODate('20261301'), null);
+  assert.strictEqual(toISODate('abc'), null);
+  assert.strictEqual(toISODate(''), null);
+  assert.strictEqual(toISODate(undefined), null);
+  assert.strictEqual(toISODate(new Date('invalid')), null);
+});
+
+test('rocToISO 支援民國年月日與註記', () => {
+  assert.strictEqual(rocToISO('115/02/09'), '2026-02-09');
+  assert.strictEqual(rocToISO('115年02月09日'), '2026-02-09');
+  assert.strictEqual(rocToISO('1150209'), '2026-02-09');
+  assert.strictEqual(rocToISO('＊115/02/09'), '2026-02-09');
+  assert.strictEqual(rocToISO('--'), null);
+});
+
+test('requireISODate 不做轉換，非 ISO 日期拋出 INVALID_DATE', () => {
+  assert.strictEqual(requireISODate('2026-02-09'), '2026-02-09');
+  assert.throws(() => requireISODate('20260209', 'signal_date'), err => err.code === 'INVALID_DATE' && /signal_date/.test(err.message));
+});
+
+test('normalizeDate 轉為 ISO，無法解析時拋出 INVALID_DATE', () => {
+  assert.strictEqual(normalizeDate('20260209'), '2026-02-09');
+  assert.throws(() => normalizeDate('2026-13-01'), err => err.code === 'INVALID_DATE');
+});
+
+test('轉出 TWSE 與櫃買查詢參數格式', () => {
+  assert.strictEqual(toTWSEDate('2026-02-09'), '20260209');
+  assert.strictEqual(toTWSEDate(new Date(2026, 1, 9)), '20260209');
+  assert.strictEqual(toROCDate('2026-02-09'), '115/02/09');
+  assert.strictEqual(toROCMonth('20260209'), '115/02');
+});
+
+test('混用格式時字串比較錯誤，統一為 ISO 後排序即時間順序', () => {
+  assert.ok('2026-02-10' < '20260209');
+  assert.deepStrictEqual(['20260211', '2026-02-10'].map(toISODate).sort(), ['2026-02-10', '2026-02-11']);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
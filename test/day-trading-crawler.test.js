@@ -0,0 +1,60 @@
+/**
+ * @fileoverview 當日沖銷交易爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/day-trading-crawler
+ */
+
+const { parseDayTrading, fetchDayTrading } = require('../src/crawler/day-trading-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n⚡ 當日沖銷交易爬蟲測試\n');
+
+test('parseDayTrading 略過市場統計表，解析個股明細', () => {
+  const rows = parseDayTrading({
+    stat: 'OK',
+    tables: [
+      { title: '當日沖銷交易統計資訊', fields: ['當日沖銷交易總成交股數'], data: [['2,012,345,000']] },
+      {
+        title: '當日沖銷交易標的及成交量值',
+        fields: ['證券代號', '證券名稱', '暫停現股賣出後現款買進當沖註記', '當日沖銷交易成交股數', '當日沖銷交易買進成交金額', '當日沖銷交易賣出成交金額'],
+        data: [['2330', '台積電', '', '9,812,000', '14,602,330,000', '14,598,120,000']]
+      }
+    ]
+  }, '2026-02-09');
+  assert.deepStrictEqual(rows, [{
+    symbol: '2330',
+    date: '2026-02-09',
+    day_trade_volume: 9812000,
+    buy_amount: 14602330000,
+    sell_amount: 14598120000,
+    suspended: 0
+  }]);
+});
+
+test('非 OK 回應回傳空陣列', () => {
+  assert.deepStrictEqual(parseDayTrading({ stat: '很抱歉，沒有符合條件的資料!' }, '2026-02-14'), []);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchDayTrading 重播 TWTB4U', async () => {
+    const rows = await fetchDayTrading('2026-02-09');
+    assert.deepStrictEqual(rows.map(r => r.symbol), ['2330', '2344', '2454', '2603']);
+    assert.strictEqual(rows.find(r => r.symbol === '2603').suspended, 1);
+  });
+
+  httpClient.setFixtures({ mode: 'off' });
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
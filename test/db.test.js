@@ -43,6 +43,25 @@ test('所有資料表已建立', () => {
   assert.ok(names.includes('positions'));
   assert.ok(names.includes('trades_history'));
   assert.ok(names.includes('alert_log'));
+  assert.ok(names.includes('backfill_checkpoints'));
+  assert.ok(names.includes('fundamentals'));
+  assert.ok(names.includes('financial_statements'));
+  assert.ok(names.includes('corporate_actions'));
+  assert.ok(names.includes('securities'));
+  assert.ok(names.includes('market_calendar'));
+  assert.ok(names.includes('intraday_snapshots'));
+  assert.ok(names.includes('intraday_bars'));
+  assert.ok(names.includes('order_book_snapshots'));
+  assert.ok(names.includes('foreign_holdings'));
+  assert.ok(names.includes('securities_lending'));
+  assert.ok(names.includes('market_indices'));
+  assert.ok(names.includes('taifex_open_interest'));
+  assert.ok(names.includes('put_call_ratios'));
+  assert.ok(names.includes('day_trading'));
+  assert.ok(names.includes('shareholding_distribution'));
+  assert.ok(names.includes('quarantined_rows'));
+  assert.ok(names.includes('data_health_reports'));
+  assert.ok(names.includes('schema_version'));
 });
 
 test('daily_prices INSERT + SELECT', () => {
@@ -72,7 +91,7 @@ test('indicators INSERT + SELECT', () => {
 
 test('screener_signals INSERT + SELECT', () => {
   db.prepare(`INSERT INTO screener_signals 
-    (symbol, date, signal_date, technical_score, institutional_score, volume_score, total_score, tier)
+    (symbol, date, signal_date, technical_score, institutional_score, fundamental_score, total_score, tier)
     VALUES ('2330', '2026-02-09', '2026-02-09', 85, 88, 90, 87, 'TIER1')`).run();
   const row = db.prepare('SELECT * FROM screener_signals WHERE tier = ?').get('TIER1');
   assert.strictEqual(row.total_score, 87);
@@ -92,11 +111,119 @@ test('trades_history INSERT', () => {
   assert.strictEqual(row.pnl, 5000);
 });
 
+test('backfill_checkpoints 重複寫入累加 attempts', () => {
+  const upsert = db.prepare(`INSERT INTO backfill_checkpoints (job, dataset, unit, status, attempts)
+    VALUES ('job1', 'daily_prices', '2330@2026-02', ?, 1)
+    ON CONFLICT(job, dataset, unit) DO UPDATE SET status = excluded.status, attempts = attempts + 1`);
+  upsert.run('FAILED');
+  upsert.run('DONE');
+  const row = db.prepare('SELECT * FROM backfill_checkpoints WHERE job = ?').get('job1');
+  assert.strictEqual(row.status, 'DONE');
+  assert.strictEqual(row.attempts, 2);
+});
+
+test('fundamentals / financial_statements 同一期可依公告日保存多個版本', () => {
+  db.prepare("INSERT INTO fundamentals (symbol, date, period, revenue) VALUES ('2330', '2026-02-10', '2026-01', 401255)").run();
+  db.prepare("INSERT INTO fundamentals (symbol, date, period, revenue) VALUES ('2330', '2026-02-12', '2026-01', 401300)").run();
+  assert.throws(() => db.prepare("INSERT INTO fundamentals (symbol, date, period, revenue) VALUES ('2330', '2026-02-12', '2026-01', 1)").run(),
+    /UNIQUE|PRIMARY KEY/);
+  db.prepare("INSERT INTO financial_statements (symbol, period, date, eps) VALUES ('2330', '2025Q3', '2025-11-12', 17.44)").run();
+  db.prepare("INSERT INTO financial_statements (symbol, period, date, eps) VALUES ('2330', '2025Q3', '2025-12-01', 17.52)").run();
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM financial_statements WHERE symbol = '2330'").get().n, 2);
+});
+
+test('intraday_bars 以 (symbol, date, interval, bar_time) 為鍵覆寫', () => {
+  const upsert = db.prepare(`INSERT OR REPLACE INTO intraday_bars
+    (symbol, date, interval, bar_time, open, high, low, close, volume, cum_volume)
+    VALUES ('2330', '2026-02-09', 5, '09:00', 100, ?, 99, ?, ?, ?)`);
+  upsert.run(101, 101, 300, 300);
+  upsert.run(103, 102, 450, 450);
+  db.prepare(`INSERT INTO intraday_bars (symbol, date, interval, bar_time, open, high, low, close)
+    VALUES ('2330', '2026-02-09', 1, '09:00', 100, 100, 100, 100)`).run();
+  const rows = db.prepare('SELECT * FROM intraday_bars WHERE symbol = ? AND date = ? AND interval = ?').all('2330', '2026-02-09', 5);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].close, 102);
+  assert.strictEqual(rows[0].volume, 450);
+});
+
+test('institutional_trades 併入同日借券賣出 (無資料時為 null)', () => {
+  db.prepare(`INSERT INTO institutional_trades (symbol, date, foreign_net) VALUES ('2330', ?, 1000)`).run('2026-02-06');
+  db.prepare(`INSERT INTO institutional_trades (symbol, date, foreign_net) VALUES ('2330', ?, 2000)`).run('2026-02-09');
+  db.prepare(`INSERT INTO securities_lending (symbol, date, sbl_sell, sbl_balance) VALUES ('2330', '2026-02-09', 3102000, 29891000)`).run();
+  const rows = db.prepare(`SELECT i.*, s.sbl_sell, s.sbl_balance FROM institutional_trades i
+    LEFT JOIN securities_lending s ON s.symbol = i.symbol AND s.date = i.date
+    WHERE i.symbol = ? ORDER BY i.date DESC`).all('2330');
+  assert.deepStrictEqual(rows.map(r => r.sbl_balance), [29891000, null]);
+});
+
+test('market_indices 大盤排在產業類指數之前', () => {
+  const insert = db.prepare('INSERT INTO market_indices (index_code, date, industry, close) VALUES (?, ?, ?, ?)');
+  insert.run('半導體類指數', '2026-02-09', '半導體業', 1210.66);
+  insert.run('TAIEX', '2026-02-09', null, 32456.78);
+  insert.run('TPEX', '2026-02-09', null, 279.45);
+  const rows = db.prepare('SELECT * FROM market_indices WHERE date = ? ORDER BY industry IS NOT NULL, index_code').all('2026-02-09');
+  assert.deepStrictEqual(rows.map(r => r.index_code), ['TAIEX', 'TPEX', '半導體類指數']);
+});
+
+test('quarantined_rows 以 (dataset, symbol, date) 為鍵覆寫', () => {
+  const insert = db.prepare(`INSERT OR REPLACE INTO quarantined_rows (dataset, symbol, date, issues, payload, source)
+    VALUES ('daily_prices', '2330', '2026-02-09', ?, '{}', 'ingest')`);
+  insert.run('ZERO_VOLUME');
+  insert.run('HIGH_BELOW_LOW,ZERO_VOLUME');
+  const rows = db.prepare("SELECT issues FROM quarantined_rows WHERE symbol = '2330'").all();
+  assert.deepStrictEqual(rows.map(r => r.issues), ['HIGH_BELOW_LOW,ZERO_VOLUME']);
+});
+
 test('索引已建立', () => {
   const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name LIKE 'idx_%'").all();
   assert.ok(indexes.length >= 5, `索引數量 ${indexes.length} 應 >= 5`);
 });
 
+// ─── DB 介面 (記憶體資料庫) ───────────────────────
+const DB = require('../src/database/db');
+DB.init(':memory:');
+
+test('saveFundamental 重複公告略過，更正以新出表日另存，回溯查詢取當時版本', () => {
+  const save = (date, revenue) => DB.saveFundamental({ symbol: '2330', date, period: '2026-01', revenue, revenue_growth_yoy: 36.8 });
+  assert.strictEqual(save('2026-02-10', 401255).changes, 1);
+  assert.strictEqual(save('2026-02-11', 401255).changes, 0);
+  assert.strictEqual(save('2026-02-12', 401300).changes, 1);
+  assert.strictEqual(DB.saveFundamentalBatch([
+    { symbol: '2330', date: '2026-02-13', period: '2026-01', revenue: 401300, revenue_growth_yoy: 36.8 },
+    { symbol: '2330', date: '2026-03-10', period: '2026-02', revenue: 318000 }
+  ]), 1);
+
+  assert.deepStrictEqual(DB.getFundamentalHistory('2330').map(r => [r.date, r.period, r.revenue]), [
+    ['2026-03-10', '2026-02', 318000],
+    ['2026-02-12', '2026-01', 401300],
+    ['2026-02-10', '2026-01', 401255]
+  ]);
+  const asOf = DB.getDb().prepare(
+    "SELECT revenue FROM fundamentals WHERE symbol = '2330' AND period = '2026-01' AND date <= ? ORDER BY date DESC LIMIT 1");
+  assert.strictEqual(asOf.get('2026-02-11').revenue, 401255);
+});
+
+test('saveFundamental 補寫較早出表日時移除之後數字相同的版本', () => {
+  const save = date => DB.saveFundamental({ symbol: '2317', date, period: '2026-01', revenue: 600000 });
+  save('2026-02-15');
+  save('2026-02-10');
+  assert.deepStrictEqual(DB.getFundamentalHistory('2317').map(r => r.date), ['2026-02-10']);
+});
+
+test('saveFinancialStatement 更正另存版本，未取得現金流量時沿用前一版本', () => {
+  const base = { symbol: '2330', period: '2025Q3', eps: 17.44, roe: 28.5 };
+  DB.saveFinancialStatement({ ...base, date: '2025-11-12', operating_cash_flow: 1250000 });
+  assert.strictEqual(DB.saveFinancialStatement({ ...base, date: '2025-11-13' }).changes, 0);
+  assert.strictEqual(DB.saveFinancialStatementBatch([{ ...base, date: '2025-12-01', eps: 17.52 }]), 1);
+
+  const [latest] = DB.getFinancialStatements('2330');
+  assert.deepStrictEqual([latest.date, latest.eps, latest.operating_cash_flow], ['2025-12-01', 17.52, 1250000]);
+  assert.strictEqual(DB.getFinancialStatements('2330').length, 1);
+  assert.strictEqual(DB.getDb().prepare("SELECT COUNT(*) AS n FROM financial_statements WHERE symbol = '2330'").get().n, 2);
+});
+
+DB.close();
+
 // Cleanup
 db.close();
 fs.unlinkSync(TEST_DB_PATH);
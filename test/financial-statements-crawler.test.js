@@ -0,0 +1,132 @@
+/**
+ * @fileoverview 季財報爬蟲單元測試 (純邏輯與 fixture 重播，不連網)
+ * @module test/financial-statements-crawler
+ */
+
+const {
+  parseIncomeRows,
+  parseBalanceRows,
+  parseCashFlowHtml,
+  mergeStatements,
+  fetchOperatingCashFlow,
+  fetchAndSave,
+  ratio
+} = require('../src/crawler/financial-statements-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 季財報爬蟲測試\n');
+
+const INCOME = [{
+  '出表日期': '1141114',
+  '年度': '114',
+  '季別': '3',
+  '公司代號': '2330',
+  '公司名稱': '台積電',
+  '營業收入': '2762963000',
+  '營業毛利（毛損）淨額': '1638372000',
+  '營業利益（損失）': '1376513000',
+  '淨利（淨損）歸屬於母公司業主': '1139906000',
+  '基本每股盈餘（元）': '43.95'
+}];
+
+const BALANCE = [{
+  '出表日期': '1141114',
+  '年度': '114',
+  '季別': '3',
+  '公司代號': '2330',
+  '資產總額': '7000000000',
+  '負債總額': '2100000000',
+  '歸屬於母公司業主之權益合計': '4800000000'
+}];
+
+test('ratio 計算百分比並處理分母為 0', () => {
+  assert.strictEqual(ratio(25, 100), 25);
+  assert.strictEqual(ratio(1, 3), 33.33);
+  assert.strictEqual(ratio(10, 0), null);
+  assert.strictEqual(ratio(null, 100), null);
+});
+
+test('parseIncomeRows 全形括號欄位與季別', () => {
+  const rows = parseIncomeRows(INCOME);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].period, '2025Q3');
+  assert.strictEqual(rows[0].date, '2025-11-14');
+  assert.strictEqual(rows[0].eps, 43.95);
+  assert.strictEqual(rows[0].net_income, 1139906000);
+  // 彙總損益表不含現金流量，由現金流量表另外取得
+  assert.strictEqual(rows[0].operating_cash_flow, undefined);
+});
+
+test('parseBalanceRows 欄位對應', () => {
+  const rows = parseBalanceRows(BALANCE);
+  assert.strictEqual(rows[0].total_assets, 7000000000);
+  assert.strictEqual(rows[0].total_liabilities, 2100000000);
+  assert.strictEqual(rows[0].equity, 4800000000);
+});
+
+test('mergeStatements 計算毛利率、營益率、年化 ROE、負債比', () => {
+  const [row] = mergeStatements(parseIncomeRows(INCOME), parseBalanceRows(BALANCE));
+  assert.strictEqual(row.gross_margin, 59.3);
+  assert.strictEqual(row.operating_margin, 49.82);
+  // 前三季累計淨利 × 4/3 ÷ 權益
+  assert.strictEqual(row.roe, 31.66);
+  assert.strictEqual(row.debt_ratio, 30);
+});
+
+test('mergeStatements 缺資產負債表時比率為 null', () => {
+  const [row] = mergeStatements(parseIncomeRows(INCOME), []);
+  assert.strictEqual(row.roe, null);
+  assert.strictEqual(row.debt_ratio, null);
+  assert.strictEqual(row.gross_margin, 59.3);
+});
+
+test('parse 略過季別或代號無效的資料', () => {
+  assert.deepStrictEqual(parseIncomeRows([{ ...INCOME[0], '季別': '5' }]), []);
+  assert.deepStrictEqual(parseBalanceRows([{ ...BALANCE[0], '公司代號': '' }]), []);
+  assert.deepStrictEqual(parseIncomeRows(null), []);
+});
+
+test('parseCashFlowHtml 依會計項目代號取營業活動淨現金流，括號為負數', () => {
+  const row = (code, amount) => `<tr><td>${code}</td><td>項目</td><td class="amt">${amount}</td><td>0</td></tr>`;
+  assert.strictEqual(parseCashFlowHtml(`<table>${row('A10000', '100')}${row('AAAA', '(12,345)')}</table>`), -12345);
+  assert.strictEqual(parseCashFlowHtml(`<table>${row('AAAA', '-6,789')}</table>`), -6789);
+  assert.strictEqual(parseCashFlowHtml(`<table>${row('BBBB', '100')}</table>`), null);
+  assert.strictEqual(parseCashFlowHtml(''), null);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchOperatingCashFlow 重播 MOPS 現金流量表 (t164sb01)', async () => {
+    assert.strictEqual(await fetchOperatingCashFlow('2330', '2025Q3'), 1384920331);
+  });
+
+  await asyncTest('fetchAndSave 只為指定股票補上營業活動淨現金流', async () => {
+    const original = httpClient.getJson;
+    httpClient.getJson = async (url) => (url.includes('t187ap06') ? [INCOME[0], { ...INCOME[0], '公司代號': '2317' }] : BALANCE);
+    let saved = [];
+    try {
+      await fetchAndSave({ saveFinancialStatementBatch: rows => { saved = rows; return rows.length; } },
+        { markets: ['tse'], cashFlowSymbols: ['2330'] });
+    } finally {
+      httpClient.getJson = original;
+    }
+    assert.strictEqual(saved.find(r => r.symbol === '2330').operating_cash_flow, 1384920331);
+    assert.strictEqual(saved.find(r => r.symbol === '2317').operating_cash_flow, undefined);
+  });
+
+  httpClient.setFixtures({ mode: 'off' });
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
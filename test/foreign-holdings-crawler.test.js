@@ -0,0 +1,72 @@
+/**
+ * @fileoverview 外資持股比例爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/foreign-holdings-crawler
+ */
+
+const { parseForeignHoldings, fetchForeignHoldings, fetchAndSave } = require('../src/crawler/foreign-holdings-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🌏 外資持股比例爬蟲測試\n');
+
+test('parseForeignHoldings 依欄位名稱解析 (tables 格式)', () => {
+  const rows = parseForeignHoldings({
+    stat: 'OK',
+    tables: [{
+      fields: ['證券代號', '證券名稱', '國際證券編碼', '發行股數', '外資及陸資尚可投資股數', '全體外資及陸資持有股數',
+        '外資及陸資尚可投資比率', '全體外資及陸資持股比率', '外資及陸資共用法令投資上限比率', '陸資法令投資上限比率'],
+      data: [
+        ['2412', '中華電', 'TW0002412004', '7,757,446,545', '200,020,017', '3,601,128,790', '2.58', '46.42', '49.00', '49.00'],
+        ['9999', '測試', '', '1,000', '--', '--', '--', '--', '--', '--']
+      ]
+    }]
+  }, '2026-02-09');
+  assert.strictEqual(rows.length, 1);
+  assert.deepStrictEqual(rows[0], {
+    symbol: '2412',
+    date: '2026-02-09',
+    shares_issued: 7757446545,
+    foreign_shares: 3601128790,
+    available_shares: 200020017,
+    foreign_ratio: 46.42,
+    available_ratio: 2.58,
+    limit_ratio: 49
+  });
+});
+
+test('非 OK 回應回傳空陣列', () => {
+  assert.deepStrictEqual(parseForeignHoldings({ stat: '很抱歉，沒有符合條件的資料!' }, '2026-02-14'), []);
+  assert.deepStrictEqual(parseForeignHoldings(null, '2026-02-14'), []);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchForeignHoldings 重播 MI_QFIIS', async () => {
+    const rows = await fetchForeignHoldings('2026-02-09');
+    assert.strictEqual(rows.length, 4);
+    const tsmc = rows.find(r => r.symbol === '2330');
+    assert.strictEqual(tsmc.foreign_ratio, 72.5);
+    assert.strictEqual(tsmc.limit_ratio, 100);
+  });
+
+  await asyncTest('fetchAndSave 僅儲存指定股票', async () => {
+    const saved = [];
+    const count = await fetchAndSave('2026-02-09', { saveForeignHoldingBatch: rows => { saved.push(...rows); return rows.length; } }, ['2454']);
+    assert.strictEqual(count, 1);
+    assert.strictEqual(saved[0].symbol, '2454');
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview 外資持股比例趨勢單元測試
+ * @module test/foreign-holdings
+ */
+
+const assert = require('assert');
+const { analyzeForeignHoldings } = require('../src/market/foreign-holdings');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+/** 產生持股歷史 (最新在前)，ratios 由舊到新 */
+function history(ratios, latest = {}) {
+  const rows = ratios.map((foreign_ratio, i) => ({ date: `d${String(i).padStart(3, '0')}`, foreign_ratio, available_ratio: 100 - foreign_ratio, limit_ratio: 100 }));
+  Object.assign(rows[rows.length - 1], latest);
+  return rows.reverse();
+}
+
+console.log('\n🌏 外資持股趨勢測試\n');
+
+test('無資料回傳 null', () => {
+  assert.strictEqual(analyzeForeignHoldings([]), null);
+  assert.strictEqual(analyzeForeignHoldings(null), null);
+});
+
+test('持股比率變化以 trendDays 前為基期', () => {
+  const ratios = Array.from({ length: 30 }, (_, i) => 70 + i * 0.1);
+  const trend = analyzeForeignHoldings(history(ratios));
+  assert.strictEqual(trend.trendDays, 20);
+  assert.strictEqual(trend.change, 2);
+});
+
+test('創回溯區間新高需足夠歷史', () => {
+  const ratios = Array.from({ length: 25 }, () => 50);
+  ratios.push(51);
+  const trend = analyzeForeignHoldings(history(ratios));
+  assert.strictEqual(trend.isHigh, true);
+  assert.strictEqual(trend.previousHigh, 50);
+
+  // 歷史不足 minHistory 筆不判定新高
+  assert.strictEqual(analyzeForeignHoldings(history([50, 51])).isHigh, false);
+  // 持平不算新高
+  assert.strictEqual(analyzeForeignHoldings(history(Array.from({ length: 30 }, () => 50))).isHigh, false);
+});
+
+test('尚可投資比率低於門檻視為逼近上限', () => {
+  const trend = analyzeForeignHoldings(history([46, 46.42], { available_ratio: 2.58, limit_ratio: 49 }));
+  assert.strictEqual(trend.nearCap, true);
+  assert.strictEqual(trend.limitRatio, 49);
+  assert.strictEqual(analyzeForeignHoldings(history([46, 46.42], { available_ratio: 2.58 }), { capRoomPct: 2 }).nearCap, false);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview 共用 HTTP 客戶端單元測試 (本機伺服器，不連外網)
+ * @module test/http-client
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const assert = require('assert');
+const {
+  HttpClient,
+  isSoftBan,
+  decodeBody,
+  resolveProxy,
+  ERROR_CODES
+} = require('../src/crawler/http-client');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🌐 共用 HTTP 客戶端測試\n');
+
+test('isSoftBan 辨識 429 與「請求過於頻繁」頁面', () => {
+  assert.strictEqual(isSoftBan(429, ''), true);
+  assert.strictEqual(isSoftBan(200, '<html><body>很抱歉，您的請求過於頻繁，請稍後再試</body></html>'), true);
+  assert.strictEqual(isSoftBan(200, '{"stat":"OK","data":[]}'), false);
+  assert.strictEqual(isSoftBan(500, ''), false);
+});
+
+test('decodeBody 支援 gzip / deflate / raw deflate / br', () => {
+  const text = '{"stat":"OK"}';
+  assert.strictEqual(decodeBody(zlib.gzipSync(text), 'gzip').toString(), text);
+  assert.strictEqual(decodeBody(zlib.deflateSync(text), 'deflate').toString(), text);
+  assert.strictEqual(decodeBody(zlib.deflateRawSync(text), 'deflate').toString(), text);
+  assert.strictEqual(decodeBody(zlib.brotliCompressSync(text), 'br').toString(), text);
+  assert.strictEqual(decodeBody(Buffer.from(text), undefined).toString(), text);
+});
+
+test('resolveProxy 讀取環境變數並遵守 NO_PROXY', () => {
+  const env = { HTTPS_PROXY: 'http://proxy.local:3128', NO_PROXY: 'localhost,.example.com' };
+  assert.strictEqual(resolveProxy('https://www.twse.com.tw/', undefined, env).host, 'proxy.local:3128');
+  assert.strictEqual(resolveProxy('https://api.example.com/', undefined, env), null);
+  assert.strictEqual(resolveProxy('http://www.twse.com.tw/', undefined, env), null);
+  assert.strictEqual(resolveProxy('https://www.twse.com.tw/', null, env), null);
+  assert.strictEqual(resolveProxy('https://www.twse.com.tw/', 'http://10.0.0.1:8080', {}).port, '8080');
+});
+
+test('token bucket 依主機額度限制連發', () => {
+  const client = new HttpClient({ hostLimits: { 'a.test': { capacity: 3, refillPerSec: 0.5 } } });
+  const t0 = Date.now();
+  client._bucket('a.test').updatedAt = t0;
+  assert.strictEqual(client._takeToken('a.test', t0), 0);
+  assert.strictEqual(client._takeToken('a.test', t0), 0);
+  assert.strictEqual(client._takeToken('a.test', t0), 0);
+  assert.strictEqual(client._takeToken('a.test', t0), 2000);
+  assert.strictEqual(client._takeToken('a.test', t0 + 2000), 0);
+  // 其他主機不受影響
+  assert.strictEqual(client._takeToken('b.test', t0), 0);
+});
+
+test('軟封鎖冷卻期間不發放 token，連續封鎖加倍且有上限', () => {
+  const client = new HttpClient({ softBanCooldownMs: 1000, softBanCooldownMaxMs: 3000 });
+  const t0 = Date.now();
+  assert.strictEqual(client._startCooldown('a.test', t0), 1000);
+  assert.strictEqual(client._takeToken('a.test', t0 + 400), 600);
+  assert.strictEqual(client._startCooldown('a.test', t0), 2000);
+  assert.strictEqual(client._startCooldown('a.test', t0), 3000);
+  assert.strictEqual(client._takeToken('a.test', t0 + 3000) > 0, true, '冷卻結束時 token 已清空');
+});
+
+test('_isRetryable 只重試網路錯誤、逾時與 5xx', () => {
+  const client = new HttpClient();
+  assert.strictEqual(client._isRetryable({ code: ERROR_CODES.NETWORK }), true);
+  assert.strictEqual(client._isRetryable({ code: ERROR_CODES.TIMEOUT }), true);
+  assert.strictEqual(client._isRetryable({ code: ERROR_CODES.HTTP_STATUS, status: 503 }), true);
+  assert.strictEqual(client._isRetryable({ code: ERROR_CODES.HTTP_STATUS, status: 404 }), false);
+  assert.strictEqual(client._isRetryable({ code: ERROR_CODES.SOFT_BAN }), false);
+});
+
+(async () => {
+  let flakyHits = 0;
+  const server = http.createServer((req, res) => {
+    if (req.url === '/gzip') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+      res.end(zlib.gzipSync(JSON.stringify({ stat: 'OK', ua: req.headers['user-agent'] })));
+    } else if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/gzip' });
+      res.end();
+    } else if (req.url === '/ban') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<html><body>很抱歉，您的請求過於頻繁</body></html>');
+    } else if (req.url === '/flaky') {
+      flakyHits++;
+      res.writeHead(flakyHits < 2 ? 503 : 200);
+      res.end(flakyHits < 2 ? 'busy' : '{"ok":true}');
+    } else {
+      res.writeHead(404);
+      res.end('not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const client = new HttpClient({ proxy: null, backoffBaseMs: 10, softBanCooldownMs: 50 });
+
+  await asyncTest('getJson 解壓縮 gzip 並帶預設標頭', async () => {
+    const json = await client.getJson(`${base}/gzip`);
+    assert.strictEqual(json.stat, 'OK');
+    assert.ok(json.ua.includes('Mozilla'));
+  });
+
+  await asyncTest('跟隨重新導向', async () => {
+    const res = await client.get(`${base}/redirect`);
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.url.endsWith('/gzip'));
+  });
+
+  await asyncTest('5xx 重試後成功並計入統計', async () => {
+    const json = await client.getJson(`${base}/flaky`);
+    assert.strictEqual(json.ok, true);
+    const metrics = client.getMetrics()['127.0.0.1'];
+    assert.strictEqual(metrics.retries, 1);
+    assert.strictEqual(metrics.failures, 1);
+  });
+
+  await asyncTest('404 不重試，錯誤帶 code 與 status', async () => {
+    await assert.rejects(client.getText(`${base}/missing`, { retries: 3 }), err => {
+      assert.strictEqual(err.code, ERROR_CODES.HTTP_STATUS);
+      assert.strictEqual(err.status, 404);
+      return true;
+    });
+  });
+
+  await asyncTest('軟封鎖拋出 SOFT_BAN 並使主機進入冷卻', async () => {
+    await assert.rejects(client.getJson(`${base}/ban`), err => err.code === ERROR_CODES.SOFT_BAN);
+    assert.ok(client.getMetrics()['127.0.0.1'].cooldownUntil);
+    assert.strictEqual(client.getMetrics()['127.0.0.1'].softBans, 1);
+
+    const startedAt = Date.now();
+    await client.getJson(`${base}/gzip`);
+    assert.ok(Date.now() - startedAt >= 40, '冷卻期間的請求應等待');
+  });
+
+  await asyncTest('onRequest 收到每次請求紀錄', async () => {
+    const records = [];
+    const observed = new HttpClient({ proxy: null, onRequest: r => records.push(r) });
+    await observed.getText(`${base}/gzip`);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].status, 200);
+    assert.ok(records[0].bytes > 0);
+    assert.ok(records[0].durationMs >= 0);
+  });
+
+  server.close();
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview HTTP 錄製 / 重播單元測試 (本機伺服器與暫存目錄，不連外網)
+ * @module test/http-fixtures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+const {
+  FixtureStore,
+  normalizeUrl,
+  fixturePath,
+  fixturesFromEnv,
+  DEFAULT_DIR
+} = require('../src/crawler/http-fixtures');
+const { HttpClient, ERROR_CODES } = require('../src/crawler/http-client');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📼 HTTP 錄製 / 重播測試\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+
+test('normalizeUrl 排序查詢參數並移除快取參數 _', () => {
+  assert.strictEqual(
+    normalizeUrl('https://mis.twse.com.tw/stock/api/getStockInfo.jsp?json=1&ex_ch=tse_2454.tw&_=1770615000000'),
+    'https://mis.twse.com.tw/stock/api/getStockInfo.jsp?ex_ch=tse_2454.tw&json=1'
+  );
+  assert.strictEqual(normalizeUrl('https://www.twse.com.tw/a?b=2&a=1'), normalizeUrl('https://www.twse.com.tw/a?a=1&b=2'));
+});
+
+test('fixturePath 依主機分目錄且檔名可讀', () => {
+  const file = fixturePath('https://www.twse.com.tw/rwd/zh/fund/T86?date=20260209&selectType=ALL&response=json');
+  assert.ok(file.startsWith(`www.twse.com.tw${path.sep}rwd_zh_fund_T86_date=20260209`));
+  assert.ok(file.endsWith('.json'));
+  assert.notStrictEqual(fixturePath('https://x.test/a?d=1'), fixturePath('https://x.test/a?d=2'));
+});
+
+test('FixtureStore save / load 只保留必要標頭', () => {
+  const store = new FixtureStore(tmpDir);
+  store.save('https://x.test/data?d=1', { status: 200, headers: { 'content-type': 'application/json', 'set-cookie': 'a=1' }, body: '{"ok":1}' });
+  const entry = store.load('https://x.test/data?d=1');
+  assert.strictEqual(entry.body, '{"ok":1}');
+  assert.deepStrictEqual(entry.headers, { 'content-type': 'application/json' });
+  assert.strictEqual(store.load('https://x.test/data?d=2'), null);
+});
+
+test('fixturesFromEnv 解析模式並拒絕未知值', () => {
+  assert.deepStrictEqual(fixturesFromEnv({}), { mode: 'off', dir: DEFAULT_DIR });
+  assert.strictEqual(fixturesFromEnv({ CRAWLER_FIXTURES: 'Replay' }).mode, 'replay');
+  assert.strictEqual(fixturesFromEnv({ CRAWLER_FIXTURES: 'record', CRAWLER_FIXTURES_DIR: tmpDir }).dir, tmpDir);
+  assert.throws(() => fixturesFromEnv({ CRAWLER_FIXTURES: 'live' }), /CRAWLER_FIXTURES/);
+});
+
+(async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ stat: 'OK', path: req.url }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/quote?code=2454`;
+
+  await asyncTest('record 模式寫入 fixture，replay 模式不連網讀回', async () => {
+    const recorder = new HttpClient({ proxy: null, fixtures: { mode: 'record', dir: tmpDir } });
+    const recorded = await recorder.getJson(url);
+    assert.strictEqual(hits, 1);
+
+    server.close();
+    const player = new HttpClient({ fixtures: { mode: 'replay', dir: tmpDir } });
+    const replayed = await player.getJson(`${url}&_=123`);
+    assert.deepStrictEqual(replayed, recorded);
+    assert.strictEqual(hits, 1);
+    assert.strictEqual(player.recent[0].fixture, true);
+  });
+
+  await asyncTest('replay 模式缺少 fixture 拋出 FIXTURE_MISSING', async () => {
+    const player = new HttpClient({ fixtures: { mode: 'replay', dir: tmpDir } });
+    await assert.rejects(player.getText('https://www.twse.com.tw/none'), err => err.code === ERROR_CODES.FIXTURE_MISSING);
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
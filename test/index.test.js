@@ -0,0 +1,50 @@
+/**
+ * @fileoverview 單一股票同步 (index.js syncAllData) 單元測試 (爬蟲以替身回應，資料庫為記憶體)
+ * @module test/index
+ */
+
+const assert = require('assert');
+const Crawler = require('../src/crawler');
+const DB = require('../src/database/db');
+const { syncAllData } = require('../index');
+
+let passed = 0, failed = 0;
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🔄 單一股票同步測試\n');
+
+(async () => {
+  DB.init(':memory:');
+  Crawler.fetchDailyPrice = async (symbol, date) => ({
+    success: true,
+    data: { symbol, date, open: 1800, high: 1815, low: 1790, close: 1810, volume: 25000000 }
+  });
+
+  await asyncTest('當日無該股法人/資券資料時全 0 籌碼列改存 quarantined_rows', async () => {
+    Crawler.fetchInstitutionalData = async () => ({});
+    Crawler.fetchMarginData = async () => ({});
+    await syncAllData('2330', '2026-02-09');
+
+    const conn = DB.getDb();
+    assert.strictEqual(conn.prepare('SELECT COUNT(*) AS n FROM institutional_trades').get().n, 0);
+    assert.deepStrictEqual(DB.getQuarantinedRows('institutional_trades').map(r => [r.symbol, r.date, r.issues]),
+      [['2330', '2026-02-09', 'ZEROED_CHIP']]);
+    assert.strictEqual(conn.prepare('SELECT close FROM daily_prices').get().close, 1810);
+  });
+
+  await asyncTest('有籌碼資料時正常寫入 institutional_trades', async () => {
+    Crawler.fetchInstitutionalData = async () => ({ 2330: { foreign_net: 5200, trust_net: -300, dealer_net: 120 } });
+    Crawler.fetchMarginData = async () => ({ 2330: { margin_balance: 31000, short_balance: 450 } });
+    await syncAllData('2330', '2026-02-10');
+
+    const row = DB.getDb().prepare("SELECT * FROM institutional_trades WHERE date = '2026-02-10'").get();
+    assert.deepStrictEqual([row.foreign_net, row.margin_balance], [5200, 31000]);
+  });
+
+  DB.close();
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
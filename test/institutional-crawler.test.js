@@ -1,9 +1,17 @@
 /**
- * @fileoverview 法人爬蟲單元測試 (純邏輯，不含 HTTP 呼叫)
+ * @fileoverview 法人爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
  * @module test/institutional-crawler
  */
 
-const { formatDateTWSE, parseIntSafe } = require('../src/crawler/institutional-crawler');
+const {
+  formatDateTWSE,
+  parseIntSafe,
+  fetchInstitutionalData,
+  fetchMarginData,
+  fetchTPExInstitutionalData,
+  fetchTPExMarginData
+} = require('../src/crawler/institutional-crawler');
+const { httpClient } = require('../src/crawler/http-client');
 const assert = require('assert');
 
 let passed = 0, failed = 0;
@@ -11,6 +19,10 @@ function test(name, fn) {
   try { fn(); passed++; console.log(`  ✅ ${name}`); }
   catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
 }
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
 
 console.log('\n📊 法人爬蟲測試\n');
 
@@ -41,5 +53,41 @@ test('模組匯出完整', () => {
   assert.ok(mod.CONFIG.twseUrl.includes('twse'));
 });
 
-console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
-process.exit(failed > 0 ? 1 : 0);
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchInstitutionalData 重播 T86', async () => {
+    const rows = await fetchInstitutionalData('2026-02-09');
+    assert.strictEqual(rows.length, 4);
+    const tsmc = rows.find(r => r.symbol === '2330');
+    assert.strictEqual(tsmc.name, '台積電');
+    assert.strictEqual(tsmc.foreign_net, 7229337);
+    assert.strictEqual(tsmc.trust_net, 847000);
+    assert.strictEqual(tsmc.dealer_net, -412650);
+  });
+
+  await asyncTest('fetchMarginData 重播 MI_MARGN (tables 新格式)', async () => {
+    const map = await fetchMarginData('2026-02-09');
+    assert.deepStrictEqual(map['2454'], { margin_balance: 6283, short_balance: 351 });
+    assert.strictEqual(Object.keys(map).length, 3);
+  });
+
+  await asyncTest('fetchTPExInstitutionalData 重播櫃買三大法人', async () => {
+    const rows = await fetchTPExInstitutionalData('2026-02-09');
+    assert.deepStrictEqual(rows.map(r => r.symbol), ['5340', '5347']);
+    const row = rows.find(r => r.symbol === '5347');
+    assert.deepStrictEqual([row.date, row.foreign_net, row.trust_net, row.dealer_net], ['2026-02-09', -692329, -210000, -4000]);
+  });
+
+  await asyncTest('fetchTPExMarginData 重播櫃買融資融券', async () => {
+    const map = await fetchTPExMarginData('2026-02-09');
+    assert.deepStrictEqual(map['5340'], { margin_balance: 2149, short_balance: 163 });
+  });
+
+  await asyncTest('重播模式缺少 fixture 時拒絕連網', async () => {
+    await assert.rejects(fetchInstitutionalData('2026-02-10'), err => err.code === 'FIXTURE_MISSING');
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview 盤中 K 棒彙總單元測試
+ * @module test/intraday-bars
+ */
+
+const assert = require('assert');
+const { toSnapshot, barTime, nextBar, aggregateBars } = require('../src/market/intraday-bars');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🕯️ 盤中 K 棒彙總測試\n');
+
+/** 台北時間 2026-02-09 HH:MM:SS 的快照 */
+function snap(time, price, volume) {
+  const [h, m, s] = time.split(':').map(Number);
+  const ts = new Date(Date.UTC(2026, 1, 9, h - 8, m, s || 0)).toISOString();
+  return { symbol: '2330', ts, date: '2026-02-09', price, volume };
+}
+
+test('toSnapshot 以台北日期歸日並將 Yahoo 成交量換算為張', () => {
+  const row = toSnapshot({
+    code: '2454', price: 1435, open: 1419, high: 1437, low: 1417, prevClose: 1410,
+    volume: 610000, source: 'Yahoo', timestamp: '2026-02-09T16:30:00.000Z'
+  });
+  assert.strictEqual(row.symbol, '2454');
+  assert.strictEqual(row.date, '2026-02-10');
+  assert.strictEqual(row.volume, 610);
+  assert.strictEqual(row.prev_close, 1410);
+  assert.deepStrictEqual([row.limit_up, row.limit_down], [null, null]);
+  assert.strictEqual(toSnapshot({ code: '2454', price: 0, source: 'TWSE' }), null);
+});
+
+test('toSnapshot 保留 TWSE MIS 的交易所漲跌停價', () => {
+  const row = toSnapshot({
+    code: '2330', price: 1400, prevClose: 1410, limitUp: 1540, limitDown: 1260,
+    volume: 12000, source: 'TWSE', timestamp: '2026-02-09T02:00:00.000Z'
+  });
+  assert.deepStrictEqual([row.limit_up, row.limit_down], [1540, 1260]);
+});
+
+test('barTime 依週期對齊台北時間', () => {
+  const { ts } = snap('09:07:45', 100, 0);
+  assert.strictEqual(barTime(ts, 1), '09:07');
+  assert.strictEqual(barTime(ts, 5), '09:05');
+  assert.strictEqual(barTime(ts, 15), '09:00');
+});
+
+test('nextBar 同一根更新高低收並以累計量差額加量', () => {
+  const first = nextBar(null, snap('09:01:10', 100, 300), 5);
+  assert.deepStrictEqual(
+    { bar_time: first.bar_time, open: first.open, volume: first.volume, cum_volume: first.cum_volume },
+    { bar_time: '09:00', open: 100, volume: 300, cum_volume: 300 }
+  );
+  const updated = nextBar(first, snap('09:03:00', 98, 450), 5);
+  assert.strictEqual(updated.low, 98);
+  assert.strictEqual(updated.close, 98);
+  assert.strictEqual(updated.volume, 450);
+
+  const next = nextBar(updated, snap('09:05:02', 101, 500), 5);
+  assert.strictEqual(next.bar_time, '09:05');
+  assert.strictEqual(next.open, 101);
+  assert.strictEqual(next.volume, 50);
+});
+
+test('nextBar 忽略亂序快照，累計量倒退時不扣量', () => {
+  const bar = nextBar(null, snap('09:10:00', 100, 800), 5);
+  assert.strictEqual(nextBar(bar, snap('09:04:00', 99, 700), 5), null);
+  const same = nextBar(bar, snap('09:11:00', 102, 790), 5);
+  assert.strictEqual(same.volume, 800);
+  assert.strictEqual(same.cum_volume, 800);
+  const after = nextBar(same, snap('09:15:00', 102, 790), 5);
+  assert.strictEqual(after.volume, 0);
+});
+
+test('nextBar 換日時從 0 重新累計', () => {
+  const yesterday = { ...nextBar(null, snap('13:25:00', 100, 9000), 5), date: '2026-02-06' };
+  const bar = nextBar(yesterday, snap('09:00:30', 101, 120), 5);
+  assert.strictEqual(bar.date, '2026-02-09');
+  assert.strictEqual(bar.volume, 120);
+});
+
+test('aggregateBars 重建結果與逐筆累加一致', () => {
+  const snapshots = [
+    snap('09:00:20', 100, 100),
+    snap('09:02:00', 103, 250),
+    snap('09:06:00', 99, 400),
+    snap('09:04:30', 101, 300),
+    snap('09:14:59', 104, 420)
+  ];
+  const bars = aggregateBars(snapshots, 5);
+  assert.deepStrictEqual(bars.map(b => b.bar_time), ['09:00', '09:05', '09:10']);
+  assert.deepStrictEqual(bars.map(b => b.volume), [300, 100, 20]);
+  assert.deepStrictEqual([bars[0].open, bars[0].high, bars[0].low, bars[0].close], [100, 103, 100, 101]);
+  assert.strictEqual(bars.reduce((sum, b) => sum + b.volume, 0), 420);
+  assert.strictEqual(aggregateBars(snapshots, 15).length, 1);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview 盤中行情爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/intraday-crawler
+ */
+
+const assert = require('assert');
+const TWSERealtimeCrawler = require('../src/crawler/twse-realtime-crawler');
+const { fetchAllQuotes, saveToDatabase } = require('../src/crawler/intraday-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const { QuoteRouter } = require('../src/crawler/quote-router');
+const { TWSEQuoteSource, YahooQuoteSource } = require('../src/crawler/quote-sources');
+
+let passed = 0, failed = 0;
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📈 盤中行情爬蟲測試\n');
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('YahooQuoteSource 重播 Yahoo chart 並彙總 OHLCV', async () => {
+    const [quote] = await new YahooQuoteSource().fetchQuotes([{ code: '2454' }]);
+    assert.strictEqual(quote.price, 1435);
+    assert.strictEqual(quote.open, 1419);
+    assert.strictEqual(quote.high, 1437);
+    assert.strictEqual(quote.low, 1417);
+    assert.strictEqual(quote.prevClose, 1410);
+    assert.strictEqual(quote.volume, 610000);
+  });
+
+  await asyncTest('YahooQuoteSource 無 fixture 時拋出錯誤 (由路由改用其他來源)', async () => {
+    await assert.rejects(new YahooQuoteSource().fetchQuotes([{ code: '9999' }]), err => err.code === 'FIXTURE_MISSING');
+  });
+
+  await asyncTest('TWSEQuoteSource 重播 MIS getStockInfo', async () => {
+    const source = new TWSEQuoteSource(new TWSERealtimeCrawler({ rateLimitMs: 0 }));
+    const [quote] = await source.fetchQuotes([{ code: '5340', market: 'otc' }]);
+    assert.strictEqual(quote.name, '建榮');
+    assert.strictEqual(quote.price, 63.2);
+    assert.strictEqual(quote.volume, 1268);
+  });
+
+  await asyncTest('fetchAllQuotes 經路由取得報價並附上來源與 watchlist 欄位', async () => {
+    const watchlist = [{ code: '2454', name: '聯發科', category: '半導體', shares: 1000, priority: 'high' }];
+    // 明確傳入路由，避免預設路由開啟 stock_data.db 載入證券主檔
+    const router = new QuoteRouter([new TWSEQuoteSource(new TWSERealtimeCrawler({ rateLimitMs: 0 })), new YahooQuoteSource()]);
+    const [quote] = await fetchAllQuotes(watchlist, router);
+    assert.strictEqual(quote.source, 'TWSE');
+    assert.strictEqual(quote.provenance.source, 'TWSE');
+    assert.strictEqual(quote.provenance.fallback, false);
+    assert.strictEqual(quote.category, '半導體');
+    assert.strictEqual(quote.price, 1435);
+  });
+
+  await asyncTest('saveToDatabase 寫入快照與五檔並增量更新 1/5/15 分 K 棒', async () => {
+    // 以記憶體陣列模擬 database/db 介面
+    const snapshots = [];
+    const orderBooks = [];
+    const bars = new Map();
+    const db = {
+      getDb: () => ({ transaction: fn => fn }),
+      saveIntradaySnapshotBatch: rows => snapshots.push(...rows),
+      saveOrderBookSnapshotBatch: rows => orderBooks.push(...rows),
+      getLatestIntradayBar: (symbol, date, interval) => [...bars.values()]
+        .filter(b => b.symbol === symbol && b.date === date && b.interval === interval)
+        .sort((a, b) => (a.bar_time < b.bar_time ? 1 : -1))[0],
+      saveIntradayBar: bar => bars.set(`${bar.symbol}|${bar.interval}|${bar.bar_time}`, bar)
+    };
+    const quote = { code: '2454', price: 1435, volume: 1000, source: 'TWSE', timestamp: '2026-02-09T01:03:00.000Z' };
+    const orderBook = { bestBid: 1435, bestAsk: 1440, bidDepth: 12, askDepth: 8, imbalance: 0.2, bids: [], asks: [] };
+
+    assert.deepStrictEqual(
+      saveToDatabase([{ ...quote, orderBook }, { code: '9999', price: 0 }], db),
+      { snapshots: 1, orderBooks: 1, bars: 3 }
+    );
+    assert.strictEqual(orderBooks[0].best_ask, 1440);
+    saveToDatabase([{ ...quote, price: 1440, volume: 1200, timestamp: '2026-02-09T01:06:00.000Z' }], db);
+
+    assert.strictEqual(snapshots.length, 2);
+    assert.strictEqual(bars.get('2454|1|09:06').volume, 200);
+    assert.strictEqual(bars.get('2454|5|09:05').open, 1440);
+    const bar15 = bars.get('2454|15|09:00');
+    assert.deepStrictEqual([bar15.open, bar15.high, bar15.close, bar15.volume], [1435, 1440, 1440, 1200]);
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
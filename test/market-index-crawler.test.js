@@ -0,0 +1,81 @@
+/**
+ * @fileoverview 大盤與產業指數爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/market-index-crawler
+ */
+
+const {
+  parseTWSEIndices,
+  parseTPExIndex,
+  industryOfIndex,
+  fetchMarketIndices
+} = require('../src/crawler/market-index-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📈 大盤與產業指數爬蟲測試\n');
+
+test('industryOfIndex 對應證券主檔產業別', () => {
+  assert.strictEqual(industryOfIndex('半導體類指數'), '半導體業');
+  assert.strictEqual(industryOfIndex('水泥類指數'), '水泥工業');
+  assert.strictEqual(industryOfIndex('觀光餐旅類指數'), '觀光餐旅');
+  assert.strictEqual(industryOfIndex('電子類指數'), null);
+  assert.strictEqual(industryOfIndex('未含金融保險股指數'), null);
+});
+
+test('parseTWSEIndices 僅保留加權指數與產業類指數，跌幅為負值', () => {
+  const down = '<p style= color:green>-</p>';
+  const rows = parseTWSEIndices({
+    stat: 'OK',
+    tables: [{
+      title: '115年02月09日 價格指數(臺灣證券交易所)',
+      data: [
+        ['發行量加權股價指數', '32,456.78', '<p style= color:red>+</p>', '270.15', '0.84', ''],
+        ['未含金融保險股指數', '30,880.12', '<p style= color:red>+</p>', '265.40', '0.87', ''],
+        ['水泥類指數', '142.85', down, '0.65', '-0.45', '']
+      ]
+    }]
+  }, '2026-02-09');
+  assert.deepStrictEqual(rows.map(r => r.index_code), ['TAIEX', '水泥類指數']);
+  assert.strictEqual(rows[0].close, 32456.78);
+  assert.strictEqual(rows[0].industry, null);
+  assert.deepStrictEqual([rows[1].industry, rows[1].change, rows[1].change_pct], ['水泥工業', -0.65, -0.45]);
+});
+
+test('parseTPExIndex 民國日期與漲跌百分比', () => {
+  const rows = parseTPExIndex({ aaData: [['115/02/09', '640,112', '48,001,234', '430,876', '279.45', '2.55']] });
+  assert.deepStrictEqual(rows[0], {
+    index_code: 'TPEX', date: '2026-02-09', name: '櫃買指數', market: 'otc', industry: null,
+    close: 279.45, change: 2.55, change_pct: 0.92
+  });
+});
+
+test('非 OK 回應回傳空陣列', () => {
+  assert.deepStrictEqual(parseTWSEIndices({ stat: '很抱歉，沒有符合條件的資料!' }, '2026-02-14'), []);
+  assert.deepStrictEqual(parseTPExIndex({}), []);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchMarketIndices 重播 MI_INDEX 與 st41 (櫃買只取當日)', async () => {
+    const rows = await fetchMarketIndices('2026-02-09');
+    assert.deepStrictEqual(rows.map(r => r.index_code),
+      ['TAIEX', '水泥類指數', '金融保險類指數', '半導體類指數', '通信網路類指數', 'TPEX']);
+    assert.ok(rows.every(r => r.date === '2026-02-09'));
+    assert.strictEqual(rows.find(r => r.index_code === 'TPEX').close, 279.45);
+  });
+
+  httpClient.setFixtures({ mode: 'off' });
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview 市場狀態 (外資臺指期淨未平倉) 單元測試
+ * @module test/market-regime
+ */
+
+const assert = require('assert');
+const { assessMarketRegime, adjustTierThresholds, REGIMES } = require('../src/market/market-regime');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+/** 外資期貨未平倉列 */
+function foreignFut(contract, netOi) {
+  return { date: '2026-02-09', contract, option_type: 'FUT', investor: 'FOREIGN', net_oi: netOi };
+}
+
+console.log('\n🧭 市場狀態測試\n');
+
+test('無資料為 NORMAL 且不調整門檻', () => {
+  const regime = assessMarketRegime([]);
+  assert.deepStrictEqual([regime.regime, regime.foreignNetOi, regime.tighten], [REGIMES.NORMAL, null, 0]);
+  assert.deepStrictEqual(adjustTierThresholds({ TIER1: 75 }, regime), { TIER1: 75 });
+});
+
+test('小型臺指以 1/4 口折算，淨空單達門檻為 CAUTION', () => {
+  const regime = assessMarketRegime([
+    foreignFut('TX', -18000),
+    foreignFut('MTX', -8400),
+    { ...foreignFut('TX', 30000), investor: 'TRUST' },
+    { ...foreignFut('TXO', -5000), option_type: 'CALL' }
+  ], { oi_ratio: 88.92 });
+  assert.strictEqual(regime.foreignNetOi, -20100);
+  assert.strictEqual(regime.regime, REGIMES.CAUTION);
+  assert.strictEqual(regime.putCallOiRatio, 88.92);
+  assert.deepStrictEqual(
+    adjustTierThresholds({ TIER1: 75, TIER2: 60, TIER3: 45 }, regime),
+    { TIER1: 80, TIER2: 65, TIER3: 50 }
+  );
+});
+
+test('淨空單超過 riskOffNetOi 為 RISK_OFF，門檻可覆寫', () => {
+  assert.strictEqual(assessMarketRegime([foreignFut('TX', -40000)]).regime, REGIMES.RISK_OFF);
+  assert.strictEqual(assessMarketRegime([foreignFut('TX', -40000)], null, { riskOffNetOi: -50000 }).regime, REGIMES.CAUTION);
+  assert.strictEqual(assessMarketRegime([foreignFut('TX', 5000)]).regime, REGIMES.NORMAL);
+});
+
+test('adjustTierThresholds 不超過 100 且不修改原物件', () => {
+  const thresholds = { TIER1: 95 };
+  assert.deepStrictEqual(adjustTierThresholds(thresholds, { tighten: 10 }), { TIER1: 100 });
+  assert.deepStrictEqual(thresholds, { TIER1: 95 });
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview 全市場收盤行情匯入單元測試 (純邏輯，不含 HTTP 呼叫)
+ * @module test/market-snapshot-crawler
+ */
+
+const {
+  parseTWSESnapshot,
+  parseTPExSnapshot,
+  findTWSEQuoteTable,
+  isEquitySymbol
+} = require('../src/crawler/market-snapshot-crawler');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 全市場收盤行情測試\n');
+
+const TWSE_ROWS = [
+  ['0050', '元大台灣50', '10,000,000', '5,000', '1,900,000,000', '190.00', '191.00', '189.00', '190.50', '<p>+</p>', '0.50'],
+  ['2330', '台積電', '25,123,456', '45,678', '45,000,000,000', '1,780.00', '1,800.00', '1,770.00', '1,795.00', '<p>+</p>', '15.00'],
+  ['2457', '飛宏', '0', '0', '0', '--', '--', '--', '--', '', '0.00'],
+  ['2454', '聯發科', '3,000,000', '9,000', '5,400,000,000', '1,800.00', '1,820.00', '1,790.00', '1,810.00', '<p>+</p>', '10.00']
+];
+
+test('isEquitySymbol 僅接受四碼普通股', () => {
+  assert.strictEqual(isEquitySymbol('2330'), true);
+  assert.strictEqual(isEquitySymbol('0050'), false);
+  assert.strictEqual(isEquitySymbol('00878'), false);
+  assert.strictEqual(isEquitySymbol('030001'), false);
+  assert.strictEqual(isEquitySymbol('2881A'), false);
+});
+
+test('findTWSEQuoteTable 支援 tables 新格式', () => {
+  const raw = {
+    tables: [
+      { title: '115年02月09日 價格指數(臺灣證券交易所)', data: [['發行量加權股價指數']] },
+      { title: '115年02月09日 每日收盤行情(全部(不含權證、牛熊證))', data: TWSE_ROWS }
+    ]
+  };
+  assert.strictEqual(findTWSEQuoteTable(raw), TWSE_ROWS);
+});
+
+test('findTWSEQuoteTable 支援 data9 舊格式', () => {
+  assert.strictEqual(findTWSEQuoteTable({ data9: TWSE_ROWS }), TWSE_ROWS);
+  assert.strictEqual(findTWSEQuoteTable({}), null);
+});
+
+test('parseTWSESnapshot 過濾 ETF 與無成交股票', () => {
+  const rows = parseTWSESnapshot('2026-02-09', TWSE_ROWS);
+  assert.deepStrictEqual(rows.map(r => r.symbol), ['2330', '2454']);
+  const tsmc = rows[0];
+  assert.strictEqual(tsmc.date, '2026-02-09');
+  assert.strictEqual(tsmc.volume, 25123456);
+  assert.strictEqual(tsmc.transactions, 45678);
+  assert.strictEqual(tsmc.open, 1780);
+  assert.strictEqual(tsmc.close, 1795);
+});
+
+test('parseTPExSnapshot 欄位對應正確', () => {
+  const rows = parseTPExSnapshot('2026-02-09', [
+    ['5340', '建榮', '45.80', '+0.30', '45.50', '46.00', '45.00', '45.60', '1,234,000', '56,270,400', '512'],
+    ['006201', '元大富櫃50', '20.00', '0.00', '20.00', '20.00', '20.00', '20.00', '1,000', '20,000', '1']
+  ]);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].symbol, '5340');
+  assert.strictEqual(rows[0].close, 45.8);
+  assert.strictEqual(rows[0].open, 45.5);
+  assert.strictEqual(rows[0].volume, 1234000);
+  assert.strictEqual(rows[0].transactions, 512);
+});
+
+test('parse 空輸入回傳空陣列', () => {
+  assert.deepStrictEqual(parseTWSESnapshot('2026-02-09', null), []);
+  assert.deepStrictEqual(parseTPExSnapshot('2026-02-09', undefined), []);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
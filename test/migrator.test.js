@@ -0,0 +1,181 @@
+/**
+ * @fileoverview 資料庫遷移 (schema_version / 舊表併入) 單元測試
+ * @module test/migrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const assert = require('assert');
+const { migrate, rollback, migrationStatus, currentVersion, loadMigrations } = require('../src/database/migrator');
+
+const SCHEMA = fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+const tableSql = (db, table) => db.prepare("SELECT sql FROM sqlite_master WHERE name = ?").get(table).sql;
+
+/** 舊版 src/database.js 與選股引擎自建的資料表 */
+function legacyDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE daily_prices (symbol TEXT, date TEXT, open REAL, high REAL, low REAL, close REAL,
+      volume INTEGER, turnover INTEGER, transactions INTEGER, PRIMARY KEY(symbol, date));
+    CREATE TABLE institutional_trades (symbol TEXT, date TEXT, foreign_net INTEGER, trust_net INTEGER,
+      dealer_net INTEGER, margin_balance INTEGER, short_balance INTEGER, PRIMARY KEY(symbol, date));
+    CREATE TABLE positions (symbol TEXT PRIMARY KEY, buy_price REAL, quantity INTEGER, stop_loss_price REAL);
+    CREATE TABLE screener_signals (id INTEGER PRIMARY KEY AUTOINCREMENT, symbol TEXT NOT NULL, date TEXT NOT NULL,
+      signal_date TEXT NOT NULL, technical_score REAL, institutional_score REAL, fundamental_score REAL,
+      total_score REAL, tier TEXT, vao_score REAL, mtm_score REAL, ma_trend TEXT, foreign_sentiment TEXT,
+      recommendation TEXT, notes TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+  `);
+  db.prepare("INSERT INTO daily_prices VALUES ('2330', '20260209', 1800, 1815, 1790, 1810, 25000000, 0, 0)").run();
+  db.prepare("INSERT INTO positions VALUES ('2330', 1500, 1000, 1400)").run();
+  const signal = db.prepare("INSERT INTO screener_signals (symbol, date, signal_date, total_score, recommendation) VALUES ('2330', '2026-02-09', '2026-02-09', ?, ?)");
+  signal.run(70, '觀察');
+  signal.run(78, '買進');
+  return db;
+}
+
+console.log('\n🗄️ 資料庫遷移測試\n');
+
+test('載入編號遷移檔 (依版本排序)', () => {
+  assert.deepStrictEqual(loadMigrations().map(m => `${m.version}:${m.name}`), [
+    '1:reconcile_legacy_tables',
+    '2:screener_signals_fundamental',
+    '3:canonical_dates',
+    '4:intraday_snapshot_limits',
+    '5:fundamentals_point_in_time'
+  ]);
+});
+
+test('全新資料庫：遷移略過不存在的資料表，之後 schema.sql 正常建立', () => {
+  const db = new Database(':memory:');
+  assert.deepStrictEqual(migrate(db), [1, 2, 3, 4, 5]);
+  db.exec(SCHEMA);
+  assert.strictEqual(currentVersion(db), 5);
+  assert.deepStrictEqual(migrate(db), []);
+  assert.ok(columns(db, 'screener_signals').includes('fundamental_score'));
+  db.close();
+});
+
+test('舊版資料表依 schema.sql 定義重建並保留資料', () => {
+  const db = legacyDb();
+  migrate(db);
+  db.exec(SCHEMA);
+  assert.ok(columns(db, 'positions').includes('take_profit_price'));
+  assert.deepStrictEqual(db.prepare('SELECT symbol, buy_price, quantity, stop_loss_price FROM positions').all(),
+    [{ symbol: '2330', buy_price: 1500, quantity: 1000, stop_loss_price: 1400 }]);
+  assert.ok(columns(db, 'daily_prices').includes('created_at'));
+  assert.strictEqual(db.prepare('SELECT close FROM daily_prices').get().close, 1810);
+  db.close();
+});
+
+test('選股引擎自建的 screener_signals 補上唯一鍵，同日重複訊號保留最後一筆', () => {
+  const db = legacyDb();
+  migrate(db);
+  const rows = db.prepare('SELECT total_score, recommendation FROM screener_signals').all();
+  assert.deepStrictEqual(rows, [{ total_score: 78, recommendation: '買進' }]);
+  assert.throws(() => db.prepare("INSERT INTO screener_signals (symbol, date, signal_date) VALUES ('2330', '2026-02-09', '2026-02-09')").run(), /UNIQUE/);
+  db.close();
+});
+
+test('結構已一致的資料表不重建', () => {
+  const db = new Database(':memory:');
+  db.exec(SCHEMA);
+  const before = tableSql(db, 'daily_prices');
+  migrate(db);
+  assert.strictEqual(tableSql(db, 'daily_prices'), before);
+  db.close();
+});
+
+test('volume_score 版本升級後可還原', () => {
+  const db = new Database(':memory:');
+  db.exec(SCHEMA.replace('fundamental_score REAL,', 'volume_score REAL,').replace('recommendation TEXT,\n', ''));
+  db.prepare("INSERT INTO screener_signals (symbol, date, signal_date, total_score, volume_score) VALUES ('2454', '2026-02-09', '2026-02-09', 81, 12)").run();
+
+  migrate(db);
+  assert.ok(columns(db, 'screener_signals').includes('recommendation'));
+  assert.ok(!columns(db, 'screener_signals').includes('volume_score'));
+  assert.strictEqual(db.prepare('SELECT total_score FROM screener_signals').get().total_score, 81);
+
+  assert.deepStrictEqual(rollback(db, 1), [5, 4, 3, 2]);
+  assert.strictEqual(currentVersion(db), 1);
+  assert.ok(columns(db, 'screener_signals').includes('volume_score'));
+  assert.ok(!columns(db, 'screener_signals').includes('fundamental_score'));
+  assert.deepStrictEqual(migrationStatus(db).map(s => [s.version, s.appliedAt !== null]), [[1, true], [2, false], [3, false], [4, false], [5, false]]);
+  db.close();
+});
+
+test('日期欄位改寫為 YYYY-MM-DD，與既有 ISO 資料重複時保留既有資料', () => {
+  const db = legacyDb();
+  const price = db.prepare('INSERT INTO daily_prices (symbol, date, close, volume) VALUES (?, ?, ?, ?)');
+  price.run('2330', '2026-02-09', 1805, 26000000);
+  price.run('2330', '2026/02/10', 1820, 21000000);
+  price.run('2317', '20260230', 200, 1000);
+  db.prepare("INSERT INTO institutional_trades (symbol, date, foreign_net) VALUES ('2330', '20260211', 500)").run();
+
+  migrate(db);
+  db.exec(SCHEMA);
+  assert.deepStrictEqual(db.prepare('SELECT symbol, date, close FROM daily_prices ORDER BY symbol, date').all(), [
+    { symbol: '2317', date: '20260230', close: 200 },
+    { symbol: '2330', date: '2026-02-09', close: 1805 },
+    { symbol: '2330', date: '2026-02-10', close: 1820 }
+  ]);
+  assert.strictEqual(db.prepare('SELECT date FROM institutional_trades').get().date, '2026-02-11');
+  db.close();
+});
+
+test('月營收重複公告只留最早出表日、更正另存一版；季財報主鍵加入公告日', () => {
+  const db = new Database(':memory:');
+  db.exec(SCHEMA.replace('PRIMARY KEY(symbol, period, date)\n);\n\n-- 除權息', 'PRIMARY KEY(symbol, period)\n);\n\n-- 除權息'));
+  const revenue = db.prepare('INSERT INTO fundamentals (symbol, date, period, revenue) VALUES (?, ?, ?, ?)');
+  revenue.run('2330', '2026-02-11', '2026-01', 401255);
+  revenue.run('2330', '2026-02-10', '2026-01', 401255);
+  revenue.run('2330', '2026-02-12', '2026-01', 401300);
+  revenue.run('2330', '2026-02-13', '2026-01', 401300);
+  revenue.run('2330', '2026-03-10', '2026-02', 318000);
+  db.prepare("INSERT INTO financial_statements (symbol, period, date, eps) VALUES ('2330', '2025Q3', '2025-11-12', 17.44)").run();
+
+  migrate(db);
+  assert.deepStrictEqual(db.prepare('SELECT date, period, revenue FROM fundamentals ORDER BY period, date').all(), [
+    { date: '2026-02-10', period: '2026-01', revenue: 401255 },
+    { date: '2026-02-12', period: '2026-01', revenue: 401300 },
+    { date: '2026-03-10', period: '2026-02', revenue: 318000 }
+  ]);
+  db.prepare("INSERT INTO financial_statements (symbol, period, date, eps) VALUES ('2330', '2025Q3', '2025-12-01', 17.52)").run();
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM financial_statements').get().n, 2);
+
+  rollback(db, 4);
+  assert.deepStrictEqual(db.prepare('SELECT period, date, eps FROM financial_statements').all(), [
+    { period: '2025Q3', date: '2025-12-01', eps: 17.52 }
+  ]);
+  db.close();
+});
+
+test('遷移失敗時整個交易還原且不記錄版本', () => {
+  const db = new Database(':memory:');
+  const migrations = [
+    { version: 1, name: 'ok', up: d => d.exec('CREATE TABLE a (x INTEGER)'), down: d => d.exec('DROP TABLE a') },
+    { version: 2, name: 'broken', up: d => { d.exec('CREATE TABLE b (x INTEGER)'); throw new Error('boom'); }, down() {} }
+  ];
+  assert.throws(() => migrate(db, { migrations }), /boom/);
+  assert.strictEqual(currentVersion(db), 1);
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE name = 'b'").get().n, 0);
+  db.close();
+});
+
+test('可指定目標版本', () => {
+  const db = new Database(':memory:');
+  assert.deepStrictEqual(migrate(db, { target: 1 }), [1]);
+  assert.strictEqual(currentVersion(db), 1);
+  db.close();
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
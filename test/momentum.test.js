@@ -55,6 +55,18 @@ test('calculateMTM 自訂期數', () => {
 });
 
 // ─── MA Tests ──────────────────────────────────────
+test('calculateMTM 除權息缺口以還原價格計算', () => {
+  // 第 3 根 (最新在前 index 3) 之前價格 110，除息日起跌至 100，實際無漲跌
+  const data = Array.from({ length: 20 }, (_, i) => ({
+    date: `2026-01-${String(20 - i).padStart(2, '0')}`,
+    close: i < 3 ? 100 : 110,
+    volume: 10000
+  }));
+  const actions = [{ date: '2026-01-18', prev_close: 110, reference_price: 100 }];
+  assert.strictEqual(calculateMTM(data).mtm, -10);
+  assert.strictEqual(calculateMTM(data, { corporateActions: actions }).mtm, 0);
+});
+
 test('calculateMA 資料不足拋出錯誤', () => {
   assert.throws(() => calculateMA([], 20), /至少/);
   assert.throws(() => calculateMA(generatePriceData(10), 20), /至少/);
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview 五檔委買委賣單元測試
+ * @module test/order-book
+ */
+
+const assert = require('assert');
+const { buildOrderBook, toOrderBookRow, evaluateOrderBook } = require('../src/market/order-book');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📒 五檔委買委賣測試\n');
+
+const deepBook = buildOrderBook(
+  [{ price: 1435, size: 120 }, { price: 1430, size: 80 }],
+  [{ price: 1440, size: 100 }, { price: 1445, size: 90 }]
+);
+
+test('buildOrderBook 計算最佳價、價差、深度與失衡比率', () => {
+  assert.strictEqual(deepBook.bestBid, 1435);
+  assert.strictEqual(deepBook.bestAsk, 1440);
+  assert.strictEqual(deepBook.spread, 5);
+  assert.strictEqual(deepBook.midPrice, 1437.5);
+  assert.strictEqual(deepBook.bidDepth, 200);
+  assert.strictEqual(deepBook.askDepth, 190);
+  assert.ok(Math.abs(deepBook.imbalance - 10 / 390) < 1e-9);
+});
+
+test('buildOrderBook 過濾無效檔位，單邊無掛單時無價差', () => {
+  const book = buildOrderBook([{ price: 0, size: 5 }, { price: 63, size: 0 }], [{ price: 63.5, size: 3 }]);
+  assert.strictEqual(book.bids.length, 0);
+  assert.strictEqual(book.bestBid, null);
+  assert.strictEqual(book.spread, null);
+  assert.strictEqual(book.imbalance, -1);
+});
+
+test('toOrderBookRow 以台北日期歸日，無五檔時為 null', () => {
+  const row = toOrderBookRow({ code: '2454', timestamp: '2026-02-09T05:30:00.000Z', orderBook: deepBook });
+  assert.strictEqual(row.symbol, '2454');
+  assert.strictEqual(row.date, '2026-02-09');
+  assert.strictEqual(row.bid_depth, 200);
+  assert.strictEqual(row.bids.length, 2);
+  assert.strictEqual(toOrderBookRow({ code: '2454', orderBook: null }), null);
+});
+
+test('evaluateOrderBook 深度足夠時不警示', () => {
+  assert.deepStrictEqual(evaluateOrderBook(deepBook), { imbalanced: false, thin: false, reasons: [] });
+});
+
+test('evaluateOrderBook 辨識賣盤失衡與單邊無掛單', () => {
+  const result = evaluateOrderBook(buildOrderBook([], [{ price: 63.5, size: 80 }]));
+  assert.strictEqual(result.imbalanced, true);
+  assert.strictEqual(result.thin, true);
+  assert.ok(result.reasons[0].startsWith('賣盤失衡'));
+  assert.ok(result.reasons[1].includes('委買無掛單'));
+});
+
+test('evaluateOrderBook 預計下單量超過對手五檔比例視為流動性不足', () => {
+  assert.strictEqual(evaluateOrderBook(deepBook, { orderLots: 90 }).thin, false);
+  const result = evaluateOrderBook(deepBook, { orderLots: 120 });
+  assert.strictEqual(result.thin, true);
+  assert.ok(result.reasons[0].includes('預計買進 120 張'));
+  assert.strictEqual(evaluateOrderBook(deepBook, { orderLots: -120 }).thin, true);
+});
+
+test('evaluateOrderBook 接受 order_book_snapshots 資料列', () => {
+  const row = toOrderBookRow({ code: '5340', orderBook: buildOrderBook([{ price: 63, size: 10 }], [{ price: 64, size: 8 }]) });
+  const result = evaluateOrderBook(row);
+  assert.strictEqual(result.thin, true);
+  assert.ok(result.reasons.some(r => r.includes('五檔合計僅 18 張')));
+  assert.ok(result.reasons.some(r => r.startsWith('價差')));
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -106,6 +106,23 @@ test('HHI 分散度計算', async () => {
   assert.strictEqual(result.analysis.hhi, 0.25);
 });
 
+test('未指定產業時以證券主檔補上', () => {
+  const db = {
+    prepare: (sql) => ({
+      all: () => [],
+      get: () => sql.includes('securities') ? { industry: '半導體業' } : { close: 600 }
+    })
+  };
+  const optimizer = new PortfolioOptimizer(db);
+  const enriched = optimizer._enrichPositions([
+    { symbol: '2330', shares: 1000, buyPrice: 500 },
+    { symbol: '2317', shares: 1000, buyPrice: 100, sector: '電子代工' }
+  ]);
+  assert.strictEqual(enriched[0].sector, '半導體業');
+  assert.strictEqual(enriched[0].currentPrice, 600);
+  assert.strictEqual(enriched[1].sector, '電子代工');
+});
+
 test('formatReport 格式正確', async () => {
   const positions = [
     { symbol: '2330', shares: 1000, buyPrice: 500, sector: '半導體' }
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview 還原權值股價單元測試
+ * @module test/price-adjustment
+ */
+
+const { adjustPriceSeries, actionFactor } = require('../src/market/price-adjustment');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 還原權值股價測試\n');
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 1000 });
+
+test('actionFactor 優先使用參考價', () => {
+  assert.strictEqual(actionFactor({ prev_close: 100, reference_price: 95 }), 0.95);
+  assert.strictEqual(actionFactor({ factor: 0.9, prev_close: 100, reference_price: 95 }), 0.9);
+});
+
+test('actionFactor 以股利推算', () => {
+  // 現金 5 元: (100 - 5) / 100
+  assert.strictEqual(actionFactor({ prev_close: 100, cash_dividend: 5 }), 0.95);
+  // 1 拆 2 (每股配 1 股)
+  assert.strictEqual(actionFactor({ stock_ratio: 1 }), 0.5);
+  assert.strictEqual(actionFactor({}), 1);
+});
+
+test('adjustPriceSeries 僅調整事件日之前的價格', () => {
+  const data = [bar('2026-01-15', 100), bar('2026-01-16', 95), bar('2026-01-19', 96)];
+  const adjusted = adjustPriceSeries(data, [{ date: '2026-01-16', prev_close: 100, reference_price: 95 }]);
+  assert.deepStrictEqual(adjusted.map(d => d.close), [95, 95, 96]);
+  assert.strictEqual(adjusted[0].adjFactor, 0.95);
+  assert.strictEqual(adjusted[0].volume, 1000);
+  // 不修改原始資料
+  assert.strictEqual(data[0].close, 100);
+});
+
+test('adjustPriceSeries 多次事件因子累乘且不受排序影響', () => {
+  const actions = [
+    { date: '2026-01-16', factor: 0.5 },
+    { date: '2026-01-20', factor: 0.9 }
+  ];
+  const desc = adjustPriceSeries([bar('2026-01-21', 45), bar('2026-01-19', 50), bar('2026-01-15', 100)], actions);
+  assert.deepStrictEqual(desc.map(d => d.close), [45, 45, 45]);
+});
+
+test('adjustPriceSeries 無事件時回傳原陣列', () => {
+  const data = [bar('2026-01-15', 100)];
+  assert.strictEqual(adjustPriceSeries(data, []), data);
+  assert.strictEqual(adjustPriceSeries(data, null), data);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview 漲跌停價單元測試
+ * @module test/price-limits
+ */
+
+const assert = require('assert');
+const { priceLimits, tickSize, isAtLimit, isEtf } = require('../src/market/price-limits');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🚦 漲跌停價測試\n');
+
+test('股票升降單位依價格區間', () => {
+  assert.deepStrictEqual([9.99, 10, 49.95, 50, 99.9, 100, 499.5, 500, 999, 1000].map(p => tickSize(p)),
+    [0.01, 0.05, 0.05, 0.1, 0.1, 0.5, 0.5, 1, 1, 5]);
+});
+
+test('ETF 升降單位', () => {
+  assert.strictEqual(tickSize(45, { etf: true }), 0.01);
+  assert.strictEqual(tickSize(150, { etf: true }), 0.05);
+  assert.ok(isEtf('0050'));
+  assert.ok(!isEtf('2330'));
+});
+
+test('漲停捨去、跌停進位至升降單位', () => {
+  assert.deepStrictEqual(priceLimits(1410), { limitUp: 1550, limitDown: 1270 });
+  assert.deepStrictEqual(priceLimits(62), { limitUp: 68.2, limitDown: 55.8 });
+  assert.deepStrictEqual(priceLimits(505), { limitUp: 555, limitDown: 454.5 });
+  // 跨價格區間: 9.5 × 1.1 = 10.45 適用 0.05
+  assert.deepStrictEqual(priceLimits(9.5), { limitUp: 10.45, limitDown: 8.55 });
+  assert.deepStrictEqual(priceLimits(45.3, { etf: true }), { limitUp: 49.83, limitDown: 40.77 });
+});
+
+test('浮點誤差不影響整數倍價格', () => {
+  // 100 × 1.1 = 110.00000000000001
+  assert.deepStrictEqual(priceLimits(100), { limitUp: 110, limitDown: 90 });
+  assert.strictEqual(priceLimits(0), null);
+});
+
+test('isAtLimit 判斷漲跌停', () => {
+  const limits = priceLimits(100);
+  assert.strictEqual(isAtLimit(110, limits), 'UP');
+  assert.strictEqual(isAtLimit(90, limits), 'DOWN');
+  assert.strictEqual(isAtLimit(109.5, limits), null);
+  assert.strictEqual(isAtLimit(0, limits), null);
+  assert.strictEqual(isAtLimit(110, null), null);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
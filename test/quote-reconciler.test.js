@@ -0,0 +1,153 @@
+/**
+ * @fileoverview 行情來源交叉比對 (TWSE / Yahoo) 單元測試
+ * @module test/quote-reconciler
+ */
+
+const assert = require('assert');
+const {
+  compareSnapshots,
+  pairSnapshots,
+  reconcile,
+  runReconciliation,
+  fetchAndReconcile,
+  runLiveReconciliation,
+  formatReconciliationReport,
+  DIVERGENCE_TYPES
+} = require('../src/quality/quote-reconciler');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+/** 台北時間 2026-02-09 HH:MM:SS 的快照 (成交量為張) */
+function snap(source, time, price, volume, extra = {}) {
+  const [h, m, s] = time.split(':').map(Number);
+  const ts = new Date(Date.UTC(2026, 1, 9, h - 8, m, s || 0)).toISOString();
+  return { symbol: '2330', ts, date: '2026-02-09', price, prev_close: 1780, volume, source, ...extra };
+}
+
+console.log('\n🔀 行情來源比對測試\n');
+
+(async () => {
+  test('容忍度內無差異', () => {
+    assert.deepStrictEqual(compareSnapshots(snap('TWSE', '10:00:00', 1800, 12000), snap('Yahoo', '10:00:20', 1802, 11700)), []);
+  });
+
+  test('價格差異超過容忍度，無參考值時不判定來源', () => {
+    const [d] = compareSnapshots(snap('TWSE', '10:00:00', 1800, 12000), snap('Yahoo', '10:00:20', 1830, 12000));
+    assert.strictEqual(d.type, DIVERGENCE_TYPES.PRICE);
+    assert.strictEqual(d.diffPct, 1.67);
+    assert.strictEqual(d.drifting, null);
+  });
+
+  test('成交量相差約 1000 倍判定為單位錯誤', () => {
+    const [d] = compareSnapshots(snap('TWSE', '10:00:00', 1800, 12000), snap('Yahoo', '10:00:20', 1800, 12000000));
+    assert.strictEqual(d.type, DIVERGENCE_TYPES.VOLUME_UNIT);
+  });
+
+  test('昨收以前一交易日收盤為參考，判定偏移來源', () => {
+    const divergences = compareSnapshots(
+      snap('TWSE', '10:00:00', 1800, 12000),
+      snap('Yahoo', '10:00:20', 1800, 12000, { prev_close: 1765 }),
+      { prevClose: 1780 }
+    );
+    assert.deepStrictEqual(divergences.map(d => [d.type, d.reference, d.drifting]), [['PREV_CLOSE', 1780, 'Yahoo']]);
+  });
+
+  test('pairSnapshots 配對時間最接近的 TWSE 快照，超過時間差或其他來源不配對', () => {
+    const pairs = pairSnapshots([
+      snap('TWSE', '10:00:00', 1800, 12000),
+      snap('TWSE', '10:00:30', 1805, 12100),
+      snap('Yahoo', '10:00:40', 1805, 12050),
+      snap('Yahoo', '11:00:00', 1810, 15000),
+      snap('Cache', '10:00:30', 1805, 12100)
+    ]);
+    assert.strictEqual(pairs.length, 1);
+    assert.strictEqual(pairs[0].twse.price, 1805);
+    assert.strictEqual(pairs[0].yahoo.price, 1805);
+  });
+
+  test('收盤後的配對才以當日收盤與成交量為參考，並彙總偏移來源', () => {
+    const references = { 2330: { prevClose: 1780, close: 1810, volume: 25000 } };
+    const report = reconcile([
+      { symbol: '2330', twse: snap('TWSE', '10:00:00', 1800, 12000), yahoo: snap('Yahoo', '10:00:10', 1830, 12000) },
+      { symbol: '2330', twse: snap('TWSE', '13:31:00', 1810, 25000), yahoo: snap('Yahoo', '13:31:10', 1810, 25000000) }
+    ], references, { date: '2026-02-09' });
+    assert.strictEqual(report.compared, 2);
+    assert.deepStrictEqual(report.divergences.map(d => [d.type, d.drifting]), [['PRICE', null], ['VOLUME_UNIT', 'Yahoo']]);
+    assert.strictEqual(report.unattributed, 1);
+    assert.deepStrictEqual(report.sources, { TWSE: { drifts: 0, driftPct: 0 }, Yahoo: { drifts: 1, driftPct: 50 } });
+    assert.strictEqual(report.drifting, 'Yahoo');
+  });
+
+  test('兩來源偏移筆數相同時不判定', () => {
+    assert.strictEqual(reconcile([]).drifting, null);
+  });
+
+  test('runReconciliation 由 daily_prices 建立參考值 (成交量股換算為張)', () => {
+    const DB = {
+      getIntradaySnapshotsByDate: date => [
+        snap('TWSE', '13:31:00', 1790, 25000),
+        snap('Yahoo', '13:31:05', 1810, 25100)
+      ].filter(s => s.date === date),
+      getRowsBetween: (dataset, start, end) => {
+        assert.deepStrictEqual([dataset, start, end], ['daily_prices', '2026-02-06', '2026-02-09']);
+        return [
+          { symbol: '2330', date: '2026-02-06', close: 1780, volume: 30000000 },
+          { symbol: '2330', date: '2026-02-09', close: 1810, volume: 25050000 }
+        ];
+      }
+    };
+    const report = runReconciliation(DB, '2026-02-09');
+    assert.deepStrictEqual(report.divergences.map(d => [d.type, d.reference, d.drifting]), [['PRICE', 1810, 'TWSE']]);
+    assert.strictEqual(report.drifting, 'TWSE');
+  });
+
+  await asyncTest('fetchAndReconcile 同時查詢兩來源並將 Yahoo 成交量換算為張', async () => {
+    const quote = (code, price, volume) => ({ code, price, prevClose: 1780, volume });
+    const sources = {
+      TWSE: { fetchQuotes: async () => [quote('2330', 1800, 12000), quote('2454', 1435, 610)] },
+      Yahoo: { fetchQuotes: async () => [quote('2330', 1800, 12000000)] }
+    };
+    const report = await fetchAndReconcile([{ code: '2330' }, { code: '2454' }], sources);
+    assert.strictEqual(report.compared, 1);
+    assert.deepStrictEqual(report.divergences, []);
+  });
+
+  await asyncTest('runLiveReconciliation 同一批股票兩來源皆查詢，以前一交易日收盤判定昨收偏移', async () => {
+    const quote = (code, prevClose) => ({ code, price: 1800, prevClose, volume: 12000 });
+    const requested = [];
+    const source = prevClose => ({
+      fetchQuotes: async stocks => { requested.push(stocks.map(s => s.code)); return stocks.map(s => quote(s.code, prevClose)); }
+    });
+    const DB = {
+      getRowsBetween: (dataset, start, end) => {
+        assert.deepStrictEqual([dataset, start, end], ['daily_prices', '2026-02-06', '2026-02-09']);
+        return [{ symbol: '2330', date: '2026-02-06', close: 1780, volume: 30000000 }];
+      }
+    };
+    const report = await runLiveReconciliation(DB, [{ code: '2330' }], { TWSE: source(1780), Yahoo: source(1765) },
+      { now: new Date('2026-02-09T02:00:00Z') });
+    assert.deepStrictEqual(requested, [['2330'], ['2330']]);
+    assert.deepStrictEqual([report.date, report.compared, report.drifting], ['2026-02-09', 1, 'Yahoo']);
+  });
+
+  test('formatReconciliationReport 列出偏移來源與差異明細', () => {
+    const report = reconcile([
+      { symbol: '2330', twse: snap('TWSE', '10:00:00', 1800, 12000), yahoo: snap('Yahoo', '10:00:10', 1800, 12000, { prev_close: 1765 }) }
+    ], { 2330: { prevClose: 1780 } }, { date: '2026-02-09' });
+    const text = formatReconciliationReport(report);
+    assert.ok(text.includes('行情來源比對 2026-02-09'));
+    assert.ok(text.includes('⚠️ 偏移來源: Yahoo'));
+    assert.ok(text.includes('PREV_CLOSE: TWSE 1780 / Yahoo 1765 (-0.84%) 參考 1780 → Yahoo'));
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
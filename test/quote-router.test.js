@@ -0,0 +1,133 @@
+/**
+ * @fileoverview 行情來源路由單元測試 (假來源，不連網)
+ * @module test/quote-router
+ */
+
+const assert = require('assert');
+const { QuoteRouter } = require('../src/crawler/quote-router');
+const { YahooQuoteSource } = require('../src/crawler/quote-sources');
+
+let passed = 0, failed = 0;
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🔀 行情來源路由測試\n');
+
+/** 假時鐘 */
+function clock(start = Date.parse('2026-02-09T02:00:00Z')) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  return now;
+}
+
+/**
+ * 假來源：known 內的代碼回傳報價，fail=true 時拋錯
+ */
+function fakeSource(name, { known = [], maxBatch = 50, latencyMs = 0, now, fail = false } = {}) {
+  const source = {
+    name,
+    maxBatch,
+    calls: 0,
+    fail,
+    async fetchQuotes(stocks) {
+      source.calls++;
+      if (now) now.advance(latencyMs);
+      if (source.fail) throw new Error(`${name} down`);
+      return stocks.filter(s => known.includes(s.code)).map(s => ({ code: s.code, name: s.code, price: 100, change: 1, changePct: 1 }));
+    }
+  };
+  return source;
+}
+
+const stocks = codes => codes.map(code => ({ code }));
+
+(async () => {
+  await asyncTest('依序備援：前一來源查無的股票交給下一來源，並標記來源', async () => {
+    const router = new QuoteRouter([
+      fakeSource('TWSE', { known: ['2454'] }),
+      fakeSource('Yahoo', { known: ['2454', '5340'], maxBatch: 1 })
+    ]);
+    const quotes = await router.fetchQuotes(stocks(['2454', '5340', '9999']));
+    assert.deepStrictEqual(quotes.map(q => `${q.code}:${q.source}`), ['2454:TWSE', '5340:Yahoo']);
+    assert.strictEqual(quotes[0].provenance.fallback, false);
+    assert.strictEqual(quotes[1].provenance.fallback, true);
+    assert.strictEqual(quotes[1].provenance.source, 'Yahoo');
+    assert.ok(quotes[1].provenance.fetchedAt);
+  });
+
+  await asyncTest('成功率低的來源排序往後', async () => {
+    const now = clock();
+    const flaky = fakeSource('TWSE', { known: [], now });
+    const backup = fakeSource('Yahoo', { known: ['2454'], now });
+    const router = new QuoteRouter([flaky, backup], { now, failureThreshold: 99 });
+    await router.fetchQuotes(stocks(['2454']));
+    await router.fetchQuotes(stocks(['2454']));
+    assert.deepStrictEqual(router.rankSources().map(s => s.name), ['Yahoo', 'TWSE']);
+    const quotes = await router.fetchQuotes(stocks(['2454']));
+    assert.strictEqual(quotes[0].source, 'Yahoo');
+    assert.strictEqual(quotes[0].provenance.fallback, false);
+  });
+
+  await asyncTest('同樣成功率時延遲低者優先', async () => {
+    const now = clock();
+    const slow = fakeSource('Slow', { known: ['2454'], latencyMs: 4000, now });
+    const fast = fakeSource('Fast', { known: ['2454'], latencyMs: 200, now });
+    const router = new QuoteRouter([slow, fast], { now });
+    // 各自成功一次建立延遲樣本
+    router._recordOutcome('Slow', true, 4000);
+    router._recordOutcome('Fast', true, 200);
+    assert.deepStrictEqual(router.rankSources().map(s => s.name), ['Fast', 'Slow']);
+  });
+
+  await asyncTest('連續失敗進入冷卻，冷卻期間不呼叫，結束後重新嘗試', async () => {
+    const now = clock();
+    const twse = fakeSource('TWSE', { known: ['2454'], now, fail: true });
+    const router = new QuoteRouter([twse], { now, failureThreshold: 2, cooldownMs: 60000 });
+
+    await router.fetchQuotes(stocks(['2454']));
+    await router.fetchQuotes(stocks(['2454']));
+    assert.strictEqual(twse.calls, 2);
+    assert.ok(router.getHealth().find(h => h.name === 'TWSE').coolingUntil);
+
+    await router.fetchQuotes(stocks(['2454']));
+    assert.strictEqual(twse.calls, 2, '冷卻期間不應呼叫');
+
+    now.advance(60000);
+    twse.fail = false;
+    const quotes = await router.fetchQuotes(stocks(['2454']));
+    assert.strictEqual(quotes.length, 1);
+    assert.strictEqual(router.getHealth().find(h => h.name === 'TWSE').consecutiveFailures, 0);
+    assert.strictEqual(router.getHealth().find(h => h.name === 'TWSE').coolingUntil, null);
+  });
+
+  await asyncTest('逐檔來源依 maxBatch 拆批', async () => {
+    const yahoo = fakeSource('Yahoo', { known: ['2454', '5340'], maxBatch: 1 });
+    const router = new QuoteRouter([yahoo]);
+    await router.fetchQuotes(stocks(['2454', '5340']));
+    assert.strictEqual(yahoo.calls, 2);
+  });
+
+  await asyncTest('新增第三來源即可接手，名稱重複或缺 fetchQuotes 時拒絕', async () => {
+    const router = new QuoteRouter([fakeSource('TWSE'), fakeSource('Yahoo')]);
+    router.addSource(fakeSource('Fugle', { known: ['6182'] }));
+    const quotes = await router.fetchQuotes(stocks(['6182']));
+    assert.strictEqual(quotes[0].source, 'Fugle');
+    assert.throws(() => router.addSource(fakeSource('TWSE')), /重複/);
+    assert.throws(() => router.addSource({ name: 'Bad' }), /fetchQuotes/);
+    assert.throws(() => new QuoteRouter([]), /至少一個/);
+  });
+
+  await asyncTest('YahooQuoteSource 逐檔呼叫並傳入市場別', async () => {
+    const calls = [];
+    const yahoo = new YahooQuoteSource({ fetchQuote: async (code, market) => { calls.push(`${code}.${market}`); return { code, price: 1 }; } });
+    const quotes = await yahoo.fetchQuotes([{ code: '2454', market: 'tse' }, { code: '5340', market: 'otc' }]);
+    assert.strictEqual(quotes.length, 2);
+    assert.deepStrictEqual(calls, ['2454.tse', '5340.otc']);
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview 月營收爬蟲單元測試 (純邏輯，不含 HTTP 呼叫)
+ * @module test/revenue-crawler
+ */
+
+const {
+  parseRevenueRows,
+  rocYearMonthToISO,
+  growthRate
+} = require('../src/crawler/revenue-crawler');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 月營收爬蟲測試\n');
+
+test('rocYearMonthToISO 民國年月轉換', () => {
+  assert.strictEqual(rocYearMonthToISO('11501'), '2026-01');
+  assert.strictEqual(rocYearMonthToISO('9912'), '2010-12');
+  assert.strictEqual(rocYearMonthToISO(''), null);
+  assert.strictEqual(rocYearMonthToISO('115/01'), null);
+});
+
+test('growthRate 計算百分比並處理基期為 0', () => {
+  assert.strictEqual(growthRate(120, 100), 20);
+  assert.strictEqual(growthRate(90, 120), -25);
+  assert.strictEqual(growthRate(100, 0), null);
+  assert.strictEqual(growthRate(null, 100), null);
+});
+
+test('parseRevenueRows 欄位對應與成長率', () => {
+  const rows = parseRevenueRows([
+    {
+      '出表日期': '1150210',
+      '資料年月': '11501',
+      '公司代號': '2330',
+      '公司名稱': '台積電',
+      '營業收入-當月營收': '401255000',
+      '營業收入-上月營收': '335003000',
+      '營業收入-去年當月營收': '293288000',
+      '累計營業收入-當月累計營收': '401255000',
+      '累計營業收入-去年累計營收': '293288000'
+    }
+  ]);
+  assert.strictEqual(rows.length, 1);
+  const r = rows[0];
+  assert.strictEqual(r.symbol, '2330');
+  assert.strictEqual(r.date, '2026-02-10');
+  assert.strictEqual(r.period, '2026-01');
+  assert.strictEqual(r.revenue, 401255000);
+  assert.strictEqual(r.revenue_growth_mom, 19.78);
+  assert.strictEqual(r.revenue_growth_yoy, 36.81);
+  assert.strictEqual(r.cumulative_growth_yoy, 36.81);
+});
+
+test('parseRevenueRows 略過缺代號或期別的資料', () => {
+  const rows = parseRevenueRows([
+    { '出表日期': '1150210', '資料年月': '', '公司代號': '2330' },
+    { '出表日期': '1150210', '資料年月': '11501', '公司代號': '' }
+  ]);
+  assert.deepStrictEqual(rows, []);
+  assert.deepStrictEqual(parseRevenueRows(null), []);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
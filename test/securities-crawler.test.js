@@ -0,0 +1,60 @@
+/**
+ * @fileoverview 證券主檔爬蟲單元測試 (純邏輯，不含 HTTP 呼叫)
+ * @module test/securities-crawler
+ */
+
+const { parseSecurityRows } = require('../src/crawler/securities-crawler');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 證券主檔測試\n');
+
+test('parseSecurityRows 上市欄位對應', () => {
+  const rows = parseSecurityRows([{
+    '出表日期': '1150209',
+    '公司代號': '2330',
+    '公司名稱': '台灣積體電路製造股份有限公司',
+    '公司簡稱': '台積電',
+    '產業別': '24',
+    '上市日期': '19940905',
+    '已發行普通股數或TDR原股發行股數': '25932733242'
+  }], 'tse');
+  assert.deepStrictEqual(rows[0], {
+    symbol: '2330',
+    name: '台積電',
+    full_name: '台灣積體電路製造股份有限公司',
+    market: 'tse',
+    industry: '半導體業',
+    shares_outstanding: 25932733242,
+    listing_date: '1994-09-05',
+    status: 'LISTED'
+  });
+});
+
+test('parseSecurityRows 上櫃欄位名稱差異', () => {
+  const rows = parseSecurityRows([{
+    '公司代號': '5340',
+    '公司名稱': '建榮工業材料股份有限公司',
+    '公司簡稱': '建榮',
+    '產業別': '99',
+    '上櫃日期': '20020125',
+    '已發行普通股數或TDR原發行股數': '--'
+  }], 'otc');
+  assert.strictEqual(rows[0].market, 'otc');
+  assert.strictEqual(rows[0].industry, '99');
+  assert.strictEqual(rows[0].listing_date, '2002-01-25');
+  assert.strictEqual(rows[0].shares_outstanding, null);
+});
+
+test('parseSecurityRows 略過無代號資料', () => {
+  assert.deepStrictEqual(parseSecurityRows([{ '公司名稱': 'X' }], 'tse'), []);
+  assert.deepStrictEqual(parseSecurityRows(null, 'tse'), []);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
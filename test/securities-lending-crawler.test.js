@@ -0,0 +1,58 @@
+/**
+ * @fileoverview 借券賣出餘額爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/securities-lending-crawler
+ */
+
+const { parseSecuritiesLending, fetchSecuritiesLending } = require('../src/crawler/securities-lending-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📉 借券賣出餘額爬蟲測試\n');
+
+test('parseSecuritiesLending 無欄位名稱時依預設索引解析並略過合計列', () => {
+  const rows = parseSecuritiesLending({
+    stat: 'OK',
+    data: [
+      ['2330', '台積電', '512,000', '52,000', '85,000', '0', '479,000', '6,483,050,000', '27,631,000', '3,102,000', '842,000', '0', '29,891,000', '1,532,110,000', ''],
+      ['', '合計', '0', '0', '0', '0', '0', '0', '0', '0', '0', '0', '0', '0', '']
+    ]
+  }, '2026-02-09');
+  assert.deepStrictEqual(rows, [{
+    symbol: '2330',
+    date: '2026-02-09',
+    sbl_prev_balance: 27631000,
+    sbl_sell: 3102000,
+    sbl_return: 842000,
+    sbl_adjust: 0,
+    sbl_balance: 29891000,
+    sbl_limit: 1532110000
+  }]);
+});
+
+test('非 OK 回應回傳空陣列', () => {
+  assert.deepStrictEqual(parseSecuritiesLending({ stat: '很抱歉，沒有符合條件的資料!' }, '2026-02-14'), []);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchSecuritiesLending 重播 TWT93U', async () => {
+    const rows = await fetchSecuritiesLending('2026-02-09');
+    assert.deepStrictEqual(rows.map(r => r.symbol), ['2330', '2454', '2344']);
+    const winbond = rows.find(r => r.symbol === '2344');
+    assert.strictEqual(winbond.sbl_balance, winbond.sbl_prev_balance + winbond.sbl_sell - winbond.sbl_return);
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
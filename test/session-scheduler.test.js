@@ -0,0 +1,140 @@
+/**
+ * @fileoverview 盤中監控排程單元測試 (假時鐘，不實際等待)
+ * @module test/session-scheduler
+ */
+
+const assert = require('assert');
+const { SessionScheduler } = require('../src/crawler/session-scheduler');
+const { TradingCalendar } = require('../src/market/trading-calendar');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n⏰ 盤中監控排程測試\n');
+
+/** 台北時間 → ms */
+function taipei(date, time) {
+  return Date.parse(`${date}T${time}+08:00`);
+}
+
+/** 回傳 nextRun 的台北時間 'YYYY-MM-DD HH:MM:SS' */
+function fmt(ms) {
+  return new Date(ms + 8 * 3600 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+const noop = async () => {};
+const scheduler = new SessionScheduler(noop, { handleSignals: false });
+
+test('開盤前排到 09:00，盤中立即執行', () => {
+  const before = scheduler.nextRun(taipei('2026-02-09', '08:30:00'));
+  assert.strictEqual(before.session, 'REGULAR');
+  assert.strictEqual(fmt(before.at), '2026-02-09 09:00:00');
+
+  const now = taipei('2026-02-09', '10:00:00');
+  assert.strictEqual(scheduler.nextRun(now).at, now);
+});
+
+test('13:30 後取收盤快照，之後為盤後零股', () => {
+  const closing = scheduler.nextRun(taipei('2026-02-09', '13:30:00'));
+  assert.deepStrictEqual([closing.session, closing.closing, fmt(closing.at)], ['REGULAR', true, '2026-02-09 13:30:15']);
+
+  const oddLot = scheduler.nextRun(taipei('2026-02-09', '13:50:00'));
+  assert.deepStrictEqual([oddLot.session, oddLot.closing, fmt(oddLot.at)], ['ODD_LOT', true, '2026-02-09 14:30:15']);
+});
+
+test('收盤後與休市日休眠到下一交易日開盤', () => {
+  assert.strictEqual(fmt(scheduler.nextRun(taipei('2026-02-09', '20:00:00')).at), '2026-02-10 09:00:00');
+  // 週五晚上 → 週一
+  assert.strictEqual(fmt(scheduler.nextRun(taipei('2026-02-06', '22:00:00')).at), '2026-02-09 09:00:00');
+  // 春節連假 → 2026-02-23
+  assert.strictEqual(fmt(scheduler.nextRun(taipei('2026-02-14', '10:00:00')).at), '2026-02-23 09:00:00');
+});
+
+(async () => {
+  await asyncTest('執行變慢時順延不重疊，收盤快照只取一次', async () => {
+    let clock = taipei('2026-02-09', '13:29:50');
+    const calls = [];
+    let active = 0;
+    const loop = new SessionScheduler(async ({ session, closing }) => {
+      active++;
+      assert.strictEqual(active, 1, '同時只有一次執行');
+      calls.push(`${fmt(clock).slice(11)} ${session}${closing ? ' close' : ''}`);
+      await Promise.resolve();
+      clock += 7000; // 比 5 秒輪詢間隔慢
+      active--;
+      if (session === 'ODD_LOT') loop.stop('test');
+    }, {
+      handleSignals: false,
+      now: () => clock,
+      sleep: async ms => { clock += ms; }
+    });
+
+    const stats = await loop.start();
+    assert.deepStrictEqual(calls, [
+      '13:29:50 REGULAR',
+      '13:29:57 REGULAR',
+      '13:30:15 REGULAR close',
+      '14:30:15 ODD_LOT close'
+    ]);
+    assert.strictEqual(stats.runs, 4);
+    assert.strictEqual(stats.overruns, 2);
+  });
+
+  await asyncTest('執行拋錯時記錄失敗並繼續排程', async () => {
+    let clock = taipei('2026-02-09', '13:29:55');
+    let runs = 0;
+    const loop = new SessionScheduler(async () => {
+      runs++;
+      clock += 1000;
+      if (runs === 1) throw new Error('boom');
+      loop.stop('test');
+    }, { handleSignals: false, now: () => clock, sleep: async ms => { clock += ms; } });
+
+    const stats = await loop.start();
+    assert.strictEqual(stats.runs, 2);
+    assert.strictEqual(stats.failures, 1);
+  });
+
+  await asyncTest('stop() 中斷休眠並移除訊號處理', async () => {
+    const before = process.listenerCount('SIGTERM');
+    const loop = new SessionScheduler(noop, { now: () => taipei('2026-02-09', '20:00:00') });
+    const done = loop.start();
+    assert.strictEqual(process.listenerCount('SIGTERM'), before + 1);
+    setTimeout(() => loop.stop('test'), 10);
+    await done;
+    assert.strictEqual(process.listenerCount('SIGTERM'), before);
+  });
+
+  await asyncTest('執行期間定期重新載入日曆異動，颱風停市日不輪詢', async () => {
+    let clock = taipei('2026-10-29', '20:00:00');
+    let overrides = [];
+    let loads = 0;
+    const loop = new SessionScheduler(noop, {
+      calendar: new TradingCalendar(),
+      loadOverrides: () => { loads++; return overrides; },
+      now: () => clock,
+      sleep: async ms => {
+        // 前一晚公告 10-30 颱風停市
+        overrides = [{ date: '2026-10-30', is_trading: 0, reason: '颱風停市' }];
+        clock += ms;
+        if (clock >= taipei('2026-10-30', '08:00:00')) loop.stop('test');
+      },
+      handleSignals: false
+    });
+    assert.strictEqual(fmt(loop.nextRun().at), '2026-10-30 09:00:00');
+    await loop.start();
+    assert.ok(loads > 1);
+    assert.strictEqual(loop.calendar.isTradingDay('2026-10-30'), false);
+    assert.strictEqual(fmt(loop.nextRun().at), '2026-11-02 09:00:00');
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
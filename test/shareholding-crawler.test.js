@@ -0,0 +1,52 @@
+/**
+ * @fileoverview 集保股權分散表爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/shareholding-crawler
+ */
+
+const { parseShareholdingCsv, fetchShareholding } = require('../src/crawler/shareholding-crawler');
+const { analyzeShareholding } = require('../src/market/shareholding');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🏦 集保股權分散表爬蟲測試\n');
+
+test('parseShareholdingCsv 略過標題、差異數調整與合計列', () => {
+  const rows = parseShareholdingCsv([
+    '﻿資料日期,證券代號,持股分級,人數,股數,占集保庫存數比例%',
+    '20260206,2330,1,220000,52000000,0.20',
+    '20260206,2330,15,1530,23760000000,91.12',
+    '20260206,2330,16,0,-12345,0.00',
+    '20260206,2330,17,466230,26077000000,100.00',
+    '20260206,2344,15,310,2388000000,56.81'
+  ].join('\r\n'), ['2330']);
+  assert.deepStrictEqual(rows, [
+    { symbol: '2330', date: '2026-02-06', level: 1, holders: 220000, shares: 52000000, ratio: 0.2 },
+    { symbol: '2330', date: '2026-02-06', level: 15, holders: 1530, shares: 23760000000, ratio: 91.12 }
+  ]);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchShareholding 重播 TDCC 開放資料', async () => {
+    const rows = await fetchShareholding(['2330', '2344']);
+    assert.strictEqual(rows.length, 30);
+    const tsmc = analyzeShareholding(rows.filter(r => r.symbol === '2330'));
+    assert.strictEqual(tsmc.bigHolderRatio1000, 91.12);
+    assert.strictEqual(tsmc.bigHolderRatio400, 93.03);
+  });
+
+  httpClient.setFixtures({ mode: 'off' });
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
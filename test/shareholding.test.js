@@ -0,0 +1,45 @@
+/**
+ * @fileoverview 集保大戶持股比單元測試
+ * @module test/shareholding
+ */
+
+const assert = require('assert');
+const { analyzeShareholding } = require('../src/market/shareholding');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n🏦 集保大戶持股比測試\n');
+
+test('analyzeShareholding 無資料回傳 null，單週無變化值', () => {
+  assert.strictEqual(analyzeShareholding([]), null);
+  assert.strictEqual(analyzeShareholding(null), null);
+  const single = analyzeShareholding([
+    { date: '2026-02-06', level: 11, holders: 1000, ratio: 5 },
+    { date: '2026-02-06', level: 12, holders: 100, ratio: 10 },
+    { date: '2026-02-06', level: 15, holders: 20, ratio: 70 }
+  ]);
+  assert.deepStrictEqual(
+    [single.bigHolderRatio400, single.bigHolderRatio1000, single.bigHolders400, single.totalHolders, single.change400],
+    [80, 70, 120, 1120, null]
+  );
+});
+
+test('analyzeShareholding 週變化以最近兩週比較', () => {
+  const result = analyzeShareholding([
+    { date: '2026-01-30', level: 1, holders: 1000, ratio: 21 },
+    { date: '2026-01-30', level: 15, holders: 10, ratio: 79 },
+    { date: '2026-02-06', level: 1, holders: 950, ratio: 19.6 },
+    { date: '2026-02-06', level: 15, holders: 10, ratio: 80.4 }
+  ]);
+  assert.strictEqual(result.date, '2026-02-06');
+  assert.strictEqual(result.change400, 1.4);
+  assert.strictEqual(result.change1000, 1.4);
+  assert.strictEqual(result.holderChangePct, -4.95);
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview 期交所期權法人未平倉爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/taifex-crawler
+ */
+
+const {
+  parseInstitutionalOpenInterest,
+  parsePutCallRatio,
+  fetchTaifexData
+} = require('../src/crawler/taifex-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📉 期交所期權法人未平倉爬蟲測試\n');
+
+test('parseInstitutionalOpenInterest 英文欄位、略過其他契約與其他日期', () => {
+  const rows = parseInstitutionalOpenInterest([
+    { Date: '2026/02/09', ContractCode: 'TXF', Item: 'Foreign Investors', 'OpenInterest(Long)': '18,340', 'OpenInterest(Short)': '42,180' },
+    { Date: '2026/02/09', ContractCode: 'EXF', Item: 'Foreign Investors', 'OpenInterest(Long)': '1,200', 'OpenInterest(Short)': '800' },
+    { Date: '2026/02/06', ContractCode: 'TXF', Item: 'Foreign Investors', 'OpenInterest(Long)': '19,000', 'OpenInterest(Short)': '40,000' }
+  ], '2026-02-09');
+  assert.deepStrictEqual(rows, [{
+    date: '2026-02-09',
+    contract: 'TX',
+    option_type: 'FUT',
+    investor: 'FOREIGN',
+    long_oi: 18340,
+    short_oi: 42180,
+    net_oi: -23840,
+    net_oi_amount: null
+  }]);
+});
+
+test('parseInstitutionalOpenInterest 選擇權區分買賣權', () => {
+  const rows = parseInstitutionalOpenInterest([
+    { '日期': '20260209', '商品名稱': '臺指選擇權', '買賣權別': '賣權', '身份別': '投信', '多方未平倉口數': '10', '空方未平倉口數': '0', '多空未平倉口數淨額': '10' }
+  ], '2026-02-09');
+  assert.deepStrictEqual([rows[0].contract, rows[0].option_type, rows[0].investor, rows[0].net_oi], ['TXO', 'PUT', 'TRUST', 10]);
+});
+
+test('parsePutCallRatio 查無該日回傳 null', () => {
+  assert.strictEqual(parsePutCallRatio([{ Date: '20260206', 'PutCallOIRatio%': '90.1' }], '2026-02-09'), null);
+  assert.strictEqual(parsePutCallRatio(null, '2026-02-09'), null);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchTaifexData 重播 OpenAPI', async () => {
+    const { positions, putCall } = await fetchTaifexData('2026-02-09');
+    assert.strictEqual(positions.length, 8);
+    const foreignTx = positions.find(r => r.contract === 'TX' && r.investor === 'FOREIGN');
+    assert.deepStrictEqual([foreignTx.net_oi, foreignTx.net_oi_amount], [-23840, -309412380]);
+    assert.strictEqual(positions.filter(r => r.contract === 'TXO').length, 4);
+    assert.deepStrictEqual([putCall.oi_ratio, putCall.put_oi, putCall.call_oi], [88.92, 221340, 248910]);
+  });
+
+  await asyncTest('fetchTaifexData OpenAPI 尚未更新至該日時為空', async () => {
+    const { positions, putCall } = await fetchTaifexData('2026-02-10');
+    assert.deepStrictEqual([positions.length, putCall], [0, null]);
+  });
+
+  httpClient.setFixtures({ mode: 'off' });
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -69,5 +69,25 @@ test('sendDailyReport 空資料處理', async () => {
   bot.CONFIG.token = origToken;
 });
 
+test('formatDailyReport 顯示大盤與持股產業指數漲跌', () => {
+  const quotes = [
+    { code: '2330', name: '台積電', price: 1500, change: 25, changePct: 1.69, volume: 32000, category: '半導體業' },
+    { code: '2412', name: '中華電', price: 125, change: -0.5, changePct: -0.4, volume: 8000 }
+  ];
+  const indices = [
+    { index_code: 'TAIEX', name: '發行量加權股價指數', close: 32456.78, change: 270.15, change_pct: 0.84 },
+    { index_code: 'TPEX', name: '櫃買指數', close: 279.45, change: -2.55, change_pct: -0.9 },
+    { index_code: '半導體類指數', name: '半導體類指數', industry: '半導體業', close: 1210.66, change: 18.25, change_pct: 1.53 }
+  ];
+  const msg = bot.formatDailyReport(quotes, { indices });
+  assert.ok(msg.includes('加權指數 32,456.78 | +270.15 (+0.84%)'));
+  assert.ok(msg.includes('櫃買指數 279.45 | -2.55 (-0.90%)'));
+  assert.ok(msg.includes('🏭 半導體類指數: +18.25 (+1.53%)'));
+  assert.strictEqual(msg.split('🏭').length, 2);
+
+  assert.ok(!bot.formatDailyReport(quotes).includes('加權指數'));
+  assert.strictEqual(bot.formatDailyReport([]), '⚠️ 今日無行情資料');
+});
+
 console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
 process.exit(failed > 0 ? 1 : 0);
@@ -8,6 +8,7 @@ const {
   scoreInstitutional,
   scoreFundamental,
   calculateCompositeScore,
+  calculateRelativeStrength,
   ThreeDimensionalScreener,
   WEIGHTS,
   TIER_THRESHOLDS
@@ -126,6 +127,60 @@ test('scoreInstitutional 回傳 details', () => {
   assert.ok('foreignConsecutiveBuy' in result.details);
 });
 
+test('scoreInstitutional 外資持股比率上升並創新高加分、逼近上限扣分', () => {
+  const data = generateInstitutionalData(10, { foreignBuy: true, trustBuy: true });
+  const base = scoreInstitutional(data);
+  const holdings = Array.from({ length: 30 }, (_, i) => ({ foreign_ratio: 60 - i * 0.1, available_ratio: 40 + i * 0.1 }));
+  const rising = scoreInstitutional(data, holdings);
+  assert.strictEqual(rising.details.foreignRatioHigh, true);
+  assert.strictEqual(rising.details.foreignRatioChange, 2);
+  assert.strictEqual(rising.details.holdingScore, 100);
+
+  const capped = scoreInstitutional(data, holdings.map(h => ({ ...h, available_ratio: 1 })));
+  assert.strictEqual(capped.details.foreignNearCap, true);
+  assert.ok(capped.details.foreignScore < rising.details.foreignScore);
+  // 未提供持股資料時維持原評分
+  assert.strictEqual(scoreInstitutional(data, []).score, base.score);
+  assert.strictEqual(base.details.holdingScore, null);
+});
+
+test('scoreInstitutional 借券賣出餘額增加降低資券健康度', () => {
+  const data = generateInstitutionalData(10, { foreignBuy: true, trustBuy: true });
+  const base = scoreInstitutional(data);
+  // 借券賣出餘額逐日增加 (最新在前)
+  const rising = scoreInstitutional(data.map((d, i) => ({ ...d, sbl_balance: 30000000 - i * 1000000 })));
+  assert.strictEqual(rising.details.sblChange, 1000000);
+  assert.ok(rising.details.sblChange5Pct >= 10);
+  assert.strictEqual(rising.details.marginScore, Math.max(0, base.details.marginScore - 35));
+
+  const covering = scoreInstitutional(data.map((d, i) => ({ ...d, sbl_balance: 30000000 + i * 100000 })));
+  assert.ok(covering.details.marginScore > rising.details.marginScore);
+  assert.strictEqual(base.details.sblBalance, null);
+});
+
+test('scoreInstitutional 大戶持股比週增且股東減少提高集中度', () => {
+  const data = generateInstitutionalData(10, { foreignBuy: true, trustBuy: true });
+  const base = scoreInstitutional(data);
+  assert.strictEqual(base.details.concentrationScore, 50);
+  assert.strictEqual(base.details.bigHolderRatio400, null);
+
+  // 1-11 級 (散戶) 與 12-15 級 (400 張以上大戶)，最新一週大戶比 +1 個百分點、人數減少
+  const week = (date, bigRatio, retailHolders) => Array.from({ length: 15 }, (_, i) => ({
+    date, level: i + 1,
+    holders: i < 11 ? retailHolders : 100,
+    ratio: i < 11 ? (100 - bigRatio) / 11 : bigRatio / 4
+  }));
+  const gathering = scoreInstitutional(data, null, [...week('2026-02-06', 81, 1000), ...week('2026-01-30', 80, 1100)]);
+  assert.strictEqual(gathering.details.bigHolderChange400, 1);
+  assert.ok(gathering.details.holderChangePct < 0);
+  assert.strictEqual(gathering.details.concentrationScore, 90);
+  assert.ok(gathering.score > base.score);
+
+  const dispersing = scoreInstitutional(data, null, [...week('2026-02-06', 79, 1200), ...week('2026-01-30', 80, 1100)]);
+  assert.strictEqual(dispersing.details.concentrationScore, 10);
+  assert.ok(dispersing.score < base.score);
+});
+
 // ─── scoreFundamental Tests ────────────────────────
 console.log('\n--- scoreFundamental ---');
 
@@ -156,6 +211,15 @@ test('scoreFundamental 衰退得分低', () => {
   assert.ok(result.score <= 35, `Score ${result.score} should be <= 35 for declining`);
 });
 
+test('scoreFundamental 獲利能力與財務結構影響得分', () => {
+  const base = { revenueGrowthYoY: 10, revenueGrowthMoM: 5 };
+  const quality = scoreFundamental({ ...base, roe: 25, operatingMargin: 30, debtRatio: 25, operatingCashFlow: 1000 });
+  const weak = scoreFundamental({ ...base, roe: -5, operatingMargin: -3, debtRatio: 80, operatingCashFlow: -500 });
+  assert.ok(quality.score > weak.score, `${quality.score} should be > ${weak.score}`);
+  assert.strictEqual(quality.details.profitabilityScore, 96);
+  assert.strictEqual(weak.details.balanceScore, 0);
+});
+
 test('scoreFundamental 部分缺失仍可計算', () => {
   const result = scoreFundamental({ revenueGrowthYoY: 10 });
   assert.ok(typeof result.score === 'number');
@@ -194,11 +258,44 @@ test('calculateCompositeScore 單維度過低阻止升級', () => {
   assert.ok(result.tier !== 'TIER1', `Should not be TIER1 when one dim is 50`);
 });
 
+test('calculateCompositeScore 依傳入門檻分級', () => {
+  const tightened = { TIER1: TIER_THRESHOLDS.TIER1 + 10, TIER2: TIER_THRESHOLDS.TIER2 + 10, TIER3: TIER_THRESHOLDS.TIER3 + 10 };
+  assert.strictEqual(calculateCompositeScore(80, 80, 80).tier, 'TIER1');
+  assert.strictEqual(calculateCompositeScore(80, 80, 80, tightened).tier, 'TIER2');
+});
+
 test('WEIGHTS 合計為 1', () => {
   const sum = WEIGHTS.TECHNICAL + WEIGHTS.INSTITUTIONAL + WEIGHTS.FUNDAMENTAL;
   assert.strictEqual(sum, 1.0);
 });
 
+console.log('\n--- calculateRelativeStrength ---');
+
+test('calculateRelativeStrength 個股報酬減產業指數報酬', () => {
+  const prices = [
+    { date: '2026-02-09', close: 110 },
+    { date: '2026-02-06', close: 105 },
+    { date: '2026-02-05', close: 100 }
+  ];
+  // 指數缺 02-05，改用前一筆 02-04
+  const index = [
+    { index_code: '半導體類指數', industry: '半導體業', date: '2026-02-09', close: 1040 },
+    { index_code: '半導體類指數', industry: '半導體業', date: '2026-02-04', close: 1000 }
+  ];
+  const rs = calculateRelativeStrength(prices, index, 2);
+  assert.strictEqual(rs.industry, '半導體業');
+  assert.strictEqual(rs.stockReturn, 10);
+  assert.strictEqual(rs.indexReturn, 4);
+  assert.strictEqual(rs.rs, 6);
+});
+
+test('calculateRelativeStrength 資料不足回傳 null', () => {
+  const prices = [{ date: '2026-02-09', close: 110 }, { date: '2026-02-06', close: 100 }];
+  assert.strictEqual(calculateRelativeStrength(prices, [], 1), null);
+  assert.strictEqual(calculateRelativeStrength(prices, [{ date: '2026-02-09', close: 1000 }], 1), null);
+  assert.strictEqual(calculateRelativeStrength(prices, [{ date: '2026-02-09', close: 1000 }], 5), null);
+});
+
 // ─── ThreeDimensionalScreener Class Tests ──────────
 console.log('\n--- ThreeDimensionalScreener Class ---');
 
@@ -233,6 +330,183 @@ test('formatTelegramReport 格式正確', () => {
   assert.ok(report.includes('1687'));
 });
 
+test('_getFundamentalData 只取目標日前已公告的月營收', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare(`INSERT INTO fundamentals (symbol, date, period, revenue_growth_mom, revenue_growth_yoy)
+    VALUES (?, ?, ?, ?, ?)`);
+  insert.run('2330', '2026-01-10', '2025-12', -5.2, 20.1);
+  insert.run('2330', '2026-02-10', '2026-01', 12.3, 36.8);
+
+  const screener = new ThreeDimensionalScreener(memDb);
+  const beforeRelease = screener._getFundamentalData('2330', '2026-02-09');
+  assert.strictEqual(beforeRelease.revenuePeriod, '2025-12');
+  assert.strictEqual(beforeRelease.revenueGrowthYoY, 20.1);
+
+  const afterRelease = screener._getFundamentalData('2330', '2026-02-10');
+  assert.strictEqual(afterRelease.revenuePeriod, '2026-01');
+  assert.strictEqual(afterRelease.revenueGrowthMoM, 12.3);
+
+  assert.strictEqual(screener._getFundamentalData('2330', '2026-01-09'), null);
+  memDb.close();
+});
+
+test('_getFundamentalData 由季財報推導 EPS 與本益比', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare(`INSERT INTO financial_statements (symbol, period, date, eps, roe, debt_ratio)
+    VALUES (?, ?, ?, ?, ?, ?)`);
+  insert.run('2330', '2024Q3', '2024-11-14', 30, 30, 35);
+  insert.run('2330', '2024Q4', '2025-03-31', 45, 31, 34);
+  insert.run('2330', '2025Q3', '2025-11-14', 39, 35, 33);
+
+  const screener = new ThreeDimensionalScreener(memDb);
+  const data = screener._getFundamentalData('2330', '2025-12-01', 1080);
+  assert.strictEqual(data.statementPeriod, '2025Q3');
+  assert.strictEqual(data.eps, 39);
+  assert.strictEqual(data.epsPrevYear, 30);
+  // 近四季 EPS = 39 + 45 - 30 = 54
+  assert.strictEqual(data.peRatio, 20);
+  assert.strictEqual(data.roe, 35);
+
+  // 2025Q3 公告前只能看到 2024Q4
+  const earlier = screener._getFundamentalData('2330', '2025-11-13', 1080);
+  assert.strictEqual(earlier.statementPeriod, '2024Q4');
+  assert.strictEqual(earlier.peRatio, 24);
+  memDb.close();
+});
+
+test('_getFundamentalData 更正後的數字自更正公告日起才採用', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const revenue = memDb.prepare(`INSERT INTO fundamentals (symbol, date, period, revenue_growth_yoy) VALUES (?, ?, ?, ?)`);
+  revenue.run('2330', '2026-02-10', '2026-01', 36.8);
+  revenue.run('2330', '2026-03-10', '2026-02', 22.4);
+  revenue.run('2330', '2026-03-16', '2026-01', 30.1); // 1 月營收更正
+  const statement = memDb.prepare('INSERT INTO financial_statements (symbol, period, date, eps) VALUES (?, ?, ?, ?)');
+  statement.run('2330', '2025Q3', '2025-11-14', 39);
+  statement.run('2330', '2025Q3', '2025-12-20', 37.5); // 財報更正
+
+  const screener = new ThreeDimensionalScreener(memDb);
+  assert.strictEqual(screener._getFundamentalData('2330', '2026-02-20').revenueGrowthYoY, 36.8);
+  // 較早月份的更正不取代已公告的最新一期
+  const afterCorrection = screener._getFundamentalData('2330', '2026-03-20');
+  assert.deepStrictEqual([afterCorrection.revenuePeriod, afterCorrection.revenueGrowthYoY], ['2026-02', 22.4]);
+
+  assert.strictEqual(screener._getFundamentalData('2330', '2025-12-01').eps, 39);
+  assert.strictEqual(screener._getFundamentalData('2330', '2025-12-20').eps, 37.5);
+  memDb.close();
+});
+
+test('_applyFilters 有證券主檔時以主檔判斷普通股', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare('INSERT INTO daily_prices (symbol, date, open, high, low, close, volume) VALUES (?, ?, 50, 50, 50, 50, 5000)');
+  for (const symbol of ['2330', '0050', '6488']) {
+    for (let d = 2; d <= 6; d++) insert.run(symbol, `2026-02-0${d}`);
+  }
+
+  const screener = new ThreeDimensionalScreener(memDb);
+  screener.securities = screener._loadSecurityMaster();
+  assert.deepStrictEqual(screener._applyFilters(['2330', '0050', '6488'], '2026-02-06'), ['2330', '0050', '6488']);
+
+  memDb.prepare("INSERT INTO securities (symbol, name, market) VALUES ('2330', '台積電', 'tse'), ('6488', '環球晶', 'otc')").run();
+  screener.securities = screener._loadSecurityMaster();
+  assert.deepStrictEqual(screener._applyFilters(['2330', '0050', '6488'], '2026-02-06'), ['2330', '6488']);
+  memDb.close();
+});
+
+test('_applyFilters 排除證券主檔中已下市的股票', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare('INSERT INTO daily_prices (symbol, date, open, high, low, close, volume) VALUES (?, ?, 50, 50, 50, 50, 5000)');
+  for (const symbol of ['2330', '2498']) {
+    for (let d = 2; d <= 6; d++) insert.run(symbol, `2026-02-0${d}`);
+  }
+  memDb.prepare("INSERT INTO securities (symbol, name, market, status) VALUES ('2330', '台積電', 'tse', 'LISTED'), ('2498', '宏達電', 'tse', 'DELISTED')").run();
+
+  const screener = new ThreeDimensionalScreener(memDb);
+  screener.securities = screener._loadSecurityMaster();
+  assert.ok(!screener.securities.has('2498'));
+  assert.deepStrictEqual(screener._applyFilters(['2330', '2498'], '2026-02-06'), ['2330']);
+  memDb.close();
+});
+
+test('_loadMarketRegime 外資期貨淨空單提高門檻，資料過期則忽略', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  memDb.prepare(`INSERT INTO taifex_open_interest (date, contract, option_type, investor, net_oi)
+    VALUES ('2026-02-09', 'TX', 'FUT', 'FOREIGN', -38000)`).run();
+  memDb.prepare("INSERT INTO put_call_ratios (date, oi_ratio) VALUES ('2026-02-09', 88.92)").run();
+
+  const screener = new ThreeDimensionalScreener(memDb);
+  const regime = screener._loadMarketRegime('2026-02-10');
+  assert.deepStrictEqual([regime.regime, regime.tighten, regime.putCallOiRatio], ['RISK_OFF', 10, 88.92]);
+  // 2026-02-09 → 2026-02-23 相隔 3 個交易日仍有效，再往後即過期
+  assert.ok(screener._loadMarketRegime('2026-02-23'));
+  assert.strictEqual(screener._loadMarketRegime('2026-02-24'), null);
+  assert.strictEqual(screener._loadMarketRegime('2026-02-06'), null);
+  memDb.close();
+});
+
+test('_applyFilters maxDayTradeRatio 排除當沖過熱股票', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare('INSERT INTO daily_prices (symbol, date, open, high, low, close, volume) VALUES (?, ?, 50, 50, 50, 50, 10000)');
+  const dayTrade = memDb.prepare('INSERT INTO day_trading (symbol, date, day_trade_volume) VALUES (?, ?, ?)');
+  for (const symbol of ['2330', '2344', '6488']) {
+    for (let d = 2; d <= 6; d++) insert.run(symbol, `2026-02-0${d}`);
+  }
+  for (let d = 2; d <= 6; d++) {
+    dayTrade.run('2330', `2026-02-0${d}`, 2000);
+    dayTrade.run('2344', `2026-02-0${d}`, 6500);
+  }
+
+  const symbols = ['2330', '2344', '6488'];
+  assert.deepStrictEqual(new ThreeDimensionalScreener(memDb)._applyFilters(symbols, '2026-02-06'), symbols);
+  // 6488 無當沖資料 (上櫃) 不受限
+  assert.deepStrictEqual(
+    new ThreeDimensionalScreener(memDb, { maxDayTradeRatio: 0.5 })._applyFilters(symbols, '2026-02-06'),
+    ['2330', '6488']
+  );
+  memDb.close();
+});
+
+test('_getShareholdingHistory 取目標日以前最近兩週', () => {
+  const Database = require('better-sqlite3');
+  const fs = require('fs');
+  const path = require('path');
+  const memDb = new Database(':memory:');
+  memDb.exec(fs.readFileSync(path.resolve(__dirname, '../src/database/schema.sql'), 'utf8'));
+  const insert = memDb.prepare("INSERT INTO shareholding_distribution (symbol, date, level, holders, ratio) VALUES ('2330', ?, 15, 1500, 80)");
+  for (const date of ['2026-01-23', '2026-01-30', '2026-02-06', '2026-02-13']) insert.run(date);
+
+  const rows = new ThreeDimensionalScreener(memDb)._getShareholdingHistory('2330', '2026-02-10');
+  assert.deepStrictEqual(rows.map(r => r.date).sort(), ['2026-01-30', '2026-02-06']);
+  memDb.close();
+});
+
 // ─── 結果 ──────────────────────────────────────────
 console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
 process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview 上櫃日成交爬蟲單元測試 (HTTP 以 test/fixtures/http 錄製回應重播，不連網)
+ * @module test/tpex-daily-crawler
+ */
+
+const {
+  parseTPExRows,
+  parseTWSERows,
+  toRocYearMonth,
+  previousMonth,
+  fetchMonthlyPrices
+} = require('../src/crawler/tpex-daily-crawler');
+const { httpClient } = require('../src/crawler/http-client');
+const Utils = require('../src/utils');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+async function asyncTest(name, fn) {
+  try { await fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 上櫃日成交爬蟲測試\n');
+
+test('Utils.rocToISO 民國日期轉換', () => {
+  assert.strictEqual(Utils.rocToISO('115/02/09'), '2026-02-09');
+  assert.strictEqual(Utils.rocToISO('115/2/9'), '2026-02-09');
+  assert.strictEqual(Utils.rocToISO('114/12/31＊'), '2025-12-31');
+  assert.strictEqual(Utils.rocToISO(''), null);
+  assert.strictEqual(Utils.rocToISO('abc'), null);
+});
+
+test('toRocYearMonth / previousMonth', () => {
+  assert.strictEqual(toRocYearMonth('2026-02'), '115/02');
+  assert.strictEqual(previousMonth('2026-02'), '2026-01');
+  assert.strictEqual(previousMonth('2026-01'), '2025-12');
+});
+
+test('parseTPExRows 千股/千元換算並轉 ISO 日期', () => {
+  const rows = [
+    ['115/02/10', '1,234', '56,789', '45.50', '46.00', '45.00', '45.80', '0.30', '512'],
+    ['115/02/09', '800', '36,000', '45.00', '45.60', '44.80', '45.50', '-0.20', '301']
+  ];
+  const result = parseTPExRows('5340', rows);
+  assert.strictEqual(result.length, 2);
+  assert.strictEqual(result[0].date, '2026-02-09'); // 升序
+  assert.strictEqual(result[1].volume, 1234000);
+  assert.strictEqual(result[1].turnover, 56789000);
+  assert.strictEqual(result[1].close, 45.8);
+  assert.strictEqual(result[1].symbol, '5340');
+});
+
+test('parseTPExRows 略過無成交 (--) 資料列', () => {
+  const rows = [['115/02/09', '0', '0', '--', '--', '--', '--', '--', '0']];
+  assert.strictEqual(parseTPExRows('5340', rows).length, 0);
+  assert.strictEqual(parseTPExRows('5340', undefined).length, 0);
+});
+
+test('parseTWSERows 成交股數不換算', () => {
+  const rows = [['115/02/09', '25,123,456', '45,000,000,000', '1,780.00', '1,800.00', '1,770.00', '1,795.00', '+15.00', '45,678']];
+  const [row] = parseTWSERows('2330', rows);
+  assert.strictEqual(row.date, '2026-02-09');
+  assert.strictEqual(row.volume, 25123456);
+  assert.strictEqual(row.close, 1795);
+  assert.strictEqual(row.transactions, 45678);
+});
+
+(async () => {
+  httpClient.setFixtures({ mode: 'replay' });
+
+  await asyncTest('fetchMonthlyPrices 上市股票重播 STOCK_DAY', async () => {
+    const rows = await fetchMonthlyPrices('2330', '2026-02', 'tse');
+    assert.strictEqual(rows.length, 6);
+    assert.strictEqual(rows[0].date, '2026-02-02');
+    assert.strictEqual(rows[5].close, 1085);
+    assert.strictEqual(rows[5].volume, 33015287);
+  });
+
+  console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
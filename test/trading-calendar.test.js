@@ -0,0 +1,112 @@
+/**
+ * @fileoverview 台股交易日曆單元測試
+ * @module test/trading-calendar
+ */
+
+const Database = require('better-sqlite3');
+const { TradingCalendar, taipeiDate, loadCalendarOverrides } = require('../src/market/trading-calendar');
+const assert = require('assert');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+console.log('\n📊 交易日曆測試\n');
+
+const calendar = new TradingCalendar();
+
+test('isTradingDay 排除週末與國定假日', () => {
+  assert.strictEqual(calendar.isTradingDay('2026-02-09'), true);
+  assert.strictEqual(calendar.isTradingDay('2026-02-07'), false); // 週六
+  assert.strictEqual(calendar.isTradingDay('2026-02-17'), false); // 春節
+  assert.strictEqual(calendar.isTradingDay('2026-02-12'), false); // 春節前無交易
+  assert.strictEqual(calendar.closureReason('2026-02-17'), '春節');
+  assert.strictEqual(calendar.closureReason('2026-02-07'), '週末');
+  assert.strictEqual(calendar.closureReason('2026-02-09'), null);
+});
+
+test('previousTradingDay / nextTradingDay 跨越春節連假', () => {
+  assert.strictEqual(calendar.previousTradingDay('2026-02-23'), '2026-02-11');
+  assert.strictEqual(calendar.nextTradingDay('2026-02-11'), '2026-02-23');
+  assert.strictEqual(calendar.previousTradingDay('2026-02-09'), '2026-02-06');
+});
+
+test('tradingDaysBetween 不含起日、含迄日', () => {
+  assert.strictEqual(calendar.tradingDaysBetween('2026-02-06', '2026-02-09'), 1);
+  assert.strictEqual(calendar.tradingDaysBetween('2026-02-09', '2026-02-23'), 3);
+  assert.strictEqual(calendar.tradingDaysBetween('2026-02-09', '2026-02-09'), 0);
+  assert.strictEqual(calendar.tradingDaysBetween('2026-02-23', '2026-02-09'), -3);
+});
+
+test('內建 2023-2024 春節休市 (封關後市場無交易至初三補假)', () => {
+  assert.deepStrictEqual(calendar.listTradingDays('2024-02-05', '2024-02-16'), ['2024-02-05', '2024-02-15', '2024-02-16']);
+  assert.deepStrictEqual(calendar.listTradingDays('2023-01-16', '2023-01-31'), ['2023-01-16', '2023-01-17', '2023-01-30', '2023-01-31']);
+});
+
+test('涵蓋範圍外的日期拋出 CALENDAR_OUT_OF_RANGE，已登錄異動者除外', () => {
+  const outOfRange = err => err.code === 'CALENDAR_OUT_OF_RANGE' && /2027-01-01/.test(err.message);
+  assert.strictEqual(calendar.covers('2026-12-31'), true);
+  assert.strictEqual(calendar.covers('2027-01-01'), false);
+  assert.throws(() => calendar.isTradingDay('2027-01-01'), outOfRange);
+  assert.throws(() => calendar.nextTradingDay('2026-12-31'), outOfRange);
+  assert.throws(() => calendar.listTradingDays('2022-12-29', '2023-01-03'), err => err.code === 'CALENDAR_OUT_OF_RANGE');
+
+  const cal = new TradingCalendar({ overrides: [{ date: '2027-01-01', is_trading: 0, reason: '開國紀念日' }] });
+  assert.strictEqual(cal.isTradingDay('2027-01-01'), false);
+});
+
+test('loadOverrides 颱風停市與補行交易覆寫內建日曆', () => {
+  const cal = new TradingCalendar({
+    overrides: [
+      { date: '2025-10-03', is_trading: 0, reason: '颱風停市' },
+      { date: '2026-02-07', is_trading: 1, reason: '補行交易' }
+    ]
+  });
+  assert.strictEqual(cal.isTradingDay('2025-10-03'), false);
+  assert.strictEqual(cal.closureReason('2025-10-03'), '颱風停市');
+  assert.strictEqual(cal.isTradingDay('2026-02-07'), true);
+  assert.strictEqual(cal.previousTradingDay('2026-02-09'), '2026-02-07');
+  // 共用實例不受影響
+  assert.strictEqual(calendar.isTradingDay('2026-02-07'), false);
+});
+
+test('loadCalendarOverrides 由 market_calendar 重新載入 (刪除的異動一併移除)', () => {
+  const db = new Database(':memory:');
+  const cal = new TradingCalendar({ overrides: [{ date: '2025-10-03', is_trading: 0, reason: '颱風停市' }] });
+  assert.strictEqual(loadCalendarOverrides(db, cal), 0);
+  assert.strictEqual(cal.isTradingDay('2025-10-03'), false);
+
+  db.exec('CREATE TABLE market_calendar (date TEXT PRIMARY KEY, is_trading INTEGER NOT NULL, reason TEXT)');
+  db.prepare("INSERT INTO market_calendar VALUES ('2026-10-30', 0, '颱風停市')").run();
+  assert.strictEqual(loadCalendarOverrides(db, cal), 1);
+  assert.strictEqual(cal.isTradingDay('2026-10-30'), false);
+  assert.strictEqual(cal.isTradingDay('2025-10-03'), true);
+  assert.strictEqual(cal.tradingDaysBetween('2026-10-29', '2026-11-02'), 1);
+  db.close();
+});
+
+test('nextSession 依台北時間判斷盤中與收盤後', () => {
+  // 2026-02-09 (一) 10:00 台北 = 02:00Z
+  const during = calendar.nextSession(new Date('2026-02-09T02:00:00Z'));
+  assert.strictEqual(during.date, '2026-02-09');
+  assert.strictEqual(during.inSession, true);
+  assert.strictEqual(during.close.toISOString(), '2026-02-09T05:30:00.000Z');
+
+  // 2026-02-11 (三) 14:00 台北，下一盤為春節後
+  const after = calendar.nextSession(new Date('2026-02-11T06:00:00Z'));
+  assert.strictEqual(after.date, '2026-02-23');
+  assert.strictEqual(after.inSession, false);
+  assert.strictEqual(after.open.toISOString(), '2026-02-23T01:00:00.000Z');
+});
+
+test('latestSession 收盤前回傳前一交易日', () => {
+  assert.strictEqual(calendar.latestSession(new Date('2026-02-09T02:00:00Z')), '2026-02-06');
+  assert.strictEqual(calendar.latestSession(new Date('2026-02-09T06:00:00Z')), '2026-02-09');
+  // 台北 2026-02-10 00:30 (UTC 仍為 02-09)
+  assert.strictEqual(taipeiDate(new Date('2026-02-09T16:30:00Z')), '2026-02-10');
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
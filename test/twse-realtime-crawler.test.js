@@ -7,11 +7,13 @@
  */
 
 const TWSERealtimeCrawler = require('../src/crawler/twse-realtime-crawler');
+const { HttpClient } = require('../src/crawler/http-client');
 const assert = require('assert');
 
 // 測試統計
 let testsPassed = 0;
 let testsFailed = 0;
+const pendingTests = [];
 
 /**
  * 測試輔助函數
@@ -29,7 +31,7 @@ function test(name, fn) {
 }
 
 function asyncTest(name, fn) {
-  return new Promise(async (resolve) => {
+  const pending = new Promise(async (resolve) => {
     try {
       await fn();
       console.log(`  ✅ ${name}`);
@@ -41,6 +43,8 @@ function asyncTest(name, fn) {
     }
     resolve();
   });
+  pendingTests.push(pending);
+  return pending;
 }
 
 /**
@@ -120,6 +124,20 @@ test('should detect OTC (over-the-counter) stocks correctly', () => {
   assertEqual(crawler.detectMarketType('1815'), 'otc', '1815 should be OTC (exception)');
 });
 
+test('should prefer security master over code ranges', () => {
+  const crawler = new TWSERealtimeCrawler({
+    securities: [
+      { symbol: '3105', market: 'otc' },
+      { symbol: '6415', market: 'tse' }
+    ]
+  });
+  assertEqual(crawler.detectMarketType('3105'), 'otc', '3105 should be OTC from master');
+  assertEqual(crawler.detectMarketType('6415'), 'tse', '6415 should be TSE from master');
+  assertEqual(crawler.detectMarketType('5340'), 'otc', 'unknown codes fall back to ranges');
+  assertEqual(crawler.loadSecurityMaster([{ symbol: '2330', market: 'tse' }, { symbol: '', market: 'tse' }]), 1);
+  assertEqual(crawler.detectMarketType('6415'), 'otc', 'reloading replaces previous master');
+});
+
 test('should throw error for invalid stock codes', () => {
   const crawler = new TWSERealtimeCrawler();
   try {
@@ -242,6 +260,41 @@ test('should calculate change and changePct correctly', () => {
   assertEqual(normalized.changePct, 10.00, 'ChangePct should be 10%');
 });
 
+test('should parse five-level order book (a/b/f/g)', () => {
+  const crawler = new TWSERealtimeCrawler();
+  const normalized = crawler._normalizeStockData({
+    c: '5340', n: '建榮', z: '63.20', y: '62.00',
+    a: '63.30_63.40_63.50_63.60_63.70_',
+    f: '5_8_2_10_1_',
+    b: '63.20_63.10_63.00_62.90_62.80_',
+    g: '20_35_15_10_5_'
+  });
+  const book = normalized.orderBook;
+  assertEqual(book.bids.length, 5, 'Should have 5 bid levels');
+  assertEqual(book.asks[0].price, 63.3, 'Best ask should be 63.30');
+  assertEqual(book.bestBid, 63.2, 'Best bid should be 63.20');
+  assertEqual(book.spread, 0.1, 'Spread should be 0.10');
+  assertEqual(book.bidDepth, 85, 'Bid depth should be 85');
+  assertEqual(book.askDepth, 26, 'Ask depth should be 26');
+  assertEqual(book.imbalance.toFixed(3), ((85 - 26) / 111).toFixed(3), 'Imbalance should be (bid - ask) / total');
+  assertEqual(crawler._normalizeStockData({ c: '1234', z: '10' }).orderBook, null, 'No order book without a/b');
+});
+
+test('should surface limit-up / limit-down prices (u/w)', () => {
+  const crawler = new TWSERealtimeCrawler();
+  const locked = crawler._normalizeStockData({ c: '2330', z: '1550.00', y: '1410.00', u: '1550.00', w: '1270.00' });
+  assertEqual(locked.limitUp, 1550, 'limitUp should come from u');
+  assertEqual(locked.limitDown, 1270, 'limitDown should come from w');
+  assertEqual(locked.isLimitUp, true, 'Should be limit-up');
+  assertEqual(locked.isLimitDown, false, 'Should not be limit-down');
+
+  // 無 u/w 時依昨收推算；尚無成交、委買空且委賣掛在跌停價視為鎖跌停
+  const derived = crawler._normalizeStockData({ c: '5340', z: '-', y: '62.00', a: '55.80_', f: '900_' });
+  assertEqual(derived.limitUp, 68.2, 'limitUp should be derived from prevClose');
+  assertEqual(derived.limitDown, 55.8, 'limitDown should be derived from prevClose');
+  assertEqual(derived.isLimitDown, true, 'Only asks at limit-down should be locked');
+});
+
 /**
  * 測試套件 5: 快取功能
  */
@@ -299,9 +352,15 @@ test('should return correct stats', () => {
 /**
  * 測試套件 7: 整合測試（實際 API 呼叫）
  */
-console.log('\n📦 Test Suite 7: Integration Tests (Live API)');
-
-const crawler = new TWSERealtimeCrawler({ maxRetries: 3, rateLimitMs: 334 });
+console.log('\n📦 Test Suite 7: Integration Tests (Recorded Fixtures)');
+
+// 重播 test/fixtures/http 錄製的 MIS 回應，不連網
+// 重新錄製: CRAWLER_FIXTURES=record node src/crawler/intraday-crawler.js --test
+const crawler = new TWSERealtimeCrawler({
+  maxRetries: 3,
+  rateLimitMs: 334,
+  httpClient: new HttpClient({ fixtures: { mode: 'replay' } })
+});
 
 asyncTest('should fetch single stock (TSE: 2454)', async () => {
   const quote = await crawler.fetchStock('2454');
@@ -337,6 +396,14 @@ asyncTest('should fetch batch stocks', async () => {
   });
 });
 
+asyncTest('should fetch odd-lot quotes from getOddInfo', async () => {
+  const [quote] = await crawler.fetchBatch(['2454'], { oddLot: true });
+  assertNotNull(quote, 'Should return odd-lot quote');
+  assertEqual(quote.oddLot, true, 'Quote should be tagged as odd-lot');
+  assertEqual(quote.price, 1435, 'Odd-lot price should be 1435');
+  assertEqual(quote.volume, 3520, 'Odd-lot volume is in shares');
+});
+
 asyncTest('should handle invalid stock code gracefully', async () => {
   const quote = await crawler.fetchStock('999999');
   // 應該返回 null 而不是拋出錯誤
@@ -412,9 +479,7 @@ async function runAllTests() {
   // (測試已在上面定義時自動執行)
 
   // 等待所有非同步測試完成
-  await Promise.all([
-    // 這裡的測試已經在上面定義時執行
-  ]);
+  await Promise.all(pendingTests);
 
   // 統計結果
   const duration = ((Date.now() - startTime) / 1000).toFixed(2);
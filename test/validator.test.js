@@ -0,0 +1,107 @@
+/**
+ * @fileoverview 資料品質檢核 (日K / 法人籌碼) 單元測試
+ * @module test/validator
+ */
+
+const assert = require('assert');
+const {
+  validatePriceRow,
+  validateInstitutionalRow,
+  screenRows,
+  findMissingTradingDays,
+  SEVERITY
+} = require('../src/quality/validator');
+
+let passed = 0, failed = 0;
+function test(name, fn) {
+  try { fn(); passed++; console.log(`  ✅ ${name}`); }
+  catch (err) { failed++; console.log(`  ❌ ${name}: ${err.message}`); }
+}
+
+/** 日K資料列 */
+function bar(date, ohlc, volume = 25000000, symbol = '2330') {
+  const [open, high, low, close] = ohlc;
+  return { symbol, date, open, high, low, close, volume };
+}
+
+/** 法人籌碼資料列 */
+function chip(overrides = {}) {
+  return { symbol: '2330', date: '2026-02-09', foreign_net: 0, trust_net: 0, dealer_net: 0, margin_balance: 0, short_balance: 0, ...overrides };
+}
+
+const codes = issues => issues.map(i => i.code);
+
+console.log('\n🩺 資料品質檢核測試\n');
+
+test('正常K棒無異常', () => {
+  assert.deepStrictEqual(validatePriceRow(bar('2026-02-09', [1800, 1815, 1790, 1810]), 1780), []);
+});
+
+test('價格缺漏或為 0 (來源 "--") 判定 MISSING_PRICE', () => {
+  const issues = validatePriceRow(bar('2026-02-09', [0, 0, 0, 0], 0));
+  assert.deepStrictEqual(codes(issues), ['MISSING_PRICE']);
+  assert.strictEqual(issues[0].severity, SEVERITY.ERROR);
+  assert.deepStrictEqual(codes(validatePriceRow(bar('2026-02-09', [null, 1815, 1790, 1810]))), ['MISSING_PRICE']);
+});
+
+test('最高價低於最低價與開收超出區間', () => {
+  assert.deepStrictEqual(codes(validatePriceRow(bar('2026-02-09', [1800, 1790, 1815, 1810]))), ['HIGH_BELOW_LOW']);
+  assert.deepStrictEqual(codes(validatePriceRow(bar('2026-02-09', [1820, 1815, 1790, 1810]))), ['OUT_OF_RANGE']);
+});
+
+test('零成交量的前收補值假K棒判定 ZERO_VOLUME', () => {
+  assert.deepStrictEqual(codes(validatePriceRow(bar('2026-02-09', [1780, 1780, 1780, 1780], 0), 1780)), ['ZERO_VOLUME']);
+});
+
+test('超過漲跌幅限制的跳空為 WARN', () => {
+  const issues = validatePriceRow(bar('2026-02-09', [105, 112, 104, 112]), 100);
+  assert.deepStrictEqual(codes(issues), ['PRICE_GAP']);
+  assert.strictEqual(issues[0].severity, SEVERITY.WARN);
+  // 漲停 (+10%) 不算異常
+  assert.deepStrictEqual(validatePriceRow(bar('2026-02-09', [105, 110, 104, 110]), 100), []);
+});
+
+test('法人籌碼全為 0 判定 ZEROED_CHIP，非數值判定 INVALID_NUMBER', () => {
+  assert.deepStrictEqual(codes(validateInstitutionalRow(chip())), ['ZEROED_CHIP']);
+  assert.deepStrictEqual(validateInstitutionalRow(chip({ margin_balance: 32000 })), []);
+  assert.deepStrictEqual(codes(validateInstitutionalRow(chip({ foreign_net: NaN }))), ['INVALID_NUMBER']);
+});
+
+test('日期缺漏或非 YYYY-MM-DD 判定 INVALID_DATE 並隔離', () => {
+  assert.deepStrictEqual(validatePriceRow(bar('20260209', [100, 102, 99, 101])).map(i => i.code), ['INVALID_DATE']);
+  assert.deepStrictEqual(validateInstitutionalRow(chip({ date: undefined, foreign_net: 500 })).map(i => i.code), ['INVALID_DATE']);
+  const { accepted, quarantined } = screenRows('daily_prices', [bar(null, [100, 102, 99, 101]), bar('2026-02-09', [100, 102, 99, 101])]);
+  assert.deepStrictEqual(accepted.map(r => r.date), ['2026-02-09']);
+  assert.strictEqual(quarantined[0].issues[0].severity, SEVERITY.ERROR);
+});
+
+test('screenRows 分流 accepted / quarantined / warnings，跳空以批次內前一筆有效收盤為基準', () => {
+  const result = screenRows('daily_prices', [
+    bar('2026-02-05', [100, 112, 99, 111]),
+    bar('2026-02-03', [98, 101, 97, 100]),
+    bar('2026-02-04', [100, 100, 100, 100], 0),
+    bar('2026-02-03', [50, 51, 49, 50], 1000, '2603')
+  ]);
+  assert.deepStrictEqual(result.accepted.map(r => `${r.symbol}@${r.date}`), ['2330@2026-02-03', '2330@2026-02-05', '2603@2026-02-03']);
+  assert.deepStrictEqual(result.quarantined.map(q => q.row.date), ['2026-02-04']);
+  assert.deepStrictEqual(result.warnings.map(w => [w.row.date, codes(w.issues)]), [['2026-02-05', ['PRICE_GAP']]]);
+});
+
+test('screenRows 可帶入批次前收盤價', () => {
+  const result = screenRows('daily_prices', [bar('2026-02-09', [1800, 1815, 1790, 1810])], { prevCloses: { 2330: 1500 } });
+  assert.strictEqual(result.warnings.length, 1);
+});
+
+test('screenRows 不支援的資料集拋出錯誤', () => {
+  assert.throws(() => screenRows('foreign_holdings', []), /不支援的資料集/);
+});
+
+test('findMissingTradingDays 依交易日曆找出缺漏日', () => {
+  assert.deepStrictEqual(
+    findMissingTradingDays(['2026-02-02', '2026-02-04', '2026-02-09'], '2026-02-02', '2026-02-09'),
+    ['2026-02-03', '2026-02-05', '2026-02-06']
+  );
+});
+
+console.log(`\n結果: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
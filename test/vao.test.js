@@ -76,6 +76,21 @@ test('calculateVAO 含 totalShares 周轉率計算', () => {
   assert.ok(result.details.turnoverRate > 0);
 });
 
+test('calculateVAO discountDayTrading 排除當沖推升的爆量', () => {
+  const data = generatePriceData(25, { baseClose: 100, baseVolume: 5000 });
+  // 今日量能 10 倍，其中 95% 為當沖
+  data[0].volume = 50000;
+  data[0].day_trade_volume = 47500;
+  data[0].close = 106;
+  data[1].close = 100;
+  const gross = calculateVAO(data);
+  const net = calculateVAO(data, { discountDayTrading: true });
+  assert.strictEqual(gross.score, 80);
+  assert.strictEqual(net.score, 30);
+  assert.strictEqual(net.details.dayTradeRatio, 95);
+  assert.strictEqual(net.details.todayVolume, 50000);
+});
+
 test('calculateVAOBatch 批量計算', () => {
   const stocks = {
     '2330': generatePriceData(25, { baseVolume: 50000 }),